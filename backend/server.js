@@ -31,6 +31,8 @@ import { csrfProtection } from './src/middleware/csrf.middleware.js';
 import { setupRoutes } from './src/routes/index.js';
 import { setupWebSocket } from './src/websocket/socket.js';
 import { authSocketMiddleware } from './src/websocket/middleware/auth.middleware.js';
+import { resumeTranscriptionJobs } from './src/services/transcription-job.service.js';
+import { endInterruptedCaptionBroadcasts } from './src/services/caption-broadcast.service.js';
 
 // Variables d'environnement
 const __filename = fileURLToPath(import.meta.url);
@@ -176,6 +178,12 @@ httpServer.listen(PORT, () => {
   logger.info('🚀  Database: ✅ SQLite');
   logger.info('🚀  Architecture: ✅ Modulaire (Phase 2)');
   logger.info('🚀 ============================================');
+
+  // Reprendre les transcriptions longues interrompues par l'arrêt précédent
+  resumeTranscriptionJobs();
+
+  // Les diffusions de sous-titres ne survivent pas au redémarrage (transcript conservé)
+  endInterruptedCaptionBroadcasts();
 });
 
 // Graceful shutdown
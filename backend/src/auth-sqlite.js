@@ -7,6 +7,7 @@ import crypto from 'crypto';
 import bcrypt from 'bcrypt';
 import { usersDB, tokensDB, friendsDB, groupsDB, archivedDB, quotasDB } from './database.js';
 import { logger } from './utils/logger.js';
+import { FORMALITY_LEVELS, isValidFormality } from './services/ai.service.js';
 
 // Rôles disponibles
 export const ROLES = {
@@ -131,6 +132,7 @@ class AuthManagerSQLite {
           avatar: user.avatar,
           historyEncrypted: user.history_encrypted,
           preferredLanguage: user.preferred_language || 'en',
+          translationFormality: user.translation_formality || 'neutral',
           createdAt: user.created_at,
           // Propriétés calculées depuis la DB (read-only)
           groups: userGroups,
@@ -443,12 +445,12 @@ class AuthManagerSQLite {
     return (usage[action] || 0) < quota;
   }
 
-  incrementQuota(email, action) {
+  incrementQuota(email, action, amount = 1) {
     const user = usersDB.getByEmail(email);
     if (!user) return;
 
     // Incrémenter dans la DB
-    quotasDB.increment(email, action);
+    quotasDB.increment(email, action, amount);
   }
 
   listUsers() {
@@ -563,7 +565,8 @@ class AuthManagerSQLite {
     return tomorrow.toISOString();
   }
 
-  consumeQuota(email, action) {
+  // amount : unités consommées (1 par appel, ou selon le volume pour un lot)
+  consumeQuota(email, action, amount = 1) {
     const user = usersDB.getByEmail(email);
     if (!user) {
       return { allowed: false, message: 'Utilisateur introuvable' };
@@ -579,7 +582,7 @@ class AuthManagerSQLite {
 
     // Quota illimité
     if (tier.quotas[action] === -1) {
-      this.incrementQuota(email, action);
+      this.incrementQuota(email, action, amount);
       return { allowed: true, remaining: -1 };
     }
 
@@ -594,20 +597,22 @@ class AuthManagerSQLite {
     const limit = tier.quotas[action];
 
     // Vérifier si quota dépassé
-    if (currentUsage >= limit) {
+    if (currentUsage + amount > limit) {
       return {
         allowed: false,
-        message: `Quota ${action} dépassé (${currentUsage}/${limit})`,
+        message: amount > 1
+          ? `Quota ${action} insuffisant (${amount} unités demandées, ${Math.max(limit - currentUsage, 0)} restantes)`
+          : `Quota ${action} dépassé (${currentUsage}/${limit})`,
         resetAt: this.getNextDayTimestamp()
       };
     }
 
     // Consommer le quota
-    this.incrementQuota(email, action);
+    this.incrementQuota(email, action, amount);
 
     return {
       allowed: true,
-      remaining: limit - currentUsage - 1,
+      remaining: limit - currentUsage - amount,
       resetAt: this.getNextDayTimestamp()
     };
   }
@@ -735,6 +740,29 @@ class AuthManagerSQLite {
     return { success: true, language: language.trim().toLowerCase() };
   }
 
+  updateFormalityPreference(email, formality) {
+    const user = usersDB.getByEmail(email);
+    if (!user) {
+      return { success: false, message: 'Utilisateur introuvable' };
+    }
+
+    if (!isValidFormality(formality)) {
+      return { success: false, message: `Registre invalide (${Object.values(FORMALITY_LEVELS).join(', ')})` };
+    }
+
+    usersDB.update(email, {
+      translation_formality: formality
+    });
+
+    logger.info('Formality preference updated', { email, formality });
+
+    return { success: true, formality };
+  }
+
+  getFormalityPreference(email) {
+    return usersDB.getByEmail(email)?.translation_formality || FORMALITY_LEVELS.NEUTRAL;
+  }
+
   searchUsersByDisplayName(searchTerm) {
     if (!searchTerm || searchTerm.trim().length < 2) {
       return [];
@@ -87,6 +87,26 @@ function createTables() {
     }
   }
 
+  // Migration: Ajouter colonne translation_formality (registre des traductions)
+  try {
+    globalDb.exec(`ALTER TABLE users ADD COLUMN translation_formality TEXT DEFAULT 'neutral'`);
+    logger.info('Migration: Added translation_formality column to users table');
+  } catch (error) {
+    if (!error.message.includes('duplicate column name')) {
+      logger.error('Migration error for translation_formality', { error: error.message });
+    }
+  }
+
+  // Migration: Ajouter colonne tts_settings (voix par langue, vitesse, format)
+  try {
+    globalDb.exec(`ALTER TABLE users ADD COLUMN tts_settings TEXT`);
+    logger.info('Migration: Added tts_settings column to users table');
+  } catch (error) {
+    if (!error.message.includes('duplicate column name')) {
+      logger.error('Migration error for tts_settings', { error: error.message });
+    }
+  }
+
   // Table groups
   globalDb.exec(`
     CREATE TABLE IF NOT EXISTS groups (
@@ -165,6 +185,73 @@ function createTables() {
     }
   }
 
+  // Migration: Ajouter translation_status (statut de traduction par langue, JSON)
+  for (const table of ['messages', 'direct_messages']) {
+    try {
+      globalDb.exec(`ALTER TABLE ${table} ADD COLUMN translation_status TEXT`);
+      logger.info(`Migration: translation_status column added to ${table} table`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column')) {
+        logger.warn('Migration warning', { error: error.message });
+      }
+    }
+  }
+
+  // Migration: Ajouter mentions aux messages de groupe (mentions résolues, JSON)
+  try {
+    globalDb.exec(`ALTER TABLE messages ADD COLUMN mentions TEXT`);
+    logger.info('Migration: mentions column added to messages table');
+  } catch (error) {
+    if (!error.message.includes('duplicate column')) {
+      logger.warn('Migration warning', { error: error.message });
+    }
+  }
+
+  // Migration: Ajouter edited_at (date de la dernière modification du texte)
+  for (const table of ['messages', 'direct_messages']) {
+    try {
+      globalDb.exec(`ALTER TABLE ${table} ADD COLUMN edited_at INTEGER`);
+      logger.info(`Migration: edited_at column added to ${table} table`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column')) {
+        logger.warn('Migration warning', { error: error.message });
+      }
+    }
+  }
+
+  // Migration: Ajouter reply_to_id (message cité en réponse)
+  for (const table of ['messages', 'direct_messages']) {
+    try {
+      globalDb.exec(`ALTER TABLE ${table} ADD COLUMN reply_to_id TEXT`);
+      logger.info(`Migration: reply_to_id column added to ${table} table`);
+    } catch (error) {
+      if (!error.message.includes('duplicate column')) {
+        logger.warn('Migration warning', { error: error.message });
+      }
+    }
+  }
+
+  // Migration: Ajouter thread_id aux messages de groupe (message racine du fil)
+  try {
+    globalDb.exec(`ALTER TABLE messages ADD COLUMN thread_id TEXT`);
+    logger.info('Migration: thread_id column added to messages table');
+  } catch (error) {
+    if (!error.message.includes('duplicate column')) {
+      logger.warn('Migration warning', { error: error.message });
+    }
+  }
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id, timestamp)`);
+
+  // Migration: Ajouter settings aux groupes (paramètres de traduction, JSON)
+  try {
+    globalDb.exec(`ALTER TABLE groups ADD COLUMN settings TEXT`);
+    logger.info('Migration: settings column added to groups table');
+  } catch (error) {
+    if (!error.message.includes('duplicate column')) {
+      logger.warn('Migration warning', { error: error.message });
+    }
+  }
+
   // Table access_tokens
   globalDb.exec(`
     CREATE TABLE IF NOT EXISTS access_tokens (
@@ -226,6 +313,241 @@ function createTables() {
     )
   `);
 
+  // Table translation_cache (cache persistant des traductions, partitionné par provider)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS translation_cache (
+      cache_key TEXT PRIMARY KEY,
+      provider TEXT NOT NULL,
+      source_lang TEXT,
+      target_lang TEXT NOT NULL,
+      source_text TEXT NOT NULL,
+      translated_text TEXT NOT NULL,
+      hits INTEGER DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      last_hit_at INTEGER
+    )
+  `);
+
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_translation_cache_provider ON translation_cache(provider)`);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_translation_cache_expires ON translation_cache(expires_at)`);
+
+  // Table group_glossary (termes imposés et termes à ne pas traduire, par groupe)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS group_glossary (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id TEXT NOT NULL,
+      term TEXT NOT NULL,
+      translations TEXT,
+      do_not_translate INTEGER DEFAULT 0,
+      case_sensitive INTEGER DEFAULT 0,
+      created_by TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      UNIQUE (group_id, term),
+      FOREIGN KEY (group_id) REFERENCES groups(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Table translation_edits (historique des re-traductions et corrections)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS translation_edits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      lang TEXT NOT NULL,
+      previous_text TEXT,
+      new_text TEXT NOT NULL,
+      previous_status TEXT,
+      new_status TEXT NOT NULL,
+      source TEXT NOT NULL,
+      provider TEXT,
+      edited_by TEXT,
+      created_at INTEGER NOT NULL
+    )
+  `);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_translation_edits_message ON translation_edits(message_id, lang)`);
+
+  // Table message_edits (versions précédentes des messages modifiés par leur auteur)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS message_edits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      previous_content TEXT NOT NULL,
+      previous_original_lang TEXT,
+      previous_translations TEXT,
+      edited_by TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    )
+  `);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, created_at)`);
+
+  // Table thread_reads (dernière lecture d'un fil par utilisateur)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS thread_reads (
+      thread_id TEXT NOT NULL,
+      user_email TEXT NOT NULL,
+      last_read_at INTEGER NOT NULL,
+      PRIMARY KEY (thread_id, user_email)
+    )
+  `);
+
+  // Table transcription_jobs (transcriptions longues découpées en morceaux, reprises au redémarrage)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS transcription_jobs (
+      id TEXT PRIMARY KEY,
+      user_email TEXT NOT NULL,
+      status TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      original_name TEXT,
+      mime_type TEXT,
+      format TEXT NOT NULL,
+      language TEXT,
+      provider TEXT,
+      duration REAL,
+      plan TEXT NOT NULL,
+      chunk_results TEXT,
+      total_chunks INTEGER NOT NULL,
+      completed_chunks INTEGER DEFAULT 0,
+      result TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      completed_at INTEGER
+    )
+  `);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_transcription_jobs_status ON transcription_jobs(status)`);
+
+  // Table message_audio (synthèses vocales des messages, servies par /api/audio/:id)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS message_audio (
+      id TEXT PRIMARY KEY,
+      message_id TEXT NOT NULL,
+      lang TEXT NOT NULL,
+      voice TEXT NOT NULL,
+      format TEXT NOT NULL,
+      speed REAL NOT NULL,
+      text_hash TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_used_at INTEGER NOT NULL,
+      UNIQUE(message_id, lang, voice, format, speed, text_hash)
+    )
+  `);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_message_audio_message ON message_audio(message_id)`);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_message_audio_last_used ON message_audio(last_used_at)`);
+
+  // Table message_mentions (utilisateurs mentionnés dans un message de groupe, lus ou non)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS message_mentions (
+      message_id TEXT NOT NULL,
+      group_id TEXT NOT NULL,
+      user_email TEXT NOT NULL,
+      mentioned_by TEXT NOT NULL,
+      type TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      read_at INTEGER,
+      PRIMARY KEY (message_id, user_email)
+    )
+  `);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_message_mentions_user ON message_mentions(user_email, read_at, created_at DESC)`);
+
+  // Tables caption_broadcasts / caption_segments (diffusions de sous-titres en direct et leur transcript)
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS caption_broadcasts (
+      id TEXT PRIMARY KEY,
+      code TEXT UNIQUE NOT NULL,
+      title TEXT,
+      presenter_email TEXT NOT NULL,
+      language TEXT NOT NULL,
+      languages TEXT NOT NULL,
+      status TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      ended_at INTEGER
+    )
+  `);
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS caption_segments (
+      broadcast_id TEXT NOT NULL,
+      segment_index INTEGER NOT NULL,
+      start_ms INTEGER NOT NULL,
+      end_ms INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      translations TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (broadcast_id, segment_index),
+      FOREIGN KEY (broadcast_id) REFERENCES caption_broadcasts(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Index de recherche plein texte (FTS5) : un document par message et par langue
+  // (texte original et chaque traduction), tenu à jour par des triggers
+  globalDb.exec(`
+    CREATE TABLE IF NOT EXISTS message_search_docs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id TEXT NOT NULL,
+      message_type TEXT NOT NULL,
+      lang TEXT,
+      text TEXT NOT NULL
+    )
+  `);
+  globalDb.exec(`CREATE INDEX IF NOT EXISTS idx_message_search_docs_message ON message_search_docs(message_type, message_id)`);
+  // Trigrammes : recherche de sous-chaînes quelle que soit l'écriture (chinois, japonais...), accents ignorés
+  globalDb.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS message_search USING fts5(
+      text,
+      content='message_search_docs',
+      content_rowid='id',
+      tokenize='trigram remove_diacritics 1'
+    )
+  `);
+  globalDb.exec(`
+    CREATE TRIGGER IF NOT EXISTS message_search_docs_ai AFTER INSERT ON message_search_docs BEGIN
+      INSERT INTO message_search (rowid, text) VALUES (new.id, new.text);
+    END
+  `);
+  globalDb.exec(`
+    CREATE TRIGGER IF NOT EXISTS message_search_docs_ad AFTER DELETE ON message_search_docs BEGIN
+      INSERT INTO message_search (message_search, rowid, text) VALUES ('delete', old.id, old.text);
+    END
+  `);
+
+  for (const [table, type] of [['messages', 'group'], ['direct_messages', 'dm']]) {
+    const indexDocs = `
+      INSERT INTO message_search_docs (message_id, message_type, lang, text) VALUES (new.id, '${type}', new.original_lang, new.content);
+      INSERT INTO message_search_docs (message_id, message_type, lang, text)
+        SELECT new.id, '${type}', key, value
+        FROM json_each(CASE WHEN json_valid(new.translations) THEN new.translations ELSE '{}' END)
+        WHERE type = 'text' AND value != '' AND value != new.content;
+    `;
+    const deleteDocs = `DELETE FROM message_search_docs WHERE message_type = '${type}' AND message_id = old.id;`;
+
+    globalDb.exec(`CREATE TRIGGER IF NOT EXISTS ${table}_search_ai AFTER INSERT ON ${table} BEGIN ${indexDocs} END`);
+    globalDb.exec(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_search_au AFTER UPDATE OF content, original_lang, translations ON ${table} BEGIN
+        ${deleteDocs}
+        ${indexDocs}
+      END
+    `);
+    globalDb.exec(`CREATE TRIGGER IF NOT EXISTS ${table}_search_ad AFTER DELETE ON ${table} BEGIN ${deleteDocs} END`);
+  }
+
+  // Migration : indexer les messages existants lors de la création de l'index
+  if (!globalDb.prepare('SELECT 1 FROM message_search_docs LIMIT 1').get()) {
+    for (const [table, type] of [['messages', 'group'], ['direct_messages', 'dm']]) {
+      globalDb.exec(`
+        INSERT INTO message_search_docs (message_id, message_type, lang, text)
+          SELECT id, '${type}', original_lang, content FROM ${table};
+        INSERT INTO message_search_docs (message_id, message_type, lang, text)
+          SELECT m.id, '${type}', t.key, t.value
+          FROM ${table} m, json_each(CASE WHEN json_valid(m.translations) THEN m.translations ELSE '{}' END) t
+          WHERE t.type = 'text' AND t.value != '' AND t.value != m.content;
+      `);
+    }
+  }
+
   logger.info('Database tables created/verified');
 }
 
@@ -300,6 +622,8 @@ export const usersDB = {
     if (fields.stripe_subscription_id !== undefined) { updates.push('stripe_subscription_id = ?'); values.push(fields.stripe_subscription_id); }
     if (fields.history_encrypted !== undefined) { updates.push('history_encrypted = ?'); values.push(fields.history_encrypted); }
     if (fields.preferred_language !== undefined) { updates.push('preferred_language = ?'); values.push(fields.preferred_language); }
+    if (fields.translation_formality !== undefined) { updates.push('translation_formality = ?'); values.push(fields.translation_formality); }
+    if (fields.tts_settings !== undefined) { updates.push('tts_settings = ?'); values.push(fields.tts_settings); }
 
     if (updates.length === 0) return;
 
@@ -383,6 +707,11 @@ export const groupsDB = {
     return stmt.run(groupId, userEmail);
   },
 
+  updateSettings(groupId, settings) {
+    const stmt = globalDb.prepare('UPDATE groups SET settings = ? WHERE id = ?');
+    return stmt.run(JSON.stringify(settings || {}), groupId);
+  },
+
   updateMemberRole(groupId, userEmail, role) {
     const stmt = globalDb.prepare('UPDATE group_members SET role = ? WHERE group_id = ? AND user_email = ?');
     return stmt.run(role, groupId, userEmail);
@@ -474,26 +803,98 @@ export const groupsDB = {
 // MESSAGES - API Synchrone
 // ===================================
 
+/**
+ * Page de messages triée par (timestamp, id), renvoyée du plus ancien au plus récent
+ * L'id départage les messages envoyés à la même milliseconde.
+ * @private
+ */
+function queryPage(table, where, params, { before, after, limit }) {
+  if (after) {
+    return globalDb.prepare(`
+      SELECT * FROM ${table}
+      WHERE ${where} AND (timestamp, id) > (?, ?)
+      ORDER BY timestamp ASC, id ASC
+      LIMIT ?
+    `).all(...params, after.timestamp, after.id, limit);
+  }
+
+  const cursor = before ? 'AND (timestamp, id) < (?, ?)' : '';
+  return globalDb.prepare(`
+    SELECT * FROM ${table}
+    WHERE ${where} ${cursor}
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ?
+  `).all(...params, ...(before ? [before.timestamp, before.id] : []), limit).reverse();
+}
+
+/**
+ * Remplace la traduction et le statut des seules langues fournies (json_set par langue)
+ * Les autres langues de la ligne, éventuellement modifiées entre-temps, sont conservées.
+ * @private
+ */
+function setTranslations(table, messageId, { translations = {}, translationStatus = {} }) {
+  let translationsExpr = "COALESCE(translations, '{}')";
+  let statusExpr = "COALESCE(translation_status, '{}')";
+  const values = [];
+
+  for (const [lang, text] of Object.entries(translations)) {
+    translationsExpr = `json_set(${translationsExpr}, ?, ?)`;
+    values.push(`$."${lang}"`, text);
+  }
+  for (const [lang, status] of Object.entries(translationStatus)) {
+    statusExpr = `json_set(${statusExpr}, ?, ?)`;
+    values.push(`$."${lang}"`, status);
+  }
+
+  if (values.length === 0) return;
+
+  const stmt = globalDb.prepare(`UPDATE ${table} SET translations = ${translationsExpr}, translation_status = ${statusExpr} WHERE id = ?`);
+  return stmt.run(...values, messageId);
+}
+
 export const messagesDB = {
   get(messageId) {
     const stmt = globalDb.prepare('SELECT * FROM messages WHERE id = ?');
     return stmt.get(messageId);
   },
 
+  // Fil principal du groupe (hors réponses dans un fil)
   getByGroup(groupId, limit = 100) {
     const stmt = globalDb.prepare(`
       SELECT * FROM messages
-      WHERE group_id = ?
+      WHERE group_id = ? AND thread_id IS NULL
       ORDER BY timestamp DESC
       LIMIT ?
     `);
     return stmt.all(groupId, limit).reverse();
   },
 
+  // Page du fil principal, du plus ancien au plus récent
+  // before / after : curseur { timestamp, id } exclu ; sans curseur, les messages les plus récents
+  getPage(groupId, { before = null, after = null, limit = 50 } = {}) {
+    return queryPage('messages', 'group_id = ? AND thread_id IS NULL', [groupId], { before, after, limit });
+  },
+
+  getByThread(threadId) {
+    const stmt = globalDb.prepare('SELECT * FROM messages WHERE thread_id = ? ORDER BY timestamp, id');
+    return stmt.all(threadId);
+  },
+
+  // Nombre de réponses et date de la dernière, par fil du groupe
+  getThreadSummaries(groupId) {
+    const stmt = globalDb.prepare(`
+      SELECT thread_id, COUNT(*) as reply_count, MAX(timestamp) as last_reply_at
+      FROM messages
+      WHERE group_id = ? AND thread_id IS NOT NULL
+      GROUP BY thread_id
+    `);
+    return stmt.all(groupId);
+  },
+
   create(message) {
     const stmt = globalDb.prepare(`
-      INSERT INTO messages (id, group_id, from_email, from_display_name, content, original_lang, translations, reactions, file_info, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO messages (id, group_id, from_email, from_display_name, content, original_lang, translations, translation_status, reactions, file_info, mentions, reply_to_id, thread_id, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
       message.id,
@@ -503,8 +904,12 @@ export const messagesDB = {
       message.content,
       message.originalLang,
       JSON.stringify(message.translations || {}),
+      JSON.stringify(message.translationStatus || {}),
       JSON.stringify(message.reactions || {}),
       message.fileInfo ? JSON.stringify(message.fileInfo) : null,
+      message.mentions?.length ? JSON.stringify(message.mentions) : null,
+      message.replyToId || null,
+      message.threadId || null,
       message.timestamp || Date.now()
     );
   },
@@ -518,11 +923,41 @@ export const messagesDB = {
       values.push(JSON.stringify(fields.translations));
     }
 
+    if (fields.translationStatus) {
+      updates.push('translation_status = ?');
+      values.push(JSON.stringify(fields.translationStatus));
+    }
+
     if (fields.reactions !== undefined) {
       updates.push('reactions = ?');
       values.push(JSON.stringify(fields.reactions));
     }
 
+    if (fields.fileInfo !== undefined) {
+      updates.push('file_info = ?');
+      values.push(fields.fileInfo ? JSON.stringify(fields.fileInfo) : null);
+    }
+
+    if (fields.content !== undefined) {
+      updates.push('content = ?');
+      values.push(fields.content);
+    }
+
+    if (fields.originalLang !== undefined) {
+      updates.push('original_lang = ?');
+      values.push(fields.originalLang);
+    }
+
+    if (fields.mentions !== undefined) {
+      updates.push('mentions = ?');
+      values.push(fields.mentions && fields.mentions.length > 0 ? JSON.stringify(fields.mentions) : null);
+    }
+
+    if (fields.editedAt !== undefined) {
+      updates.push('edited_at = ?');
+      values.push(fields.editedAt);
+    }
+
     if (updates.length === 0) return;
 
     values.push(messageId);
@@ -530,6 +965,11 @@ export const messagesDB = {
     return stmt.run(...values);
   },
 
+  // Traductions de certaines langues seulement (voir setTranslations)
+  setTranslations(messageId, fields) {
+    return setTranslations('messages', messageId, fields);
+  },
+
   delete(messageId) {
     const stmt = globalDb.prepare('DELETE FROM messages WHERE id = ?');
     return stmt.run(messageId);
@@ -546,6 +986,11 @@ export const messagesDB = {
 // ===================================
 
 export const directMessagesDB = {
+  // Page d'une conversation (voir messagesDB.getPage)
+  getPage(conversationId, { before = null, after = null, limit = 50 } = {}) {
+    return queryPage('direct_messages', 'conversation_id = ?', [conversationId], { before, after, limit });
+  },
+
   getByConversation(conversationId, limit = 100) {
     const stmt = globalDb.prepare(`
       SELECT * FROM direct_messages
@@ -566,8 +1011,8 @@ export const directMessagesDB = {
 
   create(message) {
     const stmt = globalDb.prepare(`
-      INSERT INTO direct_messages (id, conversation_id, from_email, to_email, from_display_name, content, original_lang, translations, file_info, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO direct_messages (id, conversation_id, from_email, to_email, from_display_name, content, original_lang, translations, translation_status, file_info, reply_to_id, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     return stmt.run(
       message.id,
@@ -578,16 +1023,57 @@ export const directMessagesDB = {
       message.content,
       message.originalLang,
       JSON.stringify(message.translations || {}),
+      JSON.stringify(message.translationStatus || {}),
       message.fileInfo ? JSON.stringify(message.fileInfo) : null,
+      message.replyToId || null,
       message.timestamp || Date.now()
     );
   },
 
+  get(messageId) {
+    const stmt = globalDb.prepare('SELECT * FROM direct_messages WHERE id = ?');
+    return stmt.get(messageId);
+  },
+
   update(messageId, fields) {
+    const updates = [];
+    const values = [];
+
     if (fields.translations) {
-      const stmt = globalDb.prepare('UPDATE direct_messages SET translations = ? WHERE id = ?');
-      return stmt.run(JSON.stringify(fields.translations), messageId);
+      updates.push('translations = ?');
+      values.push(JSON.stringify(fields.translations));
+    }
+
+    if (fields.translationStatus) {
+      updates.push('translation_status = ?');
+      values.push(JSON.stringify(fields.translationStatus));
+    }
+
+    if (fields.content !== undefined) {
+      updates.push('content = ?');
+      values.push(fields.content);
+    }
+
+    if (fields.originalLang !== undefined) {
+      updates.push('original_lang = ?');
+      values.push(fields.originalLang);
+    }
+
+    if (fields.editedAt !== undefined) {
+      updates.push('edited_at = ?');
+      values.push(fields.editedAt);
     }
+
+    if (updates.length === 0) return;
+
+    values.push(messageId);
+    const stmt = globalDb.prepare(`UPDATE direct_messages SET ${updates.join(', ')} WHERE id = ?`);
+    return stmt.run(...values);
+  },
+
+  // Traductions de certaines langues seulement (voir setTranslations)
+  setTranslations(messageId, fields) {
+    return setTranslations('direct_messages', messageId, fields);
   },
 
   delete(messageId) {
@@ -806,7 +1292,7 @@ export const quotasDB = {
     return quota;
   },
 
-  increment(userEmail, action) {
+  increment(userEmail, action, amount = 1) {
     const columnMap = {
       transcribe: 'transcribe_used',
       translate: 'translate_used',
@@ -817,10 +1303,10 @@ export const quotasDB = {
 
     const stmt = globalDb.prepare(`
       INSERT INTO user_quotas (user_email, ${column})
-      VALUES (?, 1)
-      ON CONFLICT(user_email) DO UPDATE SET ${column} = ${column} + 1
+      VALUES (?, ?)
+      ON CONFLICT(user_email) DO UPDATE SET ${column} = ${column} + excluded.${column}
     `);
-    return stmt.run(userEmail);
+    return stmt.run(userEmail, amount);
   },
 
   reset(userEmail) {
@@ -841,6 +1327,586 @@ export const quotasDB = {
   }
 };
 
+// ===================================
+// TRANSLATION CACHE - API Synchrone
+// ===================================
+
+export const translationCacheDB = {
+  get(cacheKey) {
+    const stmt = globalDb.prepare('SELECT * FROM translation_cache WHERE cache_key = ?');
+    return stmt.get(cacheKey);
+  },
+
+  set(entry) {
+    const stmt = globalDb.prepare(`
+      INSERT INTO translation_cache (cache_key, provider, source_lang, target_lang, source_text, translated_text, created_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(cache_key) DO UPDATE SET
+        translated_text = excluded.translated_text,
+        created_at = excluded.created_at,
+        expires_at = excluded.expires_at
+    `);
+    return stmt.run(
+      entry.cacheKey,
+      entry.provider,
+      entry.sourceLang || null,
+      entry.targetLang,
+      entry.sourceText,
+      entry.translatedText,
+      entry.createdAt || Date.now(),
+      entry.expiresAt || null
+    );
+  },
+
+  recordHit(cacheKey) {
+    const stmt = globalDb.prepare('UPDATE translation_cache SET hits = hits + 1, last_hit_at = ? WHERE cache_key = ?');
+    return stmt.run(Date.now(), cacheKey);
+  },
+
+  delete(cacheKey) {
+    const stmt = globalDb.prepare('DELETE FROM translation_cache WHERE cache_key = ?');
+    return stmt.run(cacheKey);
+  },
+
+  purge(provider = null) {
+    if (provider) {
+      const stmt = globalDb.prepare('DELETE FROM translation_cache WHERE provider = ?');
+      return stmt.run(provider);
+    }
+    return globalDb.prepare('DELETE FROM translation_cache').run();
+  },
+
+  purgeExpired(now = Date.now()) {
+    const stmt = globalDb.prepare('DELETE FROM translation_cache WHERE expires_at IS NOT NULL AND expires_at <= ?');
+    return stmt.run(now);
+  },
+
+  countByProvider() {
+    const stmt = globalDb.prepare(`
+      SELECT provider, COUNT(*) as entries, COALESCE(SUM(hits), 0) as hits
+      FROM translation_cache
+      GROUP BY provider
+    `);
+    return stmt.all();
+  }
+};
+
+// ===================================
+// GLOSSAIRE DES GROUPES - API Synchrone
+// ===================================
+
+export const glossaryDB = {
+  getByGroup(groupId) {
+    const stmt = globalDb.prepare('SELECT * FROM group_glossary WHERE group_id = ? ORDER BY term COLLATE NOCASE');
+    return stmt.all(groupId);
+  },
+
+  get(id) {
+    const stmt = globalDb.prepare('SELECT * FROM group_glossary WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  create(entry) {
+    const now = Date.now();
+    const stmt = globalDb.prepare(`
+      INSERT INTO group_glossary (group_id, term, translations, do_not_translate, case_sensitive, created_by, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      entry.groupId,
+      entry.term,
+      JSON.stringify(entry.translations || {}),
+      entry.doNotTranslate ? 1 : 0,
+      entry.caseSensitive ? 1 : 0,
+      entry.createdBy || null,
+      now,
+      now
+    );
+  },
+
+  update(id, fields) {
+    const updates = [];
+    const values = [];
+
+    if (fields.term !== undefined) { updates.push('term = ?'); values.push(fields.term); }
+    if (fields.translations !== undefined) { updates.push('translations = ?'); values.push(JSON.stringify(fields.translations)); }
+    if (fields.doNotTranslate !== undefined) { updates.push('do_not_translate = ?'); values.push(fields.doNotTranslate ? 1 : 0); }
+    if (fields.caseSensitive !== undefined) { updates.push('case_sensitive = ?'); values.push(fields.caseSensitive ? 1 : 0); }
+
+    if (updates.length === 0) return;
+
+    updates.push('updated_at = ?');
+    values.push(Date.now());
+    values.push(id);
+
+    const stmt = globalDb.prepare(`UPDATE group_glossary SET ${updates.join(', ')} WHERE id = ?`);
+    return stmt.run(...values);
+  },
+
+  delete(id) {
+    const stmt = globalDb.prepare('DELETE FROM group_glossary WHERE id = ?');
+    return stmt.run(id);
+  }
+};
+
+// ===================================
+// HISTORIQUE DES TRADUCTIONS - API Synchrone
+// ===================================
+
+export const translationEditsDB = {
+  getByMessage(messageId, lang = null) {
+    if (lang) {
+      const stmt = globalDb.prepare('SELECT * FROM translation_edits WHERE message_id = ? AND lang = ? ORDER BY created_at, id');
+      return stmt.all(messageId, lang);
+    }
+    const stmt = globalDb.prepare('SELECT * FROM translation_edits WHERE message_id = ? ORDER BY created_at, id');
+    return stmt.all(messageId);
+  },
+
+  get(id) {
+    const stmt = globalDb.prepare('SELECT * FROM translation_edits WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  create(edit) {
+    const stmt = globalDb.prepare(`
+      INSERT INTO translation_edits (message_id, message_type, lang, previous_text, new_text, previous_status, new_status, source, provider, edited_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      edit.messageId,
+      edit.messageType,
+      edit.lang,
+      edit.previousText ?? null,
+      edit.newText,
+      edit.previousStatus ?? null,
+      edit.newStatus,
+      edit.source,
+      edit.provider || null,
+      edit.editedBy || null,
+      Date.now()
+    );
+  },
+
+  deleteByMessage(messageId) {
+    const stmt = globalDb.prepare('DELETE FROM translation_edits WHERE message_id = ?');
+    return stmt.run(messageId);
+  }
+};
+
+// ===================================
+// TRANSCRIPTION JOBS - API Synchrone
+// ===================================
+
+export const transcriptionJobsDB = {
+  get(id) {
+    const stmt = globalDb.prepare('SELECT * FROM transcription_jobs WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  getByStatus(statuses) {
+    const stmt = globalDb.prepare(`
+      SELECT * FROM transcription_jobs
+      WHERE status IN (${statuses.map(() => '?').join(', ')})
+      ORDER BY created_at
+    `);
+    return stmt.all(...statuses);
+  },
+
+  create(job) {
+    const now = Date.now();
+    const stmt = globalDb.prepare(`
+      INSERT INTO transcription_jobs (id, user_email, status, file_path, original_name, mime_type, format, language, provider, duration, plan, chunk_results, total_chunks, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      job.id,
+      job.userEmail,
+      job.status,
+      job.filePath,
+      job.originalName || null,
+      job.mimeType || null,
+      job.format,
+      job.language || null,
+      job.provider || null,
+      job.duration ?? null,
+      JSON.stringify(job.plan),
+      JSON.stringify([]),
+      job.plan.chunks.length,
+      now,
+      now
+    );
+  },
+
+  update(id, fields) {
+    const updates = [];
+    const values = [];
+
+    if (fields.status !== undefined) { updates.push('status = ?'); values.push(fields.status); }
+    if (fields.chunkResults !== undefined) {
+      updates.push('chunk_results = ?', 'completed_chunks = ?');
+      values.push(JSON.stringify(fields.chunkResults), fields.chunkResults.filter(Boolean).length);
+    }
+    if (fields.result !== undefined) { updates.push('result = ?'); values.push(fields.result === null ? null : JSON.stringify(fields.result)); }
+    if (fields.error !== undefined) { updates.push('error = ?'); values.push(fields.error); }
+    if (fields.completedAt !== undefined) { updates.push('completed_at = ?'); values.push(fields.completedAt); }
+
+    if (updates.length === 0) return;
+
+    updates.push('updated_at = ?');
+    values.push(Date.now());
+    values.push(id);
+
+    const stmt = globalDb.prepare(`UPDATE transcription_jobs SET ${updates.join(', ')} WHERE id = ?`);
+    return stmt.run(...values);
+  }
+};
+
+// ===================================
+// MESSAGE AUDIO - API Synchrone
+// ===================================
+
+export const messageAudioDB = {
+  get(id) {
+    const stmt = globalDb.prepare('SELECT * FROM message_audio WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  find({ messageId, lang, voice, format, speed, textHash }) {
+    const stmt = globalDb.prepare(`
+      SELECT * FROM message_audio
+      WHERE message_id = ? AND lang = ? AND voice = ? AND format = ? AND speed = ? AND text_hash = ?
+    `);
+    return stmt.get(messageId, lang, voice, format, speed, textHash);
+  },
+
+  getByMessage(messageId) {
+    const stmt = globalDb.prepare('SELECT * FROM message_audio WHERE message_id = ?');
+    return stmt.all(messageId);
+  },
+
+  getUnusedSince(timestamp) {
+    const stmt = globalDb.prepare('SELECT * FROM message_audio WHERE last_used_at < ?');
+    return stmt.all(timestamp);
+  },
+
+  create(entry) {
+    const now = Date.now();
+    const stmt = globalDb.prepare(`
+      INSERT INTO message_audio (id, message_id, lang, voice, format, speed, text_hash, file_path, size, created_at, last_used_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      entry.id,
+      entry.messageId,
+      entry.lang,
+      entry.voice,
+      entry.format,
+      entry.speed,
+      entry.textHash,
+      entry.filePath,
+      entry.size,
+      now,
+      now
+    );
+  },
+
+  touch(id) {
+    const stmt = globalDb.prepare('UPDATE message_audio SET last_used_at = ? WHERE id = ?');
+    return stmt.run(Date.now(), id);
+  },
+
+  delete(id) {
+    const stmt = globalDb.prepare('DELETE FROM message_audio WHERE id = ?');
+    return stmt.run(id);
+  },
+
+  deleteByMessage(messageId) {
+    const stmt = globalDb.prepare('DELETE FROM message_audio WHERE message_id = ?');
+    return stmt.run(messageId);
+  }
+};
+
+// ===================================
+// MESSAGE MENTIONS - API Synchrone
+// ===================================
+
+export const threadReadsDB = {
+  markRead(threadId, userEmail, at = Date.now()) {
+    const stmt = globalDb.prepare(`
+      INSERT INTO thread_reads (thread_id, user_email, last_read_at) VALUES (?, ?, ?)
+      ON CONFLICT(thread_id, user_email) DO UPDATE SET last_read_at = MAX(last_read_at, excluded.last_read_at)
+    `);
+    return stmt.run(threadId, userEmail, at);
+  },
+
+  // Réponses non lues des fils suivis : ouverts, lancés ou auxquels l'utilisateur a répondu
+  getUnreadCounts(groupId, userEmail) {
+    const stmt = globalDb.prepare(`
+      SELECT m.thread_id, COUNT(*) as count
+      FROM messages m
+      JOIN messages root ON root.id = m.thread_id
+      LEFT JOIN thread_reads tr ON tr.thread_id = m.thread_id AND tr.user_email = ?
+      WHERE m.group_id = ? AND m.from_email != ? AND m.timestamp > COALESCE(tr.last_read_at, 0)
+        AND (tr.user_email IS NOT NULL OR root.from_email = ?
+          OR EXISTS (SELECT 1 FROM messages r WHERE r.thread_id = m.thread_id AND r.from_email = ?))
+      GROUP BY m.thread_id
+    `);
+    return stmt.all(userEmail, groupId, userEmail, userEmail, userEmail);
+  },
+
+  deleteByThread(threadId) {
+    const stmt = globalDb.prepare('DELETE FROM thread_reads WHERE thread_id = ?');
+    return stmt.run(threadId);
+  }
+};
+
+export const messageEditsDB = {
+  create(edit) {
+    const stmt = globalDb.prepare(`
+      INSERT INTO message_edits (message_id, message_type, previous_content, previous_original_lang, previous_translations, edited_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      edit.messageId,
+      edit.messageType,
+      edit.previousContent,
+      edit.previousOriginalLang || null,
+      edit.previousTranslations ? JSON.stringify(edit.previousTranslations) : null,
+      edit.editedBy,
+      edit.createdAt ?? Date.now()
+    );
+  },
+
+  getByMessage(messageId) {
+    const stmt = globalDb.prepare('SELECT * FROM message_edits WHERE message_id = ? ORDER BY created_at, id');
+    return stmt.all(messageId);
+  },
+
+  deleteByMessage(messageId) {
+    const stmt = globalDb.prepare('DELETE FROM message_edits WHERE message_id = ?');
+    return stmt.run(messageId);
+  }
+};
+
+export const mentionsDB = {
+  createMany(entries) {
+    const stmt = globalDb.prepare(`
+      INSERT OR IGNORE INTO message_mentions (message_id, group_id, user_email, mentioned_by, type, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const now = Date.now();
+    globalDb.transaction(() => {
+      for (const entry of entries) {
+        stmt.run(entry.messageId, entry.groupId, entry.userEmail, entry.mentionedBy, entry.type, now);
+      }
+    })();
+  },
+
+  // Mentions non lues, limitées aux groupes dont l'utilisateur est encore membre
+  getUnread(userEmail, { groupId = null, limit = 50 } = {}) {
+    const stmt = globalDb.prepare(`
+      SELECT mm.message_id, mm.group_id, mm.mentioned_by, mm.type, mm.created_at,
+             m.content, m.original_lang, m.translations, m.from_display_name, m.timestamp,
+             g.name AS group_name
+      FROM message_mentions mm
+      JOIN messages m ON m.id = mm.message_id
+      JOIN groups g ON g.id = mm.group_id
+      JOIN group_members gm ON gm.group_id = mm.group_id AND gm.user_email = mm.user_email
+      WHERE mm.user_email = ? AND mm.read_at IS NULL AND (? IS NULL OR mm.group_id = ?)
+      ORDER BY mm.created_at DESC
+      LIMIT ?
+    `);
+    return stmt.all(userEmail, groupId, groupId, limit);
+  },
+
+  countUnread(userEmail) {
+    const stmt = globalDb.prepare(`
+      SELECT mm.group_id, COUNT(*) as count
+      FROM message_mentions mm
+      JOIN group_members gm ON gm.group_id = mm.group_id AND gm.user_email = mm.user_email
+      WHERE mm.user_email = ? AND mm.read_at IS NULL
+      GROUP BY mm.group_id
+    `);
+    return stmt.all(userEmail);
+  },
+
+  markRead(userEmail, { groupId = null, messageIds = null } = {}) {
+    const conditions = ['user_email = ?', 'read_at IS NULL'];
+    const values = [Date.now(), userEmail];
+    if (groupId) {
+      conditions.push('group_id = ?');
+      values.push(groupId);
+    }
+    if (messageIds) {
+      conditions.push(`message_id IN (${messageIds.map(() => '?').join(', ')})`);
+      values.push(...messageIds);
+    }
+    const stmt = globalDb.prepare(`UPDATE message_mentions SET read_at = ? WHERE ${conditions.join(' AND ')}`);
+    return stmt.run(...values);
+  },
+
+  deleteForUsers(messageId, userEmails) {
+    if (userEmails.length === 0) return;
+    const stmt = globalDb.prepare(`
+      DELETE FROM message_mentions WHERE message_id = ? AND user_email IN (${userEmails.map(() => '?').join(', ')})
+    `);
+    return stmt.run(messageId, ...userEmails);
+  },
+
+  deleteByMessage(messageId) {
+    const stmt = globalDb.prepare('DELETE FROM message_mentions WHERE message_id = ?');
+    return stmt.run(messageId);
+  }
+};
+
+// ===================================
+// CAPTION BROADCASTS - API Synchrone
+// ===================================
+
+export const captionBroadcastsDB = {
+  get(id) {
+    const stmt = globalDb.prepare('SELECT * FROM caption_broadcasts WHERE id = ?');
+    return stmt.get(id);
+  },
+
+  getByCode(code) {
+    const stmt = globalDb.prepare('SELECT * FROM caption_broadcasts WHERE code = ?');
+    return stmt.get(code);
+  },
+
+  getByStatus(status) {
+    const stmt = globalDb.prepare('SELECT * FROM caption_broadcasts WHERE status = ?');
+    return stmt.all(status);
+  },
+
+  create(broadcast) {
+    const stmt = globalDb.prepare(`
+      INSERT INTO caption_broadcasts (id, code, title, presenter_email, language, languages, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      broadcast.id,
+      broadcast.code,
+      broadcast.title || null,
+      broadcast.presenterEmail,
+      broadcast.language,
+      JSON.stringify(broadcast.languages),
+      broadcast.status,
+      Date.now()
+    );
+  },
+
+  end(id, endedAt = Date.now()) {
+    const stmt = globalDb.prepare("UPDATE caption_broadcasts SET status = 'ended', ended_at = ? WHERE id = ?");
+    return stmt.run(endedAt, id);
+  },
+
+  addSegment(broadcastId, segment) {
+    const stmt = globalDb.prepare(`
+      INSERT INTO caption_segments (broadcast_id, segment_index, start_ms, end_ms, text, translations, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return stmt.run(
+      broadcastId,
+      segment.index,
+      segment.start,
+      segment.end,
+      segment.text,
+      JSON.stringify(segment.translations || {}),
+      Date.now()
+    );
+  },
+
+  getSegments(broadcastId) {
+    const stmt = globalDb.prepare('SELECT * FROM caption_segments WHERE broadcast_id = ? ORDER BY segment_index');
+    return stmt.all(broadcastId);
+  },
+
+  countSegments(broadcastId) {
+    const stmt = globalDb.prepare('SELECT COUNT(*) as count FROM caption_segments WHERE broadcast_id = ?');
+    return stmt.get(broadcastId).count;
+  }
+};
+
+// ===================================
+// RECHERCHE PLEIN TEXTE - API Synchrone
+// ===================================
+
+export const messageSearchDB = {
+  /**
+   * Messages correspondant à une requête FTS5, limités aux conversations de l'utilisateur
+   * Un message est renvoyé une fois, avec la langue et l'extrait de sa meilleure correspondance.
+   * @param {Object} params - { match, contains, userEmail, groupId, conversationId, type, sender,
+   *   since, until, hasFile, lang, sort, limit, offset, highlight: [début, fin], snippetTokens }
+   */
+  search(params) {
+    const hitFilters = ['message_search MATCH ?'];
+    const hitValues = [params.match];
+    if (params.lang) {
+      hitFilters.push('d.lang = ?');
+      hitValues.push(params.lang);
+    }
+    // Termes trop courts pour l'index trigramme
+    for (const term of params.contains || []) {
+      hitFilters.push("d.text LIKE ? ESCAPE '\\'");
+      hitValues.push(`%${term.replace(/[\\%_]/g, c => `\\${c}`)}%`);
+    }
+
+    const filters = [`(
+      (h.message_type = 'group' AND m.group_id IN (SELECT group_id FROM group_members WHERE user_email = ?))
+      OR (h.message_type = 'dm' AND ? IN (dm.from_email, dm.to_email))
+    )`];
+    const values = [params.userEmail, params.userEmail];
+    const addFilter = (condition, ...conditionValues) => {
+      filters.push(condition);
+      values.push(...conditionValues);
+    };
+
+    if (params.type) addFilter('h.message_type = ?', params.type);
+    if (params.groupId) addFilter('m.group_id = ?', params.groupId);
+    if (params.conversationId) addFilter('dm.conversation_id = ?', params.conversationId);
+    if (params.sender) addFilter('COALESCE(m.from_email, dm.from_email) = ?', params.sender);
+    if (params.since) addFilter('COALESCE(m.timestamp, dm.timestamp) >= ?', params.since);
+    if (params.until) addFilter('COALESCE(m.timestamp, dm.timestamp) <= ?', params.until);
+    if (params.hasFile !== undefined && params.hasFile !== null) {
+      filters.push(`COALESCE(m.file_info, dm.file_info) IS ${params.hasFile ? 'NOT NULL' : 'NULL'}`);
+    }
+
+    // MATERIALIZED : snippet() et bm25() ne sont utilisables que dans la requête plein texte elle-même
+    const stmt = globalDb.prepare(`
+      WITH hits AS MATERIALIZED (
+        SELECT d.message_id, d.message_type, d.lang,
+          snippet(message_search, 0, ?, ?, '…', ?) AS snippet,
+          bm25(message_search) AS rank
+        FROM message_search
+        JOIN message_search_docs d ON d.id = message_search.rowid
+        WHERE ${hitFilters.join(' AND ')}
+      )
+      SELECT h.message_id, h.message_type, h.lang, h.snippet, MIN(h.rank) AS rank,
+        m.group_id, g.name AS group_name, m.thread_id, dm.conversation_id,
+        COALESCE(m.from_email, dm.from_email) AS from_email,
+        COALESCE(m.from_display_name, dm.from_display_name) AS from_display_name,
+        COALESCE(m.timestamp, dm.timestamp) AS timestamp,
+        COALESCE(m.file_info, dm.file_info) IS NOT NULL AS has_file
+      FROM hits h
+      LEFT JOIN messages m ON h.message_type = 'group' AND m.id = h.message_id
+      LEFT JOIN groups g ON g.id = m.group_id
+      LEFT JOIN direct_messages dm ON h.message_type = 'dm' AND dm.id = h.message_id
+      WHERE ${filters.join(' AND ')}
+      GROUP BY h.message_type, h.message_id
+      ORDER BY ${params.sort === 'date' ? 'timestamp DESC' : 'rank ASC, timestamp DESC'}
+      LIMIT ? OFFSET ?
+    `);
+
+    return stmt.all(
+      ...params.highlight, params.snippetTokens, ...hitValues,
+      ...values,
+      params.limit, params.offset || 0
+    );
+  }
+};
+
 // Auto-initialize database on module load
 // This ensures db is ready when auth-sqlite.js or other modules import it
 if (!globalDb) {
@@ -860,5 +1926,15 @@ export default {
   archivedDB,
   statusesDB,
   friendsDB,
-  quotasDB
+  quotasDB,
+  translationCacheDB,
+  glossaryDB,
+  translationEditsDB,
+  transcriptionJobsDB,
+  messageAudioDB,
+  mentionsDB,
+  messageEditsDB,
+  threadReadsDB,
+  captionBroadcastsDB,
+  messageSearchDB
 };
@@ -24,6 +24,7 @@ export function getGroupWithMembers(groupId) {
     creator: group.creator,
     visibility: group.visibility,
     createdAt: group.created_at,
+    settings: group.settings ? JSON.parse(group.settings) : {},
     members: members.map(m => ({
       email: m.user_email,
       displayName: m.display_name,
@@ -58,22 +59,103 @@ export function getUserGroups(userEmail) {
 // MESSAGES HELPERS
 // ===================================
 
+// Longueur maximale de l'extrait cité dans une réponse
+const REPLY_SNIPPET_LENGTH = 140;
+
+function snippet(text) {
+  if (!text) return '';
+  return text.length > REPLY_SNIPPET_LENGTH ? `${text.slice(0, REPLY_SNIPPET_LENGTH - 1)}…` : text;
+}
+
 /**
- * Récupère les messages d'un groupe (formatés)
+ * Aperçu d'un message cité en réponse : extrait du texte et de chaque traduction
+ * @param {string} messageId - ID du message cité
+ * @param {string} type - 'group' ou 'dm'
+ * @returns {Object|null} - { id, from, fromDisplayName, originalLang, snippet, translations }
+ *   ou { id, deleted: true } si le message n'existe plus
  */
-export function getGroupMessages(groupId, limit = 100) {
-  const msgs = messagesDB.getByGroup(groupId, limit);
-  return msgs.map(m => ({
+export function getReplyPreview(messageId, type = 'group') {
+  if (!messageId) return null;
+
+  const row = type === 'group' ? messagesDB.get(messageId) : directMessagesDB.get(messageId);
+  if (!row) return { id: messageId, deleted: true };
+
+  const translations = row.translations ? JSON.parse(row.translations) : {};
+  return {
+    id: row.id,
+    from: row.from_email,
+    fromDisplayName: row.from_display_name,
+    originalLang: row.original_lang,
+    snippet: snippet(row.content),
+    translations: Object.fromEntries(Object.entries(translations).map(([lang, text]) => [lang, snippet(text)]))
+  };
+}
+
+/**
+ * Formate une ligne de la table messages
+ */
+function formatGroupMessage(m) {
+  return {
     id: m.id,
     from: m.from_email,
     fromDisplayName: m.from_display_name,
     content: m.content,
     originalLang: m.original_lang,
     translations: m.translations ? JSON.parse(m.translations) : {},
+    translationStatus: m.translation_status ? JSON.parse(m.translation_status) : {},
     reactions: m.reactions ? JSON.parse(m.reactions) : {},
     fileInfo: m.file_info ? JSON.parse(m.file_info) : null,
+    mentions: m.mentions ? JSON.parse(m.mentions) : [],
+    editedAt: m.edited_at || null,
+    replyTo: getReplyPreview(m.reply_to_id, 'group'),
+    threadId: m.thread_id || null,
     timestamp: m.timestamp
-  }));
+  };
+}
+
+/**
+ * Récupère les messages d'un groupe (formatés)
+ * Fil principal uniquement ; un message ayant des réponses porte thread: { replyCount, lastReplyAt }
+ */
+export function getGroupMessages(groupId, limit = 100) {
+  return formatGroupTimeline(groupId, messagesDB.getByGroup(groupId, limit));
+}
+
+/**
+ * Récupère une page du fil principal d'un groupe (formatée)
+ * @param {Object} options - { before, after, limit } (voir messagesDB.getPage)
+ */
+export function getGroupMessagePage(groupId, options) {
+  return formatGroupTimeline(groupId, messagesDB.getPage(groupId, options));
+}
+
+/**
+ * Formate des messages du fil principal avec le résumé de leur fil
+ */
+function formatGroupTimeline(groupId, msgs) {
+  const threads = new Map(messagesDB.getThreadSummaries(groupId).map(t => [t.thread_id, t]));
+
+  return msgs.map(m => {
+    const message = formatGroupMessage(m);
+    const thread = threads.get(m.id);
+    message.thread = thread ? { replyCount: thread.reply_count, lastReplyAt: thread.last_reply_at } : null;
+    return message;
+  });
+}
+
+/**
+ * Récupère un message de groupe (formaté)
+ */
+export function getGroupMessage(messageId) {
+  const m = messagesDB.get(messageId);
+  return m ? formatGroupMessage(m) : null;
+}
+
+/**
+ * Récupère les réponses d'un fil (formatées, de la plus ancienne à la plus récente)
+ */
+export function getThreadMessages(threadId) {
+  return messagesDB.getByThread(threadId).map(formatGroupMessage);
 }
 
 /**
@@ -88,8 +170,12 @@ export function addGroupMessage(groupId, message) {
     content: message.content,
     originalLang: message.originalLang,
     translations: message.translations,
+    translationStatus: message.translationStatus,
     reactions: message.reactions,
     fileInfo: message.fileInfo,
+    mentions: message.mentions,
+    replyToId: message.replyToId,
+    threadId: message.threadId,
     timestamp: message.timestamp
   });
 }
@@ -102,8 +188,30 @@ export function addGroupMessage(groupId, message) {
  * Récupère les messages d'une conversation DM (formatés)
  */
 export function getConversationMessages(conversationId, limit = 100) {
-  const msgs = directMessagesDB.getByConversation(conversationId, limit);
-  return msgs.map(m => ({
+  return directMessagesDB.getByConversation(conversationId, limit).map(formatDirectMessage);
+}
+
+/**
+ * Récupère une page d'une conversation DM (formatée)
+ * @param {Object} options - { before, after, limit } (voir directMessagesDB.getPage)
+ */
+export function getConversationMessagePage(conversationId, options) {
+  return directMessagesDB.getPage(conversationId, options).map(formatDirectMessage);
+}
+
+/**
+ * Récupère un message DM (formaté)
+ */
+export function getDirectMessage(messageId) {
+  const m = directMessagesDB.get(messageId);
+  return m ? formatDirectMessage(m) : null;
+}
+
+/**
+ * Formate une ligne de la table direct_messages
+ */
+function formatDirectMessage(m) {
+  return {
     id: m.id,
     from: m.from_email,
     to: m.to_email,
@@ -111,9 +219,12 @@ export function getConversationMessages(conversationId, limit = 100) {
     content: m.content,
     originalLang: m.original_lang,
     translations: m.translations ? JSON.parse(m.translations) : {},
+    translationStatus: m.translation_status ? JSON.parse(m.translation_status) : {},
     fileInfo: m.file_info ? JSON.parse(m.file_info) : null,
+    editedAt: m.edited_at || null,
+    replyTo: getReplyPreview(m.reply_to_id, 'dm'),
     timestamp: m.timestamp
-  }));
+  };
 }
 
 /**
@@ -129,7 +240,9 @@ export function addDirectMessage(conversationId, message) {
     content: message.content,
     originalLang: message.originalLang,
     translations: message.translations,
+    translationStatus: message.translationStatus,
     fileInfo: message.fileInfo,
+    replyToId: message.replyToId,
     timestamp: message.timestamp
   });
 }
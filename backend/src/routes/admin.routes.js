@@ -6,6 +6,7 @@
  * - Gestion des groupes (admin uniquement)
  * - Statistiques et monitoring
  * - Modération
+ * - Cache des traductions
  */
 
 import express from 'express';
@@ -16,6 +17,10 @@ import {
   groups,
   messagesEnhanced
 } from '../db-proxy.js';
+import {
+  getTranslationCacheStats,
+  purgeTranslationCache
+} from '../services/translation-cache.service.js';
 
 // Middleware pour vérifier les droits admin
 const adminMiddleware = (req, res, next) => {
@@ -138,5 +143,40 @@ export default function adminRoutes(dependencies = {}) {
     }
   });
 
+  // ===================================
+  // CACHE DES TRADUCTIONS
+  // ===================================
+
+  /**
+   * GET /api/admin/translation-cache
+   * Statistiques du cache de traductions (hits, misses, entrées par provider)
+   */
+  router.get('/translation-cache', async (req, res) => {
+    try {
+      res.json({ cache: getTranslationCacheStats() });
+    } catch (error) {
+      logger.error('Error getting translation cache stats (admin)', error);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/translation-cache
+   * Purger le cache de traductions (optionnel : ?provider=openai)
+   */
+  router.delete('/translation-cache', async (req, res) => {
+    try {
+      const provider = req.query.provider || null;
+      const deleted = purgeTranslationCache({ provider });
+
+      logger.info(`Translation cache purged by admin: ${req.user.email}`, { provider: provider || 'all', deleted });
+
+      res.json({ success: true, deleted, provider });
+    } catch (error) {
+      logger.error('Error purging translation cache (admin)', error);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
   return router;
 }
@@ -3,19 +3,77 @@
  * @module routes/api
  *
  * Ce module gère :
- * - Transcription audio (Whisper)
- * - Traduction de texte (OpenAI/DeepSeek)
- * - Synthèse vocale (TTS)
+ * - Transcription audio (Whisper), en texte ou en sous-titres SRT/WebVTT,
+ *   avec tours de parole par locuteur (diarisation)
+ * - Transcription des enregistrements longs (tâches découpées et reprenables)
+ * - Traduction de texte (providers du registre : OpenAI/DeepSeek/local)
+ * - Traduction de fichiers de sous-titres (SRT/WebVTT)
+ * - Synthèse vocale (TTS) multi-providers, catalogue des voix par langue
+ * - Audio des messages, synthétisé une fois puis servi depuis une URL cacheable
  * - Détection de région
  * - Health check
  */
 
 import express from 'express';
-import fetch from 'node-fetch';
-import FormData from 'form-data';
 import multer from 'multer';
+import fs from 'fs';
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
 import { authManager, authMiddleware, requirePermission } from '../auth-sqlite.js';
+import {
+  translateWithFailover,
+  TRANSLATION_STATUS,
+  FORMALITY_LEVELS,
+  isValidFormality,
+  transcribeAudio,
+  transcribeAudioSegments
+} from '../services/ai.service.js';
+import { describeProviders } from '../services/providers.service.js';
+import {
+  TTS_FORMATS,
+  TtsRequestError,
+  listVoices,
+  getDefaultVoice,
+  getUserTtsSettings,
+  resolveSpeechRequest,
+  speak
+} from '../services/tts.service.js';
+import {
+  MESSAGE_AUDIO_CONFIG,
+  MessageAudioError,
+  describeMessageAudio,
+  prepareMessageAudio,
+  generateMessageAudio,
+  getMessageAudioFile
+} from '../services/message-audio.service.js';
+import {
+  validateBatchRequest,
+  countCharacters,
+  getQuotaUnits,
+  translateBatch
+} from '../services/batch-translation.service.js';
+import {
+  SUBTITLE_FORMATS,
+  SubtitleParseError,
+  segmentsToCues,
+  buildSubtitles,
+  parseSubtitles,
+  prepareSubtitleTranslation,
+  translateSubtitles
+} from '../services/subtitle.service.js';
+import {
+  TRANSCRIPTION_JOB_CONFIG,
+  TRANSCRIPTION_JOB_FORMATS,
+  prepareTranscriptionJob,
+  createTranscriptionJob,
+  getTranscriptionJob
+} from '../services/transcription-job.service.js';
+import { AudioFormatError } from '../utils/audio.js';
+import {
+  validateVadSegments,
+  sanitizeSpeakerProfiles,
+  transcribeWithSpeakers
+} from '../services/diarization.service.js';
 
 // Configuration multer pour l'upload audio
 const upload = multer({
@@ -23,6 +81,30 @@ const upload = multer({
   limits: { fileSize: 25 * 1024 * 1024 } // 25MB max
 });
 
+// Configuration multer pour les fichiers de sous-titres
+const subtitleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB max
+});
+
+// Configuration multer pour les enregistrements longs (écrits sur disque)
+const jobUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(TRANSCRIPTION_JOB_CONFIG.storageDir, { recursive: true });
+      cb(null, TRANSCRIPTION_JOB_CONFIG.storageDir);
+    },
+    filename: (req, file, cb) => {
+      const ext = file.originalname.split('.').pop().replace(/[^A-Za-z0-9]/g, '').slice(0, 8) || 'audio';
+      cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${ext}`);
+    }
+  }),
+  limits: { fileSize: TRANSCRIPTION_JOB_CONFIG.maxFileSize }
+});
+
+// Formats de réponse de POST /api/transcribe
+const TRANSCRIPTION_FORMATS = ['text', 'subtitles'];
+
 // ===================================
 // FONCTIONS UTILITAIRES
 // ===================================
@@ -70,10 +152,36 @@ export default function apiRoutes(dependencies = {}) {
   /**
    * POST /api/transcribe
    * Transcrire un fichier audio en texte
+   * Body: { language, format, diarize, vadSegments, speakerProfiles }
+   * format 'subtitles' : segments horodatés + sous-titres { srt, vtt }
+   * diarize 'true' (format text) : tours de parole { turns, speakers, speakerProfiles, diarization }
+   *   vadSegments : JSON [{ start, end, pitch, centroid }] issus du VAD du client
+   *   speakerProfiles : JSON des profils renvoyés par la transcription précédente
    */
   router.post('/transcribe', authMiddleware, requirePermission('transcribe'), upload.single('audio'), async (req, res) => {
     try {
-      // Vérifier le quota
+      if (!req.file) {
+        return res.status(400).json({ error: 'Aucun fichier audio fourni' });
+      }
+
+      const { language, format = 'text' } = req.body;
+      if (!TRANSCRIPTION_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format doit être ${TRANSCRIPTION_FORMATS.join(' ou ')}` });
+      }
+
+      const diarize = req.body.diarize === true || req.body.diarize === 'true';
+      let vadValidation = null;
+      if (diarize) {
+        if (format !== 'text') {
+          return res.status(400).json({ error: 'diarize n\'est disponible qu\'au format text' });
+        }
+        vadValidation = validateVadSegments(req.body.vadSegments);
+        if (!vadValidation.valid) {
+          return res.status(400).json({ error: 'Données invalides', errors: vadValidation.errors });
+        }
+      }
+
+      // Vérifier le quota (requête valide uniquement)
       const quotaCheck = authManager.consumeQuota(req.user.email, 'transcribe');
       if (!quotaCheck.allowed) {
         logger.auth('Quota exceeded', req.user.id, false, { action: 'transcribe' });
@@ -83,48 +191,137 @@ export default function apiRoutes(dependencies = {}) {
         });
       }
 
+      logger.info('Transcription request', { userId: req.user.id, language, format, diarize, quotaRemaining: quotaCheck.remaining });
+
+      try {
+        if (diarize) {
+          const transcription = await transcribeWithSpeakers(req.file.buffer, 'audio.webm', 'openai', {
+            language,
+            mimeType: req.file.mimetype,
+            vadSegments: vadValidation.segments,
+            speakerProfiles: sanitizeSpeakerProfiles(req.body.speakerProfiles)
+          });
+
+          return res.json({
+            text: transcription.text,
+            language: transcription.language,
+            turns: transcription.turns,
+            speakers: transcription.speakers,
+            speakerProfiles: transcription.speakerProfiles,
+            diarization: transcription.method
+          });
+        }
+
+        if (format === 'subtitles') {
+          const transcription = await transcribeAudioSegments(req.file.buffer, 'audio.webm', 'openai', {
+            language,
+            mimeType: req.file.mimetype
+          });
+          const cues = segmentsToCues(transcription.segments);
+
+          return res.json({
+            text: transcription.text,
+            language: transcription.language,
+            duration: transcription.duration,
+            segments: cues,
+            srt: buildSubtitles(cues, SUBTITLE_FORMATS.SRT),
+            vtt: buildSubtitles(cues, SUBTITLE_FORMATS.VTT)
+          });
+        }
+
+        const text = await transcribeAudio(req.file.buffer, 'audio.webm', 'openai', {
+          language,
+          mimeType: req.file.mimetype
+        });
+        res.json({ text });
+      } catch (error) {
+        logger.error('Whisper API error', null, { error: error.message, userId: req.user.id });
+        return res.status(error.status || 500).json({ error: 'Erreur de transcription' });
+      }
+
+    } catch (error) {
+      logger.error('Transcription error', error, { userId: req.user?.id });
+      res.status(500).json({ error: 'Erreur serveur lors de la transcription' });
+    }
+  });
+
+  /**
+   * POST /api/transcribe/jobs
+   * Transcrire un enregistrement long (WAV/MP3 découpés, autres formats jusqu'à 25MB)
+   * Body: { language, format }
+   * Quota 'transcribe' : une unité par morceau
+   * Réponse 202 : tâche à suivre via GET /api/transcribe/jobs/:id
+   */
+  router.post('/transcribe/jobs', authMiddleware, requirePermission('transcribe'), jobUpload.single('audio'), async (req, res) => {
+    const discardUpload = () => {
+      if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+    };
+
+    try {
       if (!req.file) {
         return res.status(400).json({ error: 'Aucun fichier audio fourni' });
       }
 
-      const { language } = req.body;
-      logger.info('Transcription request', { userId: req.user.id, language, quotaRemaining: quotaCheck.remaining });
+      const { language, format = 'text' } = req.body;
+      if (!TRANSCRIPTION_JOB_FORMATS.includes(format)) {
+        discardUpload();
+        return res.status(400).json({ error: `format doit être ${TRANSCRIPTION_JOB_FORMATS.join(' ou ')}` });
+      }
 
-      // Créer le FormData pour Whisper
-      const formData = new FormData();
-      formData.append('model', 'whisper-1');
-      formData.append('file', req.file.buffer, {
-        filename: 'audio.webm',
-        contentType: req.file.mimetype
-      });
+      let plan;
+      try {
+        plan = prepareTranscriptionJob(req.file);
+      } catch (error) {
+        discardUpload();
+        if (error instanceof AudioFormatError) {
+          return res.status(422).json({ error: error.message });
+        }
+        throw error;
+      }
 
-      if (language) {
-        formData.append('language', language);
+      const quotaCheck = authManager.consumeQuota(req.user.email, 'transcribe', plan.chunks.length);
+      if (!quotaCheck.allowed) {
+        discardUpload();
+        logger.auth('Quota exceeded', req.user.id, false, { action: 'transcribe', chunks: plan.chunks.length });
+        return res.status(429).json({
+          error: quotaCheck.message,
+          resetAt: quotaCheck.resetAt
+        });
       }
 
-      const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          ...formData.getHeaders()
-        },
-        body: formData
+      const job = createTranscriptionJob({
+        userEmail: req.user.email,
+        file: req.file,
+        plan,
+        format,
+        language: language || null
       });
 
-      if (!response.ok) {
-        const error = await response.text();
-        logger.error('Whisper API error', null, { error, userId: req.user.id });
-        logger.api('OpenAI Whisper', 'transcribe', false, { status: response.status });
-        return res.status(response.status).json({ error: 'Erreur de transcription' });
+      res.status(202).json({ job: { ...job, quotaRemaining: quotaCheck.remaining } });
+
+    } catch (error) {
+      discardUpload();
+      logger.error('Transcription job creation error', error, { userId: req.user?.id });
+      res.status(500).json({ error: 'Erreur serveur lors de la création de la transcription' });
+    }
+  });
+
+  /**
+   * GET /api/transcribe/jobs/:id
+   * État, progression et (une fois terminée) résultat d'une tâche de transcription
+   */
+  router.get('/transcribe/jobs/:id', authMiddleware, (req, res) => {
+    try {
+      const job = getTranscriptionJob(req.params.id);
+      if (!job || job.userEmail !== req.user.email) {
+        return res.status(404).json({ error: 'Tâche introuvable' });
       }
 
-      const data = await response.json();
-      logger.api('OpenAI Whisper', 'transcribe', true, { userId: req.user.id });
-      res.json({ text: data.text });
+      res.json({ job });
 
     } catch (error) {
-      logger.error('Transcription error', error, { userId: req.user?.id });
-      res.status(500).json({ error: 'Erreur serveur lors de la transcription' });
+      logger.error('Transcription job fetch error', error, { jobId: req.params.id });
+      res.status(500).json({ error: 'Erreur serveur' });
     }
   });
 
@@ -135,6 +332,8 @@ export default function apiRoutes(dependencies = {}) {
   /**
    * POST /api/translate
    * Traduire un texte dans une langue cible
+   * Body: { text, targetLanguage, sourceLanguage, provider, formality }
+   * (formality : registre, par défaut celui du profil)
    */
   router.post('/translate', authMiddleware, requirePermission('translate'), async (req, res) => {
     try {
@@ -148,12 +347,16 @@ export default function apiRoutes(dependencies = {}) {
         });
       }
 
-      const { text, targetLanguage, sourceLanguage, provider } = req.body;
+      const { text, targetLanguage, sourceLanguage, provider, formality } = req.body;
 
       if (!text || !targetLanguage) {
         return res.status(400).json({ error: 'Texte et langue cible requis' });
       }
 
+      if (formality && !isValidFormality(formality)) {
+        return res.status(400).json({ error: `Registre invalide (${Object.values(FORMALITY_LEVELS).join(', ')})` });
+      }
+
       logger.info('Translation request', {
         userId: req.user.id,
         sourceLanguage: sourceLanguage || 'auto',
@@ -165,82 +368,143 @@ export default function apiRoutes(dependencies = {}) {
       // Déterminer le provider si non spécifié
       const useProvider = provider || detectRegion(req);
 
-      let apiUrl, apiKey, model;
+      // Failover entre providers : ne lève jamais, le statut indique la qualité
+      const result = await translateWithFailover(text, targetLanguage, {
+        sourceLang: sourceLanguage,
+        provider: useProvider,
+        // Registre demandé, sinon celui du profil
+        formality: formality || authManager.getFormalityPreference(req.user.email)
+      });
 
-      if (useProvider === 'deepseek') {
-        apiUrl = 'https://api.deepseek.com/v1/chat/completions';
-        apiKey = process.env.DEEPSEEK_API_KEY;
-        model = 'deepseek-chat';
-      } else {
-        apiUrl = 'https://api.openai.com/v1/chat/completions';
-        apiKey = process.env.OPENAI_API_KEY;
-        model = 'gpt-4o-mini';
+      if (result.status === TRANSLATION_STATUS.FAILED) {
+        logger.error('Translation API error', null, { provider: useProvider, userId: req.user.id });
+        return res.status(502).json({ error: 'Erreur de traduction', translationStatus: result.status });
       }
 
-      // Mapping des noms de langues
-      const langNames = {
-        'fr': 'français',
-        'zh': '中文（简体中文）',
-        'en': 'English',
-        'de': 'Deutsch',
-        'es': 'Español',
-        'it': 'Italiano',
-        'pt': 'Português'
-      };
-
-      const targetLangName = langNames[targetLanguage] || targetLanguage;
-      const sourceLangName = sourceLanguage ? langNames[sourceLanguage] : null;
-
-      // Instruction stricte pour contraindre la traduction
-      let systemPrompt;
-      if (sourceLangName && targetLangName) {
-        systemPrompt = `Tu es un traducteur expert ${sourceLangName} ↔ ${targetLangName}.
-Tu dois UNIQUEMENT traduire le texte de ${sourceLangName} vers ${targetLangName}.
-NE traduis JAMAIS vers une autre langue.
-Si le texte n'est pas en ${sourceLangName}, indique simplement "❌ Langue non reconnue".
-Réponds UNIQUEMENT avec la traduction, sans explications.`;
-      } else {
-        systemPrompt = `Tu es un traducteur expert. Traduis le texte suivant en ${targetLangName} de manière naturelle et fluide. Réponds UNIQUEMENT avec la traduction, sans explications.`;
+      res.json({
+        translatedText: result.translatedText,
+        provider: result.provider,
+        cached: result.cached,
+        translationStatus: result.status
+      });
+
+    } catch (error) {
+      logger.error('Translation error', error, { userId: req.user?.id });
+      res.status(500).json({ error: 'Erreur serveur lors de la traduction' });
+    }
+  });
+
+  /**
+   * POST /api/translate/batch
+   * Traduire un lot de segments vers une ou plusieurs langues
+   * Body: { segments: [string | { id, text }], targetLanguage | targetLanguages,
+   *         sourceLanguage, provider, formality }
+   * Quota décompté au volume (caractères × langues cibles), voir BATCH_CONFIG
+   */
+  router.post('/translate/batch', authMiddleware, requirePermission('translate'), async (req, res) => {
+    try {
+      const validation = validateBatchRequest(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
       }
 
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model,
-          temperature: 0.3,
-          messages: [{
-            role: 'system',
-            content: systemPrompt
-          }, {
-            role: 'user',
-            content: text
-          }]
-        })
+      const { segments, targetLangs, sourceLang, provider, formality } = validation.value;
+      const characters = countCharacters(segments);
+      const quotaUnits = getQuotaUnits(characters, targetLangs.length);
+
+      const quotaCheck = authManager.consumeQuota(req.user.email, 'translate', quotaUnits);
+      if (!quotaCheck.allowed) {
+        logger.auth('Quota exceeded', req.user.id, false, { action: 'translate', quotaUnits });
+        return res.status(429).json({
+          error: quotaCheck.message,
+          resetAt: quotaCheck.resetAt,
+          quotaUnits
+        });
+      }
+
+      logger.info('Batch translation request', {
+        userId: req.user.id,
+        segments: segments.length,
+        targetLangs,
+        characters,
+        quotaUnits
       });
 
-      if (!response.ok) {
-        const error = await response.text();
-        logger.error('Translation API error', null, { error, provider: useProvider, userId: req.user.id });
-        logger.api(useProvider === 'deepseek' ? 'DeepSeek' : 'OpenAI', 'translate', false, { status: response.status });
-        return res.status(response.status).json({ error: 'Erreur de traduction' });
+      const { results, summary } = await translateBatch(segments, targetLangs, {
+        sourceLang,
+        provider: provider || detectRegion(req),
+        formality: formality || authManager.getFormalityPreference(req.user.email)
+      });
+
+      res.json({
+        results,
+        summary: { ...summary, quotaUnits, quotaRemaining: quotaCheck.remaining }
+      });
+
+    } catch (error) {
+      logger.error('Batch translation error', error, { userId: req.user?.id });
+      res.status(500).json({ error: 'Erreur serveur lors de la traduction' });
+    }
+  });
+
+  /**
+   * POST /api/subtitles/translate
+   * Traduire un fichier SRT/WebVTT réplique par réplique (horodatages conservés)
+   * Multipart: file (fichier .srt/.vtt) ou Body: { content }
+   * Champs: targetLanguage, sourceLanguage, provider, formality, outputFormat (srt|vtt)
+   */
+  router.post('/subtitles/translate', authMiddleware, requirePermission('translate'), subtitleUpload.single('file'), async (req, res) => {
+    try {
+      const { targetLanguage, sourceLanguage, provider, formality, outputFormat } = req.body;
+      const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+      const errors = [];
+      if (typeof targetLanguage !== 'string' || !/^[a-z]{2}$/.test(targetLanguage)) {
+        errors.push('targetLanguage doit être un code langue (ex: fr)');
+      }
+      if (outputFormat && !Object.values(SUBTITLE_FORMATS).includes(outputFormat)) {
+        errors.push('outputFormat doit être srt ou vtt');
+      }
+      if (formality && !isValidFormality(formality)) {
+        errors.push(`formality doit être ${Object.values(FORMALITY_LEVELS).join(', ')}`);
+      }
+      if (!content) {
+        errors.push('Fichier (file) ou contenu (content) requis');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Données invalides', errors });
       }
 
-      const data = await response.json();
-      const translatedText = data.choices?.[0]?.message?.content?.trim() || text;
+      const parsed = parseSubtitles(content);
+      const { characters } = prepareSubtitleTranslation(parsed);
+      const quotaUnits = getQuotaUnits(characters, 1);
 
-      logger.api(useProvider === 'deepseek' ? 'DeepSeek' : 'OpenAI', 'translate', true, {
-        userId: req.user.id,
-        targetLanguage
+      const quotaCheck = authManager.consumeQuota(req.user.email, 'translate', quotaUnits);
+      if (!quotaCheck.allowed) {
+        logger.auth('Quota exceeded', req.user.id, false, { action: 'translate', quotaUnits });
+        return res.status(429).json({ error: quotaCheck.message, resetAt: quotaCheck.resetAt, quotaUnits });
+      }
+
+      const result = await translateSubtitles(parsed, targetLanguage, {
+        sourceLang: sourceLanguage || null,
+        provider: provider || detectRegion(req),
+        formality: formality || authManager.getFormalityPreference(req.user.email),
+        outputFormat: outputFormat || null
       });
 
-      res.json({ translatedText, provider: useProvider });
+      const baseName = (req.file?.originalname || 'subtitles').replace(/\.(srt|vtt)$/i, '');
+      res.json({
+        format: result.format,
+        fileName: `${baseName}.${targetLanguage}.${result.format}`,
+        content: result.content,
+        summary: { ...result.summary, quotaUnits, quotaRemaining: quotaCheck.remaining }
+      });
 
     } catch (error) {
-      logger.error('Translation error', error, { userId: req.user?.id });
+      if (error instanceof SubtitleParseError) {
+        return res.status(422).json({ error: error.message });
+      }
+      logger.error('Subtitle translation error', error, { userId: req.user?.id });
       res.status(500).json({ error: 'Erreur serveur lors de la traduction' });
     }
   });
@@ -249,12 +513,51 @@ Réponds UNIQUEMENT avec la traduction, sans explications.`;
   // SYNTHÈSE VOCALE (TTS)
   // ===================================
 
+  /**
+   * GET /api/voices
+   * Voix disponibles (tous providers confondus) et préférences de l'utilisateur
+   * Query: { language } - ne garder que les voix couvrant cette langue
+   */
+  router.get('/voices', authMiddleware, async (req, res) => {
+    try {
+      const language = typeof req.query.language === 'string' ? req.query.language : null;
+      const defaultVoice = getDefaultVoice(language);
+
+      res.json({
+        voices: listVoices({ language }),
+        defaultVoice: defaultVoice ? defaultVoice.id : null,
+        formats: Object.keys(TTS_FORMATS),
+        settings: getUserTtsSettings(req.user.email)
+      });
+    } catch (error) {
+      logger.error('Voices list error', error, { userId: req.user?.id });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
   /**
    * POST /api/speak
    * Convertir du texte en audio
+   * Body: { text, voice, language, speed, format }
+   *   voice : identifiant "provider:voix" (ou nom seul) ; sinon voix préférée
+   *   de l'utilisateur pour la langue, sinon voix par défaut de la langue
+   *   format : mp3, opus ou wav (remplacé par un format du provider s'il ne le produit pas)
+   * Réponse : audio, en-têtes X-TTS-Voice et X-TTS-Format
    */
   router.post('/speak', authMiddleware, requirePermission('speak'), async (req, res) => {
     try {
+      const { text, voice = null, language = null, speed = null, format = null } = req.body;
+
+      let request;
+      try {
+        request = resolveSpeechRequest({ text, voice, language, speed, format }, req.user.email);
+      } catch (error) {
+        if (error instanceof TtsRequestError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+
       // Vérifier le quota
       const quotaCheck = authManager.consumeQuota(req.user.email, 'speak');
       if (!quotaCheck.allowed) {
@@ -265,47 +568,116 @@ Réponds UNIQUEMENT avec la traduction, sans explications.`;
         });
       }
 
-      const { text, voice = 'nova' } = req.body;
+      logger.info('TTS request', {
+        userId: req.user.id,
+        voice: request.voice.id,
+        format: request.format,
+        textLength: text.length,
+        quotaRemaining: quotaCheck.remaining
+      });
 
-      if (!text) {
-        return res.status(400).json({ error: 'Texte requis' });
+      let result;
+      try {
+        result = await speak({ text, voice: request.voice.id, speed: request.speed, format: request.format });
+      } catch (error) {
+        logger.error('TTS API error', null, { error: error.message, userId: req.user.id });
+        return res.status(error.status || 500).json({ error: 'Erreur TTS' });
       }
 
-      logger.info('TTS request', { userId: req.user.id, voice, textLength: text.length, quotaRemaining: quotaCheck.remaining });
-
-      const response = await fetch('https://api.openai.com/v1/audio/speech', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'tts-1',
-          voice: voice, // nova, alloy, echo, fable, onyx, shimmer
-          input: text,
-          speed: 1.0
-        })
-      });
+      res.setHeader('Content-Type', result.mimeType);
+      res.setHeader('X-TTS-Voice', result.voice);
+      res.setHeader('X-TTS-Format', result.format);
+      res.send(result.audio);
 
-      if (!response.ok) {
-        const error = await response.text();
-        logger.error('TTS API error', null, { error, userId: req.user.id });
-        logger.api('OpenAI TTS', 'speak', false, { status: response.status });
-        return res.status(response.status).json({ error: 'Erreur TTS' });
+    } catch (error) {
+      logger.error('TTS error', error, { userId: req.user?.id });
+      res.status(500).json({ error: 'Erreur serveur lors du TTS' });
+    }
+  });
+
+  /**
+   * POST /api/messages/:messageId/audio
+   * Audio d'un message (groupe ou DM) dans une langue, synthétisé une seule fois
+   * Body: { lang, voice, speed, format } (voix/vitesse/format : préférences par défaut)
+   * Réponse : { audio: { id, url, voice, format, ... }, cached }
+   * Le quota 'speak' n'est décompté que lorsque l'audio doit être synthétisé.
+   */
+  router.post('/messages/:messageId/audio', authMiddleware, requirePermission('speak'), async (req, res) => {
+    try {
+      const { lang, voice = null, speed = null, format = null } = req.body;
+
+      if (!lang || typeof lang !== 'string') {
+        return res.status(400).json({ error: 'Langue requise' });
+      }
+
+      let prepared;
+      try {
+        prepared = prepareMessageAudio({
+          messageId: req.params.messageId,
+          lang,
+          userEmail: req.user.email,
+          voice,
+          speed,
+          format
+        });
+      } catch (error) {
+        if (error instanceof MessageAudioError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        if (error instanceof TtsRequestError) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
       }
 
-      logger.api('OpenAI TTS', 'speak', true, { userId: req.user.id, voice });
+      if (!prepared.entry) {
+        const quotaCheck = authManager.consumeQuota(req.user.email, 'speak');
+        if (!quotaCheck.allowed) {
+          logger.auth('Quota exceeded', req.user.id, false, { action: 'speak' });
+          return res.status(429).json({
+            error: quotaCheck.message,
+            resetAt: quotaCheck.resetAt
+          });
+        }
+      }
+
+      let entry;
+      try {
+        entry = await generateMessageAudio(prepared);
+      } catch (error) {
+        logger.error('TTS API error', null, { error: error.message, userId: req.user.id });
+        return res.status(error.status || 500).json({ error: 'Erreur TTS' });
+      }
 
-      // Renvoyer le stream audio directement
-      res.setHeader('Content-Type', 'audio/mpeg');
-      response.body.pipe(res);
+      res.json({ audio: describeMessageAudio(entry), cached: !!prepared.entry });
 
     } catch (error) {
-      logger.error('TTS error', error, { userId: req.user?.id });
+      logger.error('Message audio error', error, { userId: req.user?.id });
       res.status(500).json({ error: 'Erreur serveur lors du TTS' });
     }
   });
 
+  /**
+   * GET /api/audio/:audioId
+   * Fichier audio d'un message (URL non devinable, contenu immuable)
+   * Supporte les requêtes partielles (Range) et conditionnelles (ETag)
+   */
+  router.get('/audio/:audioId', (req, res) => {
+    const file = getMessageAudioFile(req.params.audioId);
+    if (!file) {
+      return res.status(404).json({ error: 'Audio introuvable' });
+    }
+
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Cache-Control', `private, max-age=${MESSAGE_AUDIO_CONFIG.httpMaxAge}, immutable`);
+    res.sendFile(file.filePath, { cacheControl: false, acceptRanges: true }, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Message audio send error', error, { audioId: req.params.audioId });
+        res.status(error.status || 500).end();
+      }
+    });
+  });
+
   // ===================================
   // HEALTH CHECK
   // ===================================
@@ -319,7 +691,8 @@ Réponds UNIQUEMENT avec la traduction, sans explications.`;
       status: 'ok',
       timestamp: new Date().toISOString(),
       openai: !!process.env.OPENAI_API_KEY,
-      deepseek: !!process.env.DEEPSEEK_API_KEY
+      deepseek: !!process.env.DEEPSEEK_API_KEY,
+      providers: describeProviders()
     });
   });
 
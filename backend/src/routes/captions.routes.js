@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Routes publiques des diffusions de sous-titres
+ * @module routes/captions
+ *
+ * Ce module gère (sans authentification, le code court donne l'accès) :
+ * - Informations d'une diffusion (titre, langues, statut)
+ * - Export du transcript dans une langue (texte, SRT, WebVTT, JSON)
+ *
+ * Le démarrage et le suivi en direct passent par Socket.IO
+ * (voir websocket/handlers/caption-broadcast.handler.js).
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import {
+  CaptionBroadcastError,
+  getCaptionBroadcast,
+  exportCaptionTranscript
+} from '../services/caption-broadcast.service.js';
+
+/**
+ * Configure les routes publiques des diffusions
+ * @param {Object} dependencies - Dépendances injectées
+ * @returns {express.Router} Router Express configuré
+ */
+export default function captionsRoutes(dependencies = {}) {
+  const router = express.Router();
+
+  /**
+   * GET /api/captions/:code
+   * Informations publiques d'une diffusion
+   */
+  router.get('/:code', (req, res) => {
+    try {
+      const broadcast = getCaptionBroadcast(req.params.code);
+      if (!broadcast) {
+        return res.status(404).json({ error: 'Code de diffusion inconnu' });
+      }
+      res.json({ broadcast });
+    } catch (error) {
+      logger.error('Error fetching caption broadcast', { error: error.message, code: req.params.code });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * GET /api/captions/:code/transcript?lang=en&format=txt|srt|vtt|json
+   * Transcript d'une diffusion (en cours ou terminée) dans une langue
+   */
+  router.get('/:code/transcript', (req, res) => {
+    try {
+      const { filename, mimeType, content } = exportCaptionTranscript(req.params.code, {
+        language: req.query.lang || null,
+        format: req.query.format || undefined
+      });
+
+      res.setHeader('Content-Type', `${mimeType}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(content);
+    } catch (error) {
+      if (error instanceof CaptionBroadcastError) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error exporting caption transcript', { error: error.message, code: req.params.code });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  return router;
+}
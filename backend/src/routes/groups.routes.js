@@ -5,27 +5,73 @@
  * Ce module gère :
  * - Création et gestion des groupes
  * - Gestion des membres
- * - Messages de groupe
+ * - Messages de groupe et fils de discussion
  * - Groupes publics
+ * - Glossaire de traduction
+ * - Paramètres de traduction (contexte conversationnel)
+ * - Messages vocaux (transcrits, traduits et synthétisés par langue)
  * - Archivage
  */
 
 import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
-import { authManager, authMiddleware } from '../auth-sqlite.js';
+import { authManager, authMiddleware, requirePermission } from '../auth-sqlite.js';
 import {
   groupsDB,
-  archivedDB
+  archivedDB,
+  usersDB
 } from '../database.js';
 import {
   getUserGroups,
   getGroupMessages
 } from '../db-helpers.js';
+import { groups } from '../db-proxy.js';
 import {
-  groups,
-  messagesEnhanced
-} from '../db-proxy.js';
+  GLOSSARY_LIMITS,
+  getGroupGlossary,
+  validateGlossaryEntry,
+  createGlossaryEntry,
+  updateGlossaryEntry,
+  deleteGlossaryEntry
+} from '../services/glossary.service.js';
+import {
+  getGroupSettings,
+  validateGroupSettings,
+  updateGroupSettings
+} from '../services/group-settings.service.js';
+import { getThread, getThreadUnreadCounts } from '../services/thread.service.js';
+import { validateHistoryQuery, getGroupHistory } from '../services/message-history.service.js';
+import {
+  VOICE_MESSAGE_CONFIG,
+  VoiceMessageError,
+  isAllowedVoiceFile,
+  createVoiceMessage,
+  processVoiceMessage
+} from '../services/voice-message.service.js';
+
+// Configuration multer pour les messages vocaux (conservés dans /uploads)
+const voiceUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(VOICE_MESSAGE_CONFIG.uploadsDir, { recursive: true });
+      cb(null, VOICE_MESSAGE_CONFIG.uploadsDir);
+    },
+    filename: (req, file, cb) => {
+      const ext = file.originalname.toLowerCase().split('.').pop();
+      cb(null, `voice-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${ext}`);
+    }
+  }),
+  limits: { fileSize: VOICE_MESSAGE_CONFIG.maxFileSize },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedVoiceFile(file.originalname) && /^(audio|video)\//.test(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Format audio non autorisé'));
+  }
+});
 
 /**
  * Configure les routes de groupes
@@ -34,6 +80,7 @@ import {
  */
 export default function groupsRoutes(dependencies = {}) {
   const router = express.Router();
+  const { io } = dependencies;
 
   // ===================================
   // GESTION DES GROUPES
@@ -229,7 +276,8 @@ export default function groupsRoutes(dependencies = {}) {
 
   /**
    * GET /api/groups/:groupId/messages
-   * Obtenir les messages d'un groupe
+   * Obtenir une page des messages d'un groupe (fil principal)
+   * Query : before / after (curseurs de pageInfo), around (ID d'un message), limit
    */
   router.get('/:groupId/messages', authMiddleware, async (req, res) => {
     try {
@@ -247,8 +295,21 @@ export default function groupsRoutes(dependencies = {}) {
         return res.status(403).json({ error: 'Accès refusé' });
       }
 
-      const groupMessages = messagesEnhanced[groupId] || [];
-      res.json({ messages: groupMessages });
+      const validation = validateHistoryQuery(req.query);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      const page = getGroupHistory(groupId, validation.value);
+      if (!page) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
+
+      res.json({
+        messages: page.messages,
+        pageInfo: page.pageInfo,
+        threadUnread: getThreadUnreadCounts(groupId, userEmail)
+      });
 
     } catch (error) {
       logger.error('Error getting messages', error);
@@ -256,6 +317,44 @@ export default function groupsRoutes(dependencies = {}) {
     }
   });
 
+  /**
+   * GET /api/groups/:groupId/messages/:messageId/thread
+   * Fil de discussion d'un message : racine, réponses et réponses non lues
+   * (le fil est marqué comme lu par l'événement Socket.IO 'mark_thread_read')
+   */
+  router.get('/:groupId/messages/:messageId/thread', authMiddleware, async (req, res) => {
+    try {
+      const { groupId, messageId } = req.params;
+      const userEmail = req.user.email;
+      const group = groups[groupId];
+
+      if (!group) {
+        return res.status(404).json({ error: 'Groupe introuvable' });
+      }
+
+      // Vérifier que l'utilisateur est membre
+      const isMember = group.members.some(m => m.email === userEmail);
+      if (!isMember) {
+        return res.status(403).json({ error: 'Accès refusé' });
+      }
+
+      const thread = getThread(groupId, messageId, userEmail);
+      if (!thread) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
+
+      res.json(thread);
+
+    } catch (error) {
+      logger.error('Error getting thread', error, {
+        user: req.user?.email,
+        groupId: req.params?.groupId,
+        messageId: req.params?.messageId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
   // ===================================
   // GESTION DES MEMBRES
   // ===================================
@@ -416,6 +515,313 @@ export default function groupsRoutes(dependencies = {}) {
     }
   });
 
+  // ===================================
+  // GLOSSAIRE DE TRADUCTION
+  // ===================================
+
+  /**
+   * GET /api/groups/:groupId/glossary
+   * Lister le glossaire du groupe (membres)
+   */
+  router.get('/:groupId/glossary', authMiddleware, async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const userEmail = req.user.email;
+      const group = groups[groupId];
+
+      if (!group) {
+        return res.status(404).json({ error: 'Groupe introuvable' });
+      }
+
+      // Vérifier que l'utilisateur est membre
+      const isMember = group.members.some(m => m.email === userEmail);
+      if (!isMember) {
+        return res.status(403).json({ error: 'Accès refusé' });
+      }
+
+      res.json({ glossary: getGroupGlossary(groupId) });
+
+    } catch (error) {
+      logger.error('Error getting glossary', error, {
+        user: req.user?.email,
+        groupId: req.params?.groupId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * POST /api/groups/:groupId/glossary
+   * Ajouter un terme au glossaire (admin uniquement)
+   * Body: { term, translations: { en: '...', zh: '...' }, doNotTranslate, caseSensitive }
+   */
+  router.post('/:groupId/glossary', authMiddleware, async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const userEmail = req.user.email;
+      const group = groups[groupId];
+
+      if (!group) {
+        return res.status(404).json({ error: 'Groupe introuvable' });
+      }
+
+      // Vérifier que l'utilisateur est admin
+      const userMember = group.members.find(m => m.email === userEmail);
+      if (!userMember || userMember.role !== 'admin') {
+        return res.status(403).json({ error: 'Seuls les admins peuvent modifier le glossaire' });
+      }
+
+      const validation = validateGlossaryEntry(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      if (getGroupGlossary(groupId).length >= GLOSSARY_LIMITS.maxEntriesPerGroup) {
+        return res.status(400).json({ error: `Glossaire limité à ${GLOSSARY_LIMITS.maxEntriesPerGroup} termes` });
+      }
+
+      const entry = createGlossaryEntry(groupId, validation.value, userEmail);
+      res.status(201).json({ success: true, entry });
+
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return res.status(409).json({ error: 'Ce terme existe déjà dans le glossaire' });
+      }
+      logger.error('Error creating glossary entry', error, {
+        user: req.user?.email,
+        groupId: req.params?.groupId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * PUT /api/groups/:groupId/glossary/:entryId
+   * Modifier un terme du glossaire (admin uniquement)
+   */
+  router.put('/:groupId/glossary/:entryId', authMiddleware, async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const entryId = parseInt(req.params.entryId, 10);
+      const userEmail = req.user.email;
+      const group = groups[groupId];
+
+      if (!group) {
+        return res.status(404).json({ error: 'Groupe introuvable' });
+      }
+
+      // Vérifier que l'utilisateur est admin
+      const userMember = group.members.find(m => m.email === userEmail);
+      if (!userMember || userMember.role !== 'admin') {
+        return res.status(403).json({ error: 'Seuls les admins peuvent modifier le glossaire' });
+      }
+
+      const validation = validateGlossaryEntry(req.body, { partial: true });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      const entry = updateGlossaryEntry(groupId, entryId, validation.value);
+      if (!entry) {
+        return res.status(404).json({ error: 'Terme introuvable' });
+      }
+
+      res.json({ success: true, entry });
+
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        return res.status(409).json({ error: 'Ce terme existe déjà dans le glossaire' });
+      }
+      logger.error('Error updating glossary entry', error, {
+        user: req.user?.email,
+        groupId: req.params?.groupId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * DELETE /api/groups/:groupId/glossary/:entryId
+   * Supprimer un terme du glossaire (admin uniquement)
+   */
+  router.delete('/:groupId/glossary/:entryId', authMiddleware, async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const entryId = parseInt(req.params.entryId, 10);
+      const userEmail = req.user.email;
+      const group = groups[groupId];
+
+      if (!group) {
+        return res.status(404).json({ error: 'Groupe introuvable' });
+      }
+
+      // Vérifier que l'utilisateur est admin
+      const userMember = group.members.find(m => m.email === userEmail);
+      if (!userMember || userMember.role !== 'admin') {
+        return res.status(403).json({ error: 'Seuls les admins peuvent modifier le glossaire' });
+      }
+
+      if (!deleteGlossaryEntry(groupId, entryId)) {
+        return res.status(404).json({ error: 'Terme introuvable' });
+      }
+
+      res.json({ success: true });
+
+    } catch (error) {
+      logger.error('Error deleting glossary entry', error, {
+        user: req.user?.email,
+        groupId: req.params?.groupId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  // ===================================
+  // PARAMÈTRES DE TRADUCTION
+  // ===================================
+
+  /**
+   * GET /api/groups/:groupId/settings
+   * Paramètres de traduction du groupe (membres)
+   */
+  router.get('/:groupId/settings', authMiddleware, async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const userEmail = req.user.email;
+      const group = groups[groupId];
+
+      if (!group) {
+        return res.status(404).json({ error: 'Groupe introuvable' });
+      }
+
+      // Vérifier que l'utilisateur est membre
+      const isMember = group.members.some(m => m.email === userEmail);
+      if (!isMember) {
+        return res.status(403).json({ error: 'Accès refusé' });
+      }
+
+      res.json({ settings: getGroupSettings(groupId) });
+
+    } catch (error) {
+      logger.error('Error getting group settings', error, {
+        user: req.user?.email,
+        groupId: req.params?.groupId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * PUT /api/groups/:groupId/settings
+   * Modifier les paramètres de traduction (admin uniquement)
+   * Body: { contextTranslation: boolean, contextMessages: number, formality: string|null }
+   */
+  router.put('/:groupId/settings', authMiddleware, async (req, res) => {
+    try {
+      const { groupId } = req.params;
+      const userEmail = req.user.email;
+      const group = groups[groupId];
+
+      if (!group) {
+        return res.status(404).json({ error: 'Groupe introuvable' });
+      }
+
+      // Vérifier que l'utilisateur est admin
+      const userMember = group.members.find(m => m.email === userEmail);
+      if (!userMember || userMember.role !== 'admin') {
+        return res.status(403).json({ error: 'Seuls les admins peuvent modifier les paramètres' });
+      }
+
+      const validation = validateGroupSettings(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      const settings = updateGroupSettings(groupId, validation.value);
+      res.json({ success: true, settings });
+
+    } catch (error) {
+      logger.error('Error updating group settings', error, {
+        user: req.user?.email,
+        groupId: req.params?.groupId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  // ===================================
+  // MESSAGES VOCAUX
+  // ===================================
+
+  /**
+   * POST /api/groups/:groupId/voice-messages
+   * Envoyer un message vocal : l'enregistrement est conservé, transcrit puis
+   * traduit côté serveur
+   * Multipart: audio (fichier), language (langue parlée, optionnel),
+   *   tts ('true' : synthétiser la transcription dans la langue de chaque membre)
+   * Répond 201 avec le message ; traductions et audios arrivent ensuite par
+   * message_translation et voice_message_audio
+   */
+  router.post('/:groupId/voice-messages', authMiddleware, requirePermission('transcribe'), voiceUpload.single('audio'), async (req, res) => {
+    const { groupId } = req.params;
+    const userEmail = req.user.email;
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Aucun fichier audio fourni' });
+      }
+
+      const group = groups[groupId];
+      const member = group?.members.find(m => m.email === userEmail);
+      if (!member) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(403).json({ error: 'Accès refusé au groupe' });
+      }
+
+      const quotaCheck = authManager.consumeQuota(userEmail, 'transcribe');
+      if (!quotaCheck.allowed) {
+        fs.rmSync(req.file.path, { force: true });
+        logger.auth('Quota exceeded', req.user.id, false, { action: 'transcribe' });
+        return res.status(429).json({
+          error: quotaCheck.message,
+          resetAt: quotaCheck.resetAt
+        });
+      }
+
+      const provider = req.body.provider || 'openai';
+      const { message, targetLangs } = await createVoiceMessage({
+        groupId,
+        sender: userEmail,
+        fromDisplayName: member.displayName || userEmail.split('@')[0],
+        file: req.file,
+        language: req.body.language || usersDB.getByEmail(userEmail)?.preferred_language || null,
+        tts: req.body.tts === 'true' || req.body.tts === true,
+        provider
+      });
+
+      const room = io?.to(`group:${groupId}`);
+      room?.emit('group_message', message);
+      res.status(201).json({ message });
+
+      // Traductions puis synthèses, diffusées au fil de l'eau
+      processVoiceMessage(message, {
+        groupId,
+        targetLangs,
+        provider,
+        emit: (event, payload) => room?.emit(event, payload)
+      }).catch(error => {
+        logger.error('Error processing voice message', { error: error.message, groupId, messageId: message.id });
+      });
+
+    } catch (error) {
+      if (error instanceof VoiceMessageError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Error creating voice message', error, { user: userEmail, groupId });
+      res.status(500).json({ error: 'Erreur lors de l\'envoi du message vocal' });
+    }
+  });
+
   // ===================================
   // ARCHIVAGE
   // ===================================
@@ -18,6 +18,7 @@ import paymentsRoutes from './payments.routes.js';
 import uploadRoutes from './upload.routes.js';
 import friendsRoutes from './friends.routes.js';
 import adminRoutes from './admin.routes.js';
+import captionsRoutes from './captions.routes.js';
 
 /**
  * Configure et retourne le router principal avec tous les sous-routers montés
@@ -65,6 +66,9 @@ export function setupRoutes(dependencies) {
   // Routes administrateur
   router.use('/admin', adminRoutes(dependencies));
 
+  // Diffusions de sous-titres (publiques, accès par code court)
+  router.use('/captions', captionsRoutes(dependencies));
+
   return router;
 }
 
@@ -7,12 +7,17 @@
  * - Messages privés (DMs)
  * - Statuts utilisateurs (en ligne/hors ligne)
  * - Archivage des conversations
+ * - Re-traduction et correction des traductions d'un message
+ * - Versions précédentes d'un message modifié
+ * - Traduction du document joint à un message de groupe
+ * - Mentions non lues (@displayName, @all)
+ * - Recherche plein texte dans les messages et leurs traductions
  */
 
 import express from 'express';
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
-import { authManager, authMiddleware } from '../auth-sqlite.js';
+import { authManager, authMiddleware, requirePermission } from '../auth-sqlite.js';
 import {
   statusesDB,
   archivedDB
@@ -25,6 +30,29 @@ import {
   groups,
   directMessages
 } from '../db-proxy.js';
+import {
+  findMessage,
+  canAccessMessage,
+  getMessageRooms,
+  buildTranslationUpdatedEvent,
+  validateRetranslation,
+  retranslateMessage,
+  validateCorrection,
+  correctTranslation,
+  getTranslationHistory
+} from '../services/translation-revision.service.js';
+import {
+  DOCUMENT_TRANSLATION_STATUS,
+  validateDocumentTranslation,
+  prepareDocumentTranslation,
+  releaseDocumentTranslation,
+  runDocumentTranslation
+} from '../services/document-translation.service.js';
+import { DocumentParseError } from '../services/document-parser.service.js';
+import { getUnreadMentions, markMentionsRead, MENTION_CONFIG } from '../services/mention.service.js';
+import { getMessageEdits } from '../services/message-edit.service.js';
+import { validateHistoryQuery, getConversationHistory } from '../services/message-history.service.js';
+import { validateSearchQuery, searchMessages } from '../services/search.service.js';
 
 // ===================================
 // FONCTIONS UTILITAIRES
@@ -83,6 +111,25 @@ function decryptHistory(encryptedData, passwordHash) {
   }
 }
 
+/**
+ * Nettoie les tours de parole d'une entrée d'historique
+ * [{ speaker, original, translated }] ; null si absent ou invalide
+ */
+function sanitizeHistoryTurns(turns) {
+  if (!Array.isArray(turns) || turns.length === 0) return null;
+
+  const sanitized = turns
+    .slice(0, 50)
+    .filter(turn => turn && typeof turn.original === 'string')
+    .map(turn => ({
+      speaker: typeof turn.speaker === 'string' ? turn.speaker.slice(0, 20) : null,
+      original: turn.original.slice(0, 5000),
+      translated: typeof turn.translated === 'string' ? turn.translated.slice(0, 5000) : ''
+    }));
+
+  return sanitized.length > 0 ? sanitized : null;
+}
+
 /**
  * Configure les routes de messages
  * @param {Object} dependencies - Dépendances injectées
@@ -90,6 +137,7 @@ function decryptHistory(encryptedData, passwordHash) {
  */
 export default function messagesRoutes(dependencies = {}) {
   const router = express.Router();
+  const { io } = dependencies;
 
   // ===================================
   // HISTORIQUE DES TRADUCTIONS
@@ -98,10 +146,13 @@ export default function messagesRoutes(dependencies = {}) {
   /**
    * POST /api/history/save
    * Sauvegarder une traduction dans l'historique (crypté)
+   * Body: { original, translated, sourceLang, targetLang, turns }
+   * (turns : tours de parole par locuteur [{ speaker, original, translated }])
    */
   router.post('/history/save', authMiddleware, async (req, res) => {
     try {
       const { original, translated, sourceLang, targetLang } = req.body;
+      const turns = sanitizeHistoryTurns(req.body.turns);
       const userEmail = req.user.email;
       const user = Object.values(authManager.users).find(u => u.email === userEmail);
 
@@ -126,7 +177,8 @@ export default function messagesRoutes(dependencies = {}) {
         original,
         translated,
         sourceLang,
-        targetLang
+        targetLang,
+        ...(turns && { turns })
       });
 
       // Limiter l'historique à 1000 entrées (FIFO)
@@ -319,7 +371,8 @@ export default function messagesRoutes(dependencies = {}) {
 
   /**
    * GET /api/dms/:otherUserEmail
-   * Récupérer les messages d'une conversation spécifique
+   * Récupérer une page des messages d'une conversation spécifique
+   * Query : before / after (curseurs de pageInfo), around (ID d'un message), limit
    */
   router.get('/dms/:otherUserEmail', authMiddleware, async (req, res) => {
     try {
@@ -335,12 +388,21 @@ export default function messagesRoutes(dependencies = {}) {
       // Note: Pas de vérification d'amitié - permet d'envoyer des DMs à tout utilisateur
       // (Système de blocage peut être ajouté plus tard si nécessaire)
 
+      const validation = validateHistoryQuery(req.query);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
       const convId = getConversationId(userEmail, otherUserEmail);
-      const msgs = directMessages[convId] || [];
+      const page = getConversationHistory(convId, validation.value);
+      if (!page) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
 
       res.json({
         conversationId: convId,
-        messages: msgs,
+        messages: page.messages,
+        pageInfo: page.pageInfo,
         otherUser: {
           email: otherUserEmail,
           displayName: otherUser.displayName || otherUserEmail.split('@')[0],
@@ -423,5 +485,295 @@ export default function messagesRoutes(dependencies = {}) {
     }
   });
 
+  // ===================================
+  // RÉVISION DES TRADUCTIONS
+  // ===================================
+
+  /**
+   * POST /api/messages/:messageId/retranslate
+   * Re-traduire un message (groupe ou DM), en ignorant le cache
+   * Body: { lang, provider }
+   */
+  router.post('/messages/:messageId/retranslate', authMiddleware, requirePermission('translate'), async (req, res) => {
+    try {
+      const userEmail = req.user.email;
+      const target = findMessage(req.params.messageId);
+
+      if (!target || !canAccessMessage(target, userEmail)) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
+
+      const validation = validateRetranslation(target, req.body);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      // Une re-traduction consomme le quota de traduction
+      const quotaCheck = authManager.consumeQuota(userEmail, 'translate');
+      if (!quotaCheck.allowed) {
+        return res.status(429).json({ error: quotaCheck.message, resetAt: quotaCheck.resetAt });
+      }
+
+      const result = await retranslateMessage(target, { ...validation.value, requestedBy: userEmail });
+      if (result.conflict) {
+        return res.status(409).json({ error: 'Le message a été modifié pendant la re-traduction' });
+      }
+      if (!result.success) {
+        return res.status(502).json({ error: 'Erreur de traduction', translationStatus: result.status });
+      }
+
+      const event = buildTranslationUpdatedEvent(target, result.edit);
+      io?.to(getMessageRooms(target)).emit('message_translation_updated', event);
+
+      res.json({ success: true, ...event });
+
+    } catch (error) {
+      logger.error('Error retranslating message', error, {
+        user: req.user?.email,
+        messageId: req.params?.messageId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * PUT /api/messages/:messageId/translations/:lang
+   * Remplacer une traduction par une correction
+   * Body: { text, originalContent } (originalContent : texte du message affiché, optionnel)
+   */
+  router.put('/messages/:messageId/translations/:lang', authMiddleware, async (req, res) => {
+    try {
+      const userEmail = req.user.email;
+      const target = findMessage(req.params.messageId);
+
+      if (!target || !canAccessMessage(target, userEmail)) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
+
+      const validation = validateCorrection(target, {
+        lang: req.params.lang,
+        text: req.body.text,
+        originalContent: req.body.originalContent
+      });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      const edit = correctTranslation(target, validation.value, userEmail);
+      if (!edit) {
+        return res.status(409).json({ error: 'Le message a été modifié, la correction n\'a pas été enregistrée' });
+      }
+      const event = buildTranslationUpdatedEvent(target, edit);
+      io?.to(getMessageRooms(target)).emit('message_translation_updated', event);
+
+      res.json({ success: true, ...event });
+
+    } catch (error) {
+      logger.error('Error correcting translation', error, {
+        user: req.user?.email,
+        messageId: req.params?.messageId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * GET /api/messages/:messageId/translations/history
+   * Historique des re-traductions et corrections d'un message
+   * Query: ?lang=fr (optionnel)
+   */
+  router.get('/messages/:messageId/translations/history', authMiddleware, async (req, res) => {
+    try {
+      const target = findMessage(req.params.messageId);
+
+      if (!target || !canAccessMessage(target, req.user.email)) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
+
+      res.json({ history: getTranslationHistory(req.params.messageId, req.query.lang || null) });
+
+    } catch (error) {
+      logger.error('Error getting translation history', error, {
+        user: req.user?.email,
+        messageId: req.params?.messageId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * GET /api/messages/:messageId/edits
+   * Versions précédentes d'un message modifié par son auteur
+   */
+  router.get('/messages/:messageId/edits', authMiddleware, async (req, res) => {
+    try {
+      const target = findMessage(req.params.messageId);
+
+      if (!target || !canAccessMessage(target, req.user.email)) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
+
+      res.json({ edits: getMessageEdits(req.params.messageId) });
+
+    } catch (error) {
+      logger.error('Error getting message edits', error, {
+        user: req.user?.email,
+        messageId: req.params?.messageId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * POST /api/messages/:messageId/translate-document
+   * Traduire le document joint à un message de groupe dans la langue de chaque membre
+   * Body: { provider } (optionnel)
+   * Répond 202 immédiatement ; la suite arrive par les événements document_translation_*
+   */
+  router.post('/messages/:messageId/translate-document', authMiddleware, requirePermission('translate'), async (req, res) => {
+    try {
+      const userEmail = req.user.email;
+      const target = findMessage(req.params.messageId);
+
+      if (!target || !canAccessMessage(target, userEmail)) {
+        return res.status(404).json({ error: 'Message introuvable' });
+      }
+
+      const validation = validateDocumentTranslation(target);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      // Le message est réservé avant le décompte du quota (une seule traduction à la fois)
+      const provider = req.body?.provider || null;
+      const job = await prepareDocumentTranslation(target, { provider });
+      if (!job) {
+        return res.status(409).json({ error: 'Traduction du document déjà en cours' });
+      }
+
+      // Quota décompté au volume, comme une traduction par lot
+      const quotaCheck = authManager.consumeQuota(userEmail, 'translate', job.quotaUnits);
+      if (!quotaCheck.allowed) {
+        releaseDocumentTranslation(job);
+        return res.status(429).json({ error: quotaCheck.message, resetAt: quotaCheck.resetAt, quotaUnits: job.quotaUnits });
+      }
+
+      const rooms = getMessageRooms(target);
+      runDocumentTranslation(job, {
+        provider,
+        requestedBy: userEmail,
+        emit: (event, payload) => io?.to(rooms).emit(event, payload)
+      });
+
+      res.status(202).json({
+        status: DOCUMENT_TRANSLATION_STATUS.PENDING,
+        messageId: target.row.id,
+        sourceLang: job.sourceLang,
+        targetLangs: job.targetLangs,
+        segments: job.segments.length,
+        quotaUnits: job.quotaUnits,
+        quotaRemaining: quotaCheck.remaining
+      });
+
+    } catch (error) {
+      if (error instanceof DocumentParseError) {
+        return res.status(422).json({ error: error.message });
+      }
+      logger.error('Error starting document translation', error, {
+        user: req.user?.email,
+        messageId: req.params?.messageId
+      });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  // ===================================
+  // MENTIONS
+  // ===================================
+
+  /**
+   * GET /api/mentions
+   * Mentions non lues de l'utilisateur, tous groupes confondus
+   * Query: ?groupId=...&limit=50&lang=fr (optionnels ; lang : traduction jointe)
+   */
+  router.get('/mentions', authMiddleware, async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10);
+      const result = getUnreadMentions(req.user.email, {
+        groupId: req.query.groupId || null,
+        limit: Number.isInteger(limit) && limit > 0 ? limit : undefined,
+        lang: req.query.lang || null
+      });
+
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Error fetching mentions', error, { user: req.user?.email });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * POST /api/mentions/read
+   * Marquer des mentions comme lues
+   * Body: { groupId } ou { messageIds: [...] } (rien : toutes ; au plus MENTION_CONFIG.maxUnread identifiants)
+   */
+  router.post('/mentions/read', authMiddleware, async (req, res) => {
+    try {
+      const { groupId = null, messageIds = null } = req.body || {};
+      if (messageIds !== null && (!Array.isArray(messageIds) || !messageIds.every(id => typeof id === 'string'))) {
+        return res.status(400).json({ error: 'messageIds doit être une liste d\'identifiants' });
+      }
+      // Une variable SQL par identifiant : liste bornée
+      if (messageIds !== null && messageIds.length > MENTION_CONFIG.maxUnread) {
+        return res.status(400).json({ error: `messageIds ne doit pas dépasser ${MENTION_CONFIG.maxUnread} identifiants` });
+      }
+
+      const updated = markMentionsRead(req.user.email, { groupId, messageIds });
+      res.json({ success: true, updated });
+
+    } catch (error) {
+      logger.error('Error marking mentions as read', error, { user: req.user?.email });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  // ===================================
+  // RECHERCHE
+  // ===================================
+
+  /**
+   * GET /api/search
+   * Recherche plein texte dans les groupes et conversations privées de l'utilisateur
+   * Query: ?q=...&groupId=...|with=email&type=group|dm&sender=email&since=...&until=...
+   *        &hasFile=true|false&lang=fr&sort=relevance|date&limit=20&offset=0
+   */
+  router.get('/search', authMiddleware, async (req, res) => {
+    try {
+      const userEmail = req.user.email;
+      const validation = validateSearchQuery(req.query, userEmail);
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Données invalides', errors: validation.errors });
+      }
+
+      const { groupId } = validation.value;
+      if (groupId) {
+        const group = groups[groupId];
+        if (!group) {
+          return res.status(404).json({ error: 'Groupe introuvable' });
+        }
+        if (!group.members.some(m => m.email === userEmail)) {
+          return res.status(403).json({ error: 'Accès refusé' });
+        }
+      }
+
+      res.json(searchMessages(userEmail, validation.value));
+
+    } catch (error) {
+      logger.error('Error searching messages', error, { user: req.user?.email });
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
   return router;
 }
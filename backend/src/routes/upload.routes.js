@@ -35,7 +35,7 @@ const fileUpload = multer({
   limits: { fileSize: 25 * 1024 * 1024 }, // 25MB max
   fileFilter: (req, file, cb) => {
     // Types de fichiers autorisés
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|mp3|mp4|webm|ogg/;
+    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|md|markdown|mp3|mp4|webm|ogg/;
     const extname = allowedTypes.test(file.originalname.toLowerCase().split('.').pop());
     const mimetype = allowedTypes.test(file.mimetype);
 
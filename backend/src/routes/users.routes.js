@@ -5,11 +5,15 @@
  * Ce module gère :
  * - Liste des utilisateurs
  * - Gestion du profil utilisateur (displayName, avatar, etc.)
+ * - Registre des traductions (formel / neutre / familier)
+ * - Préférences de synthèse vocale (voix par langue, vitesse, format)
  */
 
 import express from 'express';
 import { logger } from '../utils/logger.js';
 import { authManager, authMiddleware } from '../auth-sqlite.js';
+import { FORMALITY_LEVELS } from '../services/ai.service.js';
+import { getUserTtsSettings, updateUserTtsSettings } from '../services/tts.service.js';
 
 /**
  * Configure les routes utilisateurs
@@ -111,5 +115,89 @@ export default function usersRoutes(dependencies = {}) {
     }
   });
 
+  /**
+   * GET /api/profile/formality
+   * Registre de traduction de l'utilisateur connecté
+   */
+  router.get('/profile/formality', authMiddleware, async (req, res) => {
+    try {
+      res.json({
+        formality: authManager.getFormalityPreference(req.user.email),
+        levels: Object.values(FORMALITY_LEVELS)
+      });
+    } catch (error) {
+      logger.error('Erreur lecture formality preference', error);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * PUT /api/profile/formality
+   * Mettre à jour le registre de traduction de l'utilisateur connecté
+   * (appliqué aux messages qu'il envoie, sauf registre imposé par le groupe)
+   * Body: { formality: 'formal' | 'neutral' | 'casual' }
+   */
+  router.put('/profile/formality', authMiddleware, async (req, res) => {
+    try {
+      const { formality } = req.body;
+      const userEmail = req.user.email;
+
+      if (!formality) {
+        return res.status(400).json({ error: 'Formality requis' });
+      }
+
+      const result = authManager.updateFormalityPreference(userEmail, formality);
+
+      if (!result.success) {
+        return res.status(400).json({ error: result.message });
+      }
+
+      logger.info(`Formality preference updated for ${userEmail}`, { formality });
+      res.json({ success: true, formality: result.formality });
+
+    } catch (error) {
+      logger.error('Erreur mise à jour formality preference', error);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * GET /api/profile/tts
+   * Préférences de synthèse vocale de l'utilisateur connecté
+   */
+  router.get('/profile/tts', authMiddleware, async (req, res) => {
+    try {
+      res.json({ settings: getUserTtsSettings(req.user.email) });
+    } catch (error) {
+      logger.error('Erreur lecture TTS settings', error);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
+  /**
+   * PUT /api/profile/tts
+   * Mettre à jour les préférences de synthèse vocale (fusion avec l'existant)
+   * Body: { voices: { fr: 'piper:fr_FR-siwis-medium', en: null }, speed: 1.25, format: 'opus', autoPlay: true }
+   *   (voix à null = retour à la voix par défaut de la langue ;
+   *   autoPlay = audio des messages privés reçus préparé et lu automatiquement)
+   */
+  router.put('/profile/tts', authMiddleware, async (req, res) => {
+    try {
+      const userEmail = req.user.email;
+      const result = updateUserTtsSettings(userEmail, req.body);
+
+      if (!result.success) {
+        return res.status(400).json({ error: 'Données invalides', errors: result.errors });
+      }
+
+      logger.info(`TTS settings updated for ${userEmail}`);
+      res.json({ success: true, settings: result.settings });
+
+    } catch (error) {
+      logger.error('Erreur mise à jour TTS settings', error);
+      res.status(500).json({ error: 'Erreur serveur' });
+    }
+  });
+
   return router;
 }
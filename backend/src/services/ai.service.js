@@ -2,124 +2,565 @@
  * @fileoverview Service AI - Gestion des appels aux APIs d'intelligence artificielle
  * @module services/ai
  *
- * Ce service centralise les appels à OpenAI et DeepSeek pour :
- * - Traduction de texte (GPT-4o-mini / DeepSeek)
+ * Ce service centralise les appels aux providers IA pour :
+ * - Traduction de texte (GPT-4o-mini / DeepSeek / LLM local)
  * - Transcription audio (Whisper)
  * - Synthèse vocale (TTS)
+ *
+ * Le choix du provider (URL, modèle, clé) est délégué au registre
+ * de providers (services/providers.service.js). Les traductions sont
+ * mises en cache (services/translation-cache.service.js) et passent par
+ * une chaîne de failover protégée par des circuit breakers.
  */
 
 import fetch from 'node-fetch';
 import { logger } from '../utils/logger.js';
 import FormData from 'form-data';
+import { withRetry, createTimeoutSignal, TimeoutError } from '../utils/resilience.js';
+import {
+  CAPABILITIES,
+  resolveProvider,
+  listProviders,
+  getFailoverChain,
+  getCircuitBreaker,
+  getBaseUrl,
+  getApiKey,
+  isProviderAvailable as isRegisteredProviderAvailable
+} from './providers.service.js';
+import {
+  getCachedTranslation,
+  setCachedTranslation
+} from './translation-cache.service.js';
+
+/**
+ * Noms des langues utilisés dans les prompts de traduction
+ */
+export const LANGUAGE_NAMES = {
+  'fr': 'français',
+  'zh': '中文（简体中文）',
+  'en': 'English',
+  'de': 'Deutsch',
+  'es': 'Español',
+  'it': 'Italiano',
+  'pt': 'Português'
+};
+
+/**
+ * Retourne le nom d'une langue pour les prompts
+ * @param {string} lang - Code langue
+ * @returns {string}
+ */
+export function getLanguageName(lang) {
+  return LANGUAGE_NAMES[lang] || lang;
+}
+
+/**
+ * Registres de traduction (formalité / ton)
+ */
+export const FORMALITY_LEVELS = {
+  FORMAL: 'formal',   // Vouvoiement, formules de politesse (vous, Sie, usted, 您)
+  NEUTRAL: 'neutral', // Naturel, sans consigne particulière (défaut)
+  CASUAL: 'casual'    // Tutoiement, ton amical (tu, du, tú, 你)
+};
+
+// Consignes de registre ajoutées au prompt (aucune pour 'neutral')
+const FORMALITY_INSTRUCTIONS = {
+  [FORMALITY_LEVELS.FORMAL]: 'Adopte un registre formel et professionnel : vouvoiement et formes de politesse de la langue cible (vous, Sie, usted, 您...).',
+  [FORMALITY_LEVELS.CASUAL]: 'Adopte un registre familier et amical : tutoiement et formes informelles de la langue cible (tu, du, tú, 你...).'
+};
+
+/**
+ * Vérifie qu'une valeur est un registre connu
+ * @param {string} formality - Registre
+ * @returns {boolean}
+ */
+export function isValidFormality(formality) {
+  return Object.values(FORMALITY_LEVELS).includes(formality);
+}
+
+/**
+ * Construit le prompt système de traduction
+ * @param {string} targetLang - Langue cible
+ * @param {string} sourceLang - Langue source (optionnelle)
+ * @param {string} formality - Registre (FORMALITY_LEVELS, optionnel)
+ * @returns {string} - Prompt système
+ */
+export function buildTranslationPrompt(targetLang, sourceLang = null, formality = null) {
+  const targetLangName = getLanguageName(targetLang);
+  const sourceLangName = sourceLang ? LANGUAGE_NAMES[sourceLang] : null;
+  const formalityInstruction = FORMALITY_INSTRUCTIONS[formality] ? `\n${FORMALITY_INSTRUCTIONS[formality]}` : '';
+
+  // Instruction stricte pour contraindre la traduction
+  if (sourceLangName && targetLangName) {
+    return `Tu es un traducteur expert ${sourceLangName} ↔ ${targetLangName}.
+Tu dois UNIQUEMENT traduire le texte de ${sourceLangName} vers ${targetLangName}.
+NE traduis JAMAIS vers une autre langue.
+Si le texte n'est pas en ${sourceLangName}, indique simplement "❌ Langue non reconnue".
+Réponds UNIQUEMENT avec la traduction, sans explications.${formalityInstruction}`;
+  }
+
+  return `Tu es un traducteur expert. Traduis le texte suivant en ${targetLangName} de manière naturelle et fluide. Réponds UNIQUEMENT avec la traduction, sans explications.${formalityInstruction}`;
+}
+
+/**
+ * Configuration des appels de traduction
+ */
+export const TRANSLATION_CONFIG = {
+  // Délai maximum d'un appel à l'API de traduction
+  timeoutMs: parseInt(process.env.TRANSLATION_TIMEOUT_MS || '15000', 10),
+
+  // Nombre de relances par provider (erreurs 5xx, 429, timeouts)
+  retries: parseInt(process.env.TRANSLATION_RETRIES || '2', 10),
+
+  // Délai de base du backoff exponentiel (avec jitter)
+  retryBaseDelayMs: 300,
+  retryMaxDelayMs: 3000
+};
+
+/**
+ * Statut d'une traduction (stocké par langue dans translationStatus)
+ */
+export const TRANSLATION_STATUS = {
+  OK: 'ok',              // Traduit par le provider principal
+  FALLBACK: 'fallback',  // Traduit par un provider de secours
+  STALE: 'stale',        // Servi depuis le cache d'un autre provider
+  FAILED: 'failed',      // Aucune traduction disponible (texte original)
+  PENDING: 'pending',    // Traduction en cours (message diffusé avant ses traductions)
+  CORRECTED: 'corrected' // Traduction corrigée par un membre
+};
+
+/**
+ * Langue cible fictive des détections de langue mises en cache (detectLanguageWithLLM)
+ */
+const DETECTION_CACHE_TARGET = 'detect';
+
+/**
+ * Registre effectif : null pour 'neutral' ou une valeur inconnue
+ * (la clé de cache reste alors celle d'une traduction sans registre)
+ * @private
+ */
+function normalizeFormality(formality) {
+  return FORMALITY_INSTRUCTIONS[formality] ? formality : null;
+}
+
+/**
+ * Bloc de contexte conversationnel ajouté au prompt système
+ * @param {Array<string>} context - Lignes "Auteur: contenu", ordre chronologique
+ * @returns {string}
+ */
+function buildContextPrompt(context) {
+  return `Messages précédents de la conversation, fournis UNIQUEMENT pour lever les ambiguïtés (pronoms, ellipses, réponses courtes). Ne les traduis pas et ne les répète pas :
+---
+${context.join('\n')}
+---
+Traduis uniquement le message de l'utilisateur.`;
+}
 
 /**
  * Traduit un texte vers une langue cible
+ * Utilise la chaîne de failover ; en dernier recours, retourne le texte original.
  * @param {string} text - Texte à traduire
  * @param {string} targetLang - Langue cible (ex: 'fr', 'en', 'zh')
- * @param {string} provider - Provider à utiliser ('openai' ou 'deepseek')
+ * @param {string} provider - Provider à utiliser ('openai', 'deepseek', 'local', ...)
  * @returns {Promise<string>} - Texte traduit
  */
 export async function translateText(text, targetLang, provider = 'openai') {
-  try {
-    if (!text || !targetLang) {
-      throw new Error('Text and targetLang are required');
+  const { translatedText } = await translateWithFailover(text, targetLang, { provider });
+  return translatedText;
+}
+
+/**
+ * Traduit un texte en essayant successivement les providers de la chaîne de failover
+ * (ex: OpenAI → DeepSeek → local), puis le cache de n'importe quel provider.
+ * Ne lève pas d'erreur : un échec complet est signalé par status = 'failed'.
+ * @param {string} text - Texte à traduire
+ * @param {string} targetLang - Langue cible
+ * @param {Object} options - Options
+ * @param {string} options.sourceLang - Langue source (optionnelle)
+ * @param {string} options.provider - Provider principal (optionnel)
+ * @param {Function} options.onDelta - Callback (delta, textSoFar) pour recevoir la traduction en streaming
+ * @param {string} options.instructions - Consignes ajoutées au prompt système (voir requestTranslation)
+ * @param {Array<string>} options.context - Messages précédents de la conversation (voir requestTranslation)
+ * @param {string} options.formality - Registre de la traduction (voir requestTranslation)
+ * @param {boolean} options.useCache - Consulter/alimenter le cache (défaut: true)
+ * @returns {Promise<{translatedText: string, provider: string|null, cached: boolean, status: string}>}
+ */
+export async function translateWithFailover(text, targetLang, { sourceLang = null, provider = null, onDelta = null, instructions = null, context = null, formality = null, useCache = true } = {}) {
+  if (!text || !targetLang) {
+    logger.error('Translation error', { error: 'Text and targetLang are required', provider, targetLang });
+    return { translatedText: text, provider: null, cached: false, status: TRANSLATION_STATUS.FAILED };
+  }
+
+  const chain = getFailoverChain(CAPABILITIES.TRANSLATE, provider);
+  let lastError = null;
+
+  for (const [index, candidate] of chain.entries()) {
+    try {
+      const result = await requestTranslation(text, targetLang, { sourceLang, provider: candidate.name, onDelta, instructions, context, formality, useCache });
+      const status = index === 0 ? TRANSLATION_STATUS.OK : TRANSLATION_STATUS.FALLBACK;
+
+      if (status === TRANSLATION_STATUS.FALLBACK) {
+        logger.warn('Translation served by fallback provider', { requested: provider, provider: candidate.name, targetLang });
+      }
+
+      return { ...result, status };
+    } catch (error) {
+      lastError = error;
+      logger.warn('Translation provider failed, trying next', {
+        provider: candidate.name,
+        targetLang,
+        error: error.message
+      });
     }
+  }
 
-    if (provider === 'deepseek') {
-      return await translateWithDeepSeek(text, targetLang);
-    } else {
-      return await translateWithOpenAI(text, targetLang);
+  // Dernier recours : une traduction en cache, quel que soit le provider
+  for (const candidate of listProviders({ capability: CAPABILITIES.TRANSLATE })) {
+    const cached = getCachedTranslation({ text, sourceLang, targetLang, provider: candidate.name, instructions, formality: normalizeFormality(formality) });
+    if (cached) {
+      return { translatedText: cached, provider: candidate.name, cached: true, status: TRANSLATION_STATUS.STALE };
+    }
+  }
+
+  logger.error('Translation error', {
+    error: lastError?.message || 'No available provider',
+    provider,
+    targetLang
+  });
+
+  return { translatedText: text, provider: null, cached: false, status: TRANSLATION_STATUS.FAILED }; // Fallback au texte original
+}
+
+/**
+ * Traduit un texte via un seul provider (résolu dans le registre)
+ * L'appel est protégé par le circuit breaker du provider, relancé avec backoff
+ * en cas d'erreur transitoire et borné par TRANSLATION_CONFIG.timeoutMs.
+ * Les erreurs sont propagées (avec error.status si l'API distante a répondu
+ * une erreur HTTP).
+ * @param {string} text - Texte à traduire
+ * @param {string} targetLang - Langue cible
+ * @param {Object} options - Options
+ * @param {string} options.sourceLang - Langue source (optionnelle)
+ * @param {string} options.provider - Provider demandé (optionnel)
+ * @param {boolean} options.useCache - Consulter/alimenter le cache (défaut: true)
+ * @param {Function} options.onDelta - Callback (delta, textSoFar) : active l'API chat-completions
+ *   en streaming. textSoFar repart de zéro à chaque nouvelle tentative.
+ * @param {string} options.instructions - Consignes ajoutées au prompt système (glossaire...),
+ *   prises en compte dans la clé de cache
+ * @param {Array<string>} options.context - Messages précédents ("Auteur: contenu") fournis au
+ *   LLM pour lever les ambiguïtés. La traduction dépend alors de la conversation :
+ *   le cache n'est ni consulté ni alimenté.
+ * @param {string} options.formality - Registre (FORMALITY_LEVELS), pris en compte dans la clé de cache
+ * @returns {Promise<{translatedText: string, provider: string, cached: boolean}>}
+ */
+export async function requestTranslation(text, targetLang, { sourceLang = null, provider = null, useCache = true, onDelta = null, instructions = null, context = null, formality = null } = {}) {
+  if (!text || !targetLang) {
+    throw new Error('Text and targetLang are required');
+  }
+
+  const resolved = resolveProvider(CAPABILITIES.TRANSLATE, provider);
+  const tone = normalizeFormality(formality);
+  const cacheParams = { text, sourceLang, targetLang, provider: resolved.name, instructions, formality: tone };
+  const hasContext = Array.isArray(context) && context.length > 0;
+  useCache = useCache && !hasContext;
+
+  if (useCache) {
+    const cached = getCachedTranslation(cacheParams);
+    if (cached) {
+      return { translatedText: cached, provider: resolved.name, cached: true };
+    }
+  }
+
+  const systemPrompt = [
+    buildTranslationPrompt(targetLang, sourceLang, tone),
+    instructions,
+    hasContext ? buildContextPrompt(context) : null
+  ].filter(Boolean).join('\n');
+
+  const messages = [{
+    role: 'system',
+    content: systemPrompt
+  }, {
+    role: 'user',
+    content: text
+  }];
+
+  const translatedText = await getCircuitBreaker(resolved.name).execute(() => withRetry(async () => {
+    if (resolved.handlers.translate) {
+      const result = await resolved.handlers.translate({ text, targetLang, sourceLang, systemPrompt });
+      if (onDelta && result) {
+        onDelta(result, result);
+      }
+      return result;
+    }
+    if (onDelta) {
+      return chatCompletionStream(resolved, messages, { onDelta });
+    }
+    return chatCompletion(resolved, messages);
+  }, {
+    retries: TRANSLATION_CONFIG.retries,
+    baseDelayMs: TRANSLATION_CONFIG.retryBaseDelayMs,
+    maxDelayMs: TRANSLATION_CONFIG.retryMaxDelayMs,
+    onRetry: (error, attempt, delay) => {
+      logger.warn('Retrying translation request', { provider: resolved.name, attempt, delay, error: error.message });
     }
+  }));
+
+  logger.api(resolved.label, 'translate', true, { targetLang });
+
+  if (useCache && translatedText) {
+    setCachedTranslation(cacheParams, translatedText);
+  }
+
+  return { translatedText: translatedText || text, provider: resolved.name, cached: false };
+}
+
+/**
+ * Détecte la langue d'un texte via le LLM (repli de la détection locale)
+ * Les providers à handler personnalisé peuvent fournir handlers.detect ;
+ * sans handler ni API compatible OpenAI, la détection est abandonnée.
+ * La réponse est mise en cache comme une traduction (langue cible DETECTION_CACHE_TARGET) :
+ * les messages courts ("ok", "merci"...) reviennent souvent.
+ * @param {string} text - Texte à analyser
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider demandé (optionnel)
+ * @returns {Promise<string|null>} - Code ISO 639-1 ou null
+ */
+export async function detectLanguageWithLLM(text, { provider = null } = {}) {
+  const resolved = resolveProvider(CAPABILITIES.TRANSLATE, provider);
+  const cacheParams = { text, targetLang: DETECTION_CACHE_TARGET, provider: resolved.name };
+
+  const cached = getCachedTranslation(cacheParams);
+  if (cached) {
+    return /^[a-z]{2}$/.test(cached) ? cached : null;
+  }
+
+  let answer;
+  if (resolved.handlers.detect) {
+    answer = await resolved.handlers.detect({ text });
+  } else if (resolved.handlers.translate) {
+    return null;
+  } else {
+    answer = await getCircuitBreaker(resolved.name).execute(() => chatCompletion(resolved, [{
+      role: 'system',
+      content: 'Identify the language of the user message. Reply ONLY with its ISO 639-1 code in lowercase (e.g. "fr", "en", "zh"), or "und" if it cannot be determined.'
+    }, {
+      role: 'user',
+      content: text.slice(0, 500)
+    }], { temperature: 0 }));
+  }
+
+  const code = (answer || '').trim().toLowerCase().slice(0, 3);
+  if (code) {
+    setCachedTranslation(cacheParams, code);
+  }
+  return /^[a-z]{2}$/.test(code) ? code : null;
+}
+
+/**
+ * fetch borné dans le temps
+ * @private
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const timeout = createTimeoutSignal(timeoutMs);
+
+  try {
+    return await fetch(url, { ...options, signal: timeout.signal });
   } catch (error) {
-    logger.error('Translation error', { error: error.message, provider, targetLang });
-    return text; // Fallback au texte original
+    if (timeout.isTimedOut()) {
+      throw new TimeoutError(timeoutMs);
+    }
+    throw error;
+  } finally {
+    timeout.clear();
   }
 }
 
 /**
- * Traduction via OpenAI GPT-4o-mini
+ * Appel chat-completions sur une API compatible OpenAI
  * @private
  */
-async function translateWithOpenAI(text, targetLang) {
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+async function chatCompletion(provider, messages, { temperature = 0.3 } = {}) {
+  const apiKey = getApiKey(provider);
+  const response = await fetchWithTimeout(`${getBaseUrl(provider)}/chat/completions`, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
     },
     body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      temperature: 0.3,
-      messages: [{
-        role: 'system',
-        content: `Tu es un traducteur expert. Traduis le texte suivant en ${targetLang} de manière naturelle et fluide. Réponds UNIQUEMENT avec la traduction, sans explications.`
-      }, {
-        role: 'user',
-        content: text
-      }]
+      model: provider.models.translate,
+      temperature,
+      messages
     })
-  });
+  }, TRANSLATION_CONFIG.timeoutMs);
 
   if (!response.ok) {
     const errorData = await response.text();
-    throw new Error(`OpenAI API error ${response.status}: ${errorData}`);
+    logger.api(provider.label, 'translate', false, { status: response.status });
+    const error = new Error(`${provider.label} API error ${response.status}: ${errorData}`);
+    error.status = response.status;
+    throw error;
   }
 
   const data = await response.json();
-  return data.choices?.[0]?.message?.content?.trim() || text;
+  return data.choices?.[0]?.message?.content?.trim();
+}
+
+/**
+ * Appel chat-completions en streaming (Server-Sent Events)
+ * Le délai TRANSLATION_CONFIG.timeoutMs borne la réponse complète.
+ * @private
+ */
+async function chatCompletionStream(provider, messages, { temperature = 0.3, onDelta }) {
+  const apiKey = getApiKey(provider);
+  const timeout = createTimeoutSignal(TRANSLATION_CONFIG.timeoutMs);
+
+  try {
+    const response = await fetch(`${getBaseUrl(provider)}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({
+        model: provider.models.translate,
+        temperature,
+        stream: true,
+        messages
+      }),
+      signal: timeout.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      logger.api(provider.label, 'translate', false, { status: response.status, stream: true });
+      const error = new Error(`${provider.label} API error ${response.status}: ${errorData}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    // TextDecoder en mode stream : un caractère multi-octets (chinois...) peut
+    // être coupé entre deux chunks
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+    let content = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      // Les événements SSE sont séparés par des lignes ; la dernière peut être incomplète
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+          return content.trim();
+        }
+
+        let event;
+        try {
+          event = JSON.parse(payload);
+        } catch (parseError) {
+          continue; // Événement invalide ignoré
+        }
+
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta(delta, content);
+        }
+      }
+    }
+
+    return content.trim();
+  } catch (error) {
+    if (timeout.isTimedOut()) {
+      throw new TimeoutError(TRANSLATION_CONFIG.timeoutMs);
+    }
+    throw error;
+  } finally {
+    timeout.clear();
+  }
 }
 
 /**
- * Traduction via DeepSeek
+ * Appelle l'endpoint /audio/transcriptions (compatible OpenAI)
  * @private
+ * @returns {Promise<Object>} - Réponse JSON de l'API
  */
-async function translateWithDeepSeek(text, targetLang) {
-  const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
+async function requestTranscription(resolved, audioBuffer, filename, { language, mimeType, verbose = false, diarizationModel = null }) {
+  const formData = new FormData();
+  formData.append('file', audioBuffer, {
+    filename: filename,
+    contentType: mimeType
+  });
+  formData.append('model', diarizationModel || resolved.models.transcribe);
+  if (language) {
+    formData.append('language', language);
+  }
+  if (diarizationModel) {
+    // Segments horodatés avec leur locuteur
+    formData.append('response_format', 'diarized_json');
+    formData.append('chunking_strategy', 'auto');
+  } else if (verbose) {
+    // Segments horodatés (début/fin en secondes)
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'segment');
+  }
+
+  const apiKey = getApiKey(resolved);
+  const response = await fetchWithTimeout(`${getBaseUrl(resolved)}/audio/transcriptions`, {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+      ...formData.getHeaders()
     },
-    body: JSON.stringify({
-      model: 'deepseek-chat',
-      temperature: 0.3,
-      messages: [{
-        role: 'system',
-        content: `Tu es un traducteur expert. Traduis le texte suivant en ${targetLang} de manière naturelle et fluide. Réponds UNIQUEMENT avec la traduction, sans explications.`
-      }, {
-        role: 'user',
-        content: text
-      }]
-    })
-  });
+    body: formData
+  }, 120000);
 
   if (!response.ok) {
     const errorData = await response.text();
-    throw new Error(`DeepSeek API error ${response.status}: ${errorData}`);
+    logger.api(resolved.label, 'transcribe', false, { status: response.status });
+    const error = new Error(`${resolved.label} Whisper error ${response.status}: ${errorData}`);
+    error.status = response.status;
+    throw error;
   }
 
   const data = await response.json();
-  return data.choices?.[0]?.message?.content?.trim() || text;
+  logger.api(resolved.label, 'transcribe', true);
+  return data;
 }
 
 /**
- * Transcrit un fichier audio en texte via Whisper (OpenAI ou DeepSeek)
+ * Transcrit un fichier audio en texte via Whisper
+ * Si le provider demandé ne supporte pas la transcription (ex: DeepSeek),
+ * le registre résout le premier provider disponible qui la supporte.
  * @param {Buffer} audioBuffer - Buffer audio
  * @param {string} filename - Nom du fichier
- * @param {string} provider - Provider à utiliser ('openai' ou 'deepseek')
+ * @param {string} provider - Provider à utiliser ('openai', ...)
+ * @param {Object} options - Options
+ * @param {string} options.language - Langue de l'audio (optionnelle)
+ * @param {string} options.mimeType - Type MIME de l'audio (défaut: audio/webm)
  * @returns {Promise<string>} - Texte transcrit
  */
-export async function transcribeAudio(audioBuffer, filename, provider = 'openai') {
+export async function transcribeAudio(audioBuffer, filename, provider = 'openai', { language = null, mimeType = 'audio/webm' } = {}) {
   try {
     if (!audioBuffer || !filename) {
       throw new Error('AudioBuffer and filename are required');
     }
 
-    if (provider === 'deepseek') {
-      return await transcribeWithDeepSeek(audioBuffer, filename);
-    } else {
-      return await transcribeWithOpenAI(audioBuffer, filename);
+    const resolved = resolveProvider(CAPABILITIES.TRANSCRIBE, provider);
+    if (resolved.handlers.transcribe) {
+      return await resolved.handlers.transcribe({ audioBuffer, filename, language, mimeType });
     }
+
+    const data = await requestTranscription(resolved, audioBuffer, filename, { language, mimeType });
+    return data.text;
   } catch (error) {
     logger.error('Transcription error', { error: error.message, provider, filename });
     throw error;
@@ -127,82 +568,166 @@ export async function transcribeAudio(audioBuffer, filename, provider = 'openai'
 }
 
 /**
- * Transcription via OpenAI Whisper
- * @private
+ * Transcrit un fichier audio en segments horodatés (sous-titres)
+ * Un provider personnalisé fournit handlers.transcribeSegments ; à défaut,
+ * sa transcription simple devient un segment unique sans durée connue.
+ * @param {Buffer} audioBuffer - Buffer audio
+ * @param {string} filename - Nom du fichier
+ * @param {string} provider - Provider à utiliser ('openai', ...)
+ * @param {Object} options - Options (language, mimeType)
+ * @returns {Promise<{text: string, language: string|null, duration: number|null, segments: Array<{start: number, end: number, text: string}>}>}
  */
-async function transcribeWithOpenAI(audioBuffer, filename) {
-  const formData = new FormData();
-  formData.append('file', audioBuffer, {
-    filename: filename,
-    contentType: 'audio/webm'
-  });
-  formData.append('model', 'whisper-1');
+export async function transcribeAudioSegments(audioBuffer, filename, provider = 'openai', { language = null, mimeType = 'audio/webm' } = {}) {
+  try {
+    if (!audioBuffer || !filename) {
+      throw new Error('AudioBuffer and filename are required');
+    }
 
-  const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-      ...formData.getHeaders()
-    },
-    body: formData
-  });
+    const resolved = resolveProvider(CAPABILITIES.TRANSCRIBE, provider);
+    let data;
+    if (resolved.handlers.transcribeSegments) {
+      data = await resolved.handlers.transcribeSegments({ audioBuffer, filename, language, mimeType });
+    } else if (resolved.handlers.transcribe) {
+      const text = await resolved.handlers.transcribe({ audioBuffer, filename, language, mimeType });
+      data = { text, segments: [{ start: 0, end: null, text }] };
+    } else {
+      data = await requestTranscription(resolved, audioBuffer, filename, { language, mimeType, verbose: true });
+    }
 
-  if (!response.ok) {
-    const errorData = await response.text();
-    throw new Error(`OpenAI Whisper error ${response.status}: ${errorData}`);
+    const segments = (data.segments || [])
+      .map(segment => ({ start: segment.start, end: segment.end, text: (segment.text || '').trim() }))
+      .filter(segment => segment.text);
+
+    return {
+      text: data.text ?? segments.map(segment => segment.text).join(' '),
+      language: data.language || language || null,
+      duration: data.duration ?? null,
+      segments
+    };
+  } catch (error) {
+    logger.error('Timestamped transcription error', { error: error.message, provider, filename });
+    throw error;
   }
+}
 
-  const data = await response.json();
-  return data.text;
+/**
+ * Transcrit un fichier audio en tours de parole, si le provider sait distinguer
+ * les locuteurs (handlers.transcribeSpeakers ou modèle de diarisation configuré)
+ * @param {Buffer} audioBuffer - Buffer audio
+ * @param {string} filename - Nom du fichier
+ * @param {string} provider - Provider à utiliser ('openai', ...)
+ * @param {Object} options - Options (language, mimeType)
+ * @returns {Promise<{text: string, language: string|null, duration: number|null, turns: Array<{speaker: string, start: number, end: number, text: string}>}|null>}
+ *   null si le provider ne distingue pas les locuteurs
+ */
+export async function transcribeAudioSpeakers(audioBuffer, filename, provider = 'openai', { language = null, mimeType = 'audio/webm' } = {}) {
+  try {
+    if (!audioBuffer || !filename) {
+      throw new Error('AudioBuffer and filename are required');
+    }
+
+    const resolved = resolveProvider(CAPABILITIES.TRANSCRIBE, provider);
+    const diarizationModel = resolved.diarizationModel?.() || null;
+    let data;
+    if (resolved.handlers.transcribeSpeakers) {
+      data = await resolved.handlers.transcribeSpeakers({ audioBuffer, filename, language, mimeType });
+    } else if (diarizationModel && !resolved.handlers.transcribe) {
+      data = await requestTranscription(resolved, audioBuffer, filename, { language, mimeType, diarizationModel });
+    } else {
+      return null;
+    }
+
+    const turns = (data.segments || [])
+      .map(segment => ({
+        speaker: String(segment.speaker ?? ''),
+        start: segment.start,
+        end: segment.end,
+        text: (segment.text || '').trim()
+      }))
+      .filter(turn => turn.text);
+
+    return {
+      text: data.text ?? turns.map(turn => turn.text).join(' '),
+      language: data.language || language || null,
+      duration: data.duration ?? null,
+      turns
+    };
+  } catch (error) {
+    logger.error('Speaker transcription error', { error: error.message, provider, filename });
+    throw error;
+  }
 }
 
 /**
- * Transcription via DeepSeek (si disponible)
+ * Appelle un serveur Piper (JSON { text, voice, length_scale } → WAV)
  * @private
+ * @returns {Promise<Response>}
  */
-async function transcribeWithDeepSeek(audioBuffer, filename) {
-  // Note: DeepSeek pourrait ne pas avoir d'API Whisper
-  // Fallback sur OpenAI si nécessaire
-  logger.warn('DeepSeek transcription not implemented, falling back to OpenAI');
-  return await transcribeWithOpenAI(audioBuffer, filename);
+function requestPiperSpeech(resolved, text, voice, speed) {
+  return fetchWithTimeout(getBaseUrl(resolved), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      text,
+      voice,
+      // Piper règle la durée des phonèmes : 0.5 = deux fois plus rapide
+      length_scale: 1 / speed
+    })
+  }, 60000);
 }
 
 /**
- * Synthèse vocale (Text-to-Speech) via OpenAI TTS
+ * Synthèse vocale (Text-to-Speech)
  * @param {string} text - Texte à synthétiser
- * @param {string} voice - Voix à utiliser (alloy, echo, fable, onyx, nova, shimmer)
- * @param {string} provider - Provider à utiliser (seul 'openai' supporté pour l'instant)
+ * @param {string} voice - Voix du provider (ex: nova pour OpenAI, fr_FR-siwis-medium pour Piper)
+ * @param {string} provider - Provider à utiliser (résolu via le registre)
+ * @param {Object} options - Options
+ * @param {number} options.speed - Vitesse de lecture (défaut: 1.0)
+ * @param {string} options.format - Format audio (mp3, opus, wav ; parmi speechFormats du provider)
  * @returns {Promise<Buffer>} - Audio buffer
  */
-export async function synthesizeSpeech(text, voice = 'alloy', provider = 'openai') {
+export async function synthesizeSpeech(text, voice = 'alloy', provider = 'openai', { speed = 1.0, format = 'mp3' } = {}) {
   try {
     if (!text) {
       throw new Error('Text is required for speech synthesis');
     }
 
-    if (provider !== 'openai') {
-      logger.warn(`Provider ${provider} not supported for TTS, using OpenAI`);
+    const resolved = resolveProvider(CAPABILITIES.SPEAK, provider);
+    if (resolved.handlers.speak) {
+      return await resolved.handlers.speak({ text, voice, speed, format });
     }
 
-    const response = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'tts-1',
-        voice: voice,
-        input: text
-      })
-    });
+    let response;
+    if (resolved.speechProtocol === 'piper') {
+      response = await requestPiperSpeech(resolved, text, voice, speed);
+    } else {
+      const apiKey = getApiKey(resolved);
+      response = await fetchWithTimeout(`${getBaseUrl(resolved)}/audio/speech`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({
+          model: resolved.models.speak,
+          voice: voice,
+          input: text,
+          speed,
+          response_format: format
+        })
+      }, 60000);
+    }
 
     if (!response.ok) {
       const errorData = await response.text();
-      throw new Error(`OpenAI TTS error ${response.status}: ${errorData}`);
+      logger.api(resolved.label, 'speak', false, { status: response.status });
+      const error = new Error(`${resolved.label} TTS error ${response.status}: ${errorData}`);
+      error.status = response.status;
+      throw error;
     }
 
     const arrayBuffer = await response.arrayBuffer();
+    logger.api(resolved.label, 'speak', true, { voice, format });
     return Buffer.from(arrayBuffer);
   } catch (error) {
     logger.error('Speech synthesis error', { error: error.message, voice });
@@ -235,17 +760,24 @@ export async function detectRecommendedProvider(ip = null) {
  * @returns {boolean}
  */
 export function isProviderAvailable(provider) {
-  if (provider === 'openai') {
-    return !!process.env.OPENAI_API_KEY;
-  } else if (provider === 'deepseek') {
-    return !!process.env.DEEPSEEK_API_KEY;
-  }
-  return false;
+  return isRegisteredProviderAvailable(provider);
 }
 
 export default {
+  LANGUAGE_NAMES,
+  TRANSLATION_CONFIG,
+  TRANSLATION_STATUS,
+  FORMALITY_LEVELS,
+  getLanguageName,
+  isValidFormality,
+  buildTranslationPrompt,
   translateText,
+  translateWithFailover,
+  requestTranslation,
+  detectLanguageWithLLM,
   transcribeAudio,
+  transcribeAudioSegments,
+  transcribeAudioSpeakers,
   synthesizeSpeech,
   detectRecommendedProvider,
   isProviderAvailable
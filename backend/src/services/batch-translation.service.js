@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Service de traduction par lots
+ * @module services/batch-translation
+ *
+ * Traduit un ensemble de segments (paragraphes d'un document, messages à
+ * rattraper...) vers une ou plusieurs langues :
+ * - Les segments déjà en cache ne sont pas renvoyés au LLM
+ * - Les autres sont regroupés en blocs (tableau JSON) pour limiter le nombre d'appels
+ * - Si la réponse d'un bloc est inexploitable, ses segments sont traduits un par un
+ * - Le glossaire d'un groupe peut être appliqué (marqueurs, voir glossary.service)
+ * - Chaque segment a son propre résultat (traduction, statut ou erreur) par langue
+ *
+ * Le quota est décompté au volume : une unité par tranche de
+ * BATCH_CONFIG.charsPerQuotaUnit caractères et par langue cible.
+ */
+
+import { logger } from '../utils/logger.js';
+import { translateWithFailover, TRANSLATION_STATUS, FORMALITY_LEVELS, isValidFormality } from './ai.service.js';
+import { getCachedTranslation, setCachedTranslation } from './translation-cache.service.js';
+import { CAPABILITIES, getFailoverChain } from './providers.service.js';
+import { GLOSSARY_INSTRUCTIONS, protectGlossaryTerms, restoreGlossaryTerms } from './glossary.service.js';
+
+/**
+ * Configuration des lots
+ */
+export const BATCH_CONFIG = {
+  // Limites d'une requête
+  maxSegments: 200,
+  maxSegmentLength: 5000,
+  maxTotalChars: parseInt(process.env.BATCH_TRANSLATION_MAX_CHARS || '50000', 10),
+  maxTargetLangs: 5,
+
+  // Taille d'un bloc envoyé au LLM
+  chunkMaxChars: parseInt(process.env.BATCH_TRANSLATION_CHUNK_CHARS || '3000', 10),
+  chunkMaxSegments: 20,
+
+  // Caractères par unité de quota 'translate' (et par langue cible)
+  charsPerQuotaUnit: parseInt(process.env.BATCH_TRANSLATION_CHARS_PER_UNIT || '500', 10)
+};
+
+/**
+ * Consigne ajoutée au prompt pour la traduction d'un bloc
+ */
+export const BATCH_INSTRUCTIONS = 'Le texte est un tableau JSON de segments indépendants. Traduis chaque segment et réponds UNIQUEMENT avec un tableau JSON de chaînes, de même longueur et dans le même ordre, sans texte autour.';
+
+/**
+ * Valide une requête de traduction par lot
+ * Les erreurs de structure rejettent la requête ; un segment invalide
+ * (vide, trop long) est seulement signalé dans son résultat.
+ * @param {Object} body - { segments, targetLanguage | targetLanguages, sourceLanguage, provider, formality }
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateBatchRequest(body = {}) {
+  const errors = [];
+  const value = {
+    segments: [],
+    targetLangs: [],
+    sourceLang: body.sourceLanguage || null,
+    provider: body.provider || null,
+    formality: body.formality || null
+  };
+
+  if (!Array.isArray(body.segments) || body.segments.length === 0) {
+    errors.push('segments doit être un tableau non vide');
+  } else if (body.segments.length > BATCH_CONFIG.maxSegments) {
+    errors.push(`Maximum ${BATCH_CONFIG.maxSegments} segments par requête`);
+  } else {
+    value.segments = body.segments.map((segment, index) => {
+      const isObject = segment && typeof segment === 'object';
+      const text = isObject ? segment.text : segment;
+      const id = isObject && segment.id !== undefined ? segment.id : index;
+
+      if (typeof text !== 'string' || !text.trim()) {
+        return { id, index, text: null, error: 'Segment vide' };
+      }
+      if (text.length > BATCH_CONFIG.maxSegmentLength) {
+        return { id, index, text: null, error: `Segment trop long (max ${BATCH_CONFIG.maxSegmentLength} caractères)` };
+      }
+      return { id, index, text, error: null };
+    });
+
+    const totalChars = countCharacters(value.segments);
+    if (totalChars > BATCH_CONFIG.maxTotalChars) {
+      errors.push(`Volume trop important (${totalChars} caractères, max ${BATCH_CONFIG.maxTotalChars})`);
+    }
+  }
+
+  const langs = body.targetLanguages || (body.targetLanguage ? [body.targetLanguage] : []);
+  if (!Array.isArray(langs) || langs.length === 0) {
+    errors.push('targetLanguage ou targetLanguages requis');
+  } else if (langs.length > BATCH_CONFIG.maxTargetLangs) {
+    errors.push(`Maximum ${BATCH_CONFIG.maxTargetLangs} langues cibles`);
+  } else if (langs.some(lang => typeof lang !== 'string' || !/^[a-z]{2}$/.test(lang))) {
+    errors.push('Code langue invalide dans targetLanguages');
+  } else {
+    value.targetLangs = [...new Set(langs)];
+  }
+
+  if (value.formality && !isValidFormality(value.formality)) {
+    errors.push('formality invalide');
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Nombre de caractères à traduire (segments valides)
+ * @param {Array<Object>} segments - Segments validés
+ * @returns {number}
+ */
+export function countCharacters(segments) {
+  return segments.reduce((total, segment) => total + (segment.text ? segment.text.length : 0), 0);
+}
+
+/**
+ * Unités de quota consommées par un lot
+ * @param {number} characters - Nombre de caractères
+ * @param {number} targetCount - Nombre de langues cibles
+ * @returns {number}
+ */
+export function getQuotaUnits(characters, targetCount) {
+  return Math.max(1, Math.ceil((characters * targetCount) / BATCH_CONFIG.charsPerQuotaUnit));
+}
+
+/**
+ * Regroupe des segments en blocs bornés (caractères et nombre de segments)
+ * Un segment plus long que chunkMaxChars forme un bloc à lui seul.
+ * @param {Array<Object>} segments - Segments { text }
+ * @param {Object} options - Limites (défaut : BATCH_CONFIG)
+ * @returns {Array<Array<Object>>}
+ */
+export function chunkSegments(segments, { maxChars = BATCH_CONFIG.chunkMaxChars, maxSegments = BATCH_CONFIG.chunkMaxSegments } = {}) {
+  const chunks = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const segment of segments) {
+    const length = segment.text.length;
+    if (current.length > 0 && (currentChars + length > maxChars || current.length >= maxSegments)) {
+      chunks.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(segment);
+    currentChars += length;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Extrait le tableau de traductions de la réponse du LLM
+ * @param {string} response - Réponse brute (éventuellement entourée de ```json)
+ * @param {number} expectedLength - Nombre de segments envoyés
+ * @returns {Array<string>|null} - null si la réponse est inexploitable
+ */
+export function parseChunkResponse(response, expectedLength) {
+  if (!response) return null;
+
+  const cleaned = response.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    const parsed = JSON.parse(cleaned);
+    if (!Array.isArray(parsed) || parsed.length !== expectedLength) return null;
+    if (parsed.some(item => typeof item !== 'string' || !item.trim())) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Consigne du glossaire pour un segment protégé (null sans marqueur)
+ * Identique à celle de translateForLanguages : même clé de cache.
+ * @private
+ */
+function glossaryInstructions(segment) {
+  return segment.replacements.length > 0 ? GLOSSARY_INSTRUCTIONS : null;
+}
+
+/**
+ * Traduit un bloc de segments (protégés par le glossaire) vers une langue
+ * Les traductions renvoyées contiennent encore les marqueurs du glossaire.
+ * @private
+ * @returns {Promise<Array<{translatedText: string|null, status: string, provider: string|null}>>}
+ */
+async function translateChunk(chunk, targetLang, { sourceLang, provider, formality }) {
+  if (chunk.length > 1) {
+    const texts = chunk.map(segment => segment.text);
+    const result = await translateWithFailover(JSON.stringify(texts), targetLang, {
+      sourceLang,
+      provider,
+      formality,
+      instructions: chunk.some(glossaryInstructions)
+        ? `${BATCH_INSTRUCTIONS} ${GLOSSARY_INSTRUCTIONS}`
+        : BATCH_INSTRUCTIONS
+    });
+
+    const parsed = result.status === TRANSLATION_STATUS.FAILED ? null : parseChunkResponse(result.translatedText, chunk.length);
+    if (parsed) {
+      return parsed.map(translatedText => ({ translatedText, status: result.status, provider: result.provider }));
+    }
+
+    logger.warn('Batch chunk response unusable, translating segments one by one', {
+      targetLang,
+      segments: chunk.length,
+      status: result.status
+    });
+  }
+
+  // Segment isolé, ou bloc dont la réponse est inexploitable
+  return Promise.all(chunk.map(async (segment) => {
+    const result = await translateWithFailover(segment.text, targetLang, {
+      sourceLang,
+      provider,
+      formality,
+      instructions: glossaryInstructions(segment)
+    });
+    return result.status === TRANSLATION_STATUS.FAILED
+      ? { translatedText: null, status: result.status, provider: null }
+      : { translatedText: result.translatedText, status: result.status, provider: result.provider };
+  }));
+}
+
+/**
+ * Traduit des segments vers une ou plusieurs langues
+ * @param {Array<Object>} segments - Segments validés (validateBatchRequest)
+ * @param {Array<string>} targetLangs - Langues cibles
+ * @param {Object} options - Options
+ * @param {string} options.sourceLang - Langue source (optionnelle)
+ * @param {string} options.provider - Provider principal (optionnel)
+ * @param {string} options.formality - Registre (optionnel)
+ * @param {Array<Object>} options.glossary - Entrées du glossaire à appliquer (optionnel)
+ * @param {Function} options.onProgress - Callback (lang, { done, total }) après le cache puis après chaque bloc
+ * @returns {Promise<{results: Array<Object>, summary: Object}>}
+ */
+export async function translateBatch(segments, targetLangs, { sourceLang = null, provider = null, formality = null, glossary = [], onProgress = null } = {}) {
+  const results = segments.map(segment => ({
+    id: segment.id,
+    translations: {},
+    translationStatus: {},
+    errors: segment.error ? Object.fromEntries(targetLangs.map(lang => [lang, segment.error])) : {}
+  }));
+  const valid = segments.filter(segment => !segment.error);
+  const cacheProvider = getFailoverChain(CAPABILITIES.TRANSLATE, provider)[0]?.name || provider;
+  // Même clé de cache que requestTranslation : pas de registre pour 'neutral'
+  const cacheFormality = formality === FORMALITY_LEVELS.NEUTRAL ? null : formality;
+  const stats = { chunks: 0, cached: 0, failed: 0 };
+
+  await Promise.all(targetLangs.map(async (lang) => {
+    // Termes du glossaire remplacés par des marqueurs pour cette langue
+    const protectedSegments = valid.map(segment => ({ ...segment, ...protectGlossaryTerms(segment.text, lang, glossary) }));
+
+    // Servir d'abord le cache, segment par segment
+    const pending = [];
+    for (const segment of protectedSegments) {
+      const cached = getCachedTranslation({
+        text: segment.text,
+        sourceLang,
+        targetLang: lang,
+        provider: cacheProvider,
+        instructions: glossaryInstructions(segment),
+        formality: cacheFormality
+      });
+      if (cached) {
+        results[segment.index].translations[lang] = restoreGlossaryTerms(cached, segment.replacements);
+        results[segment.index].translationStatus[lang] = TRANSLATION_STATUS.OK;
+        stats.cached++;
+      } else {
+        pending.push(segment);
+      }
+    }
+
+    let done = valid.length - pending.length;
+    onProgress?.(lang, { done, total: valid.length });
+
+    // Les blocs d'une même langue sont traités l'un après l'autre
+    for (const chunk of chunkSegments(pending)) {
+      stats.chunks++;
+      const translated = await translateChunk(chunk, lang, { sourceLang, provider, formality });
+
+      chunk.forEach((segment, i) => {
+        const { translatedText, status, provider: usedProvider } = translated[i];
+        const result = results[segment.index];
+        result.translationStatus[lang] = status;
+
+        if (!translatedText) {
+          result.errors[lang] = 'Traduction indisponible';
+          stats.failed++;
+          return;
+        }
+
+        result.translations[lang] = restoreGlossaryTerms(translatedText, segment.replacements);
+        setCachedTranslation({
+          text: segment.text,
+          sourceLang,
+          targetLang: lang,
+          provider: usedProvider,
+          instructions: glossaryInstructions(segment),
+          formality: cacheFormality
+        }, translatedText);
+      });
+
+      done += chunk.length;
+      onProgress?.(lang, { done, total: valid.length });
+    }
+  }));
+
+  const summary = {
+    segments: segments.length,
+    targetLangs,
+    characters: countCharacters(segments),
+    chunks: stats.chunks,
+    cached: stats.cached,
+    failed: stats.failed
+  };
+
+  logger.info('Batch translation completed', summary);
+  return { results, summary };
+}
+
+export default {
+  BATCH_CONFIG,
+  BATCH_INSTRUCTIONS,
+  validateBatchRequest,
+  countCharacters,
+  getQuotaUnits,
+  chunkSegments,
+  parseChunkResponse,
+  translateBatch
+};
@@ -0,0 +1,561 @@
+/**
+ * @fileoverview Diffusion de sous-titres en direct (présentations)
+ * @module services/caption-broadcast
+ *
+ * Un présentateur diffuse sa parole ; le public suit les sous-titres dans sa
+ * langue sans compte, dans une salle en lecture seule rejointe par un code court :
+ * - la parole est découpée, transcrite et traduite dans les langues choisies
+ *   par le présentateur (session de speech-stream.service, sans synthèse)
+ * - les sous-titres défilants (provisoires puis définitifs) sont émis par
+ *   langue : chaque spectateur ne reçoit que ceux de la sienne
+ * - chaque phrase est enregistrée : le transcript est exportable (texte, SRT,
+ *   WebVTT, JSON) dans chacune des langues
+ *
+ * Le quota est celui du présentateur. Une déconnexion du présentateur ne
+ * termine pas la diffusion : il peut reprendre la parole avec le même code
+ * pendant presenterTimeoutMs, après quoi la diffusion est terminée.
+ *
+ * Rooms Socket.IO (namespace public CAPTION_NAMESPACE) :
+ *   caption:<code>          tous les spectateurs
+ *   caption:<code>:<langue> spectateurs d'une langue
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { captionBroadcastsDB } from '../database.js';
+import { SPEECH_STREAM_EVENTS, startSpeechStream, getSpeechStream } from './speech-stream.service.js';
+import { SUBTITLE_FORMATS, segmentsToCues, buildSubtitles } from './subtitle.service.js';
+
+/**
+ * Namespace Socket.IO du public (sans authentification)
+ */
+export const CAPTION_NAMESPACE = '/captions';
+
+/**
+ * Configuration des diffusions
+ */
+export const CAPTION_BROADCAST_CONFIG = {
+  // Code court : sans caractères ambigus (0/O, 1/I/L)
+  codeLength: 6,
+  codeAlphabet: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+
+  maxLanguages: 10,
+  maxTitleLength: 120,
+  maxAttendees: 500,
+
+  // Phrases envoyées à un spectateur qui arrive en cours de route
+  recentCaptions: 5,
+
+  // Délai de reprise après une déconnexion du présentateur
+  presenterTimeoutMs: 5 * 60 * 1000
+};
+
+/**
+ * Statuts d'une diffusion
+ */
+export const CAPTION_BROADCAST_STATUS = {
+  LIVE: 'live',
+  ENDED: 'ended'
+};
+
+/**
+ * Formats d'export du transcript
+ */
+export const TRANSCRIPT_FORMATS = {
+  TXT: 'txt',
+  SRT: SUBTITLE_FORMATS.SRT,
+  VTT: SUBTITLE_FORMATS.VTT,
+  JSON: 'json'
+};
+
+/**
+ * Événements émis
+ */
+export const CAPTION_EVENTS = {
+  // Public (par langue)
+  PARTIAL: 'caption_partial',
+  FINAL: 'caption_final',
+  ENDED: 'caption_ended',
+  // Présentateur
+  SEGMENT: 'caption_broadcast_segment',
+  AUDIENCE: 'caption_broadcast_audience',
+  ERROR: 'caption_broadcast_error',
+  STREAM_STOPPED: 'caption_broadcast_stream_stopped'
+};
+
+/**
+ * Erreur d'une diffusion (code transmis au client)
+ */
+export class CaptionBroadcastError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'CaptionBroadcastError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Diffusions en cours : code -> état en mémoire (présentateur, flux, spectateurs)
+const live = new Map();
+
+/**
+ * Room du public d'une diffusion, ou des spectateurs d'une langue
+ * @param {string} code - Code de la diffusion
+ * @param {string} [lang] - Code langue
+ * @returns {string}
+ */
+export function captionRoom(code, lang = null) {
+  return lang ? `caption:${code}:${lang}` : `caption:${code}`;
+}
+
+/**
+ * Normalise un code saisi (casse, espaces, tirets)
+ * @param {string} code - Code saisi
+ * @returns {string}
+ */
+export function normalizeCaptionCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[\s-]/g, '') : '';
+}
+
+/**
+ * Génère un code court inutilisé
+ * @private
+ */
+function generateCode() {
+  const { codeLength, codeAlphabet } = CAPTION_BROADCAST_CONFIG;
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(codeLength), byte => codeAlphabet[byte % codeAlphabet.length]).join('');
+  } while (captionBroadcastsDB.getByCode(code));
+  return code;
+}
+
+/**
+ * Représentation publique d'une diffusion
+ * @private
+ */
+function describeBroadcast(row) {
+  const state = live.get(row.code);
+  return {
+    code: row.code,
+    title: row.title,
+    language: row.language,
+    languages: [row.language, ...JSON.parse(row.languages)],
+    status: row.status,
+    createdAt: row.created_at,
+    endedAt: row.ended_at,
+    speaking: !!state?.streamId,
+    attendees: state?.attendees.size || 0
+  };
+}
+
+/**
+ * Diffusion d'après son code
+ * @param {string} code - Code (normalisé ou non)
+ * @returns {Object|null} - { code, title, language, languages, status, ... }
+ */
+export function getCaptionBroadcast(code) {
+  const row = captionBroadcastsDB.getByCode(normalizeCaptionCode(code));
+  return row ? describeBroadcast(row) : null;
+}
+
+/**
+ * Ouvre la session de parole du présentateur
+ * @private
+ */
+function openPresenterStream(state, { provider }) {
+  const { row } = state;
+  // Les horodatages d'une session partent de zéro : décalage depuis le début de la diffusion
+  const offset = Date.now() - row.created_at;
+
+  const stream = startSpeechStream({
+    userEmail: row.presenter_email,
+    socketId: state.presenterSocketId,
+    languages: [row.language],
+    partials: true,
+    provider,
+    targetLanguages: () => JSON.parse(row.languages),
+    ttsLanguages: () => [],
+    meta: { code: row.code },
+    emit: (event, payload) => handleStreamEvent(state, event, payload, offset)
+  });
+
+  state.streamId = stream.id;
+  return stream;
+}
+
+/**
+ * Répartit les résultats d'une session entre le public et le présentateur
+ * @private
+ */
+function handleStreamEvent(state, event, payload, offset) {
+  const { row } = state;
+  const { code } = row;
+
+  switch (event) {
+    case SPEECH_STREAM_EVENTS.PARTIAL:
+      state.broadcast(CAPTION_EVENTS.PARTIAL, { code, segmentId: payload.segmentId, lang: row.language, text: payload.text }, row.language);
+      break;
+
+    case SPEECH_STREAM_EVENTS.TRANSLATION:
+      state.broadcast(CAPTION_EVENTS.PARTIAL, { code, segmentId: payload.segmentId, lang: payload.lang, text: payload.text }, payload.lang);
+      break;
+
+    case SPEECH_STREAM_EVENTS.FINAL: {
+      const segment = {
+        index: ++state.segmentIndex,
+        start: offset + payload.start,
+        end: offset + payload.end,
+        text: payload.text,
+        translations: payload.translations
+      };
+      captionBroadcastsDB.addSegment(row.id, segment);
+
+      for (const lang of [row.language, ...JSON.parse(row.languages)]) {
+        const text = lang === row.language ? segment.text : segment.translations[lang];
+        if (!text) continue;
+        state.broadcast(CAPTION_EVENTS.FINAL, { code, segmentId: payload.segmentId, index: segment.index, lang, text, start: segment.start, end: segment.end }, lang);
+      }
+      state.notify(CAPTION_EVENTS.SEGMENT, { code, ...segment });
+      break;
+    }
+
+    case SPEECH_STREAM_EVENTS.ERROR:
+      state.notify(CAPTION_EVENTS.ERROR, payload);
+      break;
+
+    case SPEECH_STREAM_EVENTS.STOPPED:
+      if (state.streamId === payload.streamId) {
+        state.streamId = null;
+        state.notify(CAPTION_EVENTS.STREAM_STOPPED, payload);
+      }
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Valide les paramètres d'une nouvelle diffusion
+ * @private
+ */
+function validateBroadcastParams({ title, language, languages }) {
+  const pattern = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+  if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > CAPTION_BROADCAST_CONFIG.maxTitleLength)) {
+    throw new CaptionBroadcastError(`Titre invalide (${CAPTION_BROADCAST_CONFIG.maxTitleLength} caractères maximum)`, 'invalid');
+  }
+  if (typeof language !== 'string' || !pattern.test(language)) {
+    throw new CaptionBroadcastError('Langue du présentateur invalide', 'invalid');
+  }
+  if (!Array.isArray(languages) || languages.length > CAPTION_BROADCAST_CONFIG.maxLanguages ||
+      !languages.every(lang => typeof lang === 'string' && pattern.test(lang))) {
+    throw new CaptionBroadcastError(`Langues de sous-titres invalides (${CAPTION_BROADCAST_CONFIG.maxLanguages} maximum)`, 'invalid');
+  }
+}
+
+/**
+ * Démarre une diffusion, ou reprend la parole sur une diffusion en cours
+ * L'appelant a vérifié la permission de transcription du présentateur.
+ * @param {Object} params - Paramètres
+ * @param {string} params.presenterEmail - Présentateur (quota)
+ * @param {string} params.socketId - Socket du présentateur
+ * @param {string} [params.code] - Diffusion à reprendre (sinon nouvelle diffusion)
+ * @param {string} [params.title] - Titre affiché au public
+ * @param {string} params.language - Langue parlée
+ * @param {Array<string>} params.languages - Langues des sous-titres traduits
+ * @param {string} params.provider - Provider IA
+ * @param {Function} params.broadcast - (event, payload, lang) vers les spectateurs d'une langue, ou tous si lang null
+ * @param {Function} params.notify - (event, payload) vers le présentateur
+ * @returns {{broadcast: Object, stream: Object}}
+ * @throws {CaptionBroadcastError|SpeechStreamError}
+ */
+export function startCaptionBroadcast({ presenterEmail, socketId, code = null, title = null, language, languages = [], provider = 'openai', broadcast, notify }) {
+  let state;
+
+  if (code) {
+    state = live.get(normalizeCaptionCode(code));
+    if (!state || state.row.presenter_email !== presenterEmail) {
+      throw new CaptionBroadcastError('Diffusion introuvable ou terminée', 'not_found', 404);
+    }
+    clearTimeout(state.presenterTimer);
+    state.presenterTimer = null;
+    state.presenterSocketId = socketId;
+    state.notify = notify;
+
+    const current = state.streamId ? getSpeechStream(state.streamId, presenterEmail) : null;
+    if (current) {
+      return { broadcast: describeBroadcast(state.row), stream: current };
+    }
+  } else {
+    validateBroadcastParams({ title, language, languages });
+    const targets = [...new Set(languages)].filter(lang => lang !== language);
+
+    const id = crypto.randomUUID();
+    captionBroadcastsDB.create({
+      id,
+      code: generateCode(),
+      title: title?.trim() || null,
+      presenterEmail,
+      language,
+      languages: targets,
+      status: CAPTION_BROADCAST_STATUS.LIVE
+    });
+
+    state = {
+      row: captionBroadcastsDB.get(id),
+      presenterSocketId: socketId,
+      presenterTimer: null,
+      streamId: null,
+      segmentIndex: 0,
+      attendees: new Map(),
+      broadcast,
+      notify
+    };
+  }
+
+  let stream;
+  try {
+    stream = openPresenterStream(state, { provider });
+  } catch (error) {
+    // Une nouvelle diffusion sans flux est terminée aussitôt
+    if (!code) captionBroadcastsDB.end(state.row.id);
+    throw error;
+  }
+
+  live.set(state.row.code, state);
+  logger.info(code ? 'Caption broadcast resumed' : 'Caption broadcast started', {
+    code: state.row.code,
+    presenterEmail,
+    language: state.row.language,
+    languages: JSON.parse(state.row.languages)
+  });
+  return { broadcast: describeBroadcast(state.row), stream };
+}
+
+/**
+ * Termine une diffusion : la phrase en cours est traitée, puis le public est prévenu
+ * @param {string} code - Code de la diffusion
+ * @param {string} presenterEmail - Présentateur attendu
+ * @returns {Promise<{code: string, segments: number}>}
+ * @throws {CaptionBroadcastError} - not_found
+ */
+export async function endCaptionBroadcast(code, presenterEmail) {
+  const state = live.get(normalizeCaptionCode(code));
+  if (!state || state.row.presenter_email !== presenterEmail) {
+    throw new CaptionBroadcastError('Diffusion introuvable ou terminée', 'not_found', 404);
+  }
+  return finishBroadcast(state);
+}
+
+/**
+ * @private
+ */
+async function finishBroadcast(state) {
+  const { row } = state;
+  live.delete(row.code);
+  clearTimeout(state.presenterTimer);
+
+  const stream = state.streamId ? getSpeechStream(state.streamId, row.presenter_email) : null;
+  if (stream) await stream.stop();
+
+  captionBroadcastsDB.end(row.id);
+  state.broadcast(CAPTION_EVENTS.ENDED, { code: row.code, segments: state.segmentIndex }, null);
+
+  logger.info('Caption broadcast ended', { code: row.code, segments: state.segmentIndex, attendees: state.attendees.size });
+  return { code: row.code, segments: state.segmentIndex };
+}
+
+/**
+ * Présentateur déconnecté : la diffusion attend sa reprise
+ * (la session de parole est fermée avec le socket par speech-stream)
+ * @param {string} socketId - Socket déconnecté
+ * @returns {Array<string>} - Codes des diffusions en attente
+ */
+export function handlePresenterDisconnect(socketId) {
+  const waiting = [];
+  for (const state of live.values()) {
+    if (state.presenterSocketId !== socketId) continue;
+
+    state.presenterSocketId = null;
+    state.notify = () => {};
+    state.presenterTimer = setTimeout(() => {
+      finishBroadcast(state).catch(error => {
+        logger.error('Error ending abandoned caption broadcast', { code: state.row.code, error: error.message });
+      });
+    }, CAPTION_BROADCAST_CONFIG.presenterTimeoutMs);
+    state.presenterTimer.unref();
+    waiting.push(state.row.code);
+  }
+  return waiting;
+}
+
+/**
+ * Inscrit un spectateur (l'appelant gère les rooms Socket.IO)
+ * @param {string} code - Code saisi
+ * @param {string} socketId - Socket du spectateur
+ * @param {string} [language] - Langue des sous-titres (défaut : langue du présentateur)
+ * @returns {{broadcast: Object, language: string, captions: Array<Object>}}
+ * @throws {CaptionBroadcastError} - not_found, ended, unsupported_language, full
+ */
+export function joinCaptionBroadcast(code, socketId, language = null) {
+  const row = captionBroadcastsDB.getByCode(normalizeCaptionCode(code));
+  if (!row) {
+    throw new CaptionBroadcastError('Code de diffusion inconnu', 'not_found', 404);
+  }
+
+  const state = live.get(row.code);
+  if (!state) {
+    throw new CaptionBroadcastError('Cette diffusion est terminée', 'ended', 410);
+  }
+
+  const broadcast = describeBroadcast(row);
+  const lang = language || row.language;
+  if (!broadcast.languages.includes(lang)) {
+    throw new CaptionBroadcastError(`Langue non diffusée (disponibles : ${broadcast.languages.join(', ')})`, 'unsupported_language');
+  }
+  if (!state.attendees.has(socketId) && state.attendees.size >= CAPTION_BROADCAST_CONFIG.maxAttendees) {
+    throw new CaptionBroadcastError('Nombre maximum de spectateurs atteint', 'full', 429);
+  }
+
+  state.attendees.set(socketId, lang);
+  state.notify(CAPTION_EVENTS.AUDIENCE, { code: row.code, count: state.attendees.size });
+
+  const captions = captionBroadcastsDB.getSegments(row.id)
+    .slice(-CAPTION_BROADCAST_CONFIG.recentCaptions)
+    .map(segment => toTranscriptEntry(segment, lang, row.language))
+    .filter(entry => entry.text);
+
+  return { broadcast: { ...broadcast, attendees: state.attendees.size }, language: lang, captions };
+}
+
+/**
+ * Retire un spectateur de toutes les diffusions
+ * @param {string} socketId - Socket du spectateur
+ * @returns {Array<{code: string, language: string}>} - Inscriptions retirées
+ */
+export function leaveCaptionBroadcasts(socketId) {
+  const left = [];
+  for (const state of live.values()) {
+    const language = state.attendees.get(socketId);
+    if (!language) continue;
+
+    state.attendees.delete(socketId);
+    state.notify(CAPTION_EVENTS.AUDIENCE, { code: state.row.code, count: state.attendees.size });
+    left.push({ code: state.row.code, language });
+  }
+  return left;
+}
+
+// ===================================
+// TRANSCRIPT
+// ===================================
+
+/**
+ * Phrase du transcript dans une langue
+ * @private
+ */
+function toTranscriptEntry(segment, lang, sourceLang) {
+  const text = lang === sourceLang ? segment.text : JSON.parse(segment.translations)[lang] || null;
+  return { index: segment.segment_index, start: segment.start_ms, end: segment.end_ms, text };
+}
+
+/**
+ * Horodatage lisible (H:MM:SS ou MM:SS)
+ * @private
+ */
+function formatClock(ms) {
+  const total = Math.floor(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Exporte le transcript d'une diffusion dans une langue
+ * Une phrase dont la traduction a échoué reste dans la langue d'origine.
+ * @param {string} code - Code de la diffusion
+ * @param {Object} options - { language (défaut : langue du présentateur), format }
+ * @returns {{filename: string, mimeType: string, content: string}}
+ * @throws {CaptionBroadcastError} - not_found, unsupported_language, invalid
+ */
+export function exportCaptionTranscript(code, { language = null, format = TRANSCRIPT_FORMATS.TXT } = {}) {
+  const row = captionBroadcastsDB.getByCode(normalizeCaptionCode(code));
+  if (!row) {
+    throw new CaptionBroadcastError('Code de diffusion inconnu', 'not_found', 404);
+  }
+
+  const broadcast = describeBroadcast(row);
+  const lang = language || row.language;
+  if (!broadcast.languages.includes(lang)) {
+    throw new CaptionBroadcastError(`Langue non diffusée (disponibles : ${broadcast.languages.join(', ')})`, 'unsupported_language');
+  }
+  if (!Object.values(TRANSCRIPT_FORMATS).includes(format)) {
+    throw new CaptionBroadcastError(`Format invalide (${Object.values(TRANSCRIPT_FORMATS).join(', ')})`, 'invalid');
+  }
+
+  const entries = captionBroadcastsDB.getSegments(row.id).map(segment => {
+    const entry = toTranscriptEntry(segment, lang, row.language);
+    return entry.text ? entry : { ...entry, text: segment.text, untranslated: true };
+  });
+  const filename = `transcript-${row.code}-${lang}.${format}`;
+
+  if (format === TRANSCRIPT_FORMATS.JSON) {
+    return {
+      filename,
+      mimeType: 'application/json',
+      content: JSON.stringify({ ...broadcast, transcriptLanguage: lang, segments: entries }, null, 2)
+    };
+  }
+
+  if (format === TRANSCRIPT_FORMATS.SRT || format === TRANSCRIPT_FORMATS.VTT) {
+    const cues = segmentsToCues(entries.map(entry => ({ start: entry.start / 1000, end: entry.end / 1000, text: entry.text })));
+    return {
+      filename,
+      mimeType: format === TRANSCRIPT_FORMATS.VTT ? 'text/vtt' : 'application/x-subrip',
+      content: buildSubtitles(cues, format)
+    };
+  }
+
+  const header = [row.title, new Date(row.created_at).toISOString()].filter(Boolean).join(' — ');
+  const lines = entries.map(entry => `[${formatClock(entry.start)}] ${entry.text}`);
+  return {
+    filename,
+    mimeType: 'text/plain',
+    content: `${header}\n\n${lines.join('\n')}\n`
+  };
+}
+
+/**
+ * Termine les diffusions restées ouvertes (redémarrage du serveur)
+ * @returns {number} - Nombre de diffusions terminées
+ */
+export function endInterruptedCaptionBroadcasts() {
+  const interrupted = captionBroadcastsDB.getByStatus(CAPTION_BROADCAST_STATUS.LIVE)
+    .filter(row => !live.has(row.code));
+  for (const row of interrupted) {
+    captionBroadcastsDB.end(row.id);
+  }
+  return interrupted.length;
+}
+
+export default {
+  CAPTION_NAMESPACE,
+  CAPTION_BROADCAST_CONFIG,
+  CAPTION_BROADCAST_STATUS,
+  TRANSCRIPT_FORMATS,
+  CAPTION_EVENTS,
+  CaptionBroadcastError,
+  captionRoom,
+  normalizeCaptionCode,
+  getCaptionBroadcast,
+  startCaptionBroadcast,
+  endCaptionBroadcast,
+  handlePresenterDisconnect,
+  joinCaptionBroadcast,
+  leaveCaptionBroadcasts,
+  exportCaptionTranscript,
+  endInterruptedCaptionBroadcasts
+};
@@ -4,8 +4,13 @@
  *
  * Ce service gère :
  * - ID de conversation DM
- * - Traduction des messages
- * - Sauvegarde des messages
+ * - Traduction des messages (avec statut de traduction par langue)
+ * - Détection de la langue source (pas de traduction vers la langue d'origine)
+ * - Application du glossaire du groupe (termes imposés / à ne pas traduire)
+ * - Contexte conversationnel (messages précédents fournis au LLM)
+ * - Registre des traductions (formel / familier) : groupe, sinon expéditeur
+ * - Traduction différée en streaming (message diffusé avant ses traductions)
+ * - Sauvegarde des messages (réponses citées, fils de discussion)
  * - Gestion du cache
  */
 
@@ -15,13 +20,29 @@ import {
   addGroupMessage,
   addDirectMessage,
   getConversationMessages,
-  getGroupMessages
+  getGroupMessages,
+  getReplyPreview
 } from '../db-helpers.js';
 import {
   clearMessagesCache,
   clearDMsCache
 } from '../db-proxy.js';
-import { translateText } from './ai.service.js';
+import { messagesDB, directMessagesDB, usersDB, transaction } from '../database.js';
+import { translateWithFailover, TRANSLATION_STATUS } from './ai.service.js';
+import { detectLanguage, getTargetLanguages, needsLLMDetection } from './language-detection.service.js';
+import {
+  GLOSSARY_INSTRUCTIONS,
+  getGroupGlossary,
+  protectGlossaryTerms,
+  restoreGlossaryTerms,
+  countMissingMarkers
+} from './glossary.service.js';
+import {
+  CONTEXT_CONFIG,
+  getGroupContext,
+  getConversationContext
+} from './translation-context.service.js';
+import { getGroupSettings } from './group-settings.service.js';
 
 /**
  * Génère un ID de conversation entre 2 utilisateurs (toujours dans le même ordre)
@@ -42,6 +63,147 @@ export function generateMessageId(prefix = 'msg') {
   return `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
 }
 
+/**
+ * Traduit un texte vers plusieurs langues en parallèle (avec failover)
+ * Les langues en échec ne figurent pas dans translations : le client affiche
+ * alors le contenu original, et translationStatus[lang] vaut 'failed'.
+ * @param {string} text - Texte à traduire
+ * @param {Array<string>} languages - Langues cibles
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider IA principal
+ * @param {Object} options.logContext - Contexte ajouté aux logs (groupId, conversationId...)
+ * @param {Function} options.onDelta - Callback (lang, textSoFar) pendant le streaming d'une langue
+ * @param {Function} options.onTranslation - Callback (lang, result) dès qu'une langue est terminée
+ * @param {Array<Object>} options.glossary - Entrées du glossaire à appliquer (optionnel)
+ * @param {Array<string>} options.context - Messages précédents de la conversation (optionnel)
+ * @param {string} options.formality - Registre des traductions (optionnel)
+ * @param {boolean} options.useCache - Consulter/alimenter le cache (défaut: true)
+ * @returns {Promise<{translations: Object, translationStatus: Object}>}
+ */
+export async function translateForLanguages(text, languages, {
+  provider = 'openai',
+  logContext = {},
+  onDelta = null,
+  onTranslation = null,
+  glossary = [],
+  context = null,
+  formality = null,
+  useCache = true
+} = {}) {
+  const translations = {};
+  const translationStatus = {};
+
+  const results = await Promise.all(languages.map(async (lang) => {
+    // Protéger les termes du glossaire par des marqueurs
+    const { text: protectedText, replacements } = protectGlossaryTerms(text, lang, glossary);
+
+    let result;
+    try {
+      result = await translateWithFailover(protectedText, lang, {
+        provider,
+        instructions: replacements.length > 0 ? GLOSSARY_INSTRUCTIONS : null,
+        context,
+        formality,
+        useCache,
+        onDelta: onDelta
+          ? (delta, textSoFar) => onDelta(lang, restoreGlossaryTerms(textSoFar, replacements))
+          : null
+      });
+
+      if (replacements.length > 0 && result.status !== TRANSLATION_STATUS.FAILED) {
+        const missing = countMissingMarkers(result.translatedText, replacements);
+        if (missing > 0) {
+          logger.warn('Glossary markers dropped by translation', { targetLang: lang, missing, ...logContext });
+        }
+        result.translatedText = restoreGlossaryTerms(result.translatedText, replacements);
+      }
+    } catch (error) {
+      logger.error('Translation error for language', {
+        error: error.message,
+        targetLang: lang,
+        ...logContext
+      });
+      result = { translatedText: null, provider: null, cached: false, status: TRANSLATION_STATUS.FAILED };
+    }
+
+    if (onTranslation) {
+      onTranslation(lang, result);
+    }
+    return { lang, ...result };
+  }));
+
+  for (const { lang, translatedText, status } of results) {
+    translationStatus[lang] = status;
+    if (status !== TRANSLATION_STATUS.FAILED && translatedText) {
+      translations[lang] = translatedText;
+    }
+  }
+
+  return { translations, translationStatus };
+}
+
+/**
+ * Indique si au moins une traduction est dégradée (fallback, cache ou échec)
+ * @param {Object} translationStatus - Statut par langue
+ * @returns {boolean}
+ */
+export function isTranslationDegraded(translationStatus = {}) {
+  return Object.values(translationStatus).some(status =>
+    status !== TRANSLATION_STATUS.OK &&
+    status !== TRANSLATION_STATUS.PENDING &&
+    status !== TRANSLATION_STATUS.CORRECTED
+  );
+}
+
+/**
+ * Registre des traductions d'un message
+ * Le registre imposé par le groupe l'emporte sur celui du profil de l'expéditeur.
+ * @param {Object} params - Paramètres
+ * @param {string} params.groupId - ID du groupe (optionnel, absent pour un DM)
+ * @param {string} params.sender - Email de l'expéditeur (optionnel)
+ * @returns {string|null} - Registre (FORMALITY_LEVELS) ou null
+ */
+export function resolveFormality({ groupId = null, sender = null } = {}) {
+  const groupFormality = groupId ? getGroupSettings(groupId).formality : null;
+  if (groupFormality) {
+    return groupFormality;
+  }
+  return sender ? usersDB.getByEmail(sender)?.translation_formality || null : null;
+}
+
+/**
+ * Contexte de traduction d'un message de groupe, si activé pour le groupe
+ * @param {string} groupId - ID du groupe
+ * @param {string} messageId - ID du message traduit
+ * @param {number} timestamp - Timestamp du message traduit
+ * @returns {Array<string>|null}
+ */
+export function resolveGroupContext(groupId, messageId, timestamp) {
+  const settings = getGroupSettings(groupId);
+  if (!settings.contextTranslation) {
+    return null;
+  }
+  return getGroupContext(groupId, {
+    excludeMessageId: messageId,
+    before: timestamp,
+    maxMessages: settings.contextMessages
+  });
+}
+
+/**
+ * Contexte de traduction d'un message privé, si activé pour les DMs
+ * @param {string} conversationId - ID de la conversation
+ * @param {string} messageId - ID du message traduit
+ * @param {number} timestamp - Timestamp du message traduit
+ * @returns {Array<string>|null}
+ */
+export function resolveConversationContext(conversationId, messageId, timestamp) {
+  if (!CONTEXT_CONFIG.enabledForDMs) {
+    return null;
+  }
+  return getConversationContext(conversationId, { excludeMessageId: messageId, before: timestamp });
+}
+
 /**
  * Crée un message de groupe avec traduction
  * @param {Object} params - Paramètres
@@ -53,6 +215,13 @@ export function generateMessageId(prefix = 'msg') {
  * @param {Array<string>} params.targetLangs - Langues cibles pour traduction (optionnel)
  * @param {string} params.provider - Provider IA (optionnel)
  * @param {Object} params.fileInfo - Informations fichier (optionnel)
+ * @param {boolean} params.deferTranslation - Sauvegarder sans traduire (statut 'pending'),
+ *   les traductions étant produites ensuite par translateGroupMessage
+ * @param {string} params.sourceLangHint - Langue probable (langue préférée de l'expéditeur),
+ *   utilisée si la détection échoue, ou si le texte est court ou ambigu en traduction différée
+ * @param {Array<Object>} params.mentions - Mentions résolues (mention.service)
+ * @param {string} params.replyToId - Message cité en réponse (optionnel)
+ * @param {string} params.threadId - Message racine si réponse dans un fil (optionnel)
  * @returns {Promise<Object>} - Message créé
  */
 export async function createGroupMessage({
@@ -64,7 +233,12 @@ export async function createGroupMessage({
   targetLangs = null,
   provider = 'openai',
   fileInfo = null,
-  fromDisplayName = null
+  fromDisplayName = null,
+  deferTranslation = false,
+  sourceLangHint = null,
+  mentions = [],
+  replyToId = null,
+  threadId = null
 }) {
   try {
     // Préparer le message avec les champs corrects pour la DB
@@ -76,46 +250,37 @@ export async function createGroupMessage({
       originalLang: 'auto',
       timestamp,
       translations: {},
-      fileInfo: fileInfo || undefined
+      translationStatus: {},
+      fileInfo: fileInfo || undefined,
+      mentions,
+      replyToId,
+      replyTo: getReplyPreview(replyToId, 'group'),
+      threadId
     };
 
-    // Supporter l'ancien paramètre targetLang pour la compatibilité
-    const languagesToTranslate = targetLangs || (targetLang ? [targetLang] : []);
-
-    // Traduire vers toutes les langues demandées en parallèle
-    if (languagesToTranslate.length > 0) {
-      try {
-        const translationPromises = languagesToTranslate.map(async (lang) => {
-          try {
-            const translated = await translateText(message, lang, provider);
-            return { lang, translated };
-          } catch (error) {
-            logger.error('Translation error for language', {
-              error: error.message,
-              groupId,
-              targetLang: lang
-            });
-            return { lang, translated: null };
-          }
-        });
-
-        const results = await Promise.all(translationPromises);
-
-        // Ajouter les traductions réussies
-        for (const { lang, translated } of results) {
-          if (translated) {
-            messageData.translations[lang] = translated;
-          }
-        }
-      } catch (error) {
-        logger.error('Translation error in group message', {
-          error: error.message,
-          stack: error.stack,
-          groupId,
-          targetLangs: languagesToTranslate
-        });
-        // Continuer sans traduction
+    // Détecter la langue source (en différé, sans attendre le LLM : voir confirmDeferredLanguage)
+    const detection = await detectLanguage(message, { provider, hint: sourceLangHint, useLLM: !deferTranslation });
+    messageData.originalLang = detection.lang;
+
+    // Supporter l'ancien paramètre targetLang pour la compatibilité,
+    // sans traduire vers la langue d'origine du message
+    const languagesToTranslate = getTargetLanguages(targetLangs || (targetLang ? [targetLang] : []), detection.lang);
+
+    if (deferTranslation) {
+      for (const lang of languagesToTranslate) {
+        messageData.translationStatus[lang] = TRANSLATION_STATUS.PENDING;
       }
+    } else if (languagesToTranslate.length > 0) {
+      // Traduire vers toutes les langues demandées en parallèle
+      const { translations, translationStatus } = await translateForLanguages(message, languagesToTranslate, {
+        provider,
+        logContext: { groupId },
+        glossary: getGroupGlossary(groupId),
+        context: resolveGroupContext(groupId, messageData.id, timestamp),
+        formality: resolveFormality({ groupId, sender })
+      });
+      messageData.translations = translations;
+      messageData.translationStatus = translationStatus;
     }
 
     // Sauvegarder dans la DB
@@ -128,7 +293,10 @@ export async function createGroupMessage({
       groupId,
       sender,
       messageId: messageData.id,
+      originalLang: messageData.originalLang,
+      detectionMethod: detection.method,
       translationsCount: Object.keys(messageData.translations).length,
+      translationDegraded: isTranslationDegraded(messageData.translationStatus),
       hasFile: !!fileInfo
     });
 
@@ -155,6 +323,11 @@ export async function createGroupMessage({
  * @param {Array<string>} params.targetLangs - Langues cibles pour traduction (optionnel)
  * @param {string} params.provider - Provider IA (optionnel)
  * @param {Object} params.fileInfo - Informations fichier (optionnel)
+ * @param {boolean} params.deferTranslation - Sauvegarder sans traduire (statut 'pending'),
+ *   les traductions étant produites ensuite par translateDirectMessage
+ * @param {string} params.sourceLangHint - Langue probable (langue préférée de l'expéditeur),
+ *   utilisée si la détection échoue, ou si le texte est court ou ambigu en traduction différée
+ * @param {string} params.replyToId - Message cité en réponse (optionnel)
  * @returns {Promise<Object>} - Message créé avec conversationId
  */
 export async function createDirectMessage({
@@ -166,7 +339,10 @@ export async function createDirectMessage({
   targetLangs = null,
   provider = 'openai',
   fileInfo = null,
-  fromDisplayName = null
+  fromDisplayName = null,
+  deferTranslation = false,
+  sourceLangHint = null,
+  replyToId = null
 }) {
   try {
     const conversationId = getConversationId(from, to);
@@ -181,46 +357,34 @@ export async function createDirectMessage({
       originalLang: 'auto',
       timestamp,
       translations: {},
-      fileInfo: fileInfo || undefined
+      translationStatus: {},
+      fileInfo: fileInfo || undefined,
+      replyToId,
+      replyTo: getReplyPreview(replyToId, 'dm')
     };
 
-    // Supporter l'ancien paramètre targetLang pour la compatibilité
-    const languagesToTranslate = targetLangs || (targetLang ? [targetLang] : []);
-
-    // Traduire vers toutes les langues demandées en parallèle
-    if (languagesToTranslate.length > 0) {
-      try {
-        const translationPromises = languagesToTranslate.map(async (lang) => {
-          try {
-            const translated = await translateText(message, lang, provider);
-            return { lang, translated };
-          } catch (error) {
-            logger.error('Translation error for language in DM', {
-              error: error.message,
-              conversationId,
-              targetLang: lang
-            });
-            return { lang, translated: null };
-          }
-        });
-
-        const results = await Promise.all(translationPromises);
-
-        // Ajouter les traductions réussies
-        for (const { lang, translated } of results) {
-          if (translated) {
-            messageData.translations[lang] = translated;
-          }
-        }
-      } catch (error) {
-        logger.error('Translation error in DM', {
-          error: error.message,
-          stack: error.stack,
-          conversationId,
-          targetLangs: languagesToTranslate
-        });
-        // Continuer sans traduction
+    // Détecter la langue source (en différé, sans attendre le LLM : voir confirmDeferredLanguage)
+    const detection = await detectLanguage(message, { provider, hint: sourceLangHint, useLLM: !deferTranslation });
+    messageData.originalLang = detection.lang;
+
+    // Supporter l'ancien paramètre targetLang pour la compatibilité,
+    // sans traduire vers la langue d'origine du message
+    const languagesToTranslate = getTargetLanguages(targetLangs || (targetLang ? [targetLang] : []), detection.lang);
+
+    if (deferTranslation) {
+      for (const lang of languagesToTranslate) {
+        messageData.translationStatus[lang] = TRANSLATION_STATUS.PENDING;
       }
+    } else if (languagesToTranslate.length > 0) {
+      // Traduire vers toutes les langues demandées en parallèle
+      const { translations, translationStatus } = await translateForLanguages(message, languagesToTranslate, {
+        provider,
+        logContext: { conversationId },
+        context: resolveConversationContext(conversationId, messageData.id, timestamp),
+        formality: resolveFormality({ sender: from })
+      });
+      messageData.translations = translations;
+      messageData.translationStatus = translationStatus;
     }
 
     // Sauvegarder dans la DB
@@ -234,7 +398,10 @@ export async function createDirectMessage({
       from,
       to,
       messageId: messageData.id,
+      originalLang: messageData.originalLang,
+      detectionMethod: detection.method,
       translationsCount: Object.keys(messageData.translations).length,
+      translationDegraded: isTranslationDegraded(messageData.translationStatus),
       hasFile: !!fileInfo
     });
 
@@ -253,6 +420,213 @@ export async function createDirectMessage({
   }
 }
 
+/**
+ * Enregistre les traductions différées dans la ligne actuelle du message
+ * Seules les langues encore en attente sont remplacées : une correction ou une
+ * re-traduction faite pendant le streaming est conservée. Rien n'est écrit si le
+ * texte du message a changé depuis le début de la traduction (modification).
+ * @private
+ * @returns {boolean} - false si les traductions sont obsolètes
+ */
+function saveDeferredTranslations(db, messageId, text, { translations, translationStatus }) {
+  return transaction(() => {
+    const row = db.get(messageId);
+    if (!row || row.content !== text) {
+      return false;
+    }
+
+    const currentStatus = row.translation_status ? JSON.parse(row.translation_status) : {};
+    const languages = Object.keys(translationStatus)
+      .filter(lang => currentStatus[lang] === TRANSLATION_STATUS.PENDING);
+
+    db.setTranslations(messageId, {
+      translations: Object.fromEntries(languages.filter(lang => lang in translations).map(lang => [lang, translations[lang]])),
+      translationStatus: Object.fromEntries(languages.map(lang => [lang, translationStatus[lang]]))
+    });
+    return true;
+  });
+}
+
+/**
+ * Callback de diffusion ignoré dès que le texte du message a changé : les
+ * fragments d'une traduction devenue obsolète (message modifié pendant la
+ * traduction différée) n'atteignent pas les clients.
+ * @private
+ */
+function unlessEdited(db, messageId, text, callback) {
+  if (!callback) return null;
+  return (...args) => {
+    if (db.get(messageId)?.content === text) {
+      callback(...args);
+    }
+  };
+}
+
+/**
+ * Confirme par le LLM la langue d'un message différé dont la détection locale était
+ * incertaine (texte court ou ambigu) : la langue probable retenue à l'envoi pour ne pas
+ * retarder la diffusion est corrigée dans la ligne du message, et les langues en
+ * attente sont recalculées.
+ * @private
+ * @returns {Promise<{originalLang: string, targetLangs: Array<string>, translationStatus: Object|null}>}
+ *   translationStatus n'est renseigné que si la langue a changé
+ */
+async function confirmDeferredLanguage(db, { messageId, text, originalLang, targetLangs, provider }) {
+  const unchanged = { originalLang, targetLangs: getTargetLanguages(targetLangs, originalLang), translationStatus: null };
+  if (!originalLang || !needsLLMDetection(text)) {
+    return unchanged;
+  }
+
+  const detection = await detectLanguage(text, { provider, hint: originalLang });
+  if (detection.method !== 'llm' || detection.lang === originalLang) {
+    return unchanged;
+  }
+
+  const languages = getTargetLanguages(targetLangs, detection.lang);
+  const translationStatus = transaction(() => {
+    const row = db.get(messageId);
+    if (!row || row.content !== text) {
+      return null;
+    }
+
+    // Les statuts déjà définitifs (correction faite entre-temps) sont conservés
+    const status = row.translation_status ? JSON.parse(row.translation_status) : {};
+    for (const lang of Object.keys(status)) {
+      if (status[lang] === TRANSLATION_STATUS.PENDING && !languages.includes(lang)) {
+        delete status[lang];
+      }
+    }
+    for (const lang of languages) {
+      status[lang] = status[lang] || TRANSLATION_STATUS.PENDING;
+    }
+
+    db.update(messageId, { originalLang: detection.lang, translationStatus: status });
+    return status;
+  });
+
+  if (!translationStatus) {
+    return unchanged;
+  }
+
+  logger.info('Message language corrected after broadcast', { messageId, from: originalLang, to: detection.lang });
+  return { originalLang: detection.lang, targetLangs: languages, translationStatus };
+}
+
+/**
+ * Traduit un message de groupe déjà sauvegardé (traduction différée)
+ * Chaque langue est transmise au fil de l'eau via les callbacks (plus rien si le
+ * message est modifié entre-temps), puis les traductions sont fusionnées dans la
+ * ligne actuelle (saveDeferredTranslations).
+ * Le glossaire du groupe et, s'il est activé, le contexte conversationnel sont appliqués.
+ * @param {Object} params - Paramètres
+ * @param {string} params.groupId - ID du groupe
+ * @param {string} params.messageId - ID du message
+ * @param {string} params.text - Contenu du message
+ * @param {number} params.timestamp - Timestamp du message (borne du contexte, optionnel)
+ * @param {string} params.sender - Email de l'expéditeur (registre des traductions, optionnel)
+ * @param {Array<string>} params.targetLangs - Langues cibles (la langue d'origine en est retirée)
+ * @param {string} params.originalLang - Langue retenue à l'envoi (optionnel) : si la détection
+ *   locale était incertaine, elle est d'abord confirmée par le LLM (confirmDeferredLanguage)
+ * @param {string} params.provider - Provider IA (optionnel)
+ * @param {Function} params.onLanguage - Callback (originalLang, translationStatus) si la langue
+ *   d'origine a été corrigée (optionnel)
+ * @param {Function} params.onDelta - Callback (lang, textSoFar) (optionnel)
+ * @param {Function} params.onTranslation - Callback (lang, result) (optionnel)
+ * @returns {Promise<{translations: Object, translationStatus: Object}>}
+ */
+export async function translateGroupMessage({
+  groupId,
+  messageId,
+  text,
+  timestamp = null,
+  sender = null,
+  targetLangs,
+  originalLang = null,
+  provider = 'openai',
+  onLanguage = null,
+  onDelta = null,
+  onTranslation = null
+}) {
+  const language = await confirmDeferredLanguage(messagesDB, { messageId, text, originalLang, targetLangs, provider });
+  if (language.translationStatus && onLanguage) {
+    onLanguage(language.originalLang, language.translationStatus);
+  }
+
+  const result = await translateForLanguages(text, language.targetLangs, {
+    provider,
+    logContext: { groupId, messageId },
+    onDelta: unlessEdited(messagesDB, messageId, text, onDelta),
+    onTranslation: unlessEdited(messagesDB, messageId, text, onTranslation),
+    glossary: getGroupGlossary(groupId),
+    context: resolveGroupContext(groupId, messageId, timestamp),
+    formality: resolveFormality({ groupId, sender })
+  });
+
+  if (!saveDeferredTranslations(messagesDB, messageId, text, result)) {
+    logger.info('Group message changed during translation, translations discarded', { groupId, messageId });
+    return result;
+  }
+  clearMessagesCache(groupId);
+
+  logger.info('Group message translated', {
+    groupId,
+    messageId,
+    translationsCount: Object.keys(result.translations).length,
+    translationDegraded: isTranslationDegraded(result.translationStatus)
+  });
+
+  return result;
+}
+
+/**
+ * Traduit un message privé déjà sauvegardé (traduction différée)
+ * @param {Object} params - Paramètres (voir translateGroupMessage)
+ * @param {string} params.conversationId - ID de la conversation
+ * @returns {Promise<{translations: Object, translationStatus: Object}>}
+ */
+export async function translateDirectMessage({
+  conversationId,
+  messageId,
+  text,
+  timestamp = null,
+  sender = null,
+  targetLangs,
+  originalLang = null,
+  provider = 'openai',
+  onLanguage = null,
+  onDelta = null,
+  onTranslation = null
+}) {
+  const language = await confirmDeferredLanguage(directMessagesDB, { messageId, text, originalLang, targetLangs, provider });
+  if (language.translationStatus && onLanguage) {
+    onLanguage(language.originalLang, language.translationStatus);
+  }
+
+  const result = await translateForLanguages(text, language.targetLangs, {
+    provider,
+    logContext: { conversationId, messageId },
+    onDelta: unlessEdited(directMessagesDB, messageId, text, onDelta),
+    onTranslation: unlessEdited(directMessagesDB, messageId, text, onTranslation),
+    context: resolveConversationContext(conversationId, messageId, timestamp),
+    formality: resolveFormality({ sender })
+  });
+
+  if (!saveDeferredTranslations(directMessagesDB, messageId, text, result)) {
+    logger.info('Direct message changed during translation, translations discarded', { conversationId, messageId });
+    return result;
+  }
+  clearDMsCache(conversationId);
+
+  logger.info('Direct message translated', {
+    conversationId,
+    messageId,
+    translationsCount: Object.keys(result.translations).length,
+    translationDegraded: isTranslationDegraded(result.translationStatus)
+  });
+
+  return result;
+}
+
 /**
  * Récupère les messages d'un groupe
  * @param {string} groupId - ID du groupe
@@ -306,8 +680,15 @@ export function getDMMessageList(email1, email2, limit = null) {
 export default {
   getConversationId,
   generateMessageId,
+  translateForLanguages,
+  isTranslationDegraded,
+  resolveFormality,
+  resolveGroupContext,
+  resolveConversationContext,
   createGroupMessage,
   createDirectMessage,
+  translateGroupMessage,
+  translateDirectMessage,
   getGroupMessageList,
   getDMMessageList
 };
@@ -0,0 +1,318 @@
+/**
+ * @fileoverview Attribution des tours de parole (diarisation)
+ * @module services/diarization
+ *
+ * Deux méthodes, par ordre de préférence :
+ * - provider : le provider de transcription distingue lui-même les locuteurs
+ *   (transcribeAudioSpeakers)
+ * - vad : heuristique locale à partir des segments de parole détectés par le
+ *   VAD du frontend. Chaque segment porte une empreinte de voix (hauteur
+ *   fondamentale et centroïde spectral) ; les empreintes proches sont
+ *   regroupées en locuteurs, puis les segments Whisper horodatés sont
+ *   attribués au segment VAD qu'ils recouvrent le plus.
+ *
+ * Les profils de locuteurs (empreintes moyennes) sont renvoyés au client, qui
+ * les renvoie avec l'enregistrement suivant : S1 reste S1 d'une prise à l'autre.
+ */
+
+import { transcribeAudioSegments, transcribeAudioSpeakers } from './ai.service.js';
+
+/**
+ * Configuration de l'heuristique locale
+ */
+export const DIARIZATION_CONFIG = {
+  maxSpeakers: parseInt(process.env.DIARIZATION_MAX_SPEAKERS || '4', 10),
+  maxVadSegments: 500,
+  // Écarts tolérés entre deux prises de parole d'une même voix
+  pitchTolerance: 2.5,     // demi-tons
+  centroidTolerance: 0.35, // octaves
+  // Durée (s) au-delà de laquelle un profil n'évolue plus qu'à la marge
+  maxProfileWeight: 30
+};
+
+/**
+ * Méthode utilisée pour attribuer les locuteurs
+ */
+export const DIARIZATION_METHODS = {
+  PROVIDER: 'provider',
+  VAD: 'vad',
+  NONE: 'none'
+};
+
+/**
+ * Lit un tableau JSON (champ multipart) ou le renvoie tel quel
+ */
+function parseJsonArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+}
+
+/**
+ * Fréquence optionnelle (Hz) : nombre positif ou null
+ */
+function optionalFrequency(value, max) {
+  return Number.isFinite(value) && value > 0 && value <= max ? value : null;
+}
+
+/**
+ * Valide les segments VAD envoyés par le client
+ * @param {Array|string} value - [{ start, end, pitch, centroid }] (secondes / Hz)
+ * @returns {{valid: boolean, errors: Array<string>, segments: Array<Object>}}
+ */
+export function validateVadSegments(value) {
+  const raw = parseJsonArray(value);
+  if (!Array.isArray(raw)) {
+    return { valid: false, errors: ['vadSegments doit être un tableau'], segments: [] };
+  }
+  if (raw.length > DIARIZATION_CONFIG.maxVadSegments) {
+    return { valid: false, errors: [`vadSegments limité à ${DIARIZATION_CONFIG.maxVadSegments} segments`], segments: [] };
+  }
+
+  const errors = [];
+  const segments = [];
+  raw.forEach((segment, index) => {
+    if (!segment || !Number.isFinite(segment.start) || !Number.isFinite(segment.end) ||
+        segment.start < 0 || segment.end <= segment.start) {
+      errors.push(`vadSegments[${index}] : start et end (secondes, end > start) requis`);
+      return;
+    }
+    segments.push({
+      start: segment.start,
+      end: segment.end,
+      pitch: optionalFrequency(segment.pitch, 2000),
+      centroid: optionalFrequency(segment.centroid, 20000)
+    });
+  });
+
+  segments.sort((a, b) => a.start - b.start);
+  return { valid: errors.length === 0, errors, segments };
+}
+
+/**
+ * Nettoie les profils renvoyés par le client (entrées invalides ignorées)
+ * @param {Array|string} value - [{ id, pitch, centroid, weight }]
+ * @returns {Array<Object>}
+ */
+export function sanitizeSpeakerProfiles(value) {
+  const raw = parseJsonArray(value);
+  if (!Array.isArray(raw)) return [];
+
+  return raw
+    .filter(profile => profile && typeof profile.id === 'string' && /^S\d{1,2}$/.test(profile.id))
+    .slice(0, DIARIZATION_CONFIG.maxSpeakers)
+    .map(profile => ({
+      id: profile.id,
+      pitch: optionalFrequency(profile.pitch, 2000),
+      centroid: optionalFrequency(profile.centroid, 20000),
+      weight: Number.isFinite(profile.weight) && profile.weight > 0 ? Math.min(profile.weight, DIARIZATION_CONFIG.maxProfileWeight) : 1
+    }));
+}
+
+/**
+ * Distance normalisée entre deux empreintes de voix
+ * (1 = limite de tolérance ; null si aucune mesure comparable)
+ * @param {Object} a - { pitch, centroid }
+ * @param {Object} b - { pitch, centroid }
+ * @returns {number|null}
+ */
+export function voiceDistance(a, b) {
+  const parts = [];
+  if (a.pitch && b.pitch) {
+    parts.push(Math.abs(12 * Math.log2(a.pitch / b.pitch)) / DIARIZATION_CONFIG.pitchTolerance);
+  }
+  if (a.centroid && b.centroid) {
+    parts.push(Math.abs(Math.log2(a.centroid / b.centroid)) / DIARIZATION_CONFIG.centroidTolerance);
+  }
+  if (parts.length === 0) return null;
+  return Math.sqrt(parts.reduce((sum, part) => sum + part * part, 0) / parts.length);
+}
+
+/**
+ * Moyenne pondérée d'une mesure (une valeur absente ne modifie pas l'autre)
+ */
+function blend(current, weight, value, duration) {
+  if (!value) return current;
+  if (!current) return value;
+  return (current * weight + value * duration) / (weight + duration);
+}
+
+/**
+ * Attribue un locuteur à chaque segment VAD
+ * @param {Array} vadSegments - Segments validés
+ * @param {Array} profiles - Profils connus (sanitizeSpeakerProfiles)
+ * @returns {{labels: Array<string>, profiles: Array<Object>}}
+ */
+export function assignSpeakers(vadSegments, profiles = []) {
+  const known = profiles.map(profile => ({ ...profile }));
+  const labels = [];
+
+  const createProfile = (segment) => {
+    const profile = {
+      id: `S${known.reduce((max, p) => Math.max(max, parseInt(p.id.slice(1), 10)), 0) + 1}`,
+      pitch: segment.pitch,
+      centroid: segment.centroid,
+      weight: 0
+    };
+    known.push(profile);
+    return profile;
+  };
+
+  for (const segment of vadSegments) {
+    let profile = null;
+
+    if (segment.pitch || segment.centroid) {
+      let bestDistance = Infinity;
+      for (const candidate of known) {
+        const distance = voiceDistance(segment, candidate);
+        if (distance !== null && distance < bestDistance) {
+          bestDistance = distance;
+          profile = candidate;
+        }
+      }
+      if (bestDistance > 1 && known.length < DIARIZATION_CONFIG.maxSpeakers) {
+        profile = createProfile(segment);
+      }
+    }
+
+    // Sans empreinte exploitable : même locuteur que le segment précédent
+    if (!profile) {
+      const previous = labels[labels.length - 1];
+      profile = known.find(p => p.id === previous) || known[0] || createProfile(segment);
+    }
+
+    const duration = segment.end - segment.start;
+    profile.pitch = blend(profile.pitch, profile.weight, segment.pitch, duration);
+    profile.centroid = blend(profile.centroid, profile.weight, segment.centroid, duration);
+    profile.weight = Math.min(profile.weight + duration, DIARIZATION_CONFIG.maxProfileWeight);
+    labels.push(profile.id);
+  }
+
+  return { labels, profiles: known };
+}
+
+/**
+ * Fusionne les tours consécutifs d'un même locuteur
+ * @param {Array} turns - [{ speaker, start, end, text }]
+ * @returns {Array}
+ */
+export function mergeTurns(turns) {
+  const merged = [];
+  for (const turn of turns) {
+    const last = merged[merged.length - 1];
+    if (last && last.speaker === turn.speaker) {
+      last.text = `${last.text} ${turn.text}`;
+      last.end = turn.end ?? last.end;
+    } else {
+      merged.push({ ...turn });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Attribue les segments transcrits aux locuteurs des segments VAD
+ * @param {Array} segments - Segments Whisper [{ start, end, text }]
+ * @param {Array} vadSegments - Segments VAD
+ * @param {Array<string>} labels - Locuteur de chaque segment VAD
+ * @returns {Array<{speaker: string, start: number, end: number|null, text: string}>}
+ */
+export function buildSpeakerTurns(segments, vadSegments, labels) {
+  // Locuteur ayant le plus parlé (segments sans horodatage)
+  const totals = {};
+  vadSegments.forEach((vad, index) => {
+    totals[labels[index]] = (totals[labels[index]] || 0) + vad.end - vad.start;
+  });
+  const dominant = Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0];
+
+  const turns = segments.map(segment => {
+    if (!Number.isFinite(segment.end)) {
+      return { speaker: dominant, start: segment.start, end: null, text: segment.text };
+    }
+
+    let best = -1;
+    let bestScore = -Infinity;
+    vadSegments.forEach((vad, index) => {
+      const overlap = Math.min(segment.end, vad.end) - Math.max(segment.start, vad.start);
+      // Recouvrement positif, sinon éloignement (négatif)
+      if (overlap > bestScore) {
+        bestScore = overlap;
+        best = index;
+      }
+    });
+
+    return { speaker: labels[best], start: segment.start, end: segment.end, text: segment.text };
+  });
+
+  return mergeTurns(turns);
+}
+
+/**
+ * Renomme les locuteurs d'un provider (A, B, speaker_0...) en S1, S2...
+ * dans leur ordre d'apparition
+ */
+function normalizeProviderSpeakers(turns) {
+  const names = new Map();
+  return mergeTurns(turns.map(turn => {
+    if (!names.has(turn.speaker)) {
+      names.set(turn.speaker, `S${names.size + 1}`);
+    }
+    return { ...turn, speaker: names.get(turn.speaker) };
+  }));
+}
+
+/**
+ * Transcrit un enregistrement en tours de parole
+ * @param {Buffer} audioBuffer - Buffer audio
+ * @param {string} filename - Nom du fichier
+ * @param {string} provider - Provider de transcription
+ * @param {Object} options - { language, mimeType, vadSegments (validés), speakerProfiles (nettoyés) }
+ * @returns {Promise<{text: string, language: string|null, duration: number|null, method: string, turns: Array, speakers: Array<string>, speakerProfiles: Array}>}
+ */
+export async function transcribeWithSpeakers(audioBuffer, filename, provider, { language = null, mimeType, vadSegments = [], speakerProfiles = [] } = {}) {
+  const diarized = await transcribeAudioSpeakers(audioBuffer, filename, provider, { language, mimeType });
+  if (diarized) {
+    const turns = normalizeProviderSpeakers(diarized.turns);
+    return {
+      text: diarized.text,
+      language: diarized.language,
+      duration: diarized.duration,
+      method: DIARIZATION_METHODS.PROVIDER,
+      turns,
+      speakers: [...new Set(turns.map(turn => turn.speaker))],
+      speakerProfiles
+    };
+  }
+
+  const transcription = await transcribeAudioSegments(audioBuffer, filename, provider, { language, mimeType });
+  if (vadSegments.length === 0 || transcription.segments.length === 0) {
+    return {
+      text: transcription.text,
+      language: transcription.language,
+      duration: transcription.duration,
+      method: DIARIZATION_METHODS.NONE,
+      turns: [],
+      speakers: [],
+      speakerProfiles
+    };
+  }
+
+  const { labels, profiles } = assignSpeakers(vadSegments, speakerProfiles);
+  const turns = buildSpeakerTurns(transcription.segments, vadSegments, labels);
+
+  return {
+    text: transcription.text,
+    language: transcription.language,
+    duration: transcription.duration,
+    method: DIARIZATION_METHODS.VAD,
+    turns,
+    speakers: [...new Set(turns.map(turn => turn.speaker))],
+    speakerProfiles: profiles
+  };
+}
@@ -0,0 +1,583 @@
+/**
+ * @fileoverview Découpage des documents en segments traduisibles
+ * @module services/document-parser
+ *
+ * Formats pris en charge :
+ * - txt : un segment par paragraphe (séparés par une ligne vide)
+ * - md : paragraphes, titres et éléments de liste ; les blocs de code,
+ *   tableaux et lignes vides sont recopiés tels quels
+ * - docx : un segment par paragraphe Word (document, en-têtes, pieds de page,
+ *   notes) ; la mise en forme du premier fragment du paragraphe est conservée
+ * - pdf : uniquement la couche texte (pas d'OCR) ; la traduction est produite
+ *   en texte brut, la mise en page d'un PDF ne pouvant pas être reconstruite
+ *
+ * parseDocument() renvoie les segments et un gabarit ; buildTranslatedDocument()
+ * réassemble le document à partir des segments traduits (même ordre).
+ */
+
+import zlib from 'zlib';
+import { readZip, writeZip, ZipFormatError } from '../utils/zip.js';
+
+/**
+ * Formats de documents traduisibles
+ */
+export const DOCUMENT_FORMATS = {
+  TXT: 'txt',
+  MARKDOWN: 'md',
+  DOCX: 'docx',
+  PDF: 'pdf'
+};
+
+const EXTENSIONS = {
+  txt: DOCUMENT_FORMATS.TXT,
+  md: DOCUMENT_FORMATS.MARKDOWN,
+  markdown: DOCUMENT_FORMATS.MARKDOWN,
+  docx: DOCUMENT_FORMATS.DOCX,
+  pdf: DOCUMENT_FORMATS.PDF
+};
+
+const MIME_TYPES = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+/**
+ * Erreur levée pour un document illisible ou sans texte exploitable
+ */
+export class DocumentParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentParseError';
+  }
+}
+
+/**
+ * Format d'un document d'après son nom de fichier
+ * @param {string} fileName - Nom du fichier (originalName)
+ * @returns {string|null} - Format (DOCUMENT_FORMATS) ou null si non traduisible
+ */
+export function getDocumentFormat(fileName) {
+  if (typeof fileName !== 'string' || !fileName.includes('.')) return null;
+  return EXTENSIONS[fileName.toLowerCase().split('.').pop()] || null;
+}
+
+// ===================================
+// TEXTE BRUT ET MARKDOWN
+// ===================================
+
+/**
+ * Normalise un texte (BOM, fins de ligne)
+ * @private
+ */
+function normalizeText(text) {
+  return text.replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Ajoute un segment en conservant les espaces qui l'entourent
+ * @private
+ */
+function pushSegment(parts, segments, block) {
+  const [, prefix, text, suffix] = block.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  parts.push({ segment: segments.length, prefix, suffix });
+  segments.push({ text });
+}
+
+/**
+ * Découpe un texte brut en paragraphes
+ * @private
+ */
+function parsePlainText(text) {
+  const parts = [];
+  const segments = [];
+
+  // Indices pairs : paragraphes, indices impairs : séparateurs (lignes vides)
+  normalizeText(text).split(/(\n\s*\n)/).forEach((block, i) => {
+    if (i % 2 === 1 || !block.trim()) {
+      parts.push({ raw: block });
+    } else {
+      pushSegment(parts, segments, block);
+    }
+  });
+
+  return { segments, template: { parts, separator: '' } };
+}
+
+// Préfixes Markdown conservés hors traduction : titres, listes, cases à cocher, citations
+const MARKDOWN_PREFIX = /^(\s*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\d+[.)]\s+|>\s*)+)(\S.*)$/;
+const MARKDOWN_FENCE = /^\s*(```|~~~)/;
+const MARKDOWN_RAW_LINE = /^\s*(\||<|!\[|-{3,}\s*$|\*{3,}\s*$|\[[^\]]+\]:)/;
+
+/**
+ * Découpe un document Markdown (une partie par ligne ou paragraphe)
+ * @private
+ */
+function parseMarkdown(text) {
+  const parts = [];
+  const segments = [];
+  let paragraph = [];
+  let inFence = false;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      pushSegment(parts, segments, paragraph.join('\n'));
+      paragraph = [];
+    }
+  };
+
+  for (const line of normalizeText(text).split('\n')) {
+    if (MARKDOWN_FENCE.test(line)) {
+      flushParagraph();
+      inFence = !inFence;
+      parts.push({ raw: line });
+      continue;
+    }
+
+    if (inFence || !line.trim() || MARKDOWN_RAW_LINE.test(line)) {
+      flushParagraph();
+      parts.push({ raw: line });
+      continue;
+    }
+
+    const prefixed = line.match(MARKDOWN_PREFIX);
+    if (prefixed) {
+      flushParagraph();
+      parts.push({ segment: segments.length, prefix: prefixed[1], suffix: '' });
+      segments.push({ text: prefixed[2] });
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+  flushParagraph();
+
+  return { segments, template: { parts, separator: '\n' } };
+}
+
+/**
+ * Réassemble un texte à partir de son gabarit
+ * @private
+ */
+function buildText({ parts, separator }, translatedTexts) {
+  return parts
+    .map(part => (part.raw !== undefined ? part.raw : `${part.prefix}${translatedTexts[part.segment]}${part.suffix}`))
+    .join(separator);
+}
+
+// ===================================
+// WORD (DOCX)
+// ===================================
+
+const DOCX_TEXT_PARTS = /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/;
+const DOCX_PARAGRAPH = /<w:p(?:\s[^>]*)?>[\s\S]*?<\/w:p>/g;
+const DOCX_TEXT = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>/g;
+
+const XML_ENTITIES = { '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': '\'', '&amp;': '&' };
+
+/**
+ * @private
+ */
+function decodeXml(text) {
+  return text.replace(/&(lt|gt|quot|apos|amp|#\d+|#x[0-9a-fA-F]+);/g, (entity, code) => {
+    if (code.startsWith('#x')) return String.fromCodePoint(parseInt(code.slice(2), 16));
+    if (code.startsWith('#')) return String.fromCodePoint(parseInt(code.slice(1), 10));
+    return XML_ENTITIES[entity];
+  });
+}
+
+/**
+ * @private
+ */
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Extrait les paragraphes d'un document Word
+ * @private
+ */
+function parseDocx(buffer) {
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (error) {
+    if (error instanceof ZipFormatError) {
+      throw new DocumentParseError('Document Word invalide');
+    }
+    throw error;
+  }
+
+  if (!entries.some(entry => entry.name === 'word/document.xml')) {
+    throw new DocumentParseError('Document Word invalide (word/document.xml absent)');
+  }
+
+  const segments = [];
+  // Pour chaque partie XML traduisible : index du segment de chaque paragraphe (null = vide)
+  const paragraphs = {};
+
+  for (const entry of entries) {
+    if (!DOCX_TEXT_PARTS.test(entry.name)) continue;
+
+    paragraphs[entry.name] = [];
+    for (const [paragraph] of entry.data.toString('utf8').matchAll(DOCX_PARAGRAPH)) {
+      const text = [...paragraph.matchAll(DOCX_TEXT)].map(match => decodeXml(match[1])).join('');
+      if (text.trim()) {
+        paragraphs[entry.name].push(segments.length);
+        segments.push({ text });
+      } else {
+        paragraphs[entry.name].push(null);
+      }
+    }
+  }
+
+  return { segments, template: { entries, paragraphs } };
+}
+
+/**
+ * Réécrit les paragraphes d'un document Word
+ * Le texte traduit remplace le premier fragment (w:t), les suivants sont vidés.
+ * @private
+ */
+function buildDocx({ entries, paragraphs }, translatedTexts) {
+  const rewritten = entries.map(entry => {
+    const segmentIndexes = paragraphs[entry.name];
+    if (!segmentIndexes) return entry;
+
+    let position = 0;
+    const xml = entry.data.toString('utf8').replace(DOCX_PARAGRAPH, (paragraph) => {
+      const segment = segmentIndexes[position++];
+      if (segment === null || segment === undefined) return paragraph;
+
+      let first = true;
+      return paragraph.replace(DOCX_TEXT, () => {
+        if (!first) return '<w:t></w:t>';
+        first = false;
+        return `<w:t xml:space="preserve">${escapeXml(translatedTexts[segment])}</w:t>`;
+      });
+    });
+
+    return { name: entry.name, data: Buffer.from(xml, 'utf8') };
+  });
+
+  return writeZip(rewritten);
+}
+
+// ===================================
+// PDF (COUCHE TEXTE)
+// ===================================
+
+const PDF_STREAM = /<<((?:(?!endobj)[\s\S])*?)>>\s*stream\r?\n/g;
+const PDF_SKIPPED_STREAM = /\/Subtype\s*\/Image|\/Type\s*\/(XRef|ObjStm|Metadata)|\/Length[123]\b/;
+const PDF_SENTENCE_END = /[.!?。！？]["'”»)]?$/;
+const PDF_MAX_PARAGRAPH = 1500;
+
+/**
+ * Décode une chaîne littérale PDF ( ... ) à partir de la position de '('
+ * @private
+ * @returns {{value: string, end: number}}
+ */
+function readLiteralString(content, start) {
+  let value = '';
+  let depth = 1;
+  let i = start + 1;
+
+  while (i < content.length && depth > 0) {
+    const char = content[i];
+    if (char === '\\') {
+      const next = content[i + 1];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+      if (next in escapes) {
+        value += escapes[next];
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // Continuation de ligne
+        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+      } else {
+        i += 1;
+      }
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth > 0) value += char;
+    i++;
+  }
+
+  return { value, end: i };
+}
+
+/**
+ * Convertit les octets d'une chaîne PDF en texte (UTF-16BE si BOM, sinon Latin-1)
+ * @private
+ */
+function decodePdfString(bytes) {
+  if (bytes.startsWith('\xFE\xFF')) {
+    const buffer = Buffer.from(bytes.slice(2), 'latin1');
+    let text = '';
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+      text += String.fromCharCode(buffer.readUInt16BE(i));
+    }
+    return text;
+  }
+  return bytes;
+}
+
+/**
+ * Extrait les lignes de texte d'un flux de contenu PDF
+ * @private
+ */
+function extractContentLines(content) {
+  const lines = [];
+  let line = '';
+  let operands = [];
+  const arrays = [];
+
+  const newLine = () => {
+    if (line.trim()) lines.push(line.replace(/\s+/g, ' ').trim());
+    line = '';
+  };
+  const pushOperand = (operand) => {
+    if (arrays.length > 0) {
+      arrays[arrays.length - 1].push(operand);
+    } else {
+      operands.push(operand);
+    }
+  };
+  const lastString = () => [...operands].reverse().find(op => typeof op === 'string') || '';
+
+  let i = 0;
+  while (i < content.length) {
+    const char = content[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%') {
+      while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (char === '(') {
+      const { value, end } = readLiteralString(content, i);
+      pushOperand(decodePdfString(value));
+      i = end;
+    } else if (char === '<' && content[i + 1] === '<') {
+      i += 2;
+    } else if (char === '>' && content[i + 1] === '>') {
+      i += 2;
+    } else if (char === '<') {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+      const padded = hex.length % 2 ? `${hex}0` : hex;
+      pushOperand(decodePdfString(Buffer.from(padded, 'hex').toString('latin1')));
+      i = end === -1 ? content.length : end + 1;
+    } else if (char === '[') {
+      arrays.push([]);
+      i++;
+    } else if (char === ']') {
+      const array = arrays.pop() || [];
+      pushOperand(array);
+      i++;
+    } else if (char === '/') {
+      const match = content.slice(i).match(/^\/[^\s/[\]()<>{}%]*/);
+      pushOperand({ name: match[0] });
+      i += match[0].length;
+    } else if (/[-+.\d]/.test(char)) {
+      const match = content.slice(i).match(/^[-+]?(\d+\.?\d*|\.\d+)/);
+      if (match) {
+        pushOperand(parseFloat(match[0]));
+        i += match[0].length;
+      } else {
+        i++;
+      }
+    } else {
+      const match = content.slice(i).match(/^[^\s/[\]()<>{}%]+/);
+      const operator = match ? match[0] : char;
+      i += operator.length;
+
+      switch (operator) {
+        case 'Tj':
+          line += lastString();
+          break;
+        case '\'':
+        case '"':
+          newLine();
+          line += lastString();
+          break;
+        case 'TJ': {
+          const array = operands.find(Array.isArray) || [];
+          for (const item of array) {
+            if (typeof item === 'string') line += item;
+            // Un décalage important correspond à un espace entre deux mots
+            else if (typeof item === 'number' && item < -200) line += ' ';
+          }
+          break;
+        }
+        case 'Td':
+        case 'TD':
+          if (operands[1] !== 0) newLine();
+          else line += ' ';
+          break;
+        case 'T*':
+        case 'Tm':
+        case 'ET':
+          newLine();
+          break;
+        case 'ID': {
+          // Image en ligne : données binaires jusqu'à EI
+          const end = content.slice(i).search(/\sEI(\s|$)/);
+          i = end === -1 ? content.length : i + end + 3;
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+  newLine();
+
+  return lines;
+}
+
+/**
+ * Regroupe des lignes en paragraphes (fin de phrase ou longueur maximale)
+ * @private
+ */
+function linesToParagraphs(lines) {
+  const paragraphs = [];
+  let current = '';
+
+  for (const line of lines) {
+    if (!current) {
+      current = line;
+    } else if (current.endsWith('-') && /^\p{Ll}/u.test(line)) {
+      // Mot coupé en fin de ligne
+      current = current.slice(0, -1) + line;
+    } else {
+      current = `${current} ${line}`;
+    }
+
+    if (PDF_SENTENCE_END.test(line) || current.length >= PDF_MAX_PARAGRAPH) {
+      paragraphs.push(current);
+      current = '';
+    }
+  }
+  if (current) paragraphs.push(current);
+
+  return paragraphs;
+}
+
+/**
+ * Extrait le texte d'un PDF (flux de contenu non compressés ou FlateDecode)
+ * @param {Buffer} buffer - Contenu du PDF
+ * @returns {string} - Paragraphes séparés par une ligne vide
+ */
+export function extractPdfText(buffer) {
+  const source = buffer.toString('latin1');
+  if (!source.startsWith('%PDF-')) {
+    throw new DocumentParseError('Fichier PDF invalide');
+  }
+  if (/\/Encrypt\s/.test(source)) {
+    throw new DocumentParseError('Les PDF chiffrés ne sont pas pris en charge');
+  }
+
+  const paragraphs = [];
+  for (const match of source.matchAll(PDF_STREAM)) {
+    const dictionary = match[1];
+    if (PDF_SKIPPED_STREAM.test(dictionary)) continue;
+
+    const filters = [...(dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '').matchAll(/\/(\w+)/g)].map(m => m[1]);
+    if (filters.some(filter => filter !== 'FlateDecode')) continue;
+
+    const start = match.index + match[0].length;
+    const end = source.indexOf('endstream', start);
+    if (end === -1) continue;
+
+    let data = buffer.subarray(start, end);
+    if (filters.length > 0) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch {
+        continue;
+      }
+    }
+
+    const content = data.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+
+    paragraphs.push(...linesToParagraphs(extractContentLines(content)));
+  }
+
+  const text = paragraphs.join('\n\n');
+  const visible = text.replace(/\s/g, '');
+  const letters = (visible.match(/\p{L}/gu) || []).length;
+  if (visible.length === 0 || letters / visible.length < 0.5) {
+    throw new DocumentParseError('Ce PDF ne contient pas de couche texte exploitable (document numérisé ?)');
+  }
+
+  return text;
+}
+
+// ===================================
+// API
+// ===================================
+
+/**
+ * Découpe un document en segments à traduire
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {string} format - Format (DOCUMENT_FORMATS)
+ * @returns {{format: string, segments: Array<{text: string}>, template: Object}}
+ */
+export function parseDocument(buffer, format) {
+  let parsed;
+  switch (format) {
+    case DOCUMENT_FORMATS.TXT:
+      parsed = parsePlainText(buffer.toString('utf8'));
+      break;
+    case DOCUMENT_FORMATS.MARKDOWN:
+      parsed = parseMarkdown(buffer.toString('utf8'));
+      break;
+    case DOCUMENT_FORMATS.DOCX:
+      parsed = parseDocx(buffer);
+      break;
+    case DOCUMENT_FORMATS.PDF:
+      parsed = parsePlainText(extractPdfText(buffer));
+      break;
+    default:
+      throw new DocumentParseError(`Format non pris en charge: ${format}`);
+  }
+
+  if (parsed.segments.length === 0) {
+    throw new DocumentParseError('Le document ne contient aucun texte à traduire');
+  }
+  return { format, ...parsed };
+}
+
+/**
+ * Réassemble un document traduit
+ * @param {Object} parsed - Résultat de parseDocument
+ * @param {Array<string>} translatedTexts - Traduction de chaque segment (même ordre)
+ * @returns {{buffer: Buffer, extension: string, mimeType: string}}
+ */
+export function buildTranslatedDocument(parsed, translatedTexts) {
+  switch (parsed.format) {
+    case DOCUMENT_FORMATS.DOCX:
+      return { buffer: buildDocx(parsed.template, translatedTexts), extension: 'docx', mimeType: MIME_TYPES.docx };
+    case DOCUMENT_FORMATS.MARKDOWN:
+      return { buffer: Buffer.from(buildText(parsed.template, translatedTexts), 'utf8'), extension: 'md', mimeType: MIME_TYPES.md };
+    default:
+      // Texte brut, et PDF (traduit en texte brut)
+      return { buffer: Buffer.from(buildText(parsed.template, translatedTexts), 'utf8'), extension: 'txt', mimeType: MIME_TYPES.txt };
+  }
+}
+
+export default {
+  DOCUMENT_FORMATS,
+  DocumentParseError,
+  getDocumentFormat,
+  extractPdfText,
+  parseDocument,
+  buildTranslatedDocument
+};
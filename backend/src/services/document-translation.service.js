@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Traduction des documents partagés dans un groupe
+ * @module services/document-translation
+ *
+ * Un document joint à un message de groupe (txt, md, docx, PDF avec couche
+ * texte) est traduit dans la langue de chaque membre :
+ * 1. prepareDocumentTranslation : réservation du message (une traduction à la
+ *    fois), lecture, découpage, langue source, langues cibles et unités de
+ *    quota (décomptées par l'appelant, comme un lot)
+ * 2. runDocumentTranslation : traduction par lots, écriture des fichiers
+ *    traduits à côté de l'original (/uploads/<nom>.<lang>.<ext>) et mise à
+ *    jour du file_info du message ; la progression est signalée via emit()
+ *
+ * file_info après traduction :
+ *   documentTranslation: { status, sourceLang, targetLangs, requestedBy, startedAt, completedAt, error }
+ *   translatedFiles: { [lang]: { url, originalName, mimeType, size, status, missingSegments } }
+ */
+
+import fs from 'fs/promises';
+import { join, dirname, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { messagesDB, groupsDB, usersDB } from '../database.js';
+import { clearMessagesCache } from '../db-proxy.js';
+import { TRANSLATION_STATUS } from './ai.service.js';
+import { detectLanguage, getTargetLanguages, UNKNOWN_LANGUAGE } from './language-detection.service.js';
+import { translateBatch, getQuotaUnits } from './batch-translation.service.js';
+import { getGroupGlossary } from './glossary.service.js';
+import { resolveFormality } from './conversation.service.js';
+import {
+  DocumentParseError,
+  getDocumentFormat,
+  parseDocument,
+  buildTranslatedDocument
+} from './document-parser.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Configuration de la traduction de documents
+ */
+export const DOCUMENT_TRANSLATION_CONFIG = {
+  maxCharacters: parseInt(process.env.DOCUMENT_TRANSLATION_MAX_CHARS || '100000', 10),
+  // Même dossier que les routes d'upload (servi sous /uploads)
+  uploadsDir: join(dirname(dirname(__dirname)), 'uploads'),
+  // Extrait utilisé pour détecter la langue du document
+  detectionSampleLength: 2000
+};
+
+/**
+ * État global de la traduction d'un document (file_info.documentTranslation.status)
+ */
+export const DOCUMENT_TRANSLATION_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Événements Socket.IO émis pendant la traduction
+ */
+export const DOCUMENT_TRANSLATION_EVENTS = {
+  STARTED: 'document_translation_started',
+  PROGRESS: 'document_translation_progress',
+  COMPLETED: 'document_translation_completed',
+  FAILED: 'document_translation_failed'
+};
+
+// Messages dont le document est en cours de traduction
+const activeJobs = new Set();
+
+/**
+ * Chemin disque d'un fichier uploadé à partir de son URL publique
+ * @param {string} url - URL (/uploads/<nom>)
+ * @returns {string|null} - null si l'URL ne désigne pas un fichier de /uploads
+ */
+export function resolveUploadPath(url) {
+  if (typeof url !== 'string') return null;
+  const match = url.match(/^\/uploads\/([A-Za-z0-9][A-Za-z0-9._-]*)$/);
+  return match ? join(DOCUMENT_TRANSLATION_CONFIG.uploadsDir, match[1]) : null;
+}
+
+/**
+ * Vérifie qu'un fichier joint peut être traduit
+ * @param {Object} fileInfo - file_info du message
+ * @returns {boolean}
+ */
+export function isTranslatableDocument(fileInfo) {
+  return !!(fileInfo && getDocumentFormat(fileInfo.originalName) && resolveUploadPath(fileInfo.url));
+}
+
+/**
+ * Langues préférées des membres d'un groupe
+ * @param {string} groupId - ID du groupe
+ * @returns {Array<string>}
+ */
+export function getGroupMemberLanguages(groupId) {
+  const languages = new Set();
+  for (const member of groupsDB.getMembers(groupId)) {
+    const user = usersDB.getByEmail(member.user_email);
+    if (user?.preferred_language) {
+      languages.add(user.preferred_language);
+    }
+  }
+  return Array.from(languages);
+}
+
+/**
+ * Valide une demande de traduction de document
+ * @param {Object} target - Message (findMessage)
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateDocumentTranslation(target) {
+  const errors = [];
+
+  if (target.type !== 'group') {
+    errors.push('Seuls les documents partagés dans un groupe peuvent être traduits');
+  } else {
+    const fileInfo = target.row.file_info ? JSON.parse(target.row.file_info) : null;
+    if (!fileInfo) {
+      errors.push('Ce message ne contient pas de fichier');
+    } else if (!isTranslatableDocument(fileInfo)) {
+      errors.push('Format non pris en charge (txt, md, docx, pdf avec couche texte)');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Indique si le document d'un message est en cours de traduction
+ * @param {string} messageId - ID du message
+ * @returns {boolean}
+ */
+export function isDocumentTranslationActive(messageId) {
+  return activeJobs.has(messageId);
+}
+
+/**
+ * Réserve le message puis lit et découpe son document, et détermine les langues cibles
+ * La réservation est prise avant toute attente : deux demandes simultanées ne peuvent
+ * pas décompter toutes les deux le quota. Elle est rendue par runDocumentTranslation,
+ * ou par releaseDocumentTranslation si la tâche est abandonnée (quota insuffisant).
+ * @param {Object} target - Message de groupe validé (validateDocumentTranslation)
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider pour la détection de langue (optionnel)
+ * @returns {Promise<Object|null>} - Tâche à passer à runDocumentTranslation,
+ *   null si le document est déjà en cours de traduction
+ * @throws {DocumentParseError} - Document illisible, trop volumineux ou sans langue cible
+ */
+export async function prepareDocumentTranslation(target, { provider = null } = {}) {
+  const messageId = target.row.id;
+  if (activeJobs.has(messageId)) {
+    return null;
+  }
+  activeJobs.add(messageId);
+
+  try {
+    return await readDocument(target, { provider });
+  } catch (error) {
+    activeJobs.delete(messageId);
+    throw error;
+  }
+}
+
+/**
+ * Rend la réservation d'une tâche qui ne sera pas exécutée
+ * @param {Object} job - Tâche (prepareDocumentTranslation)
+ */
+export function releaseDocumentTranslation(job) {
+  activeJobs.delete(job.target.row.id);
+}
+
+/**
+ * Lecture, découpage, langue source et langues cibles d'un document
+ * @private
+ */
+async function readDocument(target, { provider }) {
+  const fileInfo = JSON.parse(target.row.file_info);
+  const format = getDocumentFormat(fileInfo.originalName);
+
+  let buffer;
+  try {
+    buffer = await fs.readFile(resolveUploadPath(fileInfo.url));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new DocumentParseError('Fichier introuvable');
+    }
+    throw error;
+  }
+
+  const parsed = parseDocument(buffer, format);
+  const segments = parsed.segments.map((segment, index) => ({ id: index, index, text: segment.text, error: null }));
+  const characters = segments.reduce((total, segment) => total + segment.text.length, 0);
+
+  if (characters > DOCUMENT_TRANSLATION_CONFIG.maxCharacters) {
+    throw new DocumentParseError(`Document trop volumineux (${characters} caractères, max ${DOCUMENT_TRANSLATION_CONFIG.maxCharacters})`);
+  }
+
+  const sample = segments.map(segment => segment.text).join('\n').slice(0, DOCUMENT_TRANSLATION_CONFIG.detectionSampleLength);
+  const detection = await detectLanguage(sample, { provider, hint: target.row.original_lang });
+  const sourceLang = detection.lang === UNKNOWN_LANGUAGE ? null : detection.lang;
+
+  const targetLangs = getTargetLanguages(getGroupMemberLanguages(target.groupId), detection.lang);
+  if (targetLangs.length === 0) {
+    throw new DocumentParseError('Aucune langue cible : le document est déjà dans la langue de tous les membres');
+  }
+
+  return {
+    target,
+    fileInfo,
+    parsed,
+    segments,
+    sourceLang,
+    targetLangs,
+    characters,
+    quotaUnits: getQuotaUnits(characters, targetLangs.length)
+  };
+}
+
+/**
+ * Enregistre le file_info d'un message de groupe
+ * @private
+ */
+function saveFileInfo(target, fileInfo) {
+  messagesDB.update(target.row.id, { fileInfo });
+  clearMessagesCache(target.groupId);
+}
+
+/**
+ * Traduit un document et enregistre les fichiers traduits
+ * Le glossaire et le registre du groupe s'appliquent comme pour un message.
+ * Les segments non traduits sont conservés dans la langue d'origine
+ * (statut 'fallback' du fichier, missingSegments > 0).
+ * La réservation du message prise par prepareDocumentTranslation est rendue à la fin.
+ * @param {Object} job - Tâche (prepareDocumentTranslation)
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider principal (optionnel)
+ * @param {string} options.requestedBy - Email du demandeur
+ * @param {Function} options.emit - Callback (event, payload) vers les membres du groupe
+ * @returns {Promise<Object>} - file_info mis à jour
+ */
+export async function runDocumentTranslation(job, { provider = null, requestedBy = null, emit = () => {} } = {}) {
+  const { target, parsed, segments, sourceLang, targetLangs } = job;
+  const messageId = target.row.id;
+  const context = { groupId: target.groupId, messageId };
+
+  const fileInfo = {
+    ...job.fileInfo,
+    translatedFiles: job.fileInfo.translatedFiles || {},
+    documentTranslation: {
+      status: DOCUMENT_TRANSLATION_STATUS.PENDING,
+      sourceLang,
+      targetLangs,
+      requestedBy,
+      startedAt: Date.now()
+    }
+  };
+
+  try {
+    saveFileInfo(target, fileInfo);
+    emit(DOCUMENT_TRANSLATION_EVENTS.STARTED, { ...context, sourceLang, targetLangs, segments: segments.length });
+
+    // Glossaire et registre du groupe, comme pour les messages
+    const { results } = await translateBatch(segments, targetLangs, {
+      sourceLang,
+      provider,
+      glossary: getGroupGlossary(target.groupId),
+      formality: resolveFormality({ groupId: target.groupId, sender: target.row.from_email }),
+      onProgress: (lang, { done, total }) => {
+        emit(DOCUMENT_TRANSLATION_EVENTS.PROGRESS, {
+          ...context,
+          lang,
+          done,
+          total,
+          progress: Math.round((done / total) * 100)
+        });
+      }
+    });
+
+    const path = resolveUploadPath(fileInfo.url);
+    const baseName = basename(path, extname(path));
+    const originalBase = fileInfo.originalName.replace(/\.[^.]+$/, '');
+
+    for (const lang of targetLangs) {
+      const translated = results.map(result => result.translations[lang]);
+      const missingSegments = translated.filter(text => !text).length;
+
+      if (missingSegments === translated.length) {
+        fileInfo.translatedFiles[lang] = { status: TRANSLATION_STATUS.FAILED };
+        continue;
+      }
+
+      const document = buildTranslatedDocument(parsed, translated.map((text, i) => text || segments[i].text));
+      const fileName = `${baseName}.${lang}.${document.extension}`;
+      await fs.writeFile(join(DOCUMENT_TRANSLATION_CONFIG.uploadsDir, fileName), document.buffer);
+
+      const degraded = missingSegments > 0 || results.some(result => result.translationStatus[lang] === TRANSLATION_STATUS.FALLBACK);
+      fileInfo.translatedFiles[lang] = {
+        url: `/uploads/${fileName}`,
+        originalName: `${originalBase}.${lang}.${document.extension}`,
+        mimeType: document.mimeType,
+        size: document.buffer.length,
+        status: degraded ? TRANSLATION_STATUS.FALLBACK : TRANSLATION_STATUS.OK,
+        missingSegments
+      };
+    }
+
+    const succeeded = targetLangs.some(lang => fileInfo.translatedFiles[lang].url);
+    fileInfo.documentTranslation = {
+      ...fileInfo.documentTranslation,
+      status: succeeded ? DOCUMENT_TRANSLATION_STATUS.COMPLETED : DOCUMENT_TRANSLATION_STATUS.FAILED,
+      completedAt: Date.now(),
+      ...(succeeded ? {} : { error: 'Traduction indisponible' })
+    };
+    saveFileInfo(target, fileInfo);
+
+    logger.info('Document translated', {
+      ...context,
+      format: parsed.format,
+      segments: segments.length,
+      targetLangs,
+      status: fileInfo.documentTranslation.status
+    });
+
+    emit(succeeded ? DOCUMENT_TRANSLATION_EVENTS.COMPLETED : DOCUMENT_TRANSLATION_EVENTS.FAILED, {
+      ...context,
+      fileInfo,
+      ...(succeeded ? {} : { error: fileInfo.documentTranslation.error })
+    });
+    return fileInfo;
+
+  } catch (error) {
+    logger.error('Document translation failed', error, context);
+
+    fileInfo.documentTranslation = {
+      ...fileInfo.documentTranslation,
+      status: DOCUMENT_TRANSLATION_STATUS.FAILED,
+      completedAt: Date.now(),
+      error: 'Erreur lors de la traduction du document'
+    };
+    saveFileInfo(target, fileInfo);
+    emit(DOCUMENT_TRANSLATION_EVENTS.FAILED, { ...context, fileInfo, error: fileInfo.documentTranslation.error });
+    return fileInfo;
+
+  } finally {
+    activeJobs.delete(messageId);
+  }
+}
+
+export default {
+  DOCUMENT_TRANSLATION_CONFIG,
+  DOCUMENT_TRANSLATION_STATUS,
+  DOCUMENT_TRANSLATION_EVENTS,
+  resolveUploadPath,
+  isTranslatableDocument,
+  getGroupMemberLanguages,
+  validateDocumentTranslation,
+  isDocumentTranslationActive,
+  prepareDocumentTranslation,
+  releaseDocumentTranslation,
+  runDocumentTranslation
+};
@@ -0,0 +1,291 @@
+/**
+ * @fileoverview Service de glossaire par groupe
+ * @module services/glossary
+ *
+ * Les admins d'un groupe définissent :
+ * - Des termes imposés : terme → traduction forcée par langue
+ * - Des termes à ne pas traduire (noms de produits, jargon interne...)
+ *
+ * Application dans la chaîne de traduction :
+ * 1. Avant l'appel au LLM, chaque terme concerné est remplacé par un marqueur ⟦n⟧
+ * 2. Le prompt demande de recopier les marqueurs tels quels
+ * 3. Après traduction, chaque marqueur est remplacé par la traduction imposée
+ *    (ou par le terme d'origine pour les termes à ne pas traduire)
+ *
+ * Le texte envoyé au LLM ne contient que des marqueurs : modifier la traduction
+ * imposée d'un terme n'invalide donc pas le cache des traductions.
+ */
+
+import { logger } from '../utils/logger.js';
+import { glossaryDB } from '../database.js';
+
+/**
+ * Limites du glossaire
+ */
+export const GLOSSARY_LIMITS = {
+  maxEntriesPerGroup: 200,
+  maxTermLength: 100,
+  maxTranslationLength: 200
+};
+
+/**
+ * Consigne ajoutée au prompt quand le texte contient des marqueurs
+ */
+export const GLOSSARY_INSTRUCTIONS = 'Le texte contient des marqueurs de la forme ⟦1⟧ : recopie-les exactement, sans les traduire ni les modifier, à la place qui convient dans la phrase traduite.';
+
+// Cache mémoire : groupId -> entrées formatées
+const glossaryCache = new Map();
+
+/**
+ * Formate une ligne de la table group_glossary
+ * @param {Object} row - Ligne SQLite
+ * @returns {Object}
+ */
+function formatEntry(row) {
+  return {
+    id: row.id,
+    groupId: row.group_id,
+    term: row.term,
+    translations: row.translations ? JSON.parse(row.translations) : {},
+    doNotTranslate: !!row.do_not_translate,
+    caseSensitive: !!row.case_sensitive,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Récupère le glossaire d'un groupe
+ * @param {string} groupId - ID du groupe
+ * @returns {Array<Object>} - Entrées du glossaire
+ */
+export function getGroupGlossary(groupId) {
+  if (!groupId) return [];
+
+  if (!glossaryCache.has(groupId)) {
+    glossaryCache.set(groupId, glossaryDB.getByGroup(groupId).map(formatEntry));
+  }
+  return glossaryCache.get(groupId);
+}
+
+/**
+ * Récupère une entrée du glossaire d'un groupe
+ * @param {string} groupId - ID du groupe
+ * @param {number} entryId - ID de l'entrée
+ * @returns {Object|null}
+ */
+export function getGlossaryEntry(groupId, entryId) {
+  const row = glossaryDB.get(entryId);
+  if (!row || row.group_id !== groupId) {
+    return null;
+  }
+  return formatEntry(row);
+}
+
+/**
+ * Valide les données d'une entrée de glossaire
+ * @param {Object} data - { term, translations, doNotTranslate, caseSensitive }
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Mise à jour partielle (champs optionnels)
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateGlossaryEntry(data = {}, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (data.term !== undefined || !partial) {
+    const term = typeof data.term === 'string' ? data.term.trim() : '';
+    if (!term) {
+      errors.push('term est requis');
+    } else if (term.length > GLOSSARY_LIMITS.maxTermLength) {
+      errors.push(`term ne doit pas dépasser ${GLOSSARY_LIMITS.maxTermLength} caractères`);
+    } else {
+      value.term = term;
+    }
+  }
+
+  if (data.translations !== undefined) {
+    if (!data.translations || typeof data.translations !== 'object' || Array.isArray(data.translations)) {
+      errors.push('translations doit être un objet { langue: traduction }');
+    } else {
+      value.translations = {};
+      for (const [lang, translation] of Object.entries(data.translations)) {
+        if (!/^[a-z]{2}$/.test(lang)) {
+          errors.push(`Code langue invalide: ${lang}`);
+        } else if (typeof translation !== 'string' || !translation.trim()) {
+          errors.push(`Traduction vide pour la langue ${lang}`);
+        } else if (translation.length > GLOSSARY_LIMITS.maxTranslationLength) {
+          errors.push(`Traduction trop longue pour la langue ${lang}`);
+        } else {
+          value.translations[lang] = translation.trim();
+        }
+      }
+    }
+  }
+
+  if (data.doNotTranslate !== undefined) {
+    value.doNotTranslate = !!data.doNotTranslate;
+  }
+
+  if (data.caseSensitive !== undefined) {
+    value.caseSensitive = !!data.caseSensitive;
+  }
+
+  // Une nouvelle entrée doit imposer quelque chose
+  if (!partial && !value.doNotTranslate && Object.keys(value.translations || {}).length === 0) {
+    errors.push('Indiquez au moins une traduction ou doNotTranslate');
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Ajoute une entrée au glossaire d'un groupe
+ * @param {string} groupId - ID du groupe
+ * @param {Object} value - Données validées (validateGlossaryEntry)
+ * @param {string} createdBy - Email de l'admin
+ * @returns {Object} - Entrée créée
+ * @throws {Error} - Contrainte UNIQUE (code SQLITE_CONSTRAINT_UNIQUE) si le terme existe déjà
+ */
+export function createGlossaryEntry(groupId, value, createdBy) {
+  const result = glossaryDB.create({ groupId, ...value, createdBy });
+  glossaryCache.delete(groupId);
+
+  logger.info('Glossary entry created', { groupId, term: value.term, createdBy });
+  return formatEntry(glossaryDB.get(result.lastInsertRowid));
+}
+
+/**
+ * Met à jour une entrée du glossaire
+ * @param {string} groupId - ID du groupe
+ * @param {number} entryId - ID de l'entrée
+ * @param {Object} value - Données validées (validateGlossaryEntry, partial)
+ * @returns {Object|null} - Entrée mise à jour, ou null si introuvable
+ */
+export function updateGlossaryEntry(groupId, entryId, value) {
+  if (!getGlossaryEntry(groupId, entryId)) {
+    return null;
+  }
+
+  glossaryDB.update(entryId, value);
+  glossaryCache.delete(groupId);
+
+  logger.info('Glossary entry updated', { groupId, entryId });
+  return getGlossaryEntry(groupId, entryId);
+}
+
+/**
+ * Supprime une entrée du glossaire
+ * @param {string} groupId - ID du groupe
+ * @param {number} entryId - ID de l'entrée
+ * @returns {boolean} - true si l'entrée existait
+ */
+export function deleteGlossaryEntry(groupId, entryId) {
+  if (!getGlossaryEntry(groupId, entryId)) {
+    return false;
+  }
+
+  glossaryDB.delete(entryId);
+  glossaryCache.delete(groupId);
+
+  logger.info('Glossary entry deleted', { groupId, entryId });
+  return true;
+}
+
+/**
+ * Échappe une chaîne pour l'utiliser dans une RegExp
+ * @private
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Construit la RegExp d'un terme
+ * Les bornes de mot ne s'appliquent qu'aux extrémités latines/numériques
+ * (un terme chinois n'est pas entouré d'espaces).
+ * @private
+ */
+function buildTermPattern(entry) {
+  const start = /^[\p{Script=Latin}\p{N}]/u.test(entry.term) ? '(?<![\\p{Script=Latin}\\p{N}])' : '';
+  const end = /[\p{Script=Latin}\p{N}]$/u.test(entry.term) ? '(?![\\p{Script=Latin}\\p{N}])' : '';
+  return new RegExp(`${start}${escapeRegExp(entry.term)}${end}`, entry.caseSensitive ? 'gu' : 'giu');
+}
+
+/**
+ * Remplace les termes du glossaire par des marqueurs avant traduction
+ * Seuls les termes concernés par la langue cible sont protégés : terme à ne
+ * pas traduire, ou terme ayant une traduction imposée dans cette langue.
+ * @param {string} text - Texte à traduire
+ * @param {string} targetLang - Langue cible
+ * @param {Array<Object>} entries - Entrées du glossaire
+ * @returns {{text: string, replacements: Array<string>}} - Texte protégé et valeur de chaque marqueur
+ */
+export function protectGlossaryTerms(text, targetLang, entries = []) {
+  const replacements = [];
+  if (!text || entries.length === 0) {
+    return { text, replacements };
+  }
+
+  // Les termes les plus longs d'abord ("Cloud Sync Pro" avant "Cloud")
+  const applicable = entries
+    .filter(entry => entry.doNotTranslate || entry.translations[targetLang])
+    .sort((a, b) => b.term.length - a.term.length);
+
+  let protectedText = text;
+  for (const entry of applicable) {
+    protectedText = protectedText.replace(buildTermPattern(entry), (match, offset, source) => {
+      // Ne pas toucher aux marqueurs déjà posés (terme "1" dans "⟦1⟧")
+      if (/⟦\d*$/.test(source.slice(0, offset))) {
+        return match;
+      }
+      replacements.push(entry.translations[targetLang] || match);
+      return `⟦${replacements.length}⟧`;
+    });
+  }
+
+  return { text: protectedText, replacements };
+}
+
+/**
+ * Remplace les marqueurs par les termes imposés après traduction
+ * Fonctionne aussi sur une traduction partielle (streaming) : un marqueur
+ * incomplet en fin de texte est masqué.
+ * @param {string} text - Texte traduit
+ * @param {Array<string>} replacements - Valeurs des marqueurs (protectGlossaryTerms)
+ * @returns {string}
+ */
+export function restoreGlossaryTerms(text, replacements = []) {
+  if (!text || replacements.length === 0) {
+    return text;
+  }
+
+  return text
+    .replace(/⟦(\d+)⟧/g, (match, index) => replacements[Number(index) - 1] ?? match)
+    .replace(/⟦\d*$/, '');
+}
+
+/**
+ * Compte les marqueurs absents d'une traduction (supprimés par le LLM)
+ * @param {string} text - Texte traduit, avant restauration
+ * @param {Array<string>} replacements - Valeurs des marqueurs
+ * @returns {number}
+ */
+export function countMissingMarkers(text, replacements = []) {
+  return replacements.filter((_, index) => !(text || '').includes(`⟦${index + 1}⟧`)).length;
+}
+
+export default {
+  GLOSSARY_LIMITS,
+  GLOSSARY_INSTRUCTIONS,
+  getGroupGlossary,
+  getGlossaryEntry,
+  validateGlossaryEntry,
+  createGlossaryEntry,
+  updateGlossaryEntry,
+  deleteGlossaryEntry,
+  protectGlossaryTerms,
+  restoreGlossaryTerms,
+  countMissingMarkers
+};
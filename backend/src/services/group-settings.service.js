@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Service des paramètres de traduction des groupes
+ * @module services/group-settings
+ *
+ * Les paramètres sont stockés en JSON dans groups.settings (seules les
+ * valeurs modifiées par un admin y figurent) et fusionnés avec les
+ * valeurs par défaut à la lecture.
+ */
+
+import { logger } from '../utils/logger.js';
+import { groupsDB } from '../database.js';
+import { CONTEXT_CONFIG } from './translation-context.service.js';
+import { FORMALITY_LEVELS, isValidFormality } from './ai.service.js';
+
+/**
+ * Valeurs par défaut des paramètres d'un groupe
+ */
+export const GROUP_SETTINGS_DEFAULTS = {
+  // Inclure les messages précédents dans le prompt de traduction
+  contextTranslation: CONTEXT_CONFIG.enabledByDefault,
+
+  // Nombre de messages précédents inclus (borné par CONTEXT_CONFIG.maxMessages)
+  contextMessages: CONTEXT_CONFIG.defaultMessages,
+
+  // Registre imposé aux traductions du groupe (null = registre de l'expéditeur)
+  formality: null
+};
+
+/**
+ * Récupère les paramètres effectifs d'un groupe
+ * @param {string} groupId - ID du groupe
+ * @returns {Object} - Paramètres (défauts + surcharges du groupe)
+ */
+export function getGroupSettings(groupId) {
+  const group = groupId ? groupsDB.getById(groupId) : null;
+  const overrides = group?.settings ? JSON.parse(group.settings) : {};
+  return { ...GROUP_SETTINGS_DEFAULTS, ...overrides };
+}
+
+/**
+ * Valide une modification des paramètres d'un groupe
+ * @param {Object} data - Paramètres à modifier
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateGroupSettings(data = {}) {
+  const errors = [];
+  const value = {};
+
+  if (data.contextTranslation !== undefined) {
+    if (typeof data.contextTranslation !== 'boolean') {
+      errors.push('contextTranslation doit être un booléen');
+    } else {
+      value.contextTranslation = data.contextTranslation;
+    }
+  }
+
+  if (data.contextMessages !== undefined) {
+    const count = Number(data.contextMessages);
+    if (!Number.isInteger(count) || count < 1 || count > CONTEXT_CONFIG.maxMessages) {
+      errors.push(`contextMessages doit être un entier entre 1 et ${CONTEXT_CONFIG.maxMessages}`);
+    } else {
+      value.contextMessages = count;
+    }
+  }
+
+  if (data.formality !== undefined) {
+    if (data.formality !== null && !isValidFormality(data.formality)) {
+      errors.push(`formality doit valoir null ou l'un de : ${Object.values(FORMALITY_LEVELS).join(', ')}`);
+    } else {
+      value.formality = data.formality;
+    }
+  }
+
+  if (Object.keys(value).length === 0 && errors.length === 0) {
+    errors.push('Aucun paramètre à modifier');
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Met à jour les paramètres d'un groupe
+ * @param {string} groupId - ID du groupe
+ * @param {Object} value - Paramètres validés (validateGroupSettings)
+ * @returns {Object} - Paramètres effectifs après mise à jour
+ */
+export function updateGroupSettings(groupId, value) {
+  const group = groupsDB.getById(groupId);
+  const overrides = group?.settings ? JSON.parse(group.settings) : {};
+
+  groupsDB.updateSettings(groupId, { ...overrides, ...value });
+  logger.info('Group settings updated', { groupId, settings: value });
+
+  return getGroupSettings(groupId);
+}
+
+export default {
+  GROUP_SETTINGS_DEFAULTS,
+  getGroupSettings,
+  validateGroupSettings,
+  updateGroupSettings
+};
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Salles d'interprétation en direct (groupes)
+ * @module services/interpretation
+ *
+ * Les membres d'un groupe rejoignent l'interprétation avec leur langue :
+ * - la parole de chaque participant est découpée, transcrite puis traduite
+ *   dans la langue de chacun des autres participants (session de
+ *   speech-stream.service dont les langues cibles suivent la salle)
+ * - les sous-titres (original + toutes les traductions) sont diffusés à la
+ *   salle ; chacun affiche ceux de sa langue
+ * - la synthèse vocale n'est produite que pour les langues dont au moins un
+ *   auditeur a activé la lecture, et n'est envoyée qu'à ces auditeurs
+ *
+ * Le quota est celui de l'orateur : une transcription par phrase, une
+ * traduction par langue cible et une synthèse par langue lue.
+ *
+ * Rooms Socket.IO :
+ *   interpretation:<groupId>          tous les participants
+ *   interpretation:<groupId>:<langue> auditeurs de la langue ayant activé la lecture
+ */
+
+import { logger } from '../utils/logger.js';
+import { SPEECH_STREAM_EVENTS, startSpeechStream, getSpeechStream } from './speech-stream.service.js';
+
+/**
+ * Configuration des salles
+ */
+export const INTERPRETATION_CONFIG = {
+  maxParticipants: 20
+};
+
+/**
+ * Événements émis vers les participants
+ */
+export const INTERPRETATION_EVENTS = {
+  PARTICIPANTS: 'interpretation_participants',
+  PARTIAL: 'interpretation_partial',
+  TRANSLATION: 'interpretation_translation',
+  CAPTION: 'interpretation_caption',
+  AUDIO: 'interpretation_audio',
+  ERROR: 'interpretation_error',
+  STREAM_STOPPED: 'interpretation_stream_stopped'
+};
+
+// Événements d'une session de parole -> événements de la salle
+const STREAM_EVENT_MAP = {
+  [SPEECH_STREAM_EVENTS.PARTIAL]: INTERPRETATION_EVENTS.PARTIAL,
+  [SPEECH_STREAM_EVENTS.TRANSLATION]: INTERPRETATION_EVENTS.TRANSLATION,
+  [SPEECH_STREAM_EVENTS.FINAL]: INTERPRETATION_EVENTS.CAPTION,
+  [SPEECH_STREAM_EVENTS.AUDIO]: INTERPRETATION_EVENTS.AUDIO,
+  [SPEECH_STREAM_EVENTS.ERROR]: INTERPRETATION_EVENTS.ERROR,
+  [SPEECH_STREAM_EVENTS.STOPPED]: INTERPRETATION_EVENTS.STREAM_STOPPED
+};
+
+/**
+ * Erreur d'accès à une salle (code transmis au client)
+ */
+export class InterpretationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'InterpretationError';
+    this.code = code;
+  }
+}
+
+// Salles ouvertes : groupId -> Map(socketId -> participant)
+const rooms = new Map();
+
+/**
+ * Room Socket.IO de la salle
+ * @param {string} groupId - ID du groupe
+ * @returns {string}
+ */
+export function interpretationRoom(groupId) {
+  return `interpretation:${groupId}`;
+}
+
+/**
+ * Room Socket.IO des auditeurs d'une langue ayant activé la lecture
+ * @param {string} groupId - ID du groupe
+ * @param {string} lang - Code langue
+ * @returns {string}
+ */
+export function interpretationAudioRoom(groupId, lang) {
+  return `interpretation:${groupId}:${lang}`;
+}
+
+/**
+ * Représentation publique d'un participant
+ */
+function describeParticipant(participant) {
+  return {
+    email: participant.email,
+    displayName: participant.displayName,
+    language: participant.language,
+    tts: participant.tts,
+    speaking: !!participant.streamId
+  };
+}
+
+/**
+ * Participants d'une salle
+ * @param {string} groupId - ID du groupe
+ * @returns {Array<{email: string, displayName: string, language: string, tts: boolean, speaking: boolean}>}
+ */
+export function getInterpretationParticipants(groupId) {
+  return [...(rooms.get(groupId)?.values() || [])].map(describeParticipant);
+}
+
+/**
+ * Participant d'un socket dans une salle
+ * @param {string} groupId - ID du groupe
+ * @param {string} socketId - ID du socket
+ * @returns {Object|null}
+ */
+export function getInterpretationParticipant(groupId, socketId) {
+  return rooms.get(groupId)?.get(socketId) || null;
+}
+
+/**
+ * Langues des autres participants (langues cibles d'un orateur)
+ * @param {string} groupId - ID du groupe
+ * @param {string} socketId - Socket de l'orateur
+ * @param {Object} options - { ttsOnly : seulement les auditeurs ayant activé la lecture }
+ * @returns {Array<string>}
+ */
+export function getListenerLanguages(groupId, socketId, { ttsOnly = false } = {}) {
+  const languages = new Set();
+  for (const participant of rooms.get(groupId)?.values() || []) {
+    if (participant.socketId !== socketId && (!ttsOnly || participant.tts)) {
+      languages.add(participant.language);
+    }
+  }
+  return [...languages];
+}
+
+/**
+ * Ouvre la session de parole d'un participant
+ * @private
+ * @returns {{stream: Object|null, streamError: string|null}}
+ */
+function openParticipantStream(groupId, participant, { provider, broadcast, notify }) {
+  const { socketId, email, displayName } = participant;
+
+  try {
+    const stream = startSpeechStream({
+      userEmail: email,
+      socketId,
+      languages: [participant.language],
+      provider,
+      targetLanguages: () => getListenerLanguages(groupId, socketId),
+      ttsLanguages: targetLangs => getListenerLanguages(groupId, socketId, { ttsOnly: true })
+        .filter(lang => targetLangs.includes(lang)),
+      // Voix par défaut de chaque langue (les auditeurs partagent le même audio)
+      voiceEmail: null,
+      meta: { groupId, speaker: { email, displayName } },
+      emit: (event, payload) => {
+        const roomEvent = STREAM_EVENT_MAP[event];
+        if (event === SPEECH_STREAM_EVENTS.STOPPED && participant.streamId === payload.streamId) {
+          participant.streamId = null;
+        }
+        if (event === SPEECH_STREAM_EVENTS.ERROR || event === SPEECH_STREAM_EVENTS.STOPPED) {
+          return notify(roomEvent, payload);
+        }
+        broadcast(roomEvent, payload, event === SPEECH_STREAM_EVENTS.AUDIO ? payload.lang : null);
+      }
+    });
+    participant.streamId = stream.id;
+    return { stream, streamError: null };
+  } catch (error) {
+    // Participant en écoute seule (ex: trop de flux ouverts)
+    return { stream: null, streamError: error.message };
+  }
+}
+
+/**
+ * Rejoint la salle d'un groupe (ou met à jour sa participation)
+ * La session de parole est rouverte si elle a été fermée (inactivité, quota).
+ * L'appelant a vérifié l'appartenance au groupe et gère les rooms Socket.IO.
+ * @param {Object} params - Paramètres
+ * @param {string} params.groupId - ID du groupe
+ * @param {string} params.socketId - Socket du participant
+ * @param {string} params.userEmail - Email du participant
+ * @param {string} params.displayName - Nom affiché
+ * @param {string} params.language - Langue parlée et écoutée
+ * @param {boolean} params.tts - Recevoir les traductions lues
+ * @param {boolean} params.canSpeak - Ouvrir une session de parole (permission transcribe)
+ * @param {string} params.provider - Provider IA
+ * @param {Function} params.broadcast - (event, payload, lang?) vers la salle, ou vers les auditeurs d'une langue
+ * @param {Function} params.notify - (event, payload) vers le participant seul
+ * @returns {{participant: Object, stream: Object|null, streamError: string|null, previous: Object|null}}
+ * @throws {InterpretationError}
+ */
+export function joinInterpretation({ groupId, socketId, userEmail, displayName, language, tts = false, canSpeak = true, provider = 'openai', broadcast, notify }) {
+  const room = rooms.get(groupId) || new Map();
+  const existing = room.get(socketId);
+  if (!existing && room.size >= INTERPRETATION_CONFIG.maxParticipants) {
+    throw new InterpretationError(`${INTERPRETATION_CONFIG.maxParticipants} participants maximum`, 'room_full');
+  }
+
+  let previous = null;
+  if (existing) {
+    ({ previous } = updateInterpretation(groupId, socketId, { language, tts }));
+  } else {
+    room.set(socketId, { socketId, email: userEmail, displayName, language, tts, streamId: null });
+    rooms.set(groupId, room);
+  }
+
+  const participant = room.get(socketId);
+  let result = {
+    stream: participant.streamId ? getSpeechStream(participant.streamId, userEmail) : null,
+    streamError: null
+  };
+  if (canSpeak && !result.stream) {
+    result = openParticipantStream(groupId, participant, { provider, broadcast, notify });
+  }
+
+  logger.info('Interpretation joined', { groupId, userEmail, language, tts, speaking: !!result.stream, participants: room.size });
+  return { participant: describeParticipant(participant), ...result, previous };
+}
+
+/**
+ * Change la langue ou la lecture d'un participant
+ * @param {string} groupId - ID du groupe
+ * @param {string} socketId - Socket du participant
+ * @param {Object} changes - { language, tts }
+ * @returns {{participant: Object, stream: Object|null, streamError: null, previous: {language: string, tts: boolean}}}
+ * @throws {InterpretationError} - not_joined
+ */
+export function updateInterpretation(groupId, socketId, { language, tts } = {}) {
+  const participant = getInterpretationParticipant(groupId, socketId);
+  if (!participant) {
+    throw new InterpretationError('Salle d\'interprétation non rejointe', 'not_joined');
+  }
+
+  const previous = { language: participant.language, tts: participant.tts };
+  if (language) participant.language = language;
+  if (typeof tts === 'boolean') participant.tts = tts;
+
+  const stream = participant.streamId ? getSpeechStream(participant.streamId, participant.email) : null;
+  if (stream) {
+    stream.languages = [participant.language];
+  }
+
+  return { participant: describeParticipant(participant), stream, streamError: null, previous };
+}
+
+/**
+ * Quitte une salle ; la phrase en cours de l'orateur est encore traitée
+ * @param {string} groupId - ID du groupe
+ * @param {string} socketId - Socket du participant
+ * @returns {Object|null} - Participant retiré (avec language/tts pour quitter les rooms)
+ */
+export function leaveInterpretation(groupId, socketId) {
+  const room = rooms.get(groupId);
+  const participant = room?.get(socketId);
+  if (!participant) return null;
+
+  room.delete(socketId);
+  if (room.size === 0) {
+    rooms.delete(groupId);
+  }
+
+  const stream = participant.streamId ? getSpeechStream(participant.streamId, participant.email) : null;
+  if (stream) {
+    stream.stop().catch(error => {
+      logger.error('Error stopping interpretation stream', { groupId, error: error.message });
+    });
+  }
+
+  logger.info('Interpretation left', { groupId, userEmail: participant.email, participants: room.size });
+  return participant;
+}
+
+/**
+ * Quitte toutes les salles d'un socket (déconnexion)
+ * @param {string} socketId - ID du socket
+ * @returns {Array<string>} - Groupes quittés
+ */
+export function leaveAllInterpretations(socketId) {
+  const left = [];
+  for (const groupId of [...rooms.keys()]) {
+    if (leaveInterpretation(groupId, socketId)) {
+      left.push(groupId);
+    }
+  }
+  return left;
+}
+
+export default {
+  INTERPRETATION_CONFIG,
+  INTERPRETATION_EVENTS,
+  InterpretationError,
+  interpretationRoom,
+  interpretationAudioRoom,
+  getInterpretationParticipants,
+  getInterpretationParticipant,
+  getListenerLanguages,
+  joinInterpretation,
+  updateInterpretation,
+  leaveInterpretation,
+  leaveAllInterpretations
+};
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Service de détection de la langue source des messages
+ * @module services/language-detection
+ *
+ * Détection en trois étapes :
+ * 1. Écriture (script) : chinois, japonais, coréen, cyrillique, arabe...
+ * 2. Profils de trigrammes pour les langues à alphabet latin (fr, en, de, es, it, pt)
+ * 3. Repli sur le LLM quand le texte est trop court ou la détection ambiguë
+ *
+ * Les étapes 1 et 2 sont locales (aucun appel réseau) et couvrent la
+ * grande majorité des messages. À l'envoi d'un message, le repli LLM est
+ * remplacé par la langue préférée de l'expéditeur, puis confirmé après la
+ * diffusion (voir conversation.service).
+ */
+
+import { logger } from '../utils/logger.js';
+import { detectLanguageWithLLM } from './ai.service.js';
+
+/**
+ * Configuration de la détection
+ */
+export const DETECTION_CONFIG = {
+  // Score minimum (similarité cosinus) pour accepter le résultat des trigrammes
+  minConfidence: parseFloat(process.env.LANGUAGE_DETECTION_MIN_CONFIDENCE || '0.1'),
+
+  // Écart minimum entre les deux meilleures langues
+  minMargin: 0.03,
+
+  // En dessous de ce nombre de lettres, les trigrammes ne sont pas fiables
+  minLetters: 12,
+
+  // Repli sur le LLM (désactivable via LANGUAGE_DETECTION_LLM_FALLBACK=false)
+  llmFallback: process.env.LANGUAGE_DETECTION_LLM_FALLBACK !== 'false'
+};
+
+/**
+ * Langue inconnue (valeur historique de la colonne original_lang)
+ */
+export const UNKNOWN_LANGUAGE = 'auto';
+
+// Plages Unicode des écritures non latines
+const SCRIPTS = [
+  { lang: 'ja', pattern: /[\u3040-\u30ff]/g },             // Hiragana / Katakana
+  { lang: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff]/g }, // Hangul
+  { lang: 'zh', pattern: /[\u4e00-\u9fff\u3400-\u4dbf]/g }, // Idéogrammes CJK
+  { lang: 'ru', pattern: /[\u0400-\u04ff]/g },             // Cyrillique
+  { lang: 'ar', pattern: /[\u0600-\u06ff]/g },             // Arabe
+  { lang: 'he', pattern: /[\u0590-\u05ff]/g },             // Hébreu
+  { lang: 'el', pattern: /[\u0370-\u03ff]/g },             // Grec
+  { lang: 'th', pattern: /[\u0e00-\u0e7f]/g },             // Thaï
+  { lang: 'hi', pattern: /[\u0900-\u097f]/g }              // Devanagari
+];
+
+// Corpus d'amorçage des profils de trigrammes (langage courant de messagerie)
+const SAMPLES = {
+  fr: `bonjour à tous, comment ça va aujourd'hui ? je suis très content de vous voir. merci beaucoup pour
+    votre aide, c'est vraiment gentil. est-ce que tu peux m'envoyer le document avant ce soir ? nous allons
+    partir demain matin et nous serons de retour la semaine prochaine. il fait beau, on pourrait aller au
+    restaurant ensemble. je ne sais pas encore si je peux venir, je te dirai plus tard. les enfants sont
+    à l'école et mon mari travaille jusqu'à dix-huit heures. qu'est-ce que vous en pensez ? d'accord, pas de
+    problème, à bientôt et bonne journée. il y a eu un problème avec la réunion, elle est reportée à jeudi.`,
+  en: `hello everyone, how are you doing today? i am very happy to see you. thank you so much for your
+    help, that is really kind. can you send me the document before tonight? we are leaving tomorrow
+    morning and we will be back next week. the weather is nice, we could go to the restaurant together.
+    i don't know yet if i can come, i will tell you later. the kids are at school and my husband works
+    until six. what do you think about it? okay, no problem, see you soon and have a nice day. there was
+    a problem with the meeting, it has been moved to thursday. what would you like to do this weekend?`,
+  de: `hallo zusammen, wie geht es euch heute? ich freue mich sehr, euch zu sehen. vielen dank für eure
+    hilfe, das ist wirklich nett. kannst du mir das dokument bis heute abend schicken? wir fahren morgen
+    früh los und sind nächste woche wieder zurück. das wetter ist schön, wir könnten zusammen ins
+    restaurant gehen. ich weiß noch nicht, ob ich kommen kann, ich sage dir später bescheid. die kinder
+    sind in der schule und mein mann arbeitet bis sechs uhr. was haltet ihr davon? einverstanden, kein
+    problem, bis bald und einen schönen tag. es gab ein problem mit der besprechung, sie wurde verschoben.`,
+  es: `hola a todos, ¿cómo estáis hoy? estoy muy contento de veros. muchas gracias por vuestra ayuda, es
+    muy amable. ¿puedes enviarme el documento antes de esta noche? nos vamos mañana por la mañana y
+    volveremos la semana que viene. hace buen tiempo, podríamos ir juntos al restaurante. todavía no sé
+    si puedo venir, te lo diré más tarde. los niños están en la escuela y mi marido trabaja hasta las
+    seis. ¿qué os parece? de acuerdo, no hay problema, hasta pronto y que tengas un buen día. hubo un
+    problema con la reunión, se ha aplazado al jueves. ¿qué quieres hacer este fin de semana?`,
+  it: `ciao a tutti, come state oggi? sono molto contento di vedervi. grazie mille per il vostro aiuto, è
+    davvero gentile. puoi mandarmi il documento prima di stasera? partiamo domani mattina e torneremo la
+    settimana prossima. fa bel tempo, potremmo andare al ristorante insieme. non so ancora se posso
+    venire, te lo dirò più tardi. i bambini sono a scuola e mio marito lavora fino alle sei. che ne
+    pensate? va bene, nessun problema, a presto e buona giornata. c'è stato un problema con la riunione,
+    è stata rinviata a giovedì. cosa vuoi fare questo fine settimana? non vedo l'ora di vederti.`,
+  pt: `olá a todos, como vocês estão hoje? estou muito feliz em ver vocês. muito obrigado pela ajuda, é
+    muito gentil. você pode me enviar o documento antes de hoje à noite? vamos sair amanhã de manhã e
+    voltaremos na próxima semana. o tempo está bom, poderíamos ir juntos ao restaurante. ainda não sei
+    se posso ir, te digo mais tarde. as crianças estão na escola e o meu marido trabalha até às seis.
+    o que vocês acham? tudo bem, não tem problema, até logo e tenha um bom dia. houve um problema com a
+    reunião, foi adiada para quinta-feira. o que você quer fazer neste fim de semana? não consigo ir.`
+};
+
+/**
+ * Normalise un texte pour l'extraction de trigrammes
+ * (minuscules, lettres uniquement, mots séparés par un espace)
+ * @private
+ */
+function normalize(text) {
+  return ` ${text.toLowerCase().replace(/[^\p{L}']+/gu, ' ').replace(/'/g, ' ').replace(/\s+/g, ' ').trim()} `;
+}
+
+/**
+ * Compte les trigrammes d'un texte
+ * @private
+ */
+function extractTrigrams(text) {
+  const counts = new Map();
+  const normalized = normalize(text);
+
+  for (let i = 0; i < normalized.length - 2; i++) {
+    const trigram = normalized.slice(i, i + 3);
+    if (trigram.trim().length === 0) continue;
+    counts.set(trigram, (counts.get(trigram) || 0) + 1);
+  }
+
+  return counts;
+}
+
+/**
+ * Norme euclidienne d'un vecteur de trigrammes
+ * @private
+ */
+function vectorNorm(counts) {
+  let sum = 0;
+  for (const value of counts.values()) {
+    sum += value * value;
+  }
+  return Math.sqrt(sum);
+}
+
+// Profils calculés une seule fois au chargement du module
+const PROFILES = Object.entries(SAMPLES).map(([lang, sample]) => {
+  const counts = extractTrigrams(sample);
+  return { lang, counts, norm: vectorNorm(counts) };
+});
+
+/**
+ * Détecte une écriture non latine dominante
+ * @param {string} text - Texte
+ * @returns {{lang: string, confidence: number}|null}
+ */
+export function detectScript(text) {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  let best = null;
+  for (const { lang, pattern } of SCRIPTS) {
+    const count = (text.match(pattern) || []).length;
+    // Le japonais mélange kana et kanji : quelques kana suffisent
+    const ratio = lang === 'ja' ? Math.min(1, count * 3 / letters) : count / letters;
+    if (ratio > 0.3 && (!best || ratio > best.confidence)) {
+      best = { lang, confidence: Math.round(ratio * 1000) / 1000 };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Classe un texte latin selon les profils de trigrammes
+ * @param {string} text - Texte
+ * @returns {Array<{lang: string, score: number}>} - Langues triées par score décroissant
+ */
+export function rankLanguages(text) {
+  const counts = extractTrigrams(text);
+  const norm = vectorNorm(counts);
+  if (norm === 0) return [];
+
+  return PROFILES
+    .map(profile => {
+      let dot = 0;
+      for (const [trigram, value] of counts) {
+        dot += value * (profile.counts.get(trigram) || 0);
+      }
+      return { lang: profile.lang, score: Math.round((dot / (norm * profile.norm)) * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Détection locale (sans appel réseau)
+ * @param {string} text - Texte
+ * @returns {{lang: string|null, confidence: number, method: string}}
+ */
+export function detectLanguageLocally(text) {
+  if (!text || typeof text !== 'string') {
+    return { lang: null, confidence: 0, method: 'none' };
+  }
+
+  const script = detectScript(text);
+  if (script) {
+    return { ...script, method: 'script' };
+  }
+
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  const ranking = rankLanguages(text);
+  const [best, second] = ranking;
+
+  if (!best || letters < DETECTION_CONFIG.minLetters) {
+    return { lang: null, confidence: best?.score || 0, method: 'ngram' };
+  }
+
+  const margin = best.score - (second?.score || 0);
+  if (best.score < DETECTION_CONFIG.minConfidence || margin < DETECTION_CONFIG.minMargin) {
+    return { lang: null, confidence: best.score, method: 'ngram' };
+  }
+
+  return { lang: best.lang, confidence: best.score, method: 'ngram' };
+}
+
+/**
+ * Indique si la détection locale est incertaine alors que le texte contient des
+ * lettres, c'est-à-dire si detectLanguage ferait appel au LLM
+ * @param {string} text - Texte du message
+ * @returns {boolean}
+ */
+export function needsLLMDetection(text) {
+  return DETECTION_CONFIG.llmFallback &&
+    typeof text === 'string' &&
+    /\p{L}/u.test(text) &&
+    !detectLanguageLocally(text).lang;
+}
+
+/**
+ * Détecte la langue d'un message
+ * Détection locale d'abord, puis LLM si le résultat est incertain,
+ * puis la langue préférée de l'expéditeur en dernier recours.
+ * @param {string} text - Texte du message
+ * @param {Object} options - Options
+ * @param {string} options.provider - Provider IA pour le repli LLM (optionnel)
+ * @param {string} options.hint - Langue probable (ex: langue préférée de l'expéditeur)
+ * @param {boolean} options.useLLM - Autoriser le repli LLM s'il est activé (défaut: true) ;
+ *   sinon un texte court ou ambigu prend directement la langue probable
+ * @returns {Promise<{lang: string, confidence: number, method: string}>}
+ *   lang vaut 'auto' si la langue n'a pas pu être déterminée
+ */
+export async function detectLanguage(text, { provider = null, hint = null, useLLM = true } = {}) {
+  const local = detectLanguageLocally(text);
+  if (local.lang) {
+    return local;
+  }
+
+  // Rien à détecter (emoji, ponctuation, fichier sans texte...)
+  if (!text || !/\p{L}/u.test(text)) {
+    return { lang: hint || UNKNOWN_LANGUAGE, confidence: 0, method: hint ? 'hint' : 'none' };
+  }
+
+  if (useLLM && DETECTION_CONFIG.llmFallback) {
+    try {
+      const lang = await detectLanguageWithLLM(text, { provider });
+      if (lang) {
+        return { lang, confidence: 1, method: 'llm' };
+      }
+    } catch (error) {
+      logger.warn('LLM language detection failed', { error: error.message, provider });
+    }
+  }
+
+  return { lang: hint || UNKNOWN_LANGUAGE, confidence: 0, method: hint ? 'hint' : 'none' };
+}
+
+/**
+ * Retire la langue d'origine des langues cibles (inutile de traduire
+ * un message dans sa propre langue)
+ * @param {Array<string>} languages - Langues cibles
+ * @param {string} originalLang - Langue détectée
+ * @returns {Array<string>}
+ */
+export function getTargetLanguages(languages, originalLang) {
+  const unique = Array.from(new Set(languages.filter(Boolean)));
+  if (!originalLang || originalLang === UNKNOWN_LANGUAGE) {
+    return unique;
+  }
+  return unique.filter(lang => lang !== originalLang);
+}
+
+export default {
+  DETECTION_CONFIG,
+  UNKNOWN_LANGUAGE,
+  detectScript,
+  rankLanguages,
+  detectLanguageLocally,
+  needsLLMDetection,
+  detectLanguage,
+  getTargetLanguages
+};
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Mentions @utilisateur dans les messages de groupe
+ * @module services/mention
+ *
+ * - Résolution des mentions contre les membres du groupe : @displayName
+ *   (insensible à la casse, espaces compris : le nom le plus long l'emporte)
+ *   et @all pour tout le groupe
+ * - Mentions structurées stockées sur le message ({ type, email, displayName, start, end })
+ * - Notification 'user_mentioned' dans la room personnelle de chaque mentionné
+ * - Mentions non lues par utilisateur (table message_mentions)
+ */
+
+import { logger } from '../utils/logger.js';
+import { mentionsDB } from '../database.js';
+
+/**
+ * Configuration des mentions
+ */
+export const MENTION_CONFIG = {
+  // Mots-clés mentionnant tout le groupe
+  allKeywords: ['all'],
+  // Mentions non lues renvoyées au maximum par GET /api/mentions,
+  // et identifiants acceptés au maximum par POST /api/mentions/read
+  maxUnread: 100
+};
+
+/**
+ * Types de mention
+ */
+export const MENTION_TYPES = {
+  USER: 'user',
+  ALL: 'all'
+};
+
+// Caractère pouvant prolonger un nom (une mention doit s'arrêter avant)
+const NAME_CHAR = /[\p{L}\p{N}_]/u;
+
+/**
+ * Le texte à partir de position commence-t-il par name, suivi d'une fin de mot ?
+ * @private
+ */
+function matchesAt(content, position, name) {
+  if (!name) return false;
+  const candidate = content.slice(position, position + name.length);
+  if (candidate.toLocaleLowerCase() !== name.toLocaleLowerCase()) return false;
+  const next = content[position + name.length];
+  return !next || !NAME_CHAR.test(next);
+}
+
+/**
+ * Résout les mentions d'un message contre les membres du groupe
+ * Un '@' précédé d'une lettre ou d'un chiffre (adresse email) n'est pas une mention.
+ * @param {string} content - Texte du message
+ * @param {Array<{email: string, displayName: string}>} members - Membres du groupe
+ * @returns {Array<Object>} - Mentions dans l'ordre du texte :
+ *   { type: 'user', email, displayName, start, end } ou { type: 'all', start, end }
+ */
+export function parseMentions(content, members = []) {
+  if (typeof content !== 'string' || !content.includes('@')) return [];
+
+  // Nom le plus long d'abord : "@Marie Claire" l'emporte sur "@Marie"
+  const candidates = members
+    .filter(member => member.displayName)
+    .sort((a, b) => b.displayName.length - a.displayName.length);
+
+  const mentions = [];
+  for (let i = content.indexOf('@'); i !== -1; i = content.indexOf('@', i + 1)) {
+    if (i > 0 && NAME_CHAR.test(content[i - 1])) continue;
+
+    const keyword = MENTION_CONFIG.allKeywords.find(word => matchesAt(content, i + 1, word));
+    const member = candidates.find(candidate => matchesAt(content, i + 1, candidate.displayName));
+
+    // Un membre nommé "All…" plus long que le mot-clé reste une mention de ce membre
+    if (member && (!keyword || member.displayName.length > keyword.length)) {
+      mentions.push({ type: MENTION_TYPES.USER, email: member.email, displayName: member.displayName, start: i, end: i + 1 + member.displayName.length });
+    } else if (keyword) {
+      mentions.push({ type: MENTION_TYPES.ALL, start: i, end: i + 1 + keyword.length });
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Destinataires des notifications (l'expéditeur n'est jamais notifié)
+ * Une mention directe l'emporte sur @all pour le type enregistré.
+ * @param {Array<Object>} mentions - Résultat de parseMentions
+ * @param {Array<{email: string}>} members - Membres du groupe
+ * @param {string} senderEmail - Expéditeur
+ * @returns {Map<string, string>} - email -> type de mention
+ */
+export function getMentionRecipients(mentions, members, senderEmail) {
+  const recipients = new Map();
+
+  for (const mention of mentions) {
+    if (mention.type === MENTION_TYPES.USER && mention.email !== senderEmail) {
+      recipients.set(mention.email, MENTION_TYPES.USER);
+    }
+  }
+
+  if (mentions.some(mention => mention.type === MENTION_TYPES.ALL)) {
+    for (const member of members) {
+      if (member.email !== senderEmail && !recipients.has(member.email)) {
+        recipients.set(member.email, MENTION_TYPES.ALL);
+      }
+    }
+  }
+
+  return recipients;
+}
+
+/**
+ * Enregistre les mentions d'un message et notifie chaque mentionné
+ * Après une modification (previousMentions), seuls les nouveaux mentionnés
+ * sont notifiés et les mentions retirées du texte sont supprimées.
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} params - Paramètres
+ * @param {Object} params.message - Message créé (id, from, fromDisplayName, mentions)
+ * @param {Object} params.group - Groupe ({ id, name, members })
+ * @param {Array<Object>} [params.previousMentions] - Mentions avant modification
+ * @returns {Array<string>} - Emails notifiés
+ */
+export function notifyMentions(io, { message, group, previousMentions = [] }) {
+  const recipients = getMentionRecipients(message.mentions || [], group.members, message.from);
+  const previous = getMentionRecipients(previousMentions, group.members, message.from);
+
+  const removed = [...previous.keys()].filter(email => !recipients.has(email));
+  if (removed.length > 0) {
+    mentionsDB.deleteForUsers(message.id, removed);
+  }
+
+  for (const email of previous.keys()) {
+    recipients.delete(email);
+  }
+  if (recipients.size === 0) return [];
+
+  mentionsDB.createMany([...recipients].map(([userEmail, type]) => ({
+    messageId: message.id,
+    groupId: group.id,
+    userEmail,
+    mentionedBy: message.from,
+    type
+  })));
+
+  for (const [userEmail, type] of recipients) {
+    io.to(`user:${userEmail}`).emit('user_mentioned', {
+      groupId: group.id,
+      messageId: message.id,
+      mentionedBy: message.fromDisplayName,
+      mentionedByEmail: message.from,
+      groupName: group.name,
+      type
+    });
+  }
+
+  logger.info('Mentions notified', { groupId: group.id, messageId: message.id, recipients: recipients.size });
+  return [...recipients.keys()];
+}
+
+/**
+ * Mentions non lues d'un utilisateur (groupes dont il est encore membre)
+ * @param {string} userEmail - Utilisateur
+ * @param {Object} options - { groupId, limit }
+ * @param {string} [options.lang] - Langue d'affichage (traduction si disponible)
+ * @returns {{mentions: Array<Object>, counts: Object}} - counts : non lues par groupe
+ */
+export function getUnreadMentions(userEmail, { groupId = null, limit = MENTION_CONFIG.maxUnread, lang = null } = {}) {
+  const rows = mentionsDB.getUnread(userEmail, { groupId, limit: Math.min(limit, MENTION_CONFIG.maxUnread) });
+
+  const mentions = rows.map(row => {
+    const translations = row.translations ? JSON.parse(row.translations) : {};
+    return {
+      messageId: row.message_id,
+      groupId: row.group_id,
+      groupName: row.group_name,
+      mentionedBy: row.from_display_name,
+      mentionedByEmail: row.mentioned_by,
+      type: row.type,
+      content: row.content,
+      originalLang: row.original_lang,
+      translation: lang && lang !== row.original_lang ? translations[lang] || null : null,
+      timestamp: row.timestamp
+    };
+  });
+
+  const counts = Object.fromEntries(mentionsDB.countUnread(userEmail).map(row => [row.group_id, row.count]));
+  return { mentions, counts };
+}
+
+/**
+ * Marque des mentions comme lues (tout, un groupe ou des messages précis)
+ * @param {string} userEmail - Utilisateur
+ * @param {Object} options - { groupId, messageIds }
+ * @returns {number} - Mentions marquées
+ */
+export function markMentionsRead(userEmail, { groupId = null, messageIds = null } = {}) {
+  if (Array.isArray(messageIds) && messageIds.length === 0) return 0;
+  return mentionsDB.markRead(userEmail, { groupId, messageIds }).changes;
+}
+
+export default {
+  MENTION_CONFIG,
+  MENTION_TYPES,
+  parseMentions,
+  getMentionRecipients,
+  notifyMentions,
+  getUnreadMentions,
+  markMentionsRead
+};
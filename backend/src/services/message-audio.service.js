@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Synthèses vocales des messages (cache audio)
+ * @module services/message-audio
+ *
+ * L'audio d'un message est synthétisé une seule fois par langue, voix, format
+ * et vitesse, puis stocké sur disque et servi par GET /api/audio/:id :
+ * - L'identifiant est aléatoire (URL non devinable, lisible par un élément
+ *   <audio> sans en-tête Authorization, comme /uploads)
+ * - Le contenu d'un identifiant ne change jamais : l'URL est cacheable
+ *   indéfiniment par le navigateur
+ * - Une traduction corrigée change l'empreinte du texte, donc l'entrée
+ * - Les entrées inutilisées depuis MESSAGE_AUDIO_CONFIG.ttlMs sont purgées
+ *
+ * Pour les messages privés, l'audio peut être préparé dès la traduction quand
+ * le destinataire a activé la lecture automatique.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { messageAudioDB, usersDB } from '../database.js';
+import { authManager } from '../auth-sqlite.js';
+import { findMessage, canAccessMessage } from './translation-revision.service.js';
+import { TTS_FORMATS, resolveSpeechRequest, getUserTtsSettings } from './tts.service.js';
+import { synthesizeSpeech } from './ai.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Configuration du cache audio
+ */
+export const MESSAGE_AUDIO_CONFIG = {
+  storageDir: process.env.TTS_AUDIO_DIR || join(__dirname, '../../tts-audio'),
+  // Durée de conservation d'un audio non réécouté
+  ttlMs: parseInt(process.env.TTS_AUDIO_CACHE_DAYS || '30', 10) * 24 * 60 * 60 * 1000,
+  // Cache navigateur (secondes) : le contenu d'une URL ne change pas
+  httpMaxAge: 365 * 24 * 60 * 60
+};
+
+/**
+ * Erreur d'accès à l'audio d'un message (status HTTP associé)
+ */
+export class MessageAudioError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'MessageAudioError';
+    this.status = status;
+  }
+}
+
+// Synthèses en cours (deux lectures simultanées ne génèrent qu'un fichier)
+const pendingSyntheses = new Map();
+
+/**
+ * Texte d'un message dans une langue (original ou traduction)
+ * Un fichier joint n'a pas de texte, sauf un message vocal (sa transcription)
+ * @param {Object} target - Message (findMessage)
+ * @param {string} lang - Code langue
+ * @returns {string|null}
+ */
+export function getMessageText(target, lang) {
+  const row = target.row;
+
+  try {
+    if (row.file_info && !JSON.parse(row.file_info).voiceMessage) return null;
+    if (lang === row.original_lang) return row.content;
+    return JSON.parse(row.translations || '{}')[lang] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Empreinte du texte synthétisé
+ */
+function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Représentation publique d'une entrée
+ * @param {Object} entry - Ligne message_audio
+ * @returns {Object}
+ */
+export function describeMessageAudio(entry) {
+  return {
+    id: entry.id,
+    url: `/api/audio/${entry.id}`,
+    messageId: entry.message_id,
+    lang: entry.lang,
+    voice: entry.voice,
+    format: entry.format,
+    mimeType: TTS_FORMATS[entry.format],
+    speed: entry.speed,
+    size: entry.size
+  };
+}
+
+/**
+ * Prépare la synthèse d'un message : droits, texte, voix, entrée existante
+ * @param {Object} params - Paramètres
+ * @param {string} params.messageId - ID du message (groupe ou DM)
+ * @param {string} params.lang - Langue à lire
+ * @param {string} params.userEmail - Utilisateur (droits et préférences)
+ * @param {string} [params.voice] - Voix demandée
+ * @param {number} [params.speed] - Vitesse demandée
+ * @param {string} [params.format] - Format demandé
+ * @returns {{messageId: string, lang: string, request: Object, textHash: string, entry: Object|null}}
+ * @throws {MessageAudioError|TtsRequestError}
+ */
+export function prepareMessageAudio({ messageId, lang, userEmail, voice = null, speed = null, format = null }) {
+  const target = findMessage(messageId);
+  if (!target || !canAccessMessage(target, userEmail)) {
+    throw new MessageAudioError('Message introuvable', 404);
+  }
+
+  const text = getMessageText(target, lang);
+  if (!text) {
+    throw new MessageAudioError(`Aucun texte disponible en ${lang} pour ce message`, 409);
+  }
+
+  const request = resolveSpeechRequest({ text, voice, language: lang, speed, format }, userEmail);
+  const textHash = hashText(text);
+  const entry = messageAudioDB.find({
+    messageId,
+    lang,
+    voice: request.voice.id,
+    format: request.format,
+    speed: request.speed,
+    textHash
+  });
+
+  // Fichier supprimé à la main : l'entrée sera régénérée
+  if (entry && !fs.existsSync(entry.file_path)) {
+    messageAudioDB.delete(entry.id);
+    return { messageId, lang, request, textHash, entry: null };
+  }
+
+  return { messageId, lang, request, textHash, entry: entry || null };
+}
+
+/**
+ * Synthétise et stocke l'audio préparé (ou renvoie l'entrée existante)
+ * @param {Object} prepared - Résultat de prepareMessageAudio
+ * @returns {Promise<Object>} - Ligne message_audio
+ */
+export async function generateMessageAudio(prepared) {
+  if (prepared.entry) return prepared.entry;
+
+  const { messageId, lang, request, textHash } = prepared;
+  const key = [messageId, lang, request.voice.id, request.format, request.speed, textHash].join('|');
+  if (pendingSyntheses.has(key)) {
+    return pendingSyntheses.get(key);
+  }
+
+  const synthesis = (async () => {
+    const audio = await synthesizeSpeech(request.text, request.voice.voice, request.voice.provider, {
+      speed: request.speed,
+      format: request.format
+    });
+
+    const id = crypto.randomBytes(16).toString('hex');
+    const filePath = join(MESSAGE_AUDIO_CONFIG.storageDir, `${id}.${request.format}`);
+    fs.mkdirSync(MESSAGE_AUDIO_CONFIG.storageDir, { recursive: true });
+    fs.writeFileSync(filePath, audio);
+
+    messageAudioDB.create({
+      id,
+      messageId,
+      lang,
+      voice: request.voice.id,
+      format: request.format,
+      speed: request.speed,
+      textHash,
+      filePath,
+      size: audio.length
+    });
+
+    logger.info('Message audio generated', { messageId, lang, voice: request.voice.id, format: request.format, size: audio.length });
+    return messageAudioDB.get(id);
+  })();
+
+  pendingSyntheses.set(key, synthesis);
+  try {
+    return await synthesis;
+  } finally {
+    pendingSyntheses.delete(key);
+  }
+}
+
+/**
+ * Fichier audio à servir (marque l'entrée comme utilisée)
+ * @param {string} id - ID de l'entrée
+ * @returns {{filePath: string, mimeType: string}|null}
+ */
+export function getMessageAudioFile(id) {
+  if (!/^[a-f0-9]{32}$/.test(id || '')) return null;
+
+  const entry = messageAudioDB.get(id);
+  if (!entry || !fs.existsSync(entry.file_path)) return null;
+
+  messageAudioDB.touch(id);
+  return { filePath: entry.file_path, mimeType: TTS_FORMATS[entry.format] };
+}
+
+/**
+ * Supprime les fichiers d'une liste d'entrées
+ * @private
+ */
+function removeEntries(entries) {
+  for (const entry of entries) {
+    fs.rmSync(entry.file_path, { force: true });
+    messageAudioDB.delete(entry.id);
+  }
+  return entries.length;
+}
+
+/**
+ * Supprime l'audio d'un message (message supprimé)
+ * @param {string} messageId - ID du message
+ * @returns {number} - Nombre de fichiers supprimés
+ */
+export function deleteMessageAudio(messageId) {
+  return removeEntries(messageAudioDB.getByMessage(messageId));
+}
+
+/**
+ * Supprime les audios inutilisés depuis MESSAGE_AUDIO_CONFIG.ttlMs
+ * @returns {number} - Nombre de fichiers supprimés
+ */
+export function purgeExpiredMessageAudio() {
+  try {
+    return removeEntries(messageAudioDB.getUnusedSince(Date.now() - MESSAGE_AUDIO_CONFIG.ttlMs));
+  } catch (error) {
+    logger.error('Message audio cleanup error', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Prépare l'audio d'un message privé pour son destinataire s'il a activé la
+ * lecture automatique (une unité de quota 'speak' du destinataire)
+ * @param {Object} params - Paramètres
+ * @param {string} params.messageId - ID du DM (traduit)
+ * @param {string} params.recipientEmail - Destinataire
+ * @returns {Promise<Object|null>} - describeMessageAudio, ou null si rien n'a été préparé
+ */
+export async function pregenerateDirectMessageAudio({ messageId, recipientEmail }) {
+  if (!getUserTtsSettings(recipientEmail).autoPlay) return null;
+
+  const lang = usersDB.getByEmail(recipientEmail)?.preferred_language;
+  if (!lang) return null;
+
+  let prepared;
+  try {
+    prepared = prepareMessageAudio({ messageId, lang, userEmail: recipientEmail });
+  } catch (error) {
+    logger.warn('Message audio pre-generation skipped', { messageId, recipientEmail, reason: error.message });
+    return null;
+  }
+
+  if (!prepared.entry) {
+    const quotaCheck = authManager.consumeQuota(recipientEmail, 'speak');
+    if (!quotaCheck.allowed) {
+      logger.info('Message audio pre-generation skipped: quota exceeded', { messageId, recipientEmail });
+      return null;
+    }
+  }
+
+  return describeMessageAudio(await generateMessageAudio(prepared));
+}
+
+// Nettoyer les audios expirés toutes les 6 heures
+setInterval(() => {
+  const deleted = purgeExpiredMessageAudio();
+  if (deleted > 0) {
+    logger.info('Message audio cache cleaned up', { deleted });
+  }
+}, 6 * 60 * 60 * 1000).unref();
+
+export default {
+  MESSAGE_AUDIO_CONFIG,
+  MessageAudioError,
+  getMessageText,
+  describeMessageAudio,
+  prepareMessageAudio,
+  generateMessageAudio,
+  getMessageAudioFile,
+  deleteMessageAudio,
+  purgeExpiredMessageAudio,
+  pregenerateDirectMessageAudio
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Modification des messages par leur auteur
+ * @module services/message-edit
+ *
+ * - Réservée à l'auteur, dans une fenêtre configurable après l'envoi
+ * - Le nouveau texte est re-traduit dans la langue de chaque destinataire
+ * - La version précédente (texte, langue, traductions) est conservée dans message_edits
+ * - Groupes : les mentions sont résolues à nouveau
+ */
+
+import { logger } from '../utils/logger.js';
+import { messagesDB, directMessagesDB, usersDB, messageEditsDB, transaction } from '../database.js';
+import { groups, clearMessagesCache, clearDMsCache } from '../db-proxy.js';
+import {
+  translateForLanguages,
+  resolveFormality,
+  resolveGroupContext,
+  resolveConversationContext
+} from './conversation.service.js';
+import { detectLanguage, getTargetLanguages } from './language-detection.service.js';
+import { getGroupGlossary } from './glossary.service.js';
+import { getGroupMemberLanguages } from './document-translation.service.js';
+import { deleteMessageAudio } from './message-audio.service.js';
+import { parseMentions } from './mention.service.js';
+
+/**
+ * Configuration de la modification des messages
+ */
+export const MESSAGE_EDIT_CONFIG = {
+  // Délai pendant lequel l'auteur peut modifier son message (0 = sans limite)
+  windowMs: parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10) * 60 * 1000,
+  // Longueur maximale du texte (identique à un message)
+  maxLength: 10000
+};
+
+/**
+ * Vérifie que l'utilisateur peut modifier le message
+ * @param {Object} target - Message (findMessage)
+ * @param {string} userEmail - Email de l'utilisateur
+ * @param {number} now - Date de la demande (ms)
+ * @returns {{allowed: boolean, message?: string}}
+ */
+export function canEditMessage(target, userEmail, now = Date.now()) {
+  const { row } = target;
+
+  if (row.from_email !== userEmail) {
+    return { allowed: false, message: 'Vous ne pouvez modifier que vos propres messages' };
+  }
+
+  // La transcription d'un message vocal est liée à son audio
+  const fileInfo = row.file_info ? JSON.parse(row.file_info) : null;
+  if (fileInfo?.voiceMessage) {
+    return { allowed: false, message: 'Un message vocal ne peut pas être modifié' };
+  }
+
+  const { windowMs } = MESSAGE_EDIT_CONFIG;
+  if (windowMs > 0 && now - row.timestamp > windowMs) {
+    return {
+      allowed: false,
+      message: `Un message ne peut plus être modifié ${Math.round(windowMs / 60000)} minutes après son envoi`
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Valide le nouveau texte d'un message
+ * @param {Object} target - Message (findMessage)
+ * @param {Object} data - { content, provider }
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateMessageEdit(target, data = {}) {
+  const errors = [];
+  const value = { provider: data.provider || 'openai' };
+
+  const content = typeof data.content === 'string' ? data.content.trim() : '';
+  if (!content) {
+    errors.push('content est requis');
+  } else if (content.length > MESSAGE_EDIT_CONFIG.maxLength) {
+    errors.push(`content ne doit pas dépasser ${MESSAGE_EDIT_CONFIG.maxLength} caractères`);
+  } else if (content === target.row.content) {
+    errors.push('Le message est inchangé');
+  } else {
+    value.content = content;
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Langues des destinataires du message (membres du groupe ou participants du DM)
+ * @private
+ */
+function getRecipientLanguages(target) {
+  if (target.type === 'group') {
+    return getGroupMemberLanguages(target.groupId);
+  }
+
+  const languages = new Set();
+  for (const email of [target.row.from_email, target.row.to_email]) {
+    const user = usersDB.getByEmail(email);
+    if (user?.preferred_language) {
+      languages.add(user.preferred_language);
+    }
+  }
+  return Array.from(languages);
+}
+
+/**
+ * Formate une ligne de message_edits
+ * @private
+ */
+function formatEdit(row) {
+  return {
+    id: row.id,
+    messageId: row.message_id,
+    content: row.previous_content,
+    originalLang: row.previous_original_lang,
+    translations: row.previous_translations ? JSON.parse(row.previous_translations) : {},
+    editedBy: row.edited_by,
+    replacedAt: row.created_at
+  };
+}
+
+/**
+ * Remplace le texte d'un message et le re-traduit
+ * La version précédente est archivée ; l'audio synthétisé de l'ancien texte est supprimé.
+ * @param {Object} target - Message (findMessage)
+ * @param {Object} value - Modification validée (validateMessageEdit)
+ * @param {string} editedBy - Email de l'auteur
+ * @returns {Promise<{event: Object, previousMentions: Array<Object>}|null>} - event : payload de 'message_edited'
+ *   (null si le message a été supprimé pendant la re-traduction)
+ */
+export async function editMessage(target, { content, provider = 'openai' }, editedBy) {
+  const { row } = target;
+  const isGroup = target.type === 'group';
+
+  const detection = await detectLanguage(content, { provider, hint: row.original_lang });
+  const languages = getTargetLanguages(getRecipientLanguages(target), detection.lang);
+
+  const { translations, translationStatus } = await translateForLanguages(content, languages, {
+    provider,
+    logContext: { messageId: row.id, edit: true },
+    glossary: isGroup ? getGroupGlossary(target.groupId) : [],
+    context: isGroup
+      ? resolveGroupContext(target.groupId, row.id, row.timestamp)
+      : resolveConversationContext(target.conversationId, row.id, row.timestamp),
+    formality: resolveFormality({ groupId: isGroup ? target.groupId : null, sender: row.from_email })
+  });
+
+  const editedAt = Date.now();
+  const fields = { content, originalLang: detection.lang, translations, translationStatus, editedAt };
+  let previousMentions = [];
+
+  if (isGroup) {
+    previousMentions = row.mentions ? JSON.parse(row.mentions) : [];
+    fields.mentions = parseMentions(content, groups[target.groupId]?.members || []);
+  }
+
+  // Version archivée relue au moment de l'écriture : une traduction différée
+  // a pu être enregistrée pendant la re-traduction (les suivantes sont écartées)
+  const db = isGroup ? messagesDB : directMessagesDB;
+  const saved = transaction(() => {
+    const current = db.get(row.id);
+    if (!current) {
+      return false;
+    }
+
+    messageEditsDB.create({
+      messageId: row.id,
+      messageType: target.type,
+      previousContent: current.content,
+      previousOriginalLang: current.original_lang,
+      previousTranslations: current.translations ? JSON.parse(current.translations) : {},
+      editedBy
+    });
+    db.update(row.id, fields);
+    return true;
+  });
+
+  if (!saved) {
+    logger.info('Message deleted during edit, edit discarded', { messageId: row.id, type: target.type });
+    return null;
+  }
+
+  if (isGroup) {
+    clearMessagesCache(target.groupId);
+  } else {
+    clearDMsCache(target.conversationId);
+  }
+
+  deleteMessageAudio(row.id);
+
+  logger.info('Message edited', {
+    messageId: row.id,
+    type: target.type,
+    editedBy,
+    originalLang: detection.lang,
+    translationsCount: Object.keys(translations).length
+  });
+
+  return {
+    event: {
+      ...(isGroup ? { groupId: target.groupId, mentions: fields.mentions } : { conversationId: target.conversationId }),
+      ...(row.thread_id ? { threadId: row.thread_id } : {}),
+      messageId: row.id,
+      content,
+      originalLang: detection.lang,
+      translations,
+      translationStatus,
+      edited: true,
+      editedAt,
+      editedBy
+    },
+    previousMentions
+  };
+}
+
+/**
+ * Versions précédentes d'un message
+ * @param {string} messageId - ID du message
+ * @returns {Array<Object>} - Versions, de la plus ancienne à la plus récente
+ */
+export function getMessageEdits(messageId) {
+  return messageEditsDB.getByMessage(messageId).map(formatEdit);
+}
+
+export default {
+  MESSAGE_EDIT_CONFIG,
+  canEditMessage,
+  validateMessageEdit,
+  editMessage,
+  getMessageEdits
+};
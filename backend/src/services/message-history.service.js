@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Pagination de l'historique des messages (groupes et DMs)
+ * @module services/message-history
+ *
+ * - Curseurs opaques construits à partir de (timestamp, id) : l'id départage
+ *   les messages envoyés à la même milliseconde
+ * - before : messages plus anciens que le curseur ; after : plus récents
+ * - around : fenêtre centrée sur un message ("aller au message")
+ * - Sans paramètre : les messages les plus récents
+ * - Groupes : fil principal uniquement (les réponses de fil sont chargées avec le fil)
+ */
+
+import { messagesDB, directMessagesDB } from '../database.js';
+import {
+  getGroupMessagePage,
+  getGroupMessage,
+  getConversationMessagePage,
+  getDirectMessage
+} from '../db-helpers.js';
+import { getThreadSummary } from './thread.service.js';
+
+/**
+ * Configuration de la pagination
+ */
+export const MESSAGE_HISTORY_CONFIG = {
+  // Taille de page par défaut
+  defaultLimit: parseInt(process.env.MESSAGE_PAGE_SIZE || '50', 10),
+  // Taille de page maximale acceptée
+  maxLimit: parseInt(process.env.MESSAGE_PAGE_MAX_SIZE || '200', 10)
+};
+
+/**
+ * Encode le curseur d'un message
+ * @param {Object} message - { timestamp, id }
+ * @returns {string} - Curseur opaque (base64url)
+ */
+export function encodeCursor({ timestamp, id }) {
+  return Buffer.from(`${timestamp}:${id}`).toString('base64url');
+}
+
+/**
+ * Décode un curseur
+ * @param {string} cursor - Curseur (encodeCursor)
+ * @returns {{timestamp: number, id: string}|null} - null si le curseur est invalide
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+
+  const match = Buffer.from(cursor, 'base64url').toString('utf8').match(/^(\d+):(.+)$/);
+  if (!match) return null;
+  return { timestamp: parseInt(match[1], 10), id: match[2] };
+}
+
+/**
+ * Valide les paramètres de pagination (query string)
+ * @param {Object} query - { before, after, around, limit }
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateHistoryQuery(query = {}) {
+  const errors = [];
+  const { maxLimit, defaultLimit } = MESSAGE_HISTORY_CONFIG;
+  const value = { limit: Math.min(defaultLimit, maxLimit), before: null, after: null, around: null };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      errors.push(`limit doit être un entier entre 1 et ${maxLimit}`);
+    } else {
+      value.limit = limit;
+    }
+  }
+
+  for (const key of ['before', 'after']) {
+    if (query[key] === undefined) continue;
+    value[key] = decodeCursor(query[key]);
+    if (!value[key]) {
+      errors.push(`Curseur ${key} invalide`);
+    }
+  }
+
+  if (query.around !== undefined) {
+    if (typeof query.around !== 'string' || !query.around) {
+      errors.push('around doit être un ID de message');
+    } else {
+      value.around = query.around;
+    }
+  }
+
+  if (['before', 'after', 'around'].filter(key => query[key] !== undefined).length > 1) {
+    errors.push('before, after et around ne peuvent pas être combinés');
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Construit une page à partir d'une fonction de lecture ({ before, after, limit } -> messages)
+ * Un message de plus est lu pour savoir s'il en reste au-delà de la page.
+ * Un curseur provenant d'un message, il reste toujours des messages de son côté.
+ * @private
+ */
+function paginate(fetchPage, { limit, before, after }, anchor = null) {
+  let messages;
+  let hasOlder = false;
+  let hasNewer = false;
+
+  if (anchor) {
+    const olderCount = Math.floor((limit - 1) / 2);
+    const newerCount = limit - 1 - olderCount;
+    const older = fetchPage({ before: anchor, limit: olderCount + 1 });
+    const newer = fetchPage({ after: anchor, limit: newerCount + 1 });
+
+    hasOlder = older.length > olderCount;
+    if (hasOlder) older.shift();
+    hasNewer = newer.length > newerCount;
+    if (hasNewer) newer.pop();
+    messages = [...older, anchor, ...newer];
+  } else if (after) {
+    messages = fetchPage({ after, limit: limit + 1 });
+    hasOlder = true;
+    hasNewer = messages.length > limit;
+    if (hasNewer) messages.pop();
+  } else {
+    messages = fetchPage({ before, limit: limit + 1 });
+    hasOlder = messages.length > limit;
+    if (hasOlder) messages.shift();
+    hasNewer = Boolean(before);
+  }
+
+  const first = messages[0] || after;
+  const last = messages[messages.length - 1] || before;
+
+  return {
+    messages,
+    pageInfo: {
+      hasOlder,
+      hasNewer,
+      olderCursor: hasOlder && first ? encodeCursor(first) : null,
+      newerCursor: hasNewer && last ? encodeCursor(last) : null,
+      ...(anchor ? { anchorId: anchor.id } : {})
+    }
+  };
+}
+
+/**
+ * Page de l'historique d'un groupe
+ * "Aller à" une réponse de fil centre la page sur la racine du fil (pageInfo.threadId).
+ * @param {string} groupId - ID du groupe
+ * @param {Object} value - Paramètres validés (validateHistoryQuery)
+ * @returns {{messages: Array<Object>, pageInfo: Object}|null} - null si le message around est introuvable
+ */
+export function getGroupHistory(groupId, value) {
+  let anchor = null;
+  let threadId = null;
+
+  if (value.around) {
+    const row = messagesDB.get(value.around);
+    if (!row || row.group_id !== groupId) return null;
+
+    threadId = row.thread_id || null;
+    anchor = getGroupMessage(threadId || row.id);
+    if (!anchor) return null;
+
+    const summary = getThreadSummary(groupId, anchor.id);
+    anchor.thread = summary.replyCount > 0 ? { replyCount: summary.replyCount, lastReplyAt: summary.lastReplyAt } : null;
+  }
+
+  const page = paginate(options => getGroupMessagePage(groupId, options), value, anchor);
+  if (threadId) {
+    page.pageInfo.threadId = threadId;
+  }
+  return page;
+}
+
+/**
+ * Page de l'historique d'une conversation privée
+ * @param {string} conversationId - ID de la conversation
+ * @param {Object} value - Paramètres validés (validateHistoryQuery)
+ * @returns {{messages: Array<Object>, pageInfo: Object}|null} - null si le message around est introuvable
+ */
+export function getConversationHistory(conversationId, value) {
+  let anchor = null;
+
+  if (value.around) {
+    const row = directMessagesDB.get(value.around);
+    if (!row || row.conversation_id !== conversationId) return null;
+    anchor = getDirectMessage(row.id);
+  }
+
+  return paginate(options => getConversationMessagePage(conversationId, options), value, anchor);
+}
+
+export default {
+  MESSAGE_HISTORY_CONFIG,
+  encodeCursor,
+  decodeCursor,
+  validateHistoryQuery,
+  getGroupHistory,
+  getConversationHistory
+};
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Registre des providers IA
+ * @module services/providers
+ *
+ * Chaque provider déclare :
+ * - Ses capacités (translate, transcribe, speak)
+ * - Ses modèles par capacité
+ * - Son URL de base (API compatible OpenAI) et sa clé API
+ * - Optionnellement des handlers personnalisés (ex: provider mock)
+ *
+ * Les routes et services résolvent leur provider via ce registre,
+ * ce qui permet d'ajouter un LLM auto-hébergé sans toucher aux routes.
+ *
+ * Chaque provider possède son propre circuit breaker, utilisé par la
+ * chaîne de failover (getFailoverChain).
+ */
+
+import { logger } from '../utils/logger.js';
+import { CircuitBreaker } from '../utils/resilience.js';
+
+/**
+ * Capacités supportées par les providers
+ */
+export const CAPABILITIES = {
+  TRANSLATE: 'translate',
+  TRANSCRIBE: 'transcribe',
+  SPEAK: 'speak'
+};
+
+// Registre interne : name -> définition normalisée
+const providers = new Map();
+
+// Circuit breakers : name -> CircuitBreaker
+const circuitBreakers = new Map();
+
+/**
+ * Configuration des circuit breakers
+ */
+export const CIRCUIT_CONFIG = {
+  failureThreshold: parseInt(process.env.PROVIDER_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.PROVIDER_RESET_TIMEOUT_MS || '30000', 10)
+};
+
+/**
+ * Enregistre (ou remplace) un provider
+ * @param {Object} definition - Définition du provider
+ * @param {string} definition.name - Identifiant unique ('openai', 'deepseek', ...)
+ * @param {string} [definition.label] - Nom lisible (utilisé dans les logs)
+ * @param {string|Function} [definition.baseUrl] - URL de base de l'API (ou getter)
+ * @param {Function} [definition.apiKey] - Getter de la clé API
+ * @param {Array<string>} definition.capabilities - Capacités supportées
+ * @param {Object} [definition.models] - Modèle par capacité
+ * @param {Function} [definition.diarizationModel] - Getter du modèle de transcription avec locuteurs
+ * @param {string} [definition.speechProtocol] - API de synthèse : 'openai' (/audio/speech, défaut) ou 'piper'
+ * @param {Array<string>} [definition.speechFormats] - Formats audio produits (mp3, opus, wav)
+ * @param {Function} [definition.voices] - Catalogue des voix [{ id, name, languages }] ('*' = toutes langues)
+ * @param {number} [definition.priority] - Priorité pour la résolution par défaut (plus petit = prioritaire)
+ * @param {Function} [definition.isAvailable] - Disponibilité (par défaut : clé API configurée)
+ * @param {Object} [definition.handlers] - Handlers personnalisés par capacité
+ *   (transcribe, transcribeSegments, transcribeSpeakers, translate, speak)
+ * @returns {Object} - Provider enregistré
+ */
+export function registerProvider(definition) {
+  if (!definition || !definition.name) {
+    throw new Error('Provider name is required');
+  }
+
+  const capabilities = definition.capabilities || [];
+  const unknown = capabilities.filter(c => !Object.values(CAPABILITIES).includes(c));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown capabilities for provider ${definition.name}: ${unknown.join(', ')}`);
+  }
+
+  const provider = {
+    label: definition.name,
+    models: {},
+    handlers: {},
+    priority: 100,
+    ...definition,
+    capabilities
+  };
+
+  providers.set(provider.name, provider);
+  logger.info('AI provider registered', { provider: provider.name, capabilities });
+
+  return provider;
+}
+
+/**
+ * Retire un provider du registre
+ * @param {string} name - Nom du provider
+ * @returns {boolean} - true si le provider existait
+ */
+export function unregisterProvider(name) {
+  circuitBreakers.delete(name);
+  return providers.delete(name);
+}
+
+/**
+ * Récupère un provider par son nom
+ * @param {string} name - Nom du provider
+ * @returns {Object|null} - Provider ou null
+ */
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * URL de base effective d'un provider
+ * @param {Object} provider - Provider
+ * @returns {string|null}
+ */
+export function getBaseUrl(provider) {
+  const baseUrl = typeof provider.baseUrl === 'function' ? provider.baseUrl() : provider.baseUrl;
+  return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Clé API effective d'un provider
+ * @param {Object} provider - Provider
+ * @returns {string|null}
+ */
+export function getApiKey(provider) {
+  return typeof provider.apiKey === 'function' ? provider.apiKey() || null : provider.apiKey || null;
+}
+
+/**
+ * Vérifie si un provider supporte une capacité
+ * @param {string} name - Nom du provider
+ * @param {string} capability - Capacité
+ * @returns {boolean}
+ */
+export function supports(name, capability) {
+  const provider = getProvider(name);
+  return !!provider && provider.capabilities.includes(capability);
+}
+
+/**
+ * Vérifie si un provider est disponible (configuré)
+ * @param {string} name - Nom du provider
+ * @returns {boolean}
+ */
+export function isProviderAvailable(name) {
+  const provider = getProvider(name);
+  if (!provider) return false;
+
+  if (typeof provider.isAvailable === 'function') {
+    return !!provider.isAvailable();
+  }
+  return !!getApiKey(provider);
+}
+
+/**
+ * Liste les providers enregistrés
+ * @param {Object} options - Filtres
+ * @param {string} [options.capability] - Ne garder que les providers supportant cette capacité
+ * @param {boolean} [options.availableOnly] - Ne garder que les providers configurés
+ * @returns {Array<Object>} - Providers triés par priorité
+ */
+export function listProviders({ capability = null, availableOnly = false } = {}) {
+  return Array.from(providers.values())
+    .filter(p => !capability || p.capabilities.includes(capability))
+    .filter(p => !availableOnly || isProviderAvailable(p.name))
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Résout le provider à utiliser pour une capacité
+ * Utilise le provider demandé s'il supporte la capacité et est disponible,
+ * sinon le premier provider disponible par ordre de priorité.
+ * @param {string} capability - Capacité requise
+ * @param {string} preferred - Provider demandé (optionnel)
+ * @returns {Object} - Provider résolu
+ * @throws {Error} - Si aucun provider ne supporte la capacité
+ */
+export function resolveProvider(capability, preferred = null) {
+  if (preferred && supports(preferred, capability) && isProviderAvailable(preferred)) {
+    return getProvider(preferred);
+  }
+
+  const fallback = listProviders({ capability, availableOnly: true })[0];
+  if (!fallback) {
+    throw new Error(`No available provider for capability: ${capability}`);
+  }
+
+  if (preferred && preferred !== fallback.name) {
+    logger.warn('Requested provider unavailable for capability, using fallback', {
+      requested: preferred,
+      provider: fallback.name,
+      capability
+    });
+  }
+
+  return fallback;
+}
+
+/**
+ * Récupère (ou crée) le circuit breaker d'un provider
+ * @param {string} name - Nom du provider
+ * @returns {CircuitBreaker}
+ */
+export function getCircuitBreaker(name) {
+  if (!circuitBreakers.has(name)) {
+    circuitBreakers.set(name, new CircuitBreaker(name, CIRCUIT_CONFIG));
+  }
+  return circuitBreakers.get(name);
+}
+
+/**
+ * Construit la chaîne de failover pour une capacité
+ * Ordre : provider demandé, puis TRANSLATION_FAILOVER_CHAIN (ex: "openai,deepseek,local")
+ * si défini, puis les autres providers disponibles par priorité.
+ * Les providers dont le circuit est ouvert restent dans la chaîne : c'est à
+ * l'appelant de les sauter (leur cache reste exploitable).
+ * @param {string} capability - Capacité requise
+ * @param {string} preferred - Provider demandé (optionnel)
+ * @returns {Array<Object>} - Providers disponibles, dans l'ordre d'essai
+ */
+export function getFailoverChain(capability, preferred = null) {
+  const configured = (process.env.TRANSLATION_FAILOVER_CHAIN || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const ordered = [
+    preferred,
+    ...configured,
+    ...listProviders({ capability }).map(p => p.name)
+  ];
+
+  const chain = [];
+  for (const name of ordered) {
+    if (!name || chain.some(p => p.name === name)) continue;
+    if (!supports(name, capability) || !isProviderAvailable(name)) continue;
+    chain.push(getProvider(name));
+  }
+
+  return chain;
+}
+
+/**
+ * Résumé public des providers (sans clés API)
+ * @returns {Array<Object>}
+ */
+export function describeProviders() {
+  return listProviders().map(p => ({
+    name: p.name,
+    label: p.label,
+    capabilities: p.capabilities,
+    models: p.models,
+    available: isProviderAvailable(p.name),
+    circuit: getCircuitBreaker(p.name).getState().state
+  }));
+}
+
+// ===================================
+// PROVIDERS INTÉGRÉS
+// ===================================
+
+registerProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  baseUrl: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey: () => process.env.OPENAI_API_KEY,
+  // Modèle de transcription avec locuteurs (ex: gpt-4o-transcribe-diarize), désactivé si absent
+  diarizationModel: () => process.env.OPENAI_DIARIZATION_MODEL || null,
+  capabilities: [CAPABILITIES.TRANSLATE, CAPABILITIES.TRANSCRIBE, CAPABILITIES.SPEAK],
+  models: {
+    translate: 'gpt-4o-mini',
+    transcribe: 'whisper-1',
+    speak: 'tts-1'
+  },
+  speechFormats: ['mp3', 'opus', 'wav'],
+  // Voix multilingues
+  voices: () => ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'].map(id => ({
+    id,
+    name: id.charAt(0).toUpperCase() + id.slice(1),
+    languages: ['*']
+  })),
+  priority: 10
+});
+
+registerProvider({
+  name: 'deepseek',
+  label: 'DeepSeek',
+  baseUrl: () => process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com/v1',
+  apiKey: () => process.env.DEEPSEEK_API_KEY,
+  capabilities: [CAPABILITIES.TRANSLATE],
+  models: {
+    translate: 'deepseek-chat'
+  },
+  priority: 20
+});
+
+// Endpoint local compatible OpenAI (Ollama, vLLM, LM Studio, llama.cpp...)
+registerProvider({
+  name: 'local',
+  label: 'Local LLM',
+  baseUrl: () => process.env.LOCAL_LLM_BASE_URL,
+  apiKey: () => process.env.LOCAL_LLM_API_KEY,
+  capabilities: [CAPABILITIES.TRANSLATE],
+  models: {
+    get translate() {
+      return process.env.LOCAL_LLM_MODEL || 'llama3';
+    }
+  },
+  isAvailable: () => !!process.env.LOCAL_LLM_BASE_URL,
+  priority: 30
+});
+
+// Serveur de synthèse local compatible Piper (piper.http_server)
+// PIPER_VOICES : voix installées par langue, ex: "fr=fr_FR-siwis-medium,en=en_US-lessac-medium"
+registerProvider({
+  name: 'piper',
+  label: 'Piper',
+  baseUrl: () => process.env.PIPER_BASE_URL,
+  apiKey: () => null,
+  capabilities: [CAPABILITIES.SPEAK],
+  speechProtocol: 'piper',
+  speechFormats: ['wav'],
+  voices: () => (process.env.PIPER_VOICES || '')
+    .split(',')
+    .map(entry => entry.trim().split('='))
+    .filter(([language, id]) => language && id)
+    .map(([language, id]) => ({ id: id.trim(), name: id.trim(), languages: [language.trim()] })),
+  isAvailable: () => !!process.env.PIPER_BASE_URL,
+  priority: 40
+});
+
+// Provider déterministe pour les tests et le développement hors ligne
+registerProvider({
+  name: 'mock',
+  label: 'Mock',
+  capabilities: [CAPABILITIES.TRANSLATE, CAPABILITIES.TRANSCRIBE, CAPABILITIES.SPEAK],
+  models: {
+    translate: 'mock-translate',
+    transcribe: 'mock-transcribe',
+    speak: 'mock-speak'
+  },
+  isAvailable: () => process.env.NODE_ENV === 'test' || process.env.AI_MOCK_PROVIDER === 'true',
+  priority: 1000,
+  handlers: {
+    translate: async ({ text, targetLang }) => `[${targetLang}] ${text}`,
+    transcribe: async ({ audioBuffer }) => `[mock transcription: ${audioBuffer.length} bytes]`,
+    transcribeSegments: async ({ audioBuffer }) => ({
+      text: `[mock transcription: ${audioBuffer.length} bytes]`,
+      duration: 4,
+      segments: [
+        { start: 0, end: 2, text: '[mock segment 1]' },
+        { start: 2, end: 4, text: `[mock segment 2: ${audioBuffer.length} bytes]` }
+      ]
+    }),
+    speak: async ({ text, format = 'mp3' }) => Buffer.from(`mock-audio:${format}:${text}`)
+  },
+  speechFormats: ['mp3', 'opus', 'wav'],
+  voices: () => [{ id: 'mock', name: 'Mock', languages: ['*'] }]
+});
+
+export default {
+  CAPABILITIES,
+  CIRCUIT_CONFIG,
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getBaseUrl,
+  getApiKey,
+  supports,
+  isProviderAvailable,
+  listProviders,
+  resolveProvider,
+  getCircuitBreaker,
+  getFailoverChain,
+  describeProviders
+};
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Recherche plein texte dans les messages
+ * @module services/search
+ *
+ * - Index SQLite FTS5 (trigrammes) sur le texte original et chaque traduction
+ *   stockée, pour les groupes et les messages privés
+ * - Limitée aux groupes dont l'utilisateur est membre et à ses conversations privées
+ * - Filtres : groupe, conversation, expéditeur, période, fichier joint, langue
+ * - Extraits avec les termes trouvés en évidence (<mark>, HTML échappé)
+ */
+
+import { messageSearchDB } from '../database.js';
+import { getConversationId } from './conversation.service.js';
+
+/**
+ * Configuration de la recherche
+ */
+export const SEARCH_CONFIG = {
+  defaultLimit: 20,
+  maxLimit: 100,
+  maxQueryLength: 200,
+  maxTerms: 10,
+  // Longueur minimale d'un terme indexé (trigrammes) ; les termes plus courts filtrent les résultats
+  minIndexedTermLength: 3,
+  // Longueur de l'extrait (en trigrammes, soit environ en caractères)
+  snippetTokens: 64
+};
+
+const SORT_ORDERS = ['relevance', 'date'];
+const MESSAGE_TYPES = ['group', 'dm'];
+
+// Délimiteurs des correspondances dans l'extrait brut (caractères à usage privé)
+const HIGHLIGHT = ['\uE000', '\uE001'];
+
+/**
+ * Découpe la requête en termes : indexés (expression FTS5) ou trop courts (filtre LIKE)
+ * Chaque terme est cité pour neutraliser la syntaxe FTS5 (AND, OR, NEAR, *, ...).
+ * @param {string} q - Requête de l'utilisateur
+ * @returns {{match: string|null, contains: Array<string>}}
+ */
+export function buildSearchExpression(q) {
+  const terms = [...new Set(q.replace(/"/g, ' ').split(/\s+/).filter(Boolean))].slice(0, SEARCH_CONFIG.maxTerms);
+  const indexed = terms.filter(term => Array.from(term).length >= SEARCH_CONFIG.minIndexedTermLength);
+
+  return {
+    match: indexed.length > 0 ? indexed.map(term => `"${term}"`).join(' ') : null,
+    contains: terms.filter(term => !indexed.includes(term))
+  };
+}
+
+/**
+ * Convertit une date (timestamp en ms ou ISO 8601)
+ * @private
+ */
+function parseDate(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+}
+
+/**
+ * Valide les paramètres de recherche (query string)
+ * @param {Object} query - { q, groupId, with, type, sender, since, until, hasFile, lang, sort, limit, offset }
+ * @param {string} userEmail - Utilisateur (conversation privée avec `with`)
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateSearchQuery(query = {}, userEmail) {
+  const errors = [];
+  const value = { sort: 'relevance', limit: SEARCH_CONFIG.defaultLimit, offset: 0 };
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) {
+    errors.push('q est requis');
+  } else if (q.length > SEARCH_CONFIG.maxQueryLength) {
+    errors.push(`q ne doit pas dépasser ${SEARCH_CONFIG.maxQueryLength} caractères`);
+  } else {
+    const expression = buildSearchExpression(q);
+    if (!expression.match) {
+      errors.push(`La recherche doit contenir au moins un mot de ${SEARCH_CONFIG.minIndexedTermLength} caractères`);
+    }
+    Object.assign(value, { q }, expression);
+  }
+
+  for (const key of ['groupId', 'sender', 'lang']) {
+    if (query[key] === undefined) continue;
+    if (typeof query[key] !== 'string' || !query[key]) {
+      errors.push(`${key} invalide`);
+    } else {
+      value[key] = query[key];
+    }
+  }
+
+  if (query.with !== undefined) {
+    if (typeof query.with !== 'string' || !query.with) {
+      errors.push('with invalide');
+    } else {
+      value.conversationId = getConversationId(userEmail, query.with);
+    }
+  }
+  if (query.groupId !== undefined && query.with !== undefined) {
+    errors.push('groupId et with ne peuvent pas être combinés');
+  }
+
+  if (query.type !== undefined) {
+    if (!MESSAGE_TYPES.includes(query.type)) {
+      errors.push(`type doit être ${MESSAGE_TYPES.join(' ou ')}`);
+    } else {
+      value.type = query.type;
+    }
+  }
+
+  for (const key of ['since', 'until']) {
+    if (query[key] === undefined) continue;
+    value[key] = typeof query[key] === 'string' ? parseDate(query[key]) : null;
+    if (value[key] === null) {
+      errors.push(`${key} doit être une date ISO 8601 ou un timestamp`);
+    }
+  }
+  if (value.since && value.until && value.since > value.until) {
+    errors.push('since doit précéder until');
+  }
+
+  if (query.hasFile !== undefined) {
+    if (!['true', 'false'].includes(query.hasFile)) {
+      errors.push('hasFile doit être true ou false');
+    } else {
+      value.hasFile = query.hasFile === 'true';
+    }
+  }
+
+  if (query.sort !== undefined) {
+    if (!SORT_ORDERS.includes(query.sort)) {
+      errors.push(`sort doit être ${SORT_ORDERS.join(' ou ')}`);
+    } else {
+      value.sort = query.sort;
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_CONFIG.maxLimit) {
+      errors.push(`limit doit être un entier entre 1 et ${SEARCH_CONFIG.maxLimit}`);
+    } else {
+      value.limit = limit;
+    }
+  }
+
+  if (query.offset !== undefined) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('offset doit être un entier positif');
+    } else {
+      value.offset = offset;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Échappe le HTML de l'extrait puis met en évidence les correspondances
+ * @private
+ */
+function highlightSnippet(snippet) {
+  return snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replaceAll(HIGHLIGHT[0], '<mark>')
+    .replaceAll(HIGHLIGHT[1], '</mark>');
+}
+
+/**
+ * Formate un résultat de recherche
+ * @private
+ */
+function formatResult(row) {
+  return {
+    messageId: row.message_id,
+    type: row.message_type,
+    ...(row.message_type === 'group'
+      ? { groupId: row.group_id, groupName: row.group_name, threadId: row.thread_id || null }
+      : { conversationId: row.conversation_id }),
+    from: row.from_email,
+    fromDisplayName: row.from_display_name,
+    timestamp: row.timestamp,
+    hasFile: Boolean(row.has_file),
+    lang: row.lang,
+    snippet: highlightSnippet(row.snippet)
+  };
+}
+
+/**
+ * Recherche dans les conversations de l'utilisateur
+ * Un message trouvé dans plusieurs langues n'apparaît qu'une fois (meilleure correspondance).
+ * @param {string} userEmail - Utilisateur
+ * @param {Object} value - Paramètres validés (validateSearchQuery)
+ * @returns {{results: Array<Object>, hasMore: boolean}}
+ */
+export function searchMessages(userEmail, value) {
+  const rows = messageSearchDB.search({
+    ...value,
+    userEmail,
+    limit: value.limit + 1,
+    highlight: HIGHLIGHT,
+    snippetTokens: SEARCH_CONFIG.snippetTokens
+  });
+
+  return {
+    results: rows.slice(0, value.limit).map(formatResult),
+    hasMore: rows.length > value.limit
+  };
+}
+
+export default {
+  SEARCH_CONFIG,
+  buildSearchExpression,
+  validateSearchQuery,
+  searchMessages
+};
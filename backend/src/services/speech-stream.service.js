@@ -0,0 +1,539 @@
+/**
+ * @fileoverview Traduction vocale en continu (mode conversation)
+ * @module services/speech-stream
+ *
+ * Le client envoie le son du micro par petites trames (PCM 16 bits mono,
+ * SPEECH_STREAM_CONFIG.sampleRate) sur Socket.IO ; le serveur :
+ * 1. découpe le flux en phrases sur les silences (SilenceSegmenter)
+ * 2. transcrit chaque phrase, détecte laquelle des deux langues a été parlée
+ *    et traduit vers l'autre (fragments de traduction au fil de l'eau)
+ * 3. synthétise la traduction si la lecture est demandée
+ *
+ * Pendant une longue phrase, une transcription provisoire est renvoyée toutes
+ * les partialIntervalMs (au plus une à la fois, maxPartialsPerSegment par
+ * phrase). Chacune ne transcrit que le son reçu depuis la précédente : au total,
+ * au plus la durée de la phrase. Elles ne sont pas décomptées : seules les
+ * phrases terminées consomment le quota (transcribe, translate, speak), et
+ * uniquement via SpeechStreamSession.charge(). Elles exigent toutefois un quota
+ * de transcription restant, comme l'ouverture d'une session.
+ *
+ * Les phrases sont traitées dans l'ordre : les résultats d'une phrase
+ * n'arrivent jamais avant ceux de la précédente.
+ *
+ * Par défaut, la session traduit vers l'autre langue de la conversation ;
+ * les salles d'interprétation fournissent leurs propres langues cibles
+ * (options targetLanguages/ttsLanguages).
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { buildWav } from '../utils/audio.js';
+import { authManager } from '../auth-sqlite.js';
+import { transcribeAudio, TRANSLATION_STATUS } from './ai.service.js';
+import { translateForLanguages } from './conversation.service.js';
+import { detectLanguage } from './language-detection.service.js';
+import { speak } from './tts.service.js';
+
+/**
+ * Configuration du flux et du découpage
+ */
+export const SPEECH_STREAM_CONFIG = {
+  sampleRate: 16000,
+  frameMs: 20,
+  // Volume RMS (0-1) au-dessus duquel une trame contient de la voix
+  voiceThreshold: parseFloat(process.env.SPEECH_STREAM_VAD_THRESHOLD || '0.015'),
+  // Silence qui termine une phrase
+  silenceMs: 700,
+  // Parole minimale pour qu'une phrase soit transcrite (clics, souffles)
+  minSpeechMs: 300,
+  // Une phrase plus longue est coupée
+  maxSegmentMs: 15000,
+  // Son conservé avant le début détecté (attaque de la première syllabe)
+  preRollMs: 200,
+  partialIntervalMs: 1500,
+  // Transcriptions provisoires par phrase (les suivantes attendent la phrase terminée)
+  maxPartialsPerSegment: 6,
+  maxFrameBytes: 64 * 1024,
+  maxSessionsPerUser: 2,
+  // Session fermée sans audio reçu pendant ce délai
+  idleTimeoutMs: 60 * 1000,
+  // Phrases précédentes transmises comme contexte de traduction
+  contextSize: 3
+};
+
+/**
+ * Événements émis vers le client
+ */
+export const SPEECH_STREAM_EVENTS = {
+  PARTIAL: 'speech_stream_partial',
+  TRANSLATION: 'speech_stream_translation',
+  FINAL: 'speech_stream_final',
+  AUDIO: 'speech_stream_audio',
+  ERROR: 'speech_stream_error',
+  STOPPED: 'speech_stream_stopped'
+};
+
+/**
+ * Erreur d'une session (code transmis au client)
+ */
+export class SpeechStreamError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'SpeechStreamError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Volume RMS (0-1) d'une trame PCM 16 bits
+ * @param {Buffer} frame - Échantillons little-endian
+ * @returns {number}
+ */
+export function frameVolume(frame) {
+  const samples = frame.length >> 1;
+  if (samples === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2) / 32768;
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+}
+
+/**
+ * Découpe un flux PCM en phrases séparées par des silences
+ */
+export class SilenceSegmenter {
+  /**
+   * @param {Object} options - Surcharges de SPEECH_STREAM_CONFIG
+   */
+  constructor(options = {}) {
+    this.options = { ...SPEECH_STREAM_CONFIG, ...options };
+    this.frameBytes = Math.round(this.options.sampleRate * this.options.frameMs / 1000) * 2;
+    this.pending = Buffer.alloc(0);
+    this.position = 0;
+    this.preRoll = [];
+    this.segment = null;
+  }
+
+  /**
+   * Ajoute des échantillons
+   * @param {Buffer} pcm - PCM 16 bits mono
+   * @returns {Array<{pcm: Buffer, start: number, end: number, forced: boolean}>} - Phrases terminées (start/end en ms)
+   */
+  push(pcm) {
+    const completed = [];
+    let data = this.pending.length > 0 ? Buffer.concat([this.pending, pcm]) : pcm;
+
+    while (data.length >= this.frameBytes) {
+      const segment = this.processFrame(data.subarray(0, this.frameBytes));
+      if (segment) completed.push(segment);
+      data = data.subarray(this.frameBytes);
+    }
+
+    this.pending = Buffer.from(data);
+    return completed;
+  }
+
+  /**
+   * Analyse une trame
+   * @private
+   */
+  processFrame(frame) {
+    const { frameMs, voiceThreshold, silenceMs, maxSegmentMs, preRollMs } = this.options;
+    const voiced = frameVolume(frame) > voiceThreshold;
+    const frameStart = this.position;
+    this.position += frameMs;
+
+    if (!this.segment) {
+      if (!voiced) {
+        this.preRoll.push(frame);
+        if (this.preRoll.length * frameMs > preRollMs) this.preRoll.shift();
+        return null;
+      }
+
+      this.segment = {
+        frames: [...this.preRoll, frame],
+        start: frameStart - this.preRoll.length * frameMs,
+        voicedMs: frameMs,
+        silenceMs: 0
+      };
+      this.preRoll = [];
+      return null;
+    }
+
+    const segment = this.segment;
+    segment.frames.push(frame);
+    if (voiced) {
+      segment.voicedMs += frameMs;
+      segment.silenceMs = 0;
+    } else {
+      segment.silenceMs += frameMs;
+    }
+
+    if (segment.silenceMs >= silenceMs) {
+      return this.close();
+    }
+    if (this.position - segment.start >= maxSegmentMs) {
+      return this.close({ forced: true });
+    }
+    return null;
+  }
+
+  /**
+   * Termine la phrase en cours (null si trop peu de parole)
+   * @private
+   */
+  close({ forced = false } = {}) {
+    const segment = this.segment;
+    this.segment = null;
+    if (!segment || segment.voicedMs < this.options.minSpeechMs) return null;
+
+    return {
+      pcm: Buffer.concat(segment.frames),
+      start: segment.start,
+      end: this.position,
+      forced
+    };
+  }
+
+  /**
+   * Phrase en cours de prononciation (transcription provisoire)
+   * @param {{start: number, frames: number}|null} since - Partie déjà transcrite :
+   *   seul le son reçu depuis est renvoyé, s'il s'agit de la même phrase
+   * @returns {{pcm: Buffer, start: number, frames: number}|null}
+   */
+  current(since = null) {
+    if (!this.segment || this.segment.voicedMs < this.options.minSpeechMs) return null;
+
+    const from = since?.start === this.segment.start ? since.frames : 0;
+    return {
+      pcm: Buffer.concat(this.segment.frames.slice(from)),
+      start: this.segment.start,
+      frames: this.segment.frames.length
+    };
+  }
+
+  /**
+   * Termine le flux : renvoie la phrase en cours, s'il y en a une
+   * @returns {{pcm: Buffer, start: number, end: number, forced: boolean}|null}
+   */
+  flush() {
+    this.pending = Buffer.alloc(0);
+    return this.close();
+  }
+}
+
+// Sessions ouvertes (streamId -> SpeechStreamSession)
+const sessions = new Map();
+
+/**
+ * Session de traduction en continu d'un utilisateur
+ */
+export class SpeechStreamSession {
+  /**
+   * @param {Object} params - Paramètres
+   * @param {string} params.userEmail - Utilisateur (quota, préférences de voix)
+   * @param {string} params.socketId - Socket propriétaire
+   * @param {Array<string>} params.languages - Les deux langues de la conversation
+   * @param {boolean} params.tts - Synthétiser les traductions
+   * @param {boolean} params.partials - Envoyer des transcriptions provisoires
+   * @param {string} params.provider - Provider IA
+   * @param {Function} params.emit - Callback (event, payload) vers le client
+   * @param {Function} [params.targetLanguages] - (sourceLang) => langues de traduction
+   *   (défaut : l'autre langue de la conversation)
+   * @param {Function} [params.ttsLanguages] - (targetLangs) => langues à synthétiser
+   *   (défaut : toutes si tts)
+   * @param {string|null} [params.voiceEmail] - Préférences de voix appliquées (défaut : userEmail)
+   * @param {Object} [params.meta] - Champs ajoutés à chaque événement (ex: locuteur)
+   */
+  constructor({
+    userEmail,
+    socketId,
+    languages,
+    tts = false,
+    partials = true,
+    provider = 'openai',
+    emit,
+    targetLanguages = null,
+    ttsLanguages = null,
+    voiceEmail = userEmail,
+    meta = {}
+  }) {
+    this.id = crypto.randomBytes(8).toString('hex');
+    this.userEmail = userEmail;
+    this.socketId = socketId;
+    this.languages = languages;
+    this.tts = tts;
+    this.partials = partials;
+    this.provider = provider;
+    this.emit = emit;
+    this.targetLanguages = targetLanguages || (sourceLang => this.languages.filter(lang => lang !== sourceLang));
+    this.ttsLanguages = ttsLanguages || (targetLangs => (this.tts ? targetLangs : []));
+    this.voiceEmail = voiceEmail;
+    this.meta = meta;
+    this.segmenter = new SilenceSegmenter();
+    this.queue = Promise.resolve();
+    this.segmentCount = 0;
+    this.context = [];
+    this.lastPartialAt = 0;
+    this.partialInFlight = false;
+    // Transcription provisoire de la phrase en cours : { start, frames, text, count }
+    this.partial = null;
+    this.stopped = false;
+    this.flushing = false;
+    this.idleTimer = null;
+    this.touch();
+  }
+
+  /**
+   * Repousse la fermeture pour inactivité
+   * @private
+   */
+  touch() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => {
+      logger.info('Speech stream idle, closing', { streamId: this.id, userEmail: this.userEmail });
+      this.stop();
+    }, SPEECH_STREAM_CONFIG.idleTimeoutMs);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Décompte le quota (seul point de contrôle du quota de la session)
+   * @param {string} action - 'transcribe', 'translate' ou 'speak'
+   * @param {number} [amount] - Unités (une par langue traduite ou synthétisée)
+   * @throws {SpeechStreamError} - quota_exceeded
+   */
+  charge(action, amount = 1) {
+    const quotaCheck = authManager.consumeQuota(this.userEmail, action, amount);
+    if (!quotaCheck.allowed) {
+      throw new SpeechStreamError(quotaCheck.message, 'quota_exceeded', { action, resetAt: quotaCheck.resetAt });
+    }
+  }
+
+  /**
+   * Reçoit une trame audio
+   * @param {Buffer} pcm - PCM 16 bits mono
+   */
+  push(pcm) {
+    if (this.stopped) return;
+    this.touch();
+
+    for (const segment of this.segmenter.push(pcm)) {
+      this.enqueue(segment);
+    }
+
+    if (this.partials && !this.partialInFlight && Date.now() - this.lastPartialAt >= SPEECH_STREAM_CONFIG.partialIntervalMs) {
+      this.lastPartialAt = Date.now();
+      const current = this.segmenter.current(this.partial);
+      if (current) this.transcribePartial(current);
+    }
+  }
+
+  /**
+   * Transcription provisoire de la phrase en cours (non décomptée)
+   * Seul le son reçu depuis la précédente est transcrit ; le texte renvoyé
+   * est celui de toute la phrase.
+   * @private
+   */
+  async transcribePartial(current) {
+    if (this.partial?.start !== current.start) {
+      this.partial = { start: current.start, frames: 0, text: '', count: 0 };
+    }
+    const partial = this.partial;
+    if (partial.count >= SPEECH_STREAM_CONFIG.maxPartialsPerSegment) return;
+    if (!authManager.checkQuota(this.userEmail, 'transcribe')) return;
+
+    partial.count++;
+    this.partialInFlight = true;
+    const segmentId = this.segmentCount + 1;
+
+    try {
+      const text = await this.transcribe(current.pcm);
+      partial.frames = current.frames;
+      if (!text) return;
+      partial.text = partial.text ? `${partial.text} ${text}` : text;
+
+      // Inutile si la phrase s'est terminée entre-temps
+      if (!this.stopped && this.segmentCount < segmentId) {
+        this.emit(SPEECH_STREAM_EVENTS.PARTIAL, { ...this.meta, streamId: this.id, segmentId, start: current.start, text: partial.text });
+      }
+    } catch (error) {
+      logger.warn('Speech stream partial transcription failed', { streamId: this.id, error: error.message });
+    } finally {
+      this.partialInFlight = false;
+    }
+  }
+
+  /**
+   * Transcrit des échantillons
+   * @private
+   */
+  async transcribe(pcm) {
+    const wav = buildWav(pcm, { sampleRate: SPEECH_STREAM_CONFIG.sampleRate });
+    const text = await transcribeAudio(wav, 'stream.wav', this.provider, { mimeType: 'audio/wav' });
+    return (text || '').trim();
+  }
+
+  /**
+   * Met une phrase terminée en file (traitement dans l'ordre)
+   * @private
+   */
+  enqueue(segment) {
+    const segmentId = ++this.segmentCount;
+    this.queue = this.queue.then(() => this.processSegment(segmentId, segment));
+  }
+
+  /**
+   * Transcrit, traduit et synthétise une phrase
+   * @private
+   */
+  async processSegment(segmentId, segment) {
+    if (this.stopped && !this.flushing) return;
+    const context = { ...this.meta, streamId: this.id, segmentId };
+
+    try {
+      this.charge('transcribe');
+      const text = await this.transcribe(segment.pcm);
+      if (!text) return;
+
+      // Laquelle des langues a été parlée ? (à défaut, la première)
+      const detection = this.languages.length > 1
+        ? await detectLanguage(text, { provider: this.provider, hint: this.languages[0] })
+        : { lang: this.languages[0] };
+      const sourceLang = this.languages.includes(detection.lang) ? detection.lang : this.languages[0];
+      const targetLangs = this.targetLanguages(sourceLang).filter(lang => lang !== sourceLang);
+
+      let translations = {};
+      let translationStatus = {};
+      if (targetLangs.length > 0) {
+        this.charge('translate', targetLangs.length);
+        ({ translations, translationStatus } = await translateForLanguages(text, targetLangs, {
+          provider: this.provider,
+          logContext: context,
+          context: this.context.slice(-SPEECH_STREAM_CONFIG.contextSize),
+          onDelta: (lang, partial) => this.emit(SPEECH_STREAM_EVENTS.TRANSLATION, { ...context, lang, text: partial })
+        }));
+        for (const lang of targetLangs) {
+          if (translationStatus[lang] === TRANSLATION_STATUS.FAILED) delete translations[lang];
+        }
+      }
+
+      // targetLang/translation : première langue cible (conversation à deux langues)
+      const targetLang = targetLangs[0] || null;
+      this.context.push(text);
+      this.emit(SPEECH_STREAM_EVENTS.FINAL, {
+        ...context,
+        start: segment.start,
+        end: segment.end,
+        text,
+        sourceLang,
+        targetLang,
+        translation: translations[targetLang] || null,
+        status: translationStatus[targetLang] || null,
+        translations,
+        translationStatus
+      });
+
+      const ttsLangs = this.ttsLanguages(targetLangs).filter(lang => translations[lang]);
+      if (ttsLangs.length > 0) {
+        this.charge('speak', ttsLangs.length);
+        for (const lang of ttsLangs) {
+          const audio = await speak({ text: translations[lang], language: lang }, this.voiceEmail);
+          this.emit(SPEECH_STREAM_EVENTS.AUDIO, { ...context, lang, format: audio.format, mimeType: audio.mimeType, audio: audio.audio });
+        }
+      }
+    } catch (error) {
+      if (error instanceof SpeechStreamError) {
+        this.emit(SPEECH_STREAM_EVENTS.ERROR, { ...context, code: error.code, error: error.message, ...error.details });
+        if (error.code === 'quota_exceeded') this.stop({ flush: false });
+        return;
+      }
+      logger.error('Speech stream segment failed', { ...context, error: error.message });
+      this.emit(SPEECH_STREAM_EVENTS.ERROR, { ...context, code: 'segment_failed', error: 'Erreur de traitement de la phrase' });
+    }
+  }
+
+  /**
+   * Ferme la session ; la phrase en cours est traitée si flush
+   * @param {Object} options - { flush }
+   * @returns {Promise<void>} - Résolue quand toutes les phrases sont traitées
+   */
+  async stop({ flush = true } = {}) {
+    if (this.stopped) return this.queue;
+    this.stopped = true;
+    clearTimeout(this.idleTimer);
+    sessions.delete(this.id);
+
+    // Phrases en file et phrase en cours traitées (flush) ou abandonnées
+    this.flushing = flush;
+    const last = this.segmenter.flush();
+    if (flush && last) {
+      this.enqueue(last);
+    }
+
+    await this.queue;
+    this.emit(SPEECH_STREAM_EVENTS.STOPPED, { ...this.meta, streamId: this.id, segments: this.segmentCount });
+    logger.info('Speech stream stopped', { streamId: this.id, userEmail: this.userEmail, segments: this.segmentCount });
+  }
+}
+
+/**
+ * Ouvre une session
+ * @param {Object} params - Voir SpeechStreamSession
+ * @returns {SpeechStreamSession}
+ * @throws {SpeechStreamError} - too_many_streams, quota_exceeded (plus de quota de transcription)
+ */
+export function startSpeechStream(params) {
+  const open = [...sessions.values()].filter(session => session.userEmail === params.userEmail);
+  if (open.length >= SPEECH_STREAM_CONFIG.maxSessionsPerUser) {
+    throw new SpeechStreamError(`${SPEECH_STREAM_CONFIG.maxSessionsPerUser} flux simultanés maximum`, 'too_many_streams');
+  }
+  if (!authManager.checkQuota(params.userEmail, 'transcribe')) {
+    throw new SpeechStreamError('Quota de transcription épuisé', 'quota_exceeded', { action: 'transcribe' });
+  }
+
+  const session = new SpeechStreamSession(params);
+  sessions.set(session.id, session);
+  logger.info('Speech stream started', { streamId: session.id, userEmail: session.userEmail, languages: session.languages, tts: session.tts });
+  return session;
+}
+
+/**
+ * Session d'un utilisateur
+ * @param {string} streamId - ID de la session
+ * @param {string} userEmail - Propriétaire attendu
+ * @returns {SpeechStreamSession|null}
+ */
+export function getSpeechStream(streamId, userEmail) {
+  const session = sessions.get(streamId);
+  return session && session.userEmail === userEmail ? session : null;
+}
+
+/**
+ * Ferme les sessions d'un socket (déconnexion), sans traiter la phrase en cours
+ * @param {string} socketId - ID du socket
+ * @returns {number} - Nombre de sessions fermées
+ */
+export function stopSocketSpeechStreams(socketId) {
+  const owned = [...sessions.values()].filter(session => session.socketId === socketId);
+  for (const session of owned) {
+    session.stop({ flush: false });
+  }
+  return owned.length;
+}
+
+export default {
+  SPEECH_STREAM_CONFIG,
+  SPEECH_STREAM_EVENTS,
+  SpeechStreamError,
+  SilenceSegmenter,
+  SpeechStreamSession,
+  frameVolume,
+  startSpeechStream,
+  getSpeechStream,
+  stopSocketSpeechStreams
+};
@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Service de sous-titres (SRT / WebVTT)
+ * @module services/subtitle
+ *
+ * - Génération de sous-titres à partir des segments horodatés de Whisper
+ *   (découpage des segments trop longs, retour à la ligne)
+ * - Lecture et écriture des formats SRT et WebVTT
+ * - Traduction réplique par réplique : chaque réplique est un segment de la
+ *   traduction par lots, les horodatages ne sont jamais envoyés au LLM
+ */
+
+import { logger } from '../utils/logger.js';
+import { translateBatch } from './batch-translation.service.js';
+
+/**
+ * Formats de sous-titres
+ */
+export const SUBTITLE_FORMATS = {
+  SRT: 'srt',
+  VTT: 'vtt'
+};
+
+/**
+ * Configuration des sous-titres
+ */
+export const SUBTITLE_CONFIG = {
+  // Limites d'un fichier à traduire
+  maxCues: 5000,
+  maxCharacters: 200000,
+
+  // Mise en forme d'une réplique
+  maxLineLength: 42,
+  maxLines: 2,
+  maxCueDuration: 7,
+
+  // Débit de lecture pour estimer une fin de réplique inconnue (caractères/seconde)
+  readingSpeed: 15
+};
+
+/**
+ * Erreur levée pour un fichier de sous-titres invalide
+ */
+export class SubtitleParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SubtitleParseError';
+  }
+}
+
+// ===================================
+// HORODATAGES
+// ===================================
+
+/**
+ * Formate un horodatage (secondes) : 00:01:02,345 (SRT) ou 00:01:02.345 (VTT)
+ * @param {number} seconds - Position en secondes
+ * @param {string} format - SUBTITLE_FORMATS
+ * @returns {string}
+ */
+export function formatTimestamp(seconds, format = SUBTITLE_FORMATS.SRT) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const separator = format === SUBTITLE_FORMATS.VTT ? '.' : ',';
+
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Lit un horodatage SRT ou VTT (heures facultatives en VTT)
+ * @param {string} value - Horodatage
+ * @returns {number|null} - Secondes, ou null si invalide
+ */
+export function parseTimestamp(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10) + parseInt(fraction.padEnd(3, '0'), 10) / 1000;
+}
+
+// ===================================
+// MISE EN FORME
+// ===================================
+
+/**
+ * Découpe un texte en morceaux d'au plus maxChars caractères (sur les mots)
+ * Un mot plus long que maxChars (ou un texte sans espaces) reste entier.
+ * @private
+ */
+function splitWords(text, maxChars) {
+  const pieces = [];
+  let current = '';
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    if (current && current.length + 1 + word.length > maxChars) {
+      pieces.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) pieces.push(current);
+
+  return pieces;
+}
+
+/**
+ * Répartit un texte sur des lignes d'au plus maxLineLength caractères,
+ * de longueurs équilibrées (pas de mot isolé sur la dernière ligne)
+ * @param {string} text - Texte
+ * @param {number} maxLineLength - Longueur maximale d'une ligne
+ * @returns {string} - Lignes séparées par \n
+ */
+export function wrapText(text, maxLineLength = SUBTITLE_CONFIG.maxLineLength) {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  const lineCount = splitWords(normalized, maxLineLength).length;
+
+  // Largeur la plus petite qui garde le même nombre de lignes
+  for (let width = Math.ceil(normalized.length / lineCount); width < maxLineLength; width++) {
+    const lines = splitWords(normalized, width);
+    if (lines.length <= lineCount) return lines.join('\n');
+  }
+  return splitWords(normalized, maxLineLength).join('\n');
+}
+
+/**
+ * Convertit des segments de transcription en répliques de sous-titres
+ * Un segment trop long (texte ou durée) est découpé, sa durée étant répartie
+ * au prorata du nombre de caractères.
+ * @param {Array<{start: number, end: number|null, text: string}>} segments - Segments Whisper
+ * @param {Object} options - Limites (défaut : SUBTITLE_CONFIG)
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+export function segmentsToCues(segments, {
+  maxLineLength = SUBTITLE_CONFIG.maxLineLength,
+  maxLines = SUBTITLE_CONFIG.maxLines,
+  maxCueDuration = SUBTITLE_CONFIG.maxCueDuration
+} = {}) {
+  const cues = [];
+  const maxChars = maxLineLength * maxLines;
+
+  for (const segment of segments) {
+    const text = segment.text.trim();
+    if (!text) continue;
+
+    const start = segment.start || 0;
+    const end = segment.end ?? start + Math.max(1, text.length / SUBTITLE_CONFIG.readingSpeed);
+    const duration = Math.max(0, end - start);
+
+    const pieceCount = Math.max(Math.ceil(text.length / maxChars), Math.ceil(duration / maxCueDuration), 1);
+    const pieces = pieceCount === 1 ? [text] : splitWords(text, Math.ceil(text.length / pieceCount));
+    const totalChars = pieces.reduce((total, piece) => total + piece.length, 0);
+
+    let cursor = start;
+    pieces.forEach((piece, i) => {
+      const pieceEnd = i === pieces.length - 1 ? end : cursor + duration * (piece.length / totalChars);
+      cues.push({ start: cursor, end: pieceEnd, text: wrapText(piece, maxLineLength) });
+      cursor = pieceEnd;
+    });
+  }
+
+  return cues;
+}
+
+// ===================================
+// LECTURE / ÉCRITURE
+// ===================================
+
+/**
+ * Lit un fichier SRT ou WebVTT
+ * Les blocs qui ne sont pas des répliques (en-tête, NOTE, STYLE, REGION)
+ * sont conservés tels quels pour une sortie WebVTT.
+ * @param {string} content - Contenu du fichier
+ * @returns {{format: string, blocks: Array<Object>, cues: Array<Object>}}
+ * @throws {SubtitleParseError}
+ */
+export function parseSubtitles(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new SubtitleParseError('Fichier de sous-titres vide');
+  }
+
+  const normalized = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n').trim();
+  const format = normalized.startsWith('WEBVTT') ? SUBTITLE_FORMATS.VTT : SUBTITLE_FORMATS.SRT;
+  const blocks = [];
+
+  normalized.split(/\n{2,}/).forEach((block, blockIndex) => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+    if (timingIndex === -1) {
+      blocks.push({ type: 'raw', text: block });
+      return;
+    }
+
+    const timing = lines[timingIndex].match(/^\s*(\S+)\s+-->\s+(\S+)(.*)$/);
+    const start = timing ? parseTimestamp(timing[1]) : null;
+    const end = timing ? parseTimestamp(timing[2]) : null;
+    if (start === null || end === null) {
+      throw new SubtitleParseError(`Horodatage invalide (bloc ${blockIndex + 1})`);
+    }
+
+    blocks.push({
+      type: 'cue',
+      identifier: lines.slice(0, timingIndex).join('\n') || null,
+      start,
+      end,
+      settings: timing[3].trim() || null,
+      text: lines.slice(timingIndex + 1).join('\n')
+    });
+  });
+
+  const cues = blocks.filter(block => block.type === 'cue');
+  if (cues.length === 0) {
+    throw new SubtitleParseError('Aucune réplique trouvée (format SRT ou WebVTT attendu)');
+  }
+
+  return { format, blocks, cues };
+}
+
+/**
+ * Écrit des répliques au format SRT ou WebVTT
+ * @param {Array<Object>} blocks - Répliques { start, end, text } ou blocs de parseSubtitles
+ * @param {string} format - Format de sortie
+ * @returns {string}
+ */
+export function buildSubtitles(blocks, format = SUBTITLE_FORMATS.SRT) {
+  if (format === SUBTITLE_FORMATS.SRT) {
+    return blocks
+      .filter(block => block.type !== 'raw')
+      .map((cue, i) => `${i + 1}\n${formatTimestamp(cue.start, format)} --> ${formatTimestamp(cue.end, format)}\n${cue.text}\n`)
+      .join('\n');
+  }
+
+  const parts = blocks.map(block => {
+    if (block.type === 'raw') return `${block.text}\n`;
+    const identifier = block.identifier && !/^\d+$/.test(block.identifier) ? `${block.identifier}\n` : '';
+    const settings = block.settings ? ` ${block.settings}` : '';
+    return `${identifier}${formatTimestamp(block.start, format)} --> ${formatTimestamp(block.end, format)}${settings}\n${block.text}\n`;
+  });
+
+  if (!blocks[0] || blocks[0].type !== 'raw' || !blocks[0].text.startsWith('WEBVTT')) {
+    parts.unshift('WEBVTT\n');
+  }
+  return parts.join('\n');
+}
+
+// ===================================
+// TRADUCTION
+// ===================================
+
+// Balises de début conservées hors traduction : voix WebVTT (<v Nom>), position SRT ({\an8})
+const CUE_PREFIX = /^((?:<v[^>]*>|\{\\[^}]*\})\s*)+/;
+
+/**
+ * Sépare le texte d'une réplique en préfixe conservé et texte à traduire
+ * Les répliques dialoguées (lignes commençant par '-') gardent leurs lignes.
+ * @private
+ */
+function splitCueText(text) {
+  const prefix = text.match(CUE_PREFIX)?.[0] || '';
+  const lines = text.slice(prefix.length).split('\n');
+  const dialogue = lines.length > 1 && lines.every(line => line.trim().startsWith('-'));
+
+  return {
+    prefix,
+    dialogue,
+    text: dialogue ? lines.join('\n') : lines.join(' ').replace(/\s+/g, ' ').trim()
+  };
+}
+
+/**
+ * Prépare les segments à traduire et vérifie les limites
+ * @param {Object} parsed - Résultat de parseSubtitles
+ * @returns {{parts: Array<Object>, segments: Array<Object>, characters: number}}
+ * @throws {SubtitleParseError}
+ */
+export function prepareSubtitleTranslation(parsed) {
+  if (parsed.cues.length > SUBTITLE_CONFIG.maxCues) {
+    throw new SubtitleParseError(`Trop de répliques (${parsed.cues.length}, max ${SUBTITLE_CONFIG.maxCues})`);
+  }
+
+  const parts = parsed.cues.map(cue => splitCueText(cue.text));
+  const segments = parts.map((part, index) => ({
+    id: index,
+    index,
+    text: part.text || null,
+    error: part.text ? null : 'Réplique vide'
+  }));
+
+  const characters = segments.reduce((total, segment) => total + (segment.text ? segment.text.length : 0), 0);
+  if (characters > SUBTITLE_CONFIG.maxCharacters) {
+    throw new SubtitleParseError(`Fichier trop volumineux (${characters} caractères, max ${SUBTITLE_CONFIG.maxCharacters})`);
+  }
+
+  return { parts, segments, characters };
+}
+
+/**
+ * Traduit des sous-titres réplique par réplique
+ * Une réplique non traduite garde son texte d'origine (comptée dans summary.failed).
+ * @param {Object} parsed - Résultat de parseSubtitles (modifié en place)
+ * @param {string} targetLang - Langue cible
+ * @param {Object} options - Options
+ * @param {string} options.sourceLang - Langue source (optionnelle)
+ * @param {string} options.provider - Provider principal (optionnel)
+ * @param {string} options.formality - Registre (optionnel)
+ * @param {string} options.outputFormat - Format de sortie (défaut : format d'entrée)
+ * @returns {Promise<{format: string, content: string, summary: Object}>}
+ * @throws {SubtitleParseError}
+ */
+export async function translateSubtitles(parsed, targetLang, { sourceLang = null, provider = null, formality = null, outputFormat = null } = {}) {
+  const { parts, segments } = prepareSubtitleTranslation(parsed);
+  const { results, summary } = await translateBatch(segments, [targetLang], { sourceLang, provider, formality });
+
+  parsed.cues.forEach((cue, i) => {
+    const translated = results[i].translations[targetLang];
+    if (!translated) return;
+
+    const { prefix, dialogue } = parts[i];
+    cue.text = `${prefix}${dialogue ? translated : wrapText(translated)}`;
+  });
+
+  const format = outputFormat || parsed.format;
+  logger.info('Subtitles translated', { targetLang, format, cues: parsed.cues.length, failed: summary.failed });
+
+  return {
+    format,
+    content: buildSubtitles(parsed.blocks, format),
+    summary: { ...summary, cues: parsed.cues.length }
+  };
+}
+
+export default {
+  SUBTITLE_FORMATS,
+  SUBTITLE_CONFIG,
+  SubtitleParseError,
+  formatTimestamp,
+  parseTimestamp,
+  wrapText,
+  segmentsToCues,
+  parseSubtitles,
+  buildSubtitles,
+  prepareSubtitleTranslation,
+  translateSubtitles
+};
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Réponses citées et fils de discussion
+ * @module services/thread
+ *
+ * - Réponse citée (groupes et DMs) : reply_to_id vers un message de la même
+ *   conversation, affiché avec un extrait traduit (getReplyPreview)
+ * - Fil de discussion (groupes) : conversation annexe sous un message du fil
+ *   principal (thread_id = message racine), absente du fil principal
+ * - Réponses non lues par fil suivi (ouvert, lancé ou auquel l'utilisateur a répondu)
+ */
+
+import { logger } from '../utils/logger.js';
+import { messagesDB, directMessagesDB, threadReadsDB } from '../database.js';
+import { getGroupMessage, getThreadMessages } from '../db-helpers.js';
+
+/**
+ * Événements Socket.IO des fils
+ */
+export const THREAD_EVENTS = {
+  MESSAGE: 'thread_message',
+  UPDATED: 'thread_updated',
+  READ: 'thread_read'
+};
+
+/**
+ * Valide la réponse citée et le fil d'un message de groupe
+ * Dans un fil, seul un message de ce fil (ou sa racine) peut être cité ;
+ * hors fil, seul un message du fil principal.
+ * @param {string} groupId - ID du groupe
+ * @param {Object} data - { replyToId, threadId }
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateGroupReply(groupId, { replyToId = null, threadId = null } = {}) {
+  const errors = [];
+  const value = { replyToId: null, threadId: null };
+
+  if (threadId) {
+    const root = messagesDB.get(threadId);
+    if (!root || root.group_id !== groupId) {
+      errors.push('Fil introuvable dans ce groupe');
+    } else if (root.thread_id) {
+      errors.push('Impossible d\'ouvrir un fil sous une réponse de fil');
+    } else {
+      value.threadId = threadId;
+    }
+  }
+
+  if (replyToId) {
+    const quoted = messagesDB.get(replyToId);
+    const quotedThread = quoted?.thread_id || null;
+    if (!quoted || quoted.group_id !== groupId) {
+      errors.push('Message cité introuvable dans ce groupe');
+    } else if (threadId ? quotedThread !== threadId && quoted.id !== threadId : quotedThread !== null) {
+      errors.push('Le message cité n\'appartient pas à cette conversation');
+    } else {
+      value.replyToId = replyToId;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Valide la réponse citée d'un message privé
+ * @param {string} conversationId - ID de la conversation
+ * @param {string} replyToId - Message cité (optionnel)
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateDirectReply(conversationId, replyToId = null) {
+  if (!replyToId) {
+    return { valid: true, errors: [], value: { replyToId: null } };
+  }
+
+  const quoted = directMessagesDB.get(replyToId);
+  if (!quoted || quoted.conversation_id !== conversationId) {
+    return { valid: false, errors: ['Message cité introuvable dans cette conversation'], value: { replyToId: null } };
+  }
+  return { valid: true, errors: [], value: { replyToId } };
+}
+
+/**
+ * Résumé d'un fil diffusé après chaque nouvelle réponse ou suppression
+ * @param {string} groupId - ID du groupe
+ * @param {string} threadId - Message racine
+ * @returns {{groupId: string, threadId: string, replyCount: number, lastReplyAt: number|null}}
+ */
+export function getThreadSummary(groupId, threadId) {
+  const summary = messagesDB.getThreadSummaries(groupId).find(t => t.thread_id === threadId);
+  return {
+    groupId,
+    threadId,
+    replyCount: summary?.reply_count || 0,
+    lastReplyAt: summary?.last_reply_at || null
+  };
+}
+
+/**
+ * Réponses non lues des fils suivis par l'utilisateur dans un groupe
+ * @param {string} groupId - ID du groupe
+ * @param {string} userEmail - Utilisateur
+ * @returns {Object} - threadId -> nombre de réponses non lues
+ */
+export function getThreadUnreadCounts(groupId, userEmail) {
+  return Object.fromEntries(threadReadsDB.getUnreadCounts(groupId, userEmail).map(row => [row.thread_id, row.count]));
+}
+
+/**
+ * Fil d'un message : message racine et réponses
+ * Demandé depuis une réponse, c'est le fil de sa racine qui est renvoyé.
+ * @param {string} groupId - ID du groupe
+ * @param {string} messageId - Message racine ou réponse du fil
+ * @param {string} userEmail - Utilisateur (réponses non lues)
+ * @returns {Object|null} - { root, messages, replyCount, unread } ou null si introuvable
+ */
+export function getThread(groupId, messageId, userEmail) {
+  const row = messagesDB.get(messageId);
+  if (!row || row.group_id !== groupId) return null;
+
+  const rootId = row.thread_id || row.id;
+  const root = getGroupMessage(rootId);
+  if (!root) return null;
+
+  const messages = getThreadMessages(rootId);
+  root.thread = messages.length > 0
+    ? { replyCount: messages.length, lastReplyAt: messages[messages.length - 1].timestamp }
+    : null;
+
+  return {
+    root,
+    messages,
+    replyCount: messages.length,
+    unread: getThreadUnreadCounts(groupId, userEmail)[rootId] || 0
+  };
+}
+
+/**
+ * Marque un fil comme lu (jusqu'à maintenant)
+ * @param {string} threadId - Message racine
+ * @param {string} userEmail - Utilisateur
+ */
+export function markThreadRead(threadId, userEmail) {
+  threadReadsDB.markRead(threadId, userEmail);
+}
+
+/**
+ * Supprime les réponses d'un fil dont la racine est supprimée
+ * @param {string} threadId - Message racine
+ * @returns {Array<string>} - IDs des réponses supprimées (nettoyage des données associées)
+ */
+export function deleteThreadReplies(threadId) {
+  const ids = messagesDB.getByThread(threadId).map(row => row.id);
+  for (const id of ids) {
+    messagesDB.delete(id);
+  }
+  threadReadsDB.deleteByThread(threadId);
+
+  if (ids.length > 0) {
+    logger.info('Thread replies deleted', { threadId, count: ids.length });
+  }
+  return ids;
+}
+
+export default {
+  THREAD_EVENTS,
+  validateGroupReply,
+  validateDirectReply,
+  getThreadSummary,
+  getThreadUnreadCounts,
+  getThread,
+  markThreadRead,
+  deleteThreadReplies
+};
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Transcription des enregistrements longs par tâches reprenables
+ * @module services/transcription-job
+ *
+ * Au-delà de la limite d'un appel Whisper, l'audio est :
+ * 1. enregistré sur disque puis découpé en morceaux qui se chevauchent
+ *    (prepareTranscriptionJob ; le quota 'transcribe' est décompté par morceau
+ *    par l'appelant)
+ * 2. transcrit morceau par morceau dans une file de travail ; chaque résultat
+ *    est persisté dans transcription_jobs dès qu'il est obtenu
+ * 3. recollé : dans la zone de chevauchement, chaque segment est gardé par
+ *    le morceau dont il est le plus proche du centre
+ *
+ * Au redémarrage du serveur, resumeTranscriptionJobs remet en file les tâches
+ * inachevées : seuls les morceaux sans résultat sont retranscrits.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { transcriptionJobsDB } from '../database.js';
+import { AudioFormatError, planAudioChunks, readAudioChunk } from '../utils/audio.js';
+import { transcribeAudioSegments } from './ai.service.js';
+import { SUBTITLE_FORMATS, segmentsToCues, buildSubtitles } from './subtitle.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Configuration des tâches de transcription
+ */
+export const TRANSCRIPTION_JOB_CONFIG = {
+  // Hors de /uploads : les enregistrements ne sont pas publics
+  storageDir: process.env.TRANSCRIPTION_JOBS_DIR || join(dirname(dirname(__dirname)), 'transcription-jobs'),
+  maxFileSize: parseInt(process.env.TRANSCRIPTION_JOB_MAX_FILE_MB || '500', 10) * 1024 * 1024,
+  chunkDuration: parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS || '600', 10),
+  overlap: parseInt(process.env.TRANSCRIPTION_CHUNK_OVERLAP_SECONDS || '5', 10),
+  concurrency: parseInt(process.env.TRANSCRIPTION_JOB_CONCURRENCY || '1', 10),
+  // Limite d'upload d'un appel Whisper
+  maxChunkBytes: 25 * 1024 * 1024,
+  maxChunkAttempts: 3
+};
+
+/**
+ * États d'une tâche
+ */
+export const TRANSCRIPTION_JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Formats de résultat (comme POST /api/transcribe)
+ */
+export const TRANSCRIPTION_JOB_FORMATS = ['text', 'subtitles'];
+
+// File de travail (IDs de tâches) et tâches en cours
+const queue = [];
+const running = new Set();
+let idleWaiters = [];
+
+/**
+ * Découpe un enregistrement déposé sur disque
+ * Les formats non découpables (webm, ogg, m4a...) passent en un seul morceau
+ * s'ils tiennent dans un appel Whisper.
+ * @param {Object} file - { path, size }
+ * @returns {{format: string|null, duration: number|null, header: string|null, chunks: Array}}
+ */
+export function prepareTranscriptionJob(file) {
+  try {
+    return planAudioChunks(file.path, TRANSCRIPTION_JOB_CONFIG);
+  } catch (error) {
+    if (error instanceof AudioFormatError && file.size <= TRANSCRIPTION_JOB_CONFIG.maxChunkBytes) {
+      return {
+        format: null,
+        duration: null,
+        header: null,
+        chunks: [{ index: 0, start: 0, end: null, byteStart: 0, byteEnd: file.size }]
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Crée une tâche et la place en file
+ * @param {Object} params - { userEmail, file: { path, originalname, mimetype }, plan, format, language, provider }
+ * @returns {Object} - Vue publique de la tâche
+ */
+export function createTranscriptionJob({ userEmail, file, plan, format = 'text', language = null, provider = 'openai' }) {
+  const id = crypto.randomUUID();
+
+  transcriptionJobsDB.create({
+    id,
+    userEmail,
+    status: TRANSCRIPTION_JOB_STATUS.QUEUED,
+    filePath: file.path,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    format,
+    language,
+    provider,
+    duration: plan.duration,
+    plan
+  });
+
+  logger.info('Transcription job created', { jobId: id, userEmail, chunks: plan.chunks.length, duration: plan.duration });
+
+  enqueueTranscriptionJob(id);
+  return getTranscriptionJob(id);
+}
+
+/**
+ * Vue publique d'une tâche (progression, puis résultat une fois terminée)
+ * @param {string} id - ID de la tâche
+ * @returns {Object|null}
+ */
+export function getTranscriptionJob(id) {
+  const row = transcriptionJobsDB.get(id);
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    userEmail: row.user_email,
+    status: row.status,
+    format: row.format,
+    language: row.language,
+    originalName: row.original_name,
+    duration: row.duration,
+    totalChunks: row.total_chunks,
+    completedChunks: row.completed_chunks,
+    progress: row.total_chunks ? Math.round(row.completed_chunks / row.total_chunks * 100) : 0,
+    error: row.error,
+    result: row.result ? JSON.parse(row.result) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Mots normalisés (comparaison du texte des zones de chevauchement)
+ */
+function normalizeWords(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Retire du début de next les mots déjà présents à la fin de previous
+ * (morceaux sans horodatage)
+ * @param {string} previous - Texte déjà recollé
+ * @param {string} next - Texte du morceau suivant
+ * @returns {string}
+ */
+export function removeOverlappingText(previous, next) {
+  const previousWords = normalizeWords(previous);
+  const nextWords = next.split(/\s+/).filter(Boolean);
+  const normalizedNext = nextWords.map(word => normalizeWords(word).join(''));
+
+  for (let size = Math.min(50, previousWords.length, nextWords.length); size >= 2; size--) {
+    const tail = previousWords.slice(-size).join(' ');
+    if (normalizedNext.slice(0, size).join(' ') === tail) {
+      return nextWords.slice(size).join(' ');
+    }
+  }
+  return next;
+}
+
+/**
+ * Recolle les transcriptions des morceaux
+ * @param {Array} chunks - Morceaux du plan (start/end en secondes)
+ * @param {Array} results - Résultat de transcribeAudioSegments par morceau
+ * @returns {{text: string, language: string|null, segments: Array<{start: number, end: number|null, text: string}>}}
+ */
+export function stitchChunkResults(chunks, results) {
+  const segments = [];
+
+  chunks.forEach((chunk, i) => {
+    const result = results[i];
+    // Frontières au milieu des zones de chevauchement
+    const lower = i === 0 ? -Infinity : (chunk.start + chunks[i - 1].end) / 2;
+    const upper = i === chunks.length - 1 ? Infinity : (chunks[i + 1].start + chunk.end) / 2;
+    const timed = result.segments.length > 0 && result.segments.every(segment => Number.isFinite(segment.end));
+
+    if (timed) {
+      for (const segment of result.segments) {
+        const start = chunk.start + segment.start;
+        const end = chunk.start + segment.end;
+        const middle = (start + end) / 2;
+        if (middle >= lower && middle < upper) {
+          segments.push({ start, end, text: segment.text });
+        }
+      }
+      return;
+    }
+
+    const previous = segments.map(segment => segment.text).join(' ');
+    const text = i === 0 ? result.text.trim() : removeOverlappingText(previous, result.text.trim());
+    if (text) {
+      segments.push({
+        start: Math.max(chunk.start, lower),
+        end: chunk.end === null ? null : Math.min(chunk.end, upper),
+        text
+      });
+    }
+  });
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language: results.find(result => result.language)?.language || null,
+    segments
+  };
+}
+
+/**
+ * Résultat final d'une tâche selon son format
+ */
+function buildJobResult(row, stitched) {
+  const plan = JSON.parse(row.plan);
+  const result = {
+    text: stitched.text,
+    language: stitched.language,
+    duration: plan.duration,
+    segments: stitched.segments
+  };
+
+  if (row.format === 'subtitles') {
+    const cues = segmentsToCues(stitched.segments);
+    result.segments = cues;
+    result.srt = buildSubtitles(cues, SUBTITLE_FORMATS.SRT);
+    result.vtt = buildSubtitles(cues, SUBTITLE_FORMATS.VTT);
+  }
+
+  return result;
+}
+
+/**
+ * Supprime l'enregistrement d'une tâche terminée
+ */
+function removeJobFile(row) {
+  fs.promises.unlink(row.file_path).catch(error => {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Failed to remove transcription job file', { jobId: row.id, error: error.message });
+    }
+  });
+}
+
+/**
+ * Exécute une tâche : transcrit les morceaux sans résultat puis recolle
+ * @param {string} id - ID de la tâche
+ * @returns {Promise<Object|null>} - Vue publique de la tâche
+ */
+export async function runTranscriptionJob(id) {
+  const row = transcriptionJobsDB.get(id);
+  if (!row || row.status === TRANSCRIPTION_JOB_STATUS.COMPLETED || row.status === TRANSCRIPTION_JOB_STATUS.FAILED) {
+    return row ? getTranscriptionJob(id) : null;
+  }
+
+  const plan = JSON.parse(row.plan);
+  const results = JSON.parse(row.chunk_results || '[]');
+  transcriptionJobsDB.update(id, { status: TRANSCRIPTION_JOB_STATUS.PROCESSING });
+
+  try {
+    if (!fs.existsSync(row.file_path)) {
+      throw new Error('Enregistrement introuvable');
+    }
+
+    for (const chunk of plan.chunks) {
+      if (results[chunk.index]) continue;
+
+      const audio = readAudioChunk(row.file_path, plan, chunk);
+      const filename = `chunk-${chunk.index}.${plan.format || (row.original_name || 'audio.webm').split('.').pop()}`;
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          results[chunk.index] = await transcribeAudioSegments(audio, filename, row.provider || 'openai', {
+            language: row.language,
+            mimeType: row.mime_type || 'audio/webm'
+          });
+          break;
+        } catch (error) {
+          if (attempt >= TRANSCRIPTION_JOB_CONFIG.maxChunkAttempts) throw error;
+          logger.warn('Transcription chunk failed, retrying', { jobId: id, chunk: chunk.index, attempt, error: error.message });
+        }
+      }
+
+      transcriptionJobsDB.update(id, { chunkResults: results });
+    }
+
+    const result = buildJobResult(row, stitchChunkResults(plan.chunks, results));
+    transcriptionJobsDB.update(id, {
+      status: TRANSCRIPTION_JOB_STATUS.COMPLETED,
+      result,
+      error: null,
+      completedAt: Date.now()
+    });
+    logger.info('Transcription job completed', { jobId: id, chunks: plan.chunks.length });
+  } catch (error) {
+    logger.error('Transcription job failed', error, { jobId: id });
+    transcriptionJobsDB.update(id, {
+      status: TRANSCRIPTION_JOB_STATUS.FAILED,
+      error: error.message,
+      completedAt: Date.now()
+    });
+  }
+
+  removeJobFile(row);
+  return getTranscriptionJob(id);
+}
+
+/**
+ * Lance les tâches en attente dans la limite de concurrence
+ */
+function processQueue() {
+  while (running.size < TRANSCRIPTION_JOB_CONFIG.concurrency && queue.length > 0) {
+    const id = queue.shift();
+    running.add(id);
+    runTranscriptionJob(id)
+      .catch(error => logger.error('Transcription worker error', error, { jobId: id }))
+      .finally(() => {
+        running.delete(id);
+        processQueue();
+      });
+  }
+
+  if (running.size === 0 && queue.length === 0) {
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+/**
+ * Place une tâche dans la file de travail
+ * @param {string} id - ID de la tâche
+ */
+export function enqueueTranscriptionJob(id) {
+  if (queue.includes(id) || running.has(id)) return;
+  queue.push(id);
+  processQueue();
+}
+
+/**
+ * Résout quand la file de travail est vide
+ * @returns {Promise<void>}
+ */
+export function whenTranscriptionQueueIdle() {
+  if (running.size === 0 && queue.length === 0) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => idleWaiters.push(resolve));
+}
+
+/**
+ * Remet en file les tâches interrompues par un arrêt du serveur
+ * @returns {number} - Nombre de tâches reprises
+ */
+export function resumeTranscriptionJobs() {
+  const pending = transcriptionJobsDB.getByStatus([TRANSCRIPTION_JOB_STATUS.QUEUED, TRANSCRIPTION_JOB_STATUS.PROCESSING]);
+
+  for (const row of pending) {
+    transcriptionJobsDB.update(row.id, { status: TRANSCRIPTION_JOB_STATUS.QUEUED });
+    enqueueTranscriptionJob(row.id);
+  }
+
+  if (pending.length > 0) {
+    logger.info('Transcription jobs resumed', { count: pending.length });
+  }
+  return pending.length;
+}
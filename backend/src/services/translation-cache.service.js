@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Service de cache des traductions
+ * @module services/translation-cache
+ *
+ * Cache à deux niveaux pour éviter de retraduire les phrases répétées
+ * ("ok", "merci", salutations...) via les APIs payantes :
+ * - Niveau 1 : LRU en mémoire (rapide, borné)
+ * - Niveau 2 : table SQLite translation_cache (persistant, avec TTL)
+ *
+ * Les entrées sont partitionnées par provider : une traduction DeepSeek
+ * n'est jamais servie pour une requête OpenAI.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { translationCacheDB } from '../database.js';
+
+/**
+ * Configuration du cache
+ */
+export const CACHE_CONFIG = {
+  // Nombre maximum d'entrées en mémoire
+  maxMemoryEntries: parseInt(process.env.TRANSLATION_CACHE_MEMORY_SIZE || '1000', 10),
+
+  // Durée de vie des entrées (défaut : 30 jours)
+  ttlMs: parseInt(process.env.TRANSLATION_CACHE_TTL_MS || String(30 * 24 * 60 * 60 * 1000), 10),
+
+  // Les textes plus longs ne sont pas mis en cache (peu de chances de se répéter)
+  maxTextLength: 500,
+
+  // Désactivation complète via TRANSLATION_CACHE_ENABLED=false
+  enabled: process.env.TRANSLATION_CACHE_ENABLED !== 'false'
+};
+
+/**
+ * Cache LRU en mémoire
+ * Map conserve l'ordre d'insertion : la première clé est la moins récemment utilisée
+ */
+class LRUCache {
+  constructor(maxEntries = 1000) {
+    this.cache = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  get(key) {
+    const entry = this.cache.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    // Vérifier si l'entrée a expiré
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      this.cache.delete(key);
+      return undefined;
+    }
+
+    // Replacer en fin de Map (plus récemment utilisée)
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * @returns {boolean} - true si une entrée a été évincée
+   */
+  set(key, value, expiresAt = null) {
+    this.cache.delete(key);
+    this.cache.set(key, { value, expiresAt });
+
+    if (this.cache.size > this.maxEntries) {
+      const oldestKey = this.cache.keys().next().value;
+      this.cache.delete(oldestKey);
+      return true;
+    }
+    return false;
+  }
+
+  delete(key) {
+    return this.cache.delete(key);
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+
+  size() {
+    return this.cache.size;
+  }
+}
+
+const memoryCache = new LRUCache(CACHE_CONFIG.maxMemoryEntries);
+
+// Métriques depuis le démarrage du serveur
+const metrics = {
+  memoryHits: 0,
+  dbHits: 0,
+  misses: 0,
+  writes: 0,
+  evictions: 0
+};
+
+/**
+ * Calcule la clé de cache d'une traduction
+ * @param {Object} params - Paramètres
+ * @param {string} params.text - Texte source
+ * @param {string} params.sourceLang - Langue source (optionnelle)
+ * @param {string} params.targetLang - Langue cible
+ * @param {string} params.provider - Provider ayant produit la traduction
+ * @param {string} params.instructions - Consignes ajoutées au prompt (optionnelles)
+ * @param {string} params.formality - Registre demandé, hors 'neutral' (optionnel)
+ * @returns {string} - Clé SHA-256
+ */
+export function getCacheKey({ text, sourceLang = null, targetLang, provider, instructions = null, formality = null }) {
+  const parts = [provider, sourceLang || 'auto', targetLang, text.trim()];
+
+  // Sans consignes ni registre, la clé reste identique à celle des entrées existantes
+  if (instructions) {
+    parts.push(instructions);
+  }
+  if (formality) {
+    parts.push(`formality:${formality}`);
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(parts.join('\u0000'))
+    .digest('hex');
+}
+
+/**
+ * Vérifie si un texte peut être mis en cache
+ * @param {string} text - Texte source
+ * @returns {boolean}
+ */
+export function isCacheable(text) {
+  return CACHE_CONFIG.enabled && typeof text === 'string' && text.trim().length > 0 && text.length <= CACHE_CONFIG.maxTextLength;
+}
+
+/**
+ * Récupère une traduction en cache (mémoire puis SQLite)
+ * @param {Object} params - Voir getCacheKey
+ * @returns {string|null} - Traduction ou null si absente/expirée
+ */
+export function getCachedTranslation(params) {
+  if (!isCacheable(params.text)) {
+    return null;
+  }
+
+  try {
+    const cacheKey = getCacheKey(params);
+
+    const memoryValue = memoryCache.get(cacheKey);
+    if (memoryValue !== undefined) {
+      metrics.memoryHits++;
+      return memoryValue;
+    }
+
+    const row = translationCacheDB.get(cacheKey);
+    if (row) {
+      if (row.expires_at && row.expires_at <= Date.now()) {
+        translationCacheDB.delete(cacheKey);
+      } else {
+        metrics.dbHits++;
+        translationCacheDB.recordHit(cacheKey);
+        if (memoryCache.set(cacheKey, row.translated_text, row.expires_at)) {
+          metrics.evictions++;
+        }
+        return row.translated_text;
+      }
+    }
+
+    metrics.misses++;
+    return null;
+  } catch (error) {
+    logger.error('Translation cache read error', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Enregistre une traduction dans le cache (mémoire + SQLite)
+ * @param {Object} params - Voir getCacheKey
+ * @param {string} translatedText - Traduction à mettre en cache
+ */
+export function setCachedTranslation(params, translatedText) {
+  if (!isCacheable(params.text) || !translatedText) {
+    return;
+  }
+
+  try {
+    const cacheKey = getCacheKey(params);
+    const now = Date.now();
+    const expiresAt = CACHE_CONFIG.ttlMs > 0 ? now + CACHE_CONFIG.ttlMs : null;
+
+    translationCacheDB.set({
+      cacheKey,
+      provider: params.provider,
+      sourceLang: params.sourceLang,
+      targetLang: params.targetLang,
+      sourceText: params.text.trim(),
+      translatedText,
+      createdAt: now,
+      expiresAt
+    });
+
+    if (memoryCache.set(cacheKey, translatedText, expiresAt)) {
+      metrics.evictions++;
+    }
+    metrics.writes++;
+  } catch (error) {
+    logger.error('Translation cache write error', { error: error.message });
+  }
+}
+
+/**
+ * Purge le cache des traductions
+ * @param {Object} options - Options
+ * @param {string} options.provider - Ne purger que ce provider (optionnel)
+ * @returns {number} - Nombre d'entrées SQLite supprimées
+ */
+export function purgeTranslationCache({ provider = null } = {}) {
+  const result = translationCacheDB.purge(provider);
+
+  // Le LRU ne connaît pas le provider de ses clés : on le vide entièrement
+  memoryCache.clear();
+
+  logger.info('Translation cache purged', { provider: provider || 'all', deleted: result.changes });
+  return result.changes;
+}
+
+/**
+ * Supprime les entrées expirées de la table SQLite
+ * @returns {number} - Nombre d'entrées supprimées
+ */
+export function purgeExpiredTranslations() {
+  try {
+    return translationCacheDB.purgeExpired().changes;
+  } catch (error) {
+    logger.error('Translation cache cleanup error', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Statistiques du cache (métriques + contenu par provider)
+ * @returns {Object}
+ */
+export function getTranslationCacheStats() {
+  const hits = metrics.memoryHits + metrics.dbHits;
+  const lookups = hits + metrics.misses;
+
+  return {
+    enabled: CACHE_CONFIG.enabled,
+    ttlMs: CACHE_CONFIG.ttlMs,
+    memory: {
+      entries: memoryCache.size(),
+      maxEntries: CACHE_CONFIG.maxMemoryEntries
+    },
+    metrics: {
+      ...metrics,
+      hits,
+      lookups,
+      hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 1000 : 0
+    },
+    providers: translationCacheDB.countByProvider()
+  };
+}
+
+// Nettoyer les entrées expirées toutes les 6 heures
+setInterval(() => {
+  const deleted = purgeExpiredTranslations();
+  if (deleted > 0) {
+    logger.info('Translation cache cleaned up', { deleted });
+  }
+}, 6 * 60 * 60 * 1000).unref();
+
+export default {
+  CACHE_CONFIG,
+  getCacheKey,
+  isCacheable,
+  getCachedTranslation,
+  setCachedTranslation,
+  purgeTranslationCache,
+  purgeExpiredTranslations,
+  getTranslationCacheStats
+};
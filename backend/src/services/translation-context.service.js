@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Service de contexte conversationnel pour la traduction
+ * @module services/translation-context
+ *
+ * Les derniers messages d'un groupe ou d'un DM sont fournis au LLM pour
+ * lever les ambiguïtés (pronoms, ellipses, réponses courtes), dans la
+ * limite d'un budget de tokens.
+ */
+
+import { getGroupMessagePage, getConversationMessagePage } from '../db-helpers.js';
+
+/**
+ * Configuration du contexte
+ */
+export const CONTEXT_CONFIG = {
+  // Activé par défaut pour les groupes (surchargé par groups.settings)
+  enabledByDefault: process.env.TRANSLATION_CONTEXT_DEFAULT === 'true',
+
+  // Activé pour les DMs
+  enabledForDMs: process.env.TRANSLATION_CONTEXT_DMS === 'true',
+
+  // Nombre de messages précédents (défaut et maximum autorisé)
+  defaultMessages: parseInt(process.env.TRANSLATION_CONTEXT_MESSAGES || '5', 10),
+  maxMessages: 20,
+
+  // Budget de tokens (estimé) pour l'ensemble du contexte
+  maxTokens: parseInt(process.env.TRANSLATION_CONTEXT_MAX_TOKENS || '400', 10),
+
+  // Un message plus long est tronqué dans le contexte
+  maxMessageLength: 300
+};
+
+/**
+ * Estimation grossière du nombre de tokens d'un texte
+ * (~1 token par idéogramme CJK, ~4 caractères par token sinon)
+ * @param {string} text - Texte
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * Sélectionne les messages de contexte, du plus récent au plus ancien,
+ * jusqu'à épuisement du budget, puis les remet dans l'ordre chronologique
+ * @param {Array<Object>} messages - Messages formatés (ordre chronologique)
+ * @param {Object} options - Options
+ * @param {number} options.maxMessages - Nombre maximum de messages
+ * @param {number} options.maxTokens - Budget de tokens
+ * @returns {Array<string>} - Lignes "Auteur: contenu"
+ */
+export function buildContextLines(messages, { maxMessages = CONTEXT_CONFIG.defaultMessages, maxTokens = CONTEXT_CONFIG.maxTokens } = {}) {
+  const lines = [];
+  let budget = maxTokens;
+
+  for (let i = messages.length - 1; i >= 0 && lines.length < maxMessages; i--) {
+    const message = messages[i];
+    const content = (message.content || '').trim();
+    if (!content) continue; // Fichier sans texte
+
+    const truncated = content.length > CONTEXT_CONFIG.maxMessageLength
+      ? `${content.slice(0, CONTEXT_CONFIG.maxMessageLength)}…`
+      : content;
+    const line = `${message.fromDisplayName || message.from}: ${truncated.replace(/\s+/g, ' ')}`;
+
+    const cost = estimateTokens(line);
+    if (cost > budget) break;
+
+    budget -= cost;
+    lines.unshift(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Messages précédant le message traduit, du plus ancien au plus récent
+ * Avec before, la page s'arrête au curseur (timestamp, id) du message : un message
+ * ancien (re-traduction, modification) reçoit ainsi son propre contexte.
+ * @private
+ */
+function previousMessages(getPage, { excludeMessageId, before, count }) {
+  if (before) {
+    return getPage({ before: { timestamp: before, id: excludeMessageId || '' }, limit: count });
+  }
+  return getPage({ limit: count + 1 }).filter(m => m.id !== excludeMessageId);
+}
+
+/**
+ * Contexte d'un message de groupe
+ * @param {string} groupId - ID du groupe
+ * @param {Object} options - Options
+ * @param {string} options.excludeMessageId - Message en cours de traduction
+ * @param {number} options.before - Timestamp du message en cours de traduction
+ * @param {number} options.maxMessages - Nombre maximum de messages
+ * @returns {Array<string>}
+ */
+export function getGroupContext(groupId, { excludeMessageId = null, before = null, maxMessages = CONTEXT_CONFIG.defaultMessages } = {}) {
+  const count = Math.min(maxMessages, CONTEXT_CONFIG.maxMessages);
+  const messages = previousMessages(options => getGroupMessagePage(groupId, options), { excludeMessageId, before, count });
+  return buildContextLines(messages, { maxMessages: count });
+}
+
+/**
+ * Contexte d'un message privé
+ * @param {string} conversationId - ID de la conversation
+ * @param {Object} options - Voir getGroupContext
+ * @returns {Array<string>}
+ */
+export function getConversationContext(conversationId, { excludeMessageId = null, before = null, maxMessages = CONTEXT_CONFIG.defaultMessages } = {}) {
+  const count = Math.min(maxMessages, CONTEXT_CONFIG.maxMessages);
+  const messages = previousMessages(options => getConversationMessagePage(conversationId, options), { excludeMessageId, before, count });
+  return buildContextLines(messages, { maxMessages: count });
+}
+
+export default {
+  CONTEXT_CONFIG,
+  estimateTokens,
+  buildContextLines,
+  getGroupContext,
+  getConversationContext
+};
@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Service de révision des traductions d'un message
+ * @module services/translation-revision
+ *
+ * Une traduction stockée peut être remplacée :
+ * - Par une re-traduction à la demande (autre provider, cache ignoré)
+ * - Par une correction saisie par un membre bilingue
+ *
+ * Chaque remplacement est conservé dans translation_edits (ancienne et
+ * nouvelle valeur, auteur, provider) pour garder l'historique.
+ */
+
+import { logger } from '../utils/logger.js';
+import {
+  messagesDB,
+  directMessagesDB,
+  groupsDB,
+  translationEditsDB,
+  transaction
+} from '../database.js';
+import { clearMessagesCache, clearDMsCache } from '../db-proxy.js';
+import { TRANSLATION_STATUS } from './ai.service.js';
+import {
+  translateForLanguages,
+  resolveFormality,
+  resolveGroupContext,
+  resolveConversationContext
+} from './conversation.service.js';
+import { getGroupGlossary } from './glossary.service.js';
+import { CAPABILITIES, supports } from './providers.service.js';
+
+/**
+ * Origine d'une modification de traduction
+ */
+export const TRANSLATION_EDIT_SOURCES = {
+  RETRANSLATION: 'retranslation',
+  CORRECTION: 'correction'
+};
+
+/**
+ * Longueur maximale d'une traduction corrigée (identique à un message)
+ */
+export const MAX_CORRECTION_LENGTH = 10000;
+
+/**
+ * Recherche un message de groupe ou un DM par son ID
+ * @param {string} messageId - ID du message
+ * @returns {Object|null} - { type: 'group'|'dm', row, groupId | conversationId }
+ */
+export function findMessage(messageId) {
+  if (!messageId) return null;
+
+  const groupMessage = messagesDB.get(messageId);
+  if (groupMessage) {
+    return { type: 'group', row: groupMessage, groupId: groupMessage.group_id };
+  }
+
+  const directMessage = directMessagesDB.get(messageId);
+  if (directMessage) {
+    return { type: 'dm', row: directMessage, conversationId: directMessage.conversation_id };
+  }
+
+  return null;
+}
+
+/**
+ * Vérifie qu'un utilisateur peut voir (et donc réviser) un message
+ * @param {Object} target - Message (findMessage)
+ * @param {string} userEmail - Email de l'utilisateur
+ * @returns {boolean}
+ */
+export function canAccessMessage(target, userEmail) {
+  if (target.type === 'group') {
+    return groupsDB.getMembers(target.groupId).some(m => m.user_email === userEmail);
+  }
+  return target.row.from_email === userEmail || target.row.to_email === userEmail;
+}
+
+/**
+ * Rooms Socket.IO à notifier pour un message
+ * @param {Object} target - Message (findMessage)
+ * @returns {Array<string>}
+ */
+export function getMessageRooms(target) {
+  if (target.type === 'group') {
+    return [`group:${target.groupId}`];
+  }
+  return [`user:${target.row.from_email}`, `user:${target.row.to_email}`];
+}
+
+/**
+ * Formate une ligne de translation_edits
+ * @private
+ */
+function formatEdit(row) {
+  return {
+    id: row.id,
+    messageId: row.message_id,
+    lang: row.lang,
+    previousText: row.previous_text,
+    newText: row.new_text,
+    previousStatus: row.previous_status,
+    newStatus: row.new_status,
+    source: row.source,
+    provider: row.provider,
+    editedBy: row.edited_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Remplace la traduction d'une langue et l'inscrit dans l'historique
+ * La ligne est relue dans la transaction : seule la langue révisée est modifiée,
+ * sans écraser les autres langues mises à jour entre-temps.
+ * @private
+ * @returns {Object|null} - Entrée d'historique, ou null si le texte du message
+ *   ne correspond plus à expectedContent
+ */
+function applyTranslation(target, lang, { text, status, source, provider = null, editedBy = null, expectedContent = null }) {
+  const db = target.type === 'group' ? messagesDB : directMessagesDB;
+
+  const editId = transaction(() => {
+    const row = db.get(target.row.id);
+    if (!row || (expectedContent !== null && row.content !== expectedContent)) {
+      return null;
+    }
+
+    const translations = row.translations ? JSON.parse(row.translations) : {};
+    const translationStatus = row.translation_status ? JSON.parse(row.translation_status) : {};
+
+    const result = translationEditsDB.create({
+      messageId: row.id,
+      messageType: target.type,
+      lang,
+      previousText: translations[lang] ?? null,
+      newText: text,
+      previousStatus: translationStatus[lang] ?? null,
+      newStatus: status,
+      source,
+      provider,
+      editedBy
+    });
+
+    db.setTranslations(row.id, { translations: { [lang]: text }, translationStatus: { [lang]: status } });
+    return result.lastInsertRowid;
+  });
+
+  if (!editId) {
+    return null;
+  }
+
+  if (target.type === 'group') {
+    clearMessagesCache(target.groupId);
+  } else {
+    clearDMsCache(target.conversationId);
+  }
+
+  return formatEdit(translationEditsDB.get(editId));
+}
+
+/**
+ * Événement 'message_translation_updated' diffusé après une révision
+ * @param {Object} target - Message (findMessage)
+ * @param {Object} edit - Entrée d'historique (applyTranslation)
+ * @returns {Object}
+ */
+export function buildTranslationUpdatedEvent(target, edit) {
+  return {
+    ...(target.type === 'group' ? { groupId: target.groupId } : { conversationId: target.conversationId }),
+    messageId: edit.messageId,
+    lang: edit.lang,
+    text: edit.newText,
+    status: edit.newStatus,
+    provider: edit.provider,
+    source: edit.source,
+    editedBy: edit.editedBy,
+    editId: edit.id,
+    editedAt: edit.createdAt
+  };
+}
+
+/**
+ * Valide une demande de re-traduction
+ * @param {Object} target - Message (findMessage)
+ * @param {Object} data - { lang, provider }
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateRetranslation(target, data = {}) {
+  const errors = [];
+  const value = { provider: null };
+
+  if (typeof data.lang !== 'string' || !/^[a-z]{2}$/.test(data.lang)) {
+    errors.push('lang doit être un code langue (ex: fr)');
+  } else if (data.lang === target.row.original_lang) {
+    errors.push('Le message est déjà dans cette langue');
+  } else {
+    value.lang = data.lang;
+  }
+
+  if (data.provider !== undefined && data.provider !== null) {
+    if (!supports(data.provider, CAPABILITIES.TRANSLATE)) {
+      errors.push(`Provider inconnu: ${data.provider}`);
+    } else {
+      value.provider = data.provider;
+    }
+  }
+
+  if (!target.row.content || !target.row.content.trim()) {
+    errors.push('Ce message ne contient pas de texte à traduire');
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Re-traduit un message dans une langue, sans passer par le cache
+ * En cas d'échec, ou si le message a été modifié pendant la traduction (conflict),
+ * la traduction stockée est conservée.
+ * @param {Object} target - Message (findMessage)
+ * @param {Object} params - Paramètres
+ * @param {string} params.lang - Langue cible
+ * @param {string} params.provider - Provider à utiliser (optionnel, chaîne de failover sinon)
+ * @param {string} params.requestedBy - Email du demandeur
+ * @returns {Promise<{success: boolean, edit?: Object, status: string, conflict?: boolean}>}
+ */
+export async function retranslateMessage(target, { lang, provider = null, requestedBy }) {
+  const { row } = target;
+  const isGroup = target.type === 'group';
+  let usedProvider = provider;
+
+  const { translations, translationStatus } = await translateForLanguages(row.content, [lang], {
+    provider,
+    useCache: false,
+    onTranslation: (_, result) => { usedProvider = result.provider; },
+    logContext: { messageId: row.id, retranslation: true },
+    glossary: isGroup ? getGroupGlossary(target.groupId) : [],
+    context: isGroup
+      ? resolveGroupContext(target.groupId, row.id, row.timestamp)
+      : resolveConversationContext(target.conversationId, row.id, row.timestamp),
+    formality: resolveFormality({ groupId: isGroup ? target.groupId : null, sender: row.from_email })
+  });
+
+  const status = translationStatus[lang];
+  if (status === TRANSLATION_STATUS.FAILED || !translations[lang]) {
+    logger.warn('Retranslation failed, keeping stored translation', { messageId: row.id, lang, provider });
+    return { success: false, status: TRANSLATION_STATUS.FAILED };
+  }
+
+  const edit = applyTranslation(target, lang, {
+    text: translations[lang],
+    status,
+    source: TRANSLATION_EDIT_SOURCES.RETRANSLATION,
+    provider: usedProvider,
+    editedBy: requestedBy,
+    expectedContent: row.content
+  });
+
+  if (!edit) {
+    logger.info('Message changed during retranslation, result discarded', { messageId: row.id, lang });
+    return { success: false, status: TRANSLATION_STATUS.FAILED, conflict: true };
+  }
+
+  logger.info('Message retranslated', { messageId: row.id, lang, provider: usedProvider, requestedBy, status });
+  return { success: true, edit, status };
+}
+
+/**
+ * Valide une traduction corrigée
+ * @param {Object} target - Message (findMessage)
+ * @param {Object} data - { lang, text, originalContent }
+ *   originalContent : texte du message vu par le client (optionnel, refusé s'il a changé)
+ * @returns {{valid: boolean, errors: Array<string>, value: Object}}
+ */
+export function validateCorrection(target, data = {}) {
+  const errors = [];
+  const value = {};
+
+  if (typeof data.lang !== 'string' || !/^[a-z]{2}$/.test(data.lang)) {
+    errors.push('lang doit être un code langue (ex: fr)');
+  } else if (data.lang === target.row.original_lang) {
+    errors.push('Le message est déjà dans cette langue');
+  } else {
+    value.lang = data.lang;
+  }
+
+  const text = typeof data.text === 'string' ? data.text.trim() : '';
+  if (!text) {
+    errors.push('text est requis');
+  } else if (text.length > MAX_CORRECTION_LENGTH) {
+    errors.push(`text ne doit pas dépasser ${MAX_CORRECTION_LENGTH} caractères`);
+  } else {
+    value.text = text;
+  }
+
+  if (data.originalContent !== undefined) {
+    if (typeof data.originalContent !== 'string') {
+      errors.push('originalContent doit être le texte du message');
+    } else {
+      value.expectedContent = data.originalContent;
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Remplace une traduction par une correction saisie par un membre
+ * @param {Object} target - Message (findMessage)
+ * @param {Object} value - Correction validée (validateCorrection)
+ * @param {string} editedBy - Email du membre
+ * @returns {Object|null} - Entrée d'historique, ou null si le message a été
+ *   modifié (ou supprimé) depuis que le client l'a affiché
+ */
+export function correctTranslation(target, { lang, text, expectedContent = null }, editedBy) {
+  const edit = applyTranslation(target, lang, {
+    text,
+    status: TRANSLATION_STATUS.CORRECTED,
+    source: TRANSLATION_EDIT_SOURCES.CORRECTION,
+    editedBy,
+    expectedContent
+  });
+
+  if (!edit) {
+    logger.info('Message changed since the corrected translation was shown, correction discarded', { messageId: target.row.id, lang });
+    return null;
+  }
+
+  logger.info('Translation corrected', { messageId: target.row.id, lang, editedBy });
+  return edit;
+}
+
+/**
+ * Historique des révisions d'un message
+ * @param {string} messageId - ID du message
+ * @param {string} lang - Langue (optionnelle)
+ * @returns {Array<Object>} - Révisions, de la plus ancienne à la plus récente
+ */
+export function getTranslationHistory(messageId, lang = null) {
+  return translationEditsDB.getByMessage(messageId, lang).map(formatEdit);
+}
+
+export default {
+  TRANSLATION_EDIT_SOURCES,
+  MAX_CORRECTION_LENGTH,
+  findMessage,
+  canAccessMessage,
+  getMessageRooms,
+  buildTranslationUpdatedEvent,
+  validateRetranslation,
+  retranslateMessage,
+  validateCorrection,
+  correctTranslation,
+  getTranslationHistory
+};
@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Synthèse vocale indépendante du provider
+ * @module services/tts
+ *
+ * - Catalogue des voix des providers SPEAK disponibles (OpenAI, serveur Piper...),
+ *   identifiées par "provider:voix" pour éviter les collisions de noms
+ * - Préférences de l'utilisateur : voix par langue, vitesse, format audio,
+ *   lecture automatique des messages privés reçus
+ * - Résolution d'une demande : paramètres de la requête, puis préférences de
+ *   l'utilisateur, puis voix par défaut de la langue
+ * - Négociation du format : si le provider ne produit pas le format demandé,
+ *   son premier format est utilisé (ex: WAV pour Piper)
+ */
+
+import { logger } from '../utils/logger.js';
+import { usersDB } from '../database.js';
+import { synthesizeSpeech } from './ai.service.js';
+import { CAPABILITIES, listProviders } from './providers.service.js';
+
+/**
+ * Formats audio produits et leur type MIME
+ */
+export const TTS_FORMATS = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  wav: 'audio/wav'
+};
+
+/**
+ * Configuration de la synthèse vocale
+ */
+export const TTS_CONFIG = {
+  minSpeed: 0.25,
+  maxSpeed: 4.0,
+  defaultSpeed: 1.0,
+  defaultFormat: 'mp3',
+  maxTextLength: 4096,
+  // Voix multilingue retenue quand aucune voix n'est dédiée à la langue
+  fallbackVoice: process.env.TTS_DEFAULT_VOICE || 'nova',
+  maxVoicePreferences: 50
+};
+
+/**
+ * Erreur de validation d'une demande de synthèse
+ */
+export class TtsRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TtsRequestError';
+  }
+}
+
+/**
+ * Catalogue d'un provider (getter ou tableau)
+ */
+function providerVoices(provider) {
+  const voices = typeof provider.voices === 'function' ? provider.voices() : provider.voices;
+  return Array.isArray(voices) ? voices : [];
+}
+
+/**
+ * Une voix couvre-t-elle la langue ('*' = toutes langues) ?
+ */
+function voiceSupports(voice, language) {
+  return voice.languages.includes('*') || voice.languages.includes(language);
+}
+
+/**
+ * Liste les voix des providers de synthèse disponibles
+ * @param {Object} options - Filtres
+ * @param {string} [options.language] - Ne garder que les voix couvrant cette langue
+ * @returns {Array<{id: string, provider: string, voice: string, name: string, languages: Array<string>, formats: Array<string>}>}
+ */
+export function listVoices({ language = null } = {}) {
+  const voices = [];
+  for (const provider of listProviders({ capability: CAPABILITIES.SPEAK, availableOnly: true })) {
+    for (const voice of providerVoices(provider)) {
+      const entry = {
+        id: `${provider.name}:${voice.id}`,
+        provider: provider.name,
+        voice: voice.id,
+        name: voice.name || voice.id,
+        languages: voice.languages || ['*'],
+        formats: provider.speechFormats || [TTS_CONFIG.defaultFormat]
+      };
+      if (!language || voiceSupports(entry, language)) {
+        voices.push(entry);
+      }
+    }
+  }
+  return voices;
+}
+
+/**
+ * Retrouve une voix du catalogue
+ * Accepte "provider:voix" ou un nom seul (ancien format, ex: "nova")
+ * @param {string} id - Identifiant de voix
+ * @returns {Object|null}
+ */
+export function findVoice(id) {
+  if (!id || typeof id !== 'string') return null;
+  const voices = listVoices();
+  return voices.find(voice => voice.id === id) ||
+    (!id.includes(':') && voices.find(voice => voice.voice === id)) ||
+    null;
+}
+
+/**
+ * Voix par défaut d'une langue : une voix dédiée à la langue en priorité,
+ * sinon la voix multilingue configurée, sinon la première disponible
+ * @param {string} [language] - Code langue
+ * @returns {Object|null}
+ */
+export function getDefaultVoice(language = null) {
+  const voices = listVoices({ language });
+  if (voices.length === 0) return null;
+
+  return (language && voices.find(voice => voice.languages.includes(language))) ||
+    voices.find(voice => voice.voice === TTS_CONFIG.fallbackVoice) ||
+    voices[0];
+}
+
+/**
+ * Valide une vitesse de lecture
+ */
+function isValidSpeed(speed) {
+  return Number.isFinite(speed) && speed >= TTS_CONFIG.minSpeed && speed <= TTS_CONFIG.maxSpeed;
+}
+
+/**
+ * Valide (partiellement) les préférences de synthèse d'un utilisateur
+ * @param {Object} settings - { voices: { langue: voiceId|null }, speed, format, autoPlay }
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateTtsSettings(settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { valid: false, errors: ['Préférences requises'] };
+  }
+
+  if (settings.voices !== undefined) {
+    if (!settings.voices || typeof settings.voices !== 'object' || Array.isArray(settings.voices)) {
+      errors.push('voices doit être un objet { langue: voix }');
+    } else {
+      const entries = Object.entries(settings.voices);
+      if (entries.length > TTS_CONFIG.maxVoicePreferences) {
+        errors.push(`voices limité à ${TTS_CONFIG.maxVoicePreferences} langues`);
+      }
+      for (const [language, voiceId] of entries) {
+        if (!/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language)) {
+          errors.push(`Code langue invalide : ${language}`);
+        } else if (voiceId !== null) {
+          const voice = findVoice(voiceId);
+          if (!voice) {
+            errors.push(`Voix inconnue : ${voiceId}`);
+          } else if (!voiceSupports(voice, language)) {
+            errors.push(`La voix ${voice.id} ne couvre pas la langue ${language}`);
+          }
+        }
+      }
+    }
+  }
+
+  if (settings.speed !== undefined && settings.speed !== null && !isValidSpeed(settings.speed)) {
+    errors.push(`speed doit être compris entre ${TTS_CONFIG.minSpeed} et ${TTS_CONFIG.maxSpeed}`);
+  }
+
+  if (settings.format !== undefined && settings.format !== null && !TTS_FORMATS[settings.format]) {
+    errors.push(`format invalide (${Object.keys(TTS_FORMATS).join(', ')})`);
+  }
+
+  if (settings.autoPlay !== undefined && typeof settings.autoPlay !== 'boolean') {
+    errors.push('autoPlay doit être un booléen');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Préférences de synthèse d'un utilisateur
+ * @param {string} email - Email de l'utilisateur
+ * @returns {{voices: Object, speed: number|null, format: string|null, autoPlay: boolean}}
+ */
+export function getUserTtsSettings(email) {
+  const empty = { voices: {}, speed: null, format: null, autoPlay: false };
+  const raw = usersDB.getByEmail(email)?.tts_settings;
+  if (!raw) return empty;
+
+  try {
+    return { ...empty, ...JSON.parse(raw) };
+  } catch {
+    logger.warn('Invalid TTS settings ignored', { email });
+    return empty;
+  }
+}
+
+/**
+ * Met à jour les préférences de synthèse (fusion ; voix à null = retirée)
+ * @param {string} email - Email de l'utilisateur
+ * @param {Object} settings - { voices, speed, format, autoPlay }
+ * @returns {{success: boolean, errors?: Array<string>, settings?: Object}}
+ */
+export function updateUserTtsSettings(email, settings) {
+  if (!usersDB.getByEmail(email)) {
+    return { success: false, errors: ['Utilisateur introuvable'] };
+  }
+
+  const validation = validateTtsSettings(settings);
+  if (!validation.valid) {
+    return { success: false, errors: validation.errors };
+  }
+
+  const current = getUserTtsSettings(email);
+  const voices = { ...current.voices };
+  for (const [language, voiceId] of Object.entries(settings.voices || {})) {
+    if (voiceId === null) {
+      delete voices[language];
+    } else {
+      voices[language] = findVoice(voiceId).id;
+    }
+  }
+
+  const updated = {
+    voices,
+    speed: settings.speed !== undefined ? settings.speed : current.speed,
+    format: settings.format !== undefined ? settings.format : current.format,
+    autoPlay: settings.autoPlay !== undefined ? settings.autoPlay : current.autoPlay
+  };
+
+  usersDB.update(email, { tts_settings: JSON.stringify(updated) });
+  logger.info('TTS settings updated', { email, languages: Object.keys(voices).length });
+
+  return { success: true, settings: updated };
+}
+
+/**
+ * Résout une demande de synthèse
+ * Priorité : paramètres de la requête, préférences de l'utilisateur, défauts
+ * @param {Object} request - { text, voice, language, speed, format }
+ * @param {string} [email] - Utilisateur (préférences)
+ * @returns {{text: string, voice: Object, speed: number, format: string}}
+ * @throws {TtsRequestError}
+ */
+export function resolveSpeechRequest({ text, voice = null, language = null, speed = null, format = null } = {}, email = null) {
+  if (!text || typeof text !== 'string' || !text.trim()) {
+    throw new TtsRequestError('Texte requis');
+  }
+  if (text.length > TTS_CONFIG.maxTextLength) {
+    throw new TtsRequestError(`Texte limité à ${TTS_CONFIG.maxTextLength} caractères`);
+  }
+  if (speed !== null && speed !== undefined && !isValidSpeed(speed)) {
+    throw new TtsRequestError(`speed doit être compris entre ${TTS_CONFIG.minSpeed} et ${TTS_CONFIG.maxSpeed}`);
+  }
+  if (format && !TTS_FORMATS[format]) {
+    throw new TtsRequestError(`format invalide (${Object.keys(TTS_FORMATS).join(', ')})`);
+  }
+
+  const settings = email ? getUserTtsSettings(email) : { voices: {}, speed: null, format: null };
+
+  let resolvedVoice = null;
+  if (voice) {
+    resolvedVoice = findVoice(voice);
+    if (!resolvedVoice) {
+      throw new TtsRequestError(`Voix inconnue : ${voice}`);
+    }
+  } else {
+    // Voix préférée de la langue, si son provider est toujours disponible
+    resolvedVoice = (language && findVoice(settings.voices[language])) || getDefaultVoice(language);
+  }
+
+  if (!resolvedVoice) {
+    throw new TtsRequestError(language ? `Aucune voix disponible pour la langue ${language}` : 'Aucune voix disponible');
+  }
+
+  const requestedFormat = format || settings.format || TTS_CONFIG.defaultFormat;
+
+  return {
+    text,
+    voice: resolvedVoice,
+    speed: speed ?? settings.speed ?? TTS_CONFIG.defaultSpeed,
+    format: resolvedVoice.formats.includes(requestedFormat) ? requestedFormat : resolvedVoice.formats[0]
+  };
+}
+
+/**
+ * Synthétise un texte avec la voix résolue
+ * @param {Object} request - { text, voice, language, speed, format }
+ * @param {string} [email] - Utilisateur (préférences)
+ * @returns {Promise<{audio: Buffer, format: string, mimeType: string, voice: string, speed: number}>}
+ */
+export async function speak(request, email = null) {
+  const resolved = resolveSpeechRequest(request, email);
+
+  const audio = await synthesizeSpeech(resolved.text, resolved.voice.voice, resolved.voice.provider, {
+    speed: resolved.speed,
+    format: resolved.format
+  });
+
+  return {
+    audio,
+    format: resolved.format,
+    mimeType: TTS_FORMATS[resolved.format],
+    voice: resolved.voice.id,
+    speed: resolved.speed
+  };
+}
+
+export default {
+  TTS_FORMATS,
+  TTS_CONFIG,
+  TtsRequestError,
+  listVoices,
+  findVoice,
+  getDefaultVoice,
+  validateTtsSettings,
+  getUserTtsSettings,
+  updateUserTtsSettings,
+  resolveSpeechRequest,
+  speak
+};
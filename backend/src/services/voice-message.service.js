@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Messages vocaux des groupes
+ * @module services/voice-message
+ *
+ * Un message vocal est un enregistrement conservé tel quel (/uploads) et
+ * accompagné de sa transcription :
+ * 1. createVoiceMessage : transcription côté serveur, puis création du message
+ *    de groupe (content = transcription, file_info = enregistrement)
+ * 2. processVoiceMessage : traduction de la transcription dans la langue de
+ *    chaque membre, puis (option tts) synthèse vocale de chaque langue ;
+ *    la progression est signalée via emit()
+ *
+ * La transcription par langue est celle du message : content dans la langue
+ * d'origine, translations[lang] pour les autres.
+ *
+ * file_info d'un message vocal :
+ *   { url, originalName, mimeType, size,
+ *     voiceMessage: { duration, sourceLang, tts, audio: { [lang]: describeMessageAudio } } }
+ */
+
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { messagesDB } from '../database.js';
+import { clearMessagesCache } from '../db-proxy.js';
+import { authManager } from '../auth-sqlite.js';
+import { transcribeAudioSegments, TRANSLATION_STATUS } from './ai.service.js';
+import { createGroupMessage, translateGroupMessage } from './conversation.service.js';
+import { getTargetLanguages } from './language-detection.service.js';
+import { getGroupMemberLanguages } from './document-translation.service.js';
+import { prepareMessageAudio, generateMessageAudio, describeMessageAudio } from './message-audio.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Configuration des messages vocaux
+ */
+export const VOICE_MESSAGE_CONFIG = {
+  // Même dossier que les routes d'upload (servi sous /uploads)
+  uploadsDir: join(dirname(dirname(__dirname)), 'uploads'),
+  maxFileSize: 25 * 1024 * 1024,
+  // Formats produits par MediaRecorder et les dictaphones courants
+  allowedExtensions: ['webm', 'ogg', 'oga', 'opus', 'mp3', 'm4a', 'mp4', 'wav']
+};
+
+/**
+ * Événements Socket.IO émis après la création du message
+ */
+export const VOICE_MESSAGE_EVENTS = {
+  AUDIO: 'voice_message_audio',
+  COMPLETED: 'voice_message_completed'
+};
+
+/**
+ * Erreur de création d'un message vocal (status HTTP associé)
+ */
+export class VoiceMessageError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'VoiceMessageError';
+    this.status = status;
+  }
+}
+
+/**
+ * Indique si un fichier file_info est un message vocal
+ * @param {Object|string} fileInfo - file_info (objet ou JSON)
+ * @returns {boolean}
+ */
+export function isVoiceMessage(fileInfo) {
+  if (typeof fileInfo === 'string') {
+    try {
+      fileInfo = JSON.parse(fileInfo);
+    } catch {
+      return false;
+    }
+  }
+  return !!fileInfo?.voiceMessage;
+}
+
+/**
+ * Vérifie l'extension d'un enregistrement
+ * @param {string} fileName - Nom du fichier
+ * @returns {boolean}
+ */
+export function isAllowedVoiceFile(fileName) {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  return VOICE_MESSAGE_CONFIG.allowedExtensions.includes(extension);
+}
+
+/**
+ * Transcrit un enregistrement et crée le message vocal
+ * Le fichier est supprimé si le message ne peut pas être créé.
+ * @param {Object} params - Paramètres
+ * @param {string} params.groupId - ID du groupe
+ * @param {string} params.sender - Email de l'expéditeur
+ * @param {string} params.fromDisplayName - Nom affiché
+ * @param {Object} params.file - Fichier multer (diskStorage dans uploadsDir)
+ * @param {string} [params.language] - Langue parlée (indice pour la transcription)
+ * @param {boolean} [params.tts] - Synthétiser la transcription dans chaque langue
+ * @param {string} [params.provider] - Provider IA
+ * @returns {Promise<{message: Object, targetLangs: Array<string>}>}
+ * @throws {VoiceMessageError}
+ */
+export async function createVoiceMessage({ groupId, sender, fromDisplayName, file, language = null, tts = false, provider = 'openai' }) {
+  try {
+    const transcription = await transcribeAudioSegments(fs.readFileSync(file.path), file.filename, provider, {
+      language,
+      mimeType: file.mimetype
+    });
+
+    const text = (transcription.text || '').trim();
+    if (!text) {
+      throw new VoiceMessageError('Aucune parole détectée dans l\'enregistrement', 422);
+    }
+
+    const fileInfo = {
+      url: `/uploads/${file.filename}`,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      voiceMessage: {
+        duration: transcription.duration,
+        sourceLang: null,
+        tts: !!tts,
+        audio: {}
+      }
+    };
+
+    // Whisper renvoie parfois un nom de langue ("french") : seul un code sert d'indice
+    const transcribedLang = /^[a-z]{2,3}$/.test(transcription.language || '') ? transcription.language : null;
+    const memberLanguages = getGroupMemberLanguages(groupId);
+
+    const message = await createGroupMessage({
+      groupId,
+      sender,
+      message: text,
+      timestamp: Date.now(),
+      targetLangs: memberLanguages,
+      provider,
+      fileInfo,
+      fromDisplayName,
+      deferTranslation: true,
+      sourceLangHint: transcribedLang || language
+    });
+
+    // La langue d'origine n'est connue qu'après détection sur la transcription
+    message.fileInfo.voiceMessage.sourceLang = message.originalLang;
+    saveFileInfo(groupId, message.id, message.fileInfo);
+
+    logger.info('Voice message created', {
+      groupId,
+      sender,
+      messageId: message.id,
+      duration: transcription.duration,
+      originalLang: message.originalLang,
+      tts: !!tts
+    });
+
+    return { message, targetLangs: getTargetLanguages(memberLanguages, message.originalLang) };
+  } catch (error) {
+    fs.rmSync(file.path, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Enregistre le file_info d'un message de groupe
+ * @private
+ */
+function saveFileInfo(groupId, messageId, fileInfo) {
+  messagesDB.update(messageId, { fileInfo });
+  clearMessagesCache(groupId);
+}
+
+/**
+ * Traduit la transcription puis, si demandé, la synthétise dans chaque langue
+ * La synthèse consomme une unité de quota 'speak' de l'expéditeur par langue ;
+ * une langue dont la traduction a échoué n'est pas synthétisée.
+ * @param {Object} message - Message créé (createVoiceMessage)
+ * @param {Object} options - Options
+ * @param {string} options.groupId - ID du groupe
+ * @param {Array<string>} options.targetLangs - Langues de traduction
+ * @param {string} [options.provider] - Provider IA
+ * @param {Function} [options.emit] - Callback (event, payload) vers les membres du groupe
+ * @returns {Promise<Object>} - file_info final
+ */
+export async function processVoiceMessage(message, { groupId, targetLangs, provider = 'openai', emit = () => {} }) {
+  const context = { groupId, messageId: message.id };
+  const fileInfo = message.fileInfo;
+
+  const { translationStatus } = await translateGroupMessage({
+    groupId,
+    messageId: message.id,
+    text: message.content,
+    timestamp: message.timestamp,
+    sender: message.from,
+    targetLangs,
+    provider,
+    onDelta: (lang, text) => emit('message_translation', { ...context, lang, text, done: false }),
+    onTranslation: (lang, result) => emit('message_translation', {
+      ...context,
+      lang,
+      text: result.status === TRANSLATION_STATUS.FAILED ? null : result.translatedText,
+      status: result.status,
+      provider: result.provider,
+      done: true
+    })
+  });
+
+  if (fileInfo.voiceMessage.tts) {
+    const languages = [
+      message.originalLang,
+      ...targetLangs.filter(lang => translationStatus[lang] !== TRANSLATION_STATUS.FAILED)
+    ];
+
+    for (const lang of languages) {
+      try {
+        const prepared = prepareMessageAudio({ messageId: message.id, lang, userEmail: message.from });
+        if (!prepared.entry) {
+          const quotaCheck = authManager.consumeQuota(message.from, 'speak');
+          if (!quotaCheck.allowed) {
+            logger.info('Voice message synthesis stopped: quota exceeded', context);
+            break;
+          }
+        }
+
+        const audio = describeMessageAudio(await generateMessageAudio(prepared));
+        fileInfo.voiceMessage.audio[lang] = audio;
+        saveFileInfo(groupId, message.id, fileInfo);
+        emit(VOICE_MESSAGE_EVENTS.AUDIO, { ...context, lang, audio });
+      } catch (error) {
+        logger.error('Voice message synthesis failed', { ...context, lang, error: error.message });
+      }
+    }
+  }
+
+  emit(VOICE_MESSAGE_EVENTS.COMPLETED, { ...context, fileInfo });
+  return fileInfo;
+}
+
+export default {
+  VOICE_MESSAGE_CONFIG,
+  VOICE_MESSAGE_EVENTS,
+  VoiceMessageError,
+  isVoiceMessage,
+  isAllowedVoiceFile,
+  createVoiceMessage,
+  processVoiceMessage
+};
@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Découpage de fichiers audio sans décodage (WAV PCM et MP3)
+ * @module utils/audio
+ *
+ * Les morceaux sont calculés comme des plages d'octets du fichier d'origine :
+ * - WAV : tranche alignée sur les échantillons, précédée d'un en-tête RIFF
+ *   recalculé (le bloc 'fmt ' d'origine est recopié tel quel)
+ * - MP3 : tranche alignée sur les trames ; les premières millisecondes d'un
+ *   morceau peuvent être dégradées (réservoir de bits), d'où le chevauchement
+ *
+ * Le fichier est lu par fenêtres : un enregistrement de plusieurs heures
+ * n'est jamais chargé entièrement en mémoire.
+ */
+
+import fs from 'fs';
+
+/**
+ * Formats découpables
+ */
+export const AUDIO_FORMATS = {
+  WAV: 'wav',
+  MP3: 'mp3'
+};
+
+/**
+ * Erreur levée pour un fichier audio illisible
+ */
+export class AudioFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AudioFormatError';
+  }
+}
+
+// Taille de la fenêtre de lecture
+const READ_WINDOW = 1024 * 1024;
+
+// Débits MP3 (kbit/s) par version (1 = MPEG-1, 2 = MPEG-2/2.5) et couche
+const MP3_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// Fréquences d'échantillonnage MP3 par bits de version (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const MP3_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+/**
+ * Lecteur à fenêtre glissante sur un fichier
+ * @param {number} fd - Descripteur de fichier
+ * @param {number} size - Taille du fichier
+ * @returns {function(number, number): Buffer} - read(position, length)
+ */
+function createReader(fd, size) {
+  let windowStart = 0;
+  let window = Buffer.alloc(0);
+
+  return (position, length) => {
+    const end = Math.min(position + length, size);
+    if (position >= end) return Buffer.alloc(0);
+    if (position < windowStart || end > windowStart + window.length) {
+      const windowLength = Math.min(Math.max(READ_WINDOW, length), size - position);
+      window = Buffer.alloc(windowLength);
+      fs.readSync(fd, window, 0, windowLength, position);
+      windowStart = position;
+    }
+    return window.subarray(position - windowStart, end - windowStart);
+  };
+}
+
+/**
+ * Identifie le format d'après les premiers octets
+ * @param {Buffer} head - Début du fichier
+ * @returns {string|null} - AUDIO_FORMATS ou null
+ */
+export function detectAudioFormat(head) {
+  if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+    return AUDIO_FORMATS.WAV;
+  }
+  if (head.length >= 3 && head.toString('latin1', 0, 3) === 'ID3') {
+    return AUDIO_FORMATS.MP3;
+  }
+  if (head.length >= 4 && parseMp3Header(head, 0)) {
+    return AUDIO_FORMATS.MP3;
+  }
+  return null;
+}
+
+/**
+ * Lit l'en-tête d'une trame MP3
+ * @returns {{length: number, duration: number}|null}
+ */
+function parseMp3Header(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  const b1 = buffer[offset + 1];
+  const b2 = buffer[offset + 2];
+  if (buffer[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (b1 >> 3) & 3;
+  const layerBits = (b1 >> 1) & 3;
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 3;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[`${versionBits === 3 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const padding = (b2 >> 1) & 1;
+
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && versionBits !== 3 ? 576 : 1152;
+    length = Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+  }
+
+  return { length, duration: samples / sampleRate };
+}
+
+/**
+ * Lit la structure d'un WAV (blocs 'fmt ' et 'data')
+ */
+function inspectWav(read, size) {
+  let position = 12;
+  let fmtChunk = null;
+  let blockAlign = 0;
+  let byteRate = 0;
+
+  while (position + 8 <= size) {
+    const header = read(position, 8);
+    const id = header.toString('latin1', 0, 4);
+    const chunkSize = header.readUInt32LE(4);
+
+    if (id === 'fmt ') {
+      fmtChunk = Buffer.from(read(position, 8 + chunkSize));
+      const format = fmtChunk.readUInt16LE(8);
+      if (format !== 1 && format !== 3 && format !== 0xFFFE) {
+        throw new AudioFormatError('WAV compressé non pris en charge (PCM uniquement)');
+      }
+      byteRate = fmtChunk.readUInt32LE(16);
+      blockAlign = fmtChunk.readUInt16LE(20);
+    } else if (id === 'data') {
+      if (!fmtChunk || !byteRate || !blockAlign) {
+        throw new AudioFormatError('WAV invalide : bloc fmt manquant');
+      }
+      const dataStart = position + 8;
+      // Taille inconnue (enregistrement en flux) : jusqu'à la fin du fichier
+      const dataLength = Math.min(chunkSize, size - dataStart);
+      const dataEnd = dataStart + dataLength - (dataLength % blockAlign);
+      return {
+        format: AUDIO_FORMATS.WAV,
+        duration: (dataEnd - dataStart) / byteRate,
+        bytesPerSecond: byteRate,
+        header: fmtChunk.toString('base64'),
+        timeToByte: (time, roundUp) => {
+          const blocks = (roundUp ? Math.ceil : Math.floor)(time * byteRate / blockAlign);
+          const byte = Math.min(dataStart + blocks * blockAlign, dataEnd);
+          return { byte, time: (byte - dataStart) / byteRate };
+        }
+      };
+    }
+
+    position += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  throw new AudioFormatError('WAV invalide : aucune donnée audio');
+}
+
+/**
+ * Parcourt les trames d'un MP3 (tags ID3v2 et trames parasites ignorés)
+ */
+function inspectMp3(read, size) {
+  let position = 0;
+
+  const id3 = read(0, 10);
+  if (id3.length === 10 && id3.toString('latin1', 0, 3) === 'ID3') {
+    const tagSize = ((id3[6] & 0x7F) << 21) | ((id3[7] & 0x7F) << 14) | ((id3[8] & 0x7F) << 7) | (id3[9] & 0x7F);
+    position = 10 + tagSize + (id3[5] & 0x10 ? 10 : 0);
+  }
+
+  const offsets = [];
+  const times = [];
+  let time = 0;
+
+  while (position + 4 <= size) {
+    const frame = parseMp3Header(read(position, 4), 0);
+    // Une synchronisation isolée n'est acceptée que si la trame suivante est valide
+    const confirmed = frame && (offsets.length > 0 || position + frame.length + 4 > size ||
+      parseMp3Header(read(position + frame.length, 4), 0));
+
+    if (!confirmed) {
+      if (offsets.length > 0 && read(position, 3).toString('latin1') === 'TAG') break;
+      position++;
+      continue;
+    }
+
+    offsets.push(position);
+    times.push(time);
+    time += frame.duration;
+    position += frame.length;
+  }
+
+  if (offsets.length === 0) {
+    throw new AudioFormatError('MP3 invalide : aucune trame audio');
+  }
+
+  const audioEnd = Math.min(position, size);
+  offsets.push(audioEnd);
+  times.push(time);
+
+  return {
+    format: AUDIO_FORMATS.MP3,
+    duration: time,
+    bytesPerSecond: (audioEnd - offsets[0]) / Math.max(time, 0.001),
+    header: null,
+    timeToByte: (target, roundUp) => {
+      // Première trame commençant à target ou après (roundUp), ou dernière avant
+      let low = 0;
+      let high = times.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (times[mid] <= target) low = mid; else high = mid - 1;
+      }
+      const index = roundUp && times[low] < target ? Math.min(low + 1, times.length - 1) : low;
+      return { byte: offsets[index], time: times[index] };
+    }
+  };
+}
+
+/**
+ * Calcule le découpage d'un fichier audio en morceaux qui se chevauchent
+ * @param {string} filePath - Chemin du fichier
+ * @param {Object} options - Options
+ * @param {number} options.chunkDuration - Durée cible d'un morceau (secondes)
+ * @param {number} options.overlap - Chevauchement entre deux morceaux (secondes)
+ * @param {number} options.maxChunkBytes - Taille max d'un morceau (limite du provider)
+ * @returns {{format: string, duration: number, header: string|null, chunks: Array<{index: number, start: number, end: number, byteStart: number, byteEnd: number}>}}
+ */
+export function planAudioChunks(filePath, { chunkDuration, overlap, maxChunkBytes }) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const read = createReader(fd, size);
+    const format = detectAudioFormat(read(0, 12));
+    if (!format) {
+      throw new AudioFormatError('Format audio non découpable (WAV ou MP3 attendu)');
+    }
+
+    const info = format === AUDIO_FORMATS.WAV ? inspectWav(read, size) : inspectMp3(read, size);
+    if (info.duration <= 0) {
+      throw new AudioFormatError('Fichier audio vide');
+    }
+
+    // Un morceau doit rester sous la limite d'upload du provider
+    const duration = Math.max(
+      Math.min(chunkDuration, maxChunkBytes * 0.95 / info.bytesPerSecond),
+      overlap * 2 + 1
+    );
+
+    const chunks = [];
+    let start = 0;
+    while (true) {
+      const from = info.timeToByte(start, false);
+      const last = from.time + duration >= info.duration;
+      const to = last ? info.timeToByte(info.duration, true) : info.timeToByte(from.time + duration, true);
+
+      chunks.push({
+        index: chunks.length,
+        start: from.time,
+        end: to.time,
+        byteStart: from.byte,
+        byteEnd: to.byte
+      });
+
+      if (last) break;
+      start = to.time - overlap;
+    }
+
+    return { format, duration: info.duration, header: info.header, chunks };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Lit un morceau planifié, prêt à être envoyé au provider
+ * @param {string} filePath - Chemin du fichier
+ * @param {Object} plan - Résultat de planAudioChunks
+ * @param {Object} chunk - Morceau de plan.chunks
+ * @returns {Buffer}
+ */
+export function readAudioChunk(filePath, plan, chunk) {
+  const data = Buffer.alloc(chunk.byteEnd - chunk.byteStart);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, data, 0, data.length, chunk.byteStart);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (plan.format !== AUDIO_FORMATS.WAV) {
+    return data;
+  }
+
+  const fmtChunk = Buffer.from(plan.header, 'base64');
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(4 + fmtChunk.length + 8 + data.length, 4);
+  riff.write('WAVE', 8, 'latin1');
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0, 'latin1');
+  dataHeader.writeUInt32LE(data.length, 4);
+
+  return Buffer.concat([riff, fmtChunk, dataHeader, data]);
+}
+
+/**
+ * Construit un WAV PCM à partir d'échantillons bruts
+ * @param {Buffer} pcm - Échantillons
+ * @param {Object} options - { sampleRate, channels, bitsPerSample }
+ * @returns {Buffer}
+ */
+export function buildWav(pcm, { sampleRate = 16000, channels = 1, bitsPerSample = 16 } = {}) {
+  const blockAlign = channels * bitsPerSample / 8;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
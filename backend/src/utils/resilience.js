@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Utilitaires de résilience pour les appels aux APIs externes
+ * @module utils/resilience
+ *
+ * - CircuitBreaker : coupe les appels vers un service défaillant
+ * - withRetry : réessaie avec backoff exponentiel et jitter
+ * - createTimeoutSignal : AbortSignal avec timeout pour fetch
+ */
+
+/**
+ * États d'un circuit breaker
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // Fonctionnement normal
+  OPEN: 'open',           // Appels bloqués
+  HALF_OPEN: 'half_open'  // Un appel de test est autorisé
+};
+
+/**
+ * Erreur levée quand le circuit est ouvert
+ */
+export class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit open for ${name}`);
+    this.name = 'CircuitOpenError';
+    this.circuit = name;
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Erreur levée quand un appel dépasse son délai
+ */
+export class TimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Request timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEDOUT';
+  }
+}
+
+/**
+ * Circuit breaker simple (compteur d'échecs consécutifs)
+ * Seules les défaillances du service comptent : une erreur due à la requête
+ * elle-même (400, 413, contenu refusé...) ne l'ouvre pas.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Nom du service protégé
+   * @param {Object} options - Options
+   * @param {number} options.failureThreshold - Échecs consécutifs avant ouverture (défaut: 5)
+   * @param {number} options.resetTimeoutMs - Durée d'ouverture avant essai (défaut: 30s)
+   * @param {Function} options.isFailure - Prédicat sur l'erreur (défaut: isRetryableError)
+   */
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000, isFailure = isRetryableError } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.isFailure = isFailure;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Indique si un appel peut être tenté maintenant
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    // En half-open, un seul appel de test à la fois
+    return this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight;
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Exécute une fonction protégée par le circuit
+   * @param {Function} fn - Fonction async à exécuter
+   * @returns {Promise<*>}
+   * @throws {CircuitOpenError} - Si le circuit est ouvert
+   */
+  async execute(fn) {
+    if (!this.canRequest()) {
+      throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeoutMs);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure();
+      } else {
+        // Le service a répondu : seul l'appel de test est libéré
+        this.trialInFlight = false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * État public du circuit
+   * @returns {Object}
+   */
+  getState() {
+    // Rafraîchir l'état (open -> half_open si le délai est écoulé)
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt
+    };
+  }
+
+  reset() {
+    this.recordSuccess();
+  }
+}
+
+/**
+ * Attend un certain nombre de millisecondes
+ * @param {number} ms - Durée
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Délai de backoff exponentiel avec "full jitter"
+ * @param {number} attempt - Numéro de la tentative (0 = première relance)
+ * @param {number} baseDelayMs - Délai de base
+ * @param {number} maxDelayMs - Délai maximum
+ * @returns {number} - Délai aléatoire entre 0 et min(max, base * 2^attempt)
+ */
+export function getBackoffDelay(attempt, baseDelayMs = 300, maxDelayMs = 5000) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * cap);
+}
+
+/**
+ * Indique si une erreur d'appel HTTP mérite une nouvelle tentative
+ * (timeouts, erreurs réseau, 429 et 5xx)
+ * @param {Error} error - Erreur
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error instanceof CircuitOpenError) return false;
+  if (!error.status) return true; // Timeout ou erreur réseau
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Exécute une fonction avec relances
+ * @param {Function} fn - Fonction async (reçoit le numéro de tentative)
+ * @param {Object} options - Options
+ * @param {number} options.retries - Nombre de relances (défaut: 2)
+ * @param {number} options.baseDelayMs - Délai de base du backoff
+ * @param {number} options.maxDelayMs - Délai maximum du backoff
+ * @param {Function} options.shouldRetry - Prédicat sur l'erreur (défaut: isRetryableError)
+ * @param {Function} options.onRetry - Callback (error, attempt, delay) avant chaque relance
+ * @returns {Promise<*>}
+ */
+export async function withRetry(fn, {
+  retries = 2,
+  baseDelayMs = 300,
+  maxDelayMs = 5000,
+  shouldRetry = isRetryableError,
+  onRetry = null
+} = {}) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+
+      await sleep(delay);
+      attempt++;
+    }
+  }
+}
+
+/**
+ * Crée un AbortSignal qui expire après timeoutMs
+ * @param {number} timeoutMs - Délai maximum
+ * @returns {{signal: AbortSignal, clear: Function, isTimedOut: Function}}
+ */
+export function createTimeoutSignal(timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  return {
+    signal: controller.signal,
+    clear: () => clearTimeout(timer),
+    isTimedOut: () => timedOut
+  };
+}
+
+export default {
+  CIRCUIT_STATES,
+  CircuitBreaker,
+  CircuitOpenError,
+  TimeoutError,
+  sleep,
+  getBackoffDelay,
+  isRetryableError,
+  withRetry,
+  createTimeoutSignal
+};
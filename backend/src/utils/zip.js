@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Lecture et écriture d'archives ZIP (sans dépendance externe)
+ * @module utils/zip
+ *
+ * Suffisant pour les documents Office (docx) :
+ * - Entrées stockées (méthode 0) ou compressées en deflate (méthode 8)
+ * - Pas de ZIP64, pas de chiffrement, pas d'archive multi-volumes
+ */
+
+import zlib from 'zlib';
+
+const SIGNATURES = {
+  LOCAL_HEADER: 0x04034b50,
+  CENTRAL_HEADER: 0x02014b50,
+  END_OF_CENTRAL_DIR: 0x06054b50
+};
+
+const METHODS = {
+  STORED: 0,
+  DEFLATE: 8
+};
+
+// Date DOS fixe (1980-01-01) : le contenu généré ne dépend pas de l'heure
+const DOS_DATE = 0x21;
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Erreur levée pour une archive illisible ou non supportée
+ */
+export class ZipFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipFormatError';
+  }
+}
+
+/**
+ * Localise l'enregistrement de fin du répertoire central
+ * @private
+ */
+function findEndOfCentralDirectory(buffer) {
+  // 22 octets minimum + commentaire de 65535 octets maximum
+  const minOffset = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+    if (buffer.readUInt32LE(offset) === SIGNATURES.END_OF_CENTRAL_DIR) {
+      return offset;
+    }
+  }
+  throw new ZipFormatError('Archive ZIP invalide (fin du répertoire central introuvable)');
+}
+
+/**
+ * Lit toutes les entrées d'une archive ZIP
+ * @param {Buffer} buffer - Contenu de l'archive
+ * @returns {Array<{name: string, data: Buffer}>} - Entrées dans l'ordre de l'archive
+ */
+export function readZip(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw new ZipFormatError('Archive ZIP invalide');
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new ZipFormatError('Archives ZIP64 non supportées');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== SIGNATURES.CENTRAL_HEADER) {
+      throw new ZipFormatError('Répertoire central ZIP corrompu');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & UTF8_FLAG ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    if (flags & 0x1) {
+      throw new ZipFormatError(`Entrée chiffrée non supportée: ${name}`);
+    }
+    if (buffer.readUInt32LE(localOffset) !== SIGNATURES.LOCAL_HEADER) {
+      throw new ZipFormatError(`En-tête local ZIP corrompu: ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHODS.STORED) {
+      data = Buffer.from(raw);
+    } else if (method === METHODS.DEFLATE) {
+      data = zlib.inflateRawSync(raw);
+    } else {
+      throw new ZipFormatError(`Méthode de compression non supportée (${method}): ${name}`);
+    }
+
+    entries.push({ name, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Crée une archive ZIP (entrées compressées en deflate)
+ * @param {Array<{name: string, data: Buffer}>} entries - Entrées, dans l'ordre voulu
+ * @returns {Buffer}
+ */
+export function writeZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(SIGNATURES.LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(METHODS.DEFLATE, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(SIGNATURES.CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(METHODS.DEFLATE, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(SIGNATURES.END_OF_CENTRAL_DIR, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+export default {
+  ZipFormatError,
+  readZip,
+  writeZip
+};
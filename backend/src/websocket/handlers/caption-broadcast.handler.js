@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Handlers WebSocket des diffusions de sous-titres
+ * @module websocket/handlers/caption-broadcast
+ *
+ * Gère :
+ * - Côté présentateur (namespace principal, authentifié) : démarrage ou
+ *   reprise, fin de la diffusion
+ * - Côté public (namespace CAPTION_NAMESPACE, sans authentification) :
+ *   entrée par code court avec une langue, sortie ; aucun envoi possible
+ *
+ * La parole du présentateur arrive par 'speech_stream_audio' avec le
+ * streamId renvoyé au démarrage.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { authManager } from '../../auth-sqlite.js';
+import { SPEECH_STREAM_CONFIG, SpeechStreamError } from '../../services/speech-stream.service.js';
+import {
+  CAPTION_NAMESPACE,
+  CaptionBroadcastError,
+  captionRoom,
+  startCaptionBroadcast,
+  endCaptionBroadcast,
+  handlePresenterDisconnect,
+  joinCaptionBroadcast,
+  leaveCaptionBroadcasts
+} from '../../services/caption-broadcast.service.js';
+
+/**
+ * Répond via l'accusé de réception s'il est fourni
+ */
+function reply(callback, payload) {
+  if (typeof callback === 'function') callback(payload);
+}
+
+/**
+ * Réponse d'erreur (erreurs métier transmises, autres journalisées)
+ */
+function replyError(callback, error, context) {
+  if (error instanceof CaptionBroadcastError || error instanceof SpeechStreamError) {
+    return reply(callback, { success: false, code: error.code, error: error.message });
+  }
+  logger.error(context.message, { error: error.message, ...context.details });
+  reply(callback, { success: false, code: 'server_error', error: 'Erreur serveur' });
+}
+
+// ===================================
+// PRÉSENTATEUR
+// ===================================
+
+/**
+ * Handler de démarrage (ou de reprise avec data.code)
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket du présentateur
+ * @param {Object} data - { code } ou { title, language, languages, provider }
+ * @param {Function} callback - Accusé : { success, broadcast, streamId, sampleRate, frameMs }
+ */
+export function handleCaptionBroadcastStart(io, socket, data, callback) {
+  try {
+    const userEmail = socket.userId;
+    if (!authManager.hasPermission(authManager.users[userEmail], 'transcribe')) {
+      return reply(callback, { success: false, code: 'forbidden', error: 'Permission refusée' });
+    }
+
+    const audience = io.of(CAPTION_NAMESPACE);
+    const { broadcast, stream } = startCaptionBroadcast({
+      presenterEmail: userEmail,
+      socketId: socket.id,
+      code: data?.code || null,
+      title: data?.title,
+      language: data?.language,
+      languages: data?.languages || [],
+      provider: data?.provider || 'openai',
+      broadcast: (event, payload, lang) => audience.to(captionRoom(payload.code, lang)).emit(event, payload),
+      notify: (event, payload) => socket.emit(event, payload)
+    });
+
+    reply(callback, {
+      success: true,
+      broadcast,
+      streamId: stream.id,
+      sampleRate: SPEECH_STREAM_CONFIG.sampleRate,
+      frameMs: SPEECH_STREAM_CONFIG.frameMs
+    });
+  } catch (error) {
+    replyError(callback, error, { message: 'Error starting caption broadcast', details: { userId: socket.userId } });
+  }
+}
+
+/**
+ * Handler de fin : la phrase en cours est diffusée avant l'accusé
+ * @param {Object} socket - Socket du présentateur
+ * @param {Object} data - { code }
+ * @param {Function} callback - Accusé : { success, code, segments }
+ */
+export async function handleCaptionBroadcastStop(socket, data, callback) {
+  try {
+    const result = await endCaptionBroadcast(data?.code, socket.userId);
+    reply(callback, { success: true, ...result });
+  } catch (error) {
+    replyError(callback, error, { message: 'Error ending caption broadcast', details: { userId: socket.userId, code: data?.code } });
+  }
+}
+
+/**
+ * Présentateur déconnecté : ses diffusions attendent une reprise
+ * @param {Object} socket - Socket du présentateur
+ */
+export function handleCaptionBroadcastDisconnect(socket) {
+  const waiting = handlePresenterDisconnect(socket.id);
+  if (waiting.length > 0) {
+    logger.info('Caption broadcasts waiting for presenter', { userId: socket.userId, codes: waiting });
+  }
+}
+
+// ===================================
+// PUBLIC (LECTURE SEULE)
+// ===================================
+
+/**
+ * Quitte les rooms des diffusions suivies par un spectateur
+ * @private
+ */
+function leaveAudienceRooms(socket) {
+  for (const { code, language } of leaveCaptionBroadcasts(socket.id)) {
+    socket.leave(captionRoom(code));
+    socket.leave(captionRoom(code, language));
+  }
+}
+
+/**
+ * Handler d'entrée d'un spectateur (ou de changement de langue)
+ * @param {Object} socket - Socket du namespace public
+ * @param {Object} data - { code, language }
+ * @param {Function} callback - Accusé : { success, broadcast, language, captions }
+ */
+export function handleCaptionJoin(socket, data, callback) {
+  try {
+    leaveAudienceRooms(socket);
+    const result = joinCaptionBroadcast(data?.code, socket.id, data?.language || null);
+
+    socket.join(captionRoom(result.broadcast.code));
+    socket.join(captionRoom(result.broadcast.code, result.language));
+    reply(callback, { success: true, ...result });
+  } catch (error) {
+    replyError(callback, error, { message: 'Error joining caption broadcast', details: { socketId: socket.id } });
+  }
+}
+
+/**
+ * Handler de sortie d'un spectateur (aussi appelé à la déconnexion)
+ * @param {Object} socket - Socket du namespace public
+ * @param {Function} [callback] - Accusé : { success }
+ */
+export function handleCaptionLeave(socket, callback) {
+  leaveAudienceRooms(socket);
+  reply(callback, { success: true });
+}
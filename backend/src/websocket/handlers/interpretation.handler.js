@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Handlers WebSocket des salles d'interprétation
+ * @module websocket/handlers/interpretation
+ *
+ * Gère :
+ * - Entrée dans la salle d'interprétation d'un groupe (langue, lecture)
+ * - Changement de langue ou de lecture
+ * - Sortie explicite ou à la déconnexion
+ *
+ * La parole d'un participant arrive par 'speech_stream_audio' avec le
+ * streamId renvoyé à l'entrée dans la salle.
+ */
+
+import { logger } from '../../utils/logger.js';
+import { groups } from '../../db-proxy.js';
+import { usersDB } from '../../database.js';
+import { authManager } from '../../auth-sqlite.js';
+import { SPEECH_STREAM_CONFIG } from '../../services/speech-stream.service.js';
+import {
+  INTERPRETATION_EVENTS,
+  InterpretationError,
+  interpretationRoom,
+  interpretationAudioRoom,
+  getInterpretationParticipants,
+  joinInterpretation,
+  updateInterpretation,
+  leaveInterpretation,
+  leaveAllInterpretations
+} from '../../services/interpretation.service.js';
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+/**
+ * Répond via l'accusé de réception s'il est fourni
+ */
+function reply(callback, payload) {
+  if (typeof callback === 'function') callback(payload);
+}
+
+/**
+ * Diffuse la liste des participants à la salle
+ */
+function broadcastParticipants(io, groupId) {
+  io.to(interpretationRoom(groupId)).emit(INTERPRETATION_EVENTS.PARTICIPANTS, {
+    groupId,
+    participants: getInterpretationParticipants(groupId)
+  });
+}
+
+/**
+ * Aligne la room audio du socket sur la langue et la lecture du participant
+ */
+function syncAudioRoom(socket, groupId, previous, participant) {
+  if (previous?.tts) socket.leave(interpretationAudioRoom(groupId, previous.language));
+  if (participant.tts) socket.join(interpretationAudioRoom(groupId, participant.language));
+}
+
+/**
+ * Handler d'entrée dans une salle (ou de reprise de la parole)
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ * @param {Object} data - { groupId, language, tts, provider }
+ * @param {Function} callback - Accusé : { success, participants, streamId, sampleRate, frameMs, streamError }
+ */
+export function handleInterpretationJoin(io, socket, data, callback) {
+  try {
+    const userEmail = socket.userId;
+    const groupId = data?.groupId;
+
+    const group = groupId ? groups[groupId] : null;
+    const member = group?.members.find(m => m.email === userEmail);
+    if (!member) {
+      return reply(callback, { success: false, code: 'forbidden', error: 'Accès refusé au groupe' });
+    }
+
+    const language = data.language || usersDB.getByEmail(userEmail)?.preferred_language;
+    if (!language || !LANGUAGE_PATTERN.test(language)) {
+      return reply(callback, { success: false, code: 'invalid', error: 'Langue invalide' });
+    }
+
+    const result = joinInterpretation({
+      groupId,
+      socketId: socket.id,
+      userEmail,
+      displayName: member.displayName || userEmail.split('@')[0],
+      language,
+      tts: data.tts === true,
+      canSpeak: authManager.hasPermission(authManager.users[userEmail], 'transcribe'),
+      provider: data.provider || 'openai',
+      broadcast: (event, payload, lang = null) => {
+        io.to(lang ? interpretationAudioRoom(groupId, lang) : interpretationRoom(groupId)).emit(event, payload);
+      },
+      notify: (event, payload) => socket.emit(event, payload)
+    });
+
+    socket.join(interpretationRoom(groupId));
+    syncAudioRoom(socket, groupId, result.previous, result.participant);
+    broadcastParticipants(io, groupId);
+
+    reply(callback, {
+      success: true,
+      groupId,
+      participants: getInterpretationParticipants(groupId),
+      streamId: result.stream?.id || null,
+      sampleRate: SPEECH_STREAM_CONFIG.sampleRate,
+      frameMs: SPEECH_STREAM_CONFIG.frameMs,
+      streamError: result.streamError
+    });
+  } catch (error) {
+    if (error instanceof InterpretationError) {
+      return reply(callback, { success: false, code: error.code, error: error.message });
+    }
+    logger.error('Error joining interpretation', { error: error.message, userId: socket.userId, groupId: data?.groupId });
+    reply(callback, { success: false, code: 'server_error', error: 'Erreur serveur' });
+  }
+}
+
+/**
+ * Handler de changement de langue ou de lecture
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ * @param {Object} data - { groupId, language, tts }
+ * @param {Function} callback - Accusé : { success, participants }
+ */
+export function handleInterpretationUpdate(io, socket, data, callback) {
+  try {
+    const groupId = data?.groupId;
+    if (data?.language !== undefined && !LANGUAGE_PATTERN.test(data.language || '')) {
+      return reply(callback, { success: false, code: 'invalid', error: 'Langue invalide' });
+    }
+
+    const result = updateInterpretation(groupId, socket.id, {
+      language: data.language,
+      tts: typeof data.tts === 'boolean' ? data.tts : undefined
+    });
+
+    syncAudioRoom(socket, groupId, result.previous, result.participant);
+    broadcastParticipants(io, groupId);
+    reply(callback, { success: true, participants: getInterpretationParticipants(groupId) });
+  } catch (error) {
+    if (error instanceof InterpretationError) {
+      return reply(callback, { success: false, code: error.code, error: error.message });
+    }
+    logger.error('Error updating interpretation', { error: error.message, userId: socket.userId, groupId: data?.groupId });
+    reply(callback, { success: false, code: 'server_error', error: 'Erreur serveur' });
+  }
+}
+
+/**
+ * Quitte une salle (rooms Socket.IO comprises)
+ * @private
+ */
+function leaveRoom(io, socket, groupId) {
+  const participant = leaveInterpretation(groupId, socket.id);
+  if (!participant) return false;
+
+  socket.leave(interpretationRoom(groupId));
+  socket.leave(interpretationAudioRoom(groupId, participant.language));
+  broadcastParticipants(io, groupId);
+  return true;
+}
+
+/**
+ * Handler de sortie d'une salle
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ * @param {Object} data - { groupId }
+ * @param {Function} callback - Accusé : { success }
+ */
+export function handleInterpretationLeave(io, socket, data, callback) {
+  const left = leaveRoom(io, socket, data?.groupId);
+  reply(callback, left ? { success: true } : { success: false, code: 'not_joined', error: 'Salle d\'interprétation non rejointe' });
+}
+
+/**
+ * Retire un socket déconnecté de ses salles
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ */
+export function handleInterpretationDisconnect(io, socket) {
+  for (const groupId of leaveAllInterpretations(socket.id)) {
+    broadcastParticipants(io, groupId);
+  }
+}
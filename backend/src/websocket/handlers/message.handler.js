@@ -6,11 +6,125 @@
 import { logger } from '../../utils/logger.js';
 import { validateWebSocketData } from '../../../websocket-validation.js';
 import { groups } from '../../db-proxy.js';
-import { messagesDB, usersDB } from '../../database.js';
+import { messagesDB, usersDB, translationEditsDB, mentionsDB, messageEditsDB } from '../../database.js';
+import { authManager } from '../../auth-sqlite.js';
 import {
+  getConversationId,
   createGroupMessage,
-  createDirectMessage
+  createDirectMessage,
+  translateGroupMessage,
+  translateDirectMessage
 } from '../../services/conversation.service.js';
+import { TRANSLATION_STATUS } from '../../services/ai.service.js';
+import {
+  findMessage,
+  canAccessMessage,
+  getMessageRooms,
+  buildTranslationUpdatedEvent,
+  validateRetranslation,
+  retranslateMessage,
+  validateCorrection,
+  correctTranslation
+} from '../../services/translation-revision.service.js';
+import {
+  DOCUMENT_TRANSLATION_EVENTS,
+  validateDocumentTranslation,
+  prepareDocumentTranslation,
+  releaseDocumentTranslation,
+  runDocumentTranslation
+} from '../../services/document-translation.service.js';
+import { DocumentParseError } from '../../services/document-parser.service.js';
+import { deleteMessageAudio, pregenerateDirectMessageAudio } from '../../services/message-audio.service.js';
+import { parseMentions, notifyMentions } from '../../services/mention.service.js';
+import { canEditMessage, validateMessageEdit, editMessage } from '../../services/message-edit.service.js';
+import {
+  THREAD_EVENTS,
+  validateGroupReply,
+  validateDirectReply,
+  getThreadSummary,
+  markThreadRead,
+  deleteThreadReplies
+} from '../../services/thread.service.js';
+
+/**
+ * Construit les callbacks de diffusion des traductions en streaming
+ * Émet 'message_translation' à chaque fragment reçu (done: false) puis
+ * une dernière fois quand la langue est terminée (done: true, avec son statut),
+ * et 'message_language' si la langue d'origine est corrigée après la diffusion.
+ * @param {Object} target - Destination Socket.IO (io.to(...))
+ * @param {Object} context - Champs communs ({ messageId, groupId } ou { messageId, conversationId })
+ * @returns {{onLanguage: Function, onDelta: Function, onTranslation: Function}}
+ */
+function createTranslationEmitter(target, context) {
+  return {
+    onLanguage: (originalLang, translationStatus) => {
+      target.emit('message_language', { ...context, originalLang, translationStatus });
+    },
+    onDelta: (lang, text) => {
+      target.emit('message_translation', { ...context, lang, text, done: false });
+    },
+    onTranslation: (lang, result) => {
+      target.emit('message_translation', {
+        ...context,
+        lang,
+        text: result.status === TRANSLATION_STATUS.FAILED ? null : result.translatedText,
+        status: result.status,
+        provider: result.provider,
+        done: true
+      });
+    }
+  };
+}
+
+/**
+ * Traduit le document joint à un message de groupe (option translateDocument)
+ * Les refus (format, quota, document illisible) ne sont signalés qu'à l'expéditeur ;
+ * la progression est diffusée à tout le groupe.
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket de l'expéditeur
+ * @param {string} messageId - ID du message
+ * @param {string} provider - Provider IA
+ */
+async function translateAttachedDocument(io, socket, messageId, provider) {
+  const target = findMessage(messageId);
+  const context = { groupId: target?.groupId, messageId };
+
+  try {
+    const validation = validateDocumentTranslation(target);
+    if (!validation.valid) {
+      return socket.emit(DOCUMENT_TRANSLATION_EVENTS.FAILED, { ...context, error: validation.errors[0] });
+    }
+
+    if (!authManager.hasPermission(authManager.users[socket.userId], 'translate')) {
+      return socket.emit(DOCUMENT_TRANSLATION_EVENTS.FAILED, { ...context, error: 'Permission refusée' });
+    }
+
+    // Le message est réservé avant le décompte du quota (une seule traduction à la fois)
+    const job = await prepareDocumentTranslation(target, { provider });
+    if (!job) {
+      return socket.emit(DOCUMENT_TRANSLATION_EVENTS.FAILED, { ...context, error: 'Traduction du document déjà en cours' });
+    }
+
+    const quotaCheck = authManager.consumeQuota(socket.userId, 'translate', job.quotaUnits);
+    if (!quotaCheck.allowed) {
+      releaseDocumentTranslation(job);
+      return socket.emit(DOCUMENT_TRANSLATION_EVENTS.FAILED, { ...context, error: quotaCheck.message });
+    }
+
+    const room = io.to(`group:${target.groupId}`);
+    await runDocumentTranslation(job, {
+      provider,
+      requestedBy: socket.userId,
+      emit: (event, payload) => room.emit(event, payload)
+    });
+  } catch (error) {
+    if (error instanceof DocumentParseError) {
+      return socket.emit(DOCUMENT_TRANSLATION_EVENTS.FAILED, { ...context, error: error.message });
+    }
+    logger.error('Error translating attached document', error, context);
+    socket.emit(DOCUMENT_TRANSLATION_EVENTS.FAILED, { ...context, error: 'Erreur lors de la traduction du document' });
+  }
+}
 
 /**
  * Handler pour les messages de groupe
@@ -43,6 +157,13 @@ export async function handleGroupMessage(io, socket, data) {
       return socket.emit('error', { message: 'Accès refusé au groupe' });
     }
 
+    // Réponse citée et fil de discussion (optionnels)
+    const reply = validateGroupReply(groupId, data);
+    if (!reply.valid) {
+      return socket.emit('error', { message: 'Données invalides', errors: reply.errors });
+    }
+    const { threadId } = reply.value;
+
     // Récupérer le displayName de l'utilisateur depuis le groupe
     const member = group.members.find(m => m.email === userEmail);
     const fromDisplayName = member?.displayName || userEmail.split('@')[0];
@@ -56,20 +177,38 @@ export async function handleGroupMessage(io, socket, data) {
       }
     }
 
-    // Créer le message avec traductions pour toutes les langues
+    const provider = data.translationProvider || 'openai';
+    const sender = usersDB.getByEmail(userEmail);
+
+    // Sauvegarder le message (langue source détectée) sans attendre les traductions
     const messageData = await createGroupMessage({
       groupId,
       sender: userEmail,
       message: content,
       timestamp: Date.now(),
       targetLangs: Array.from(memberLanguages),
-      provider: data.translationProvider || 'openai',
+      provider,
       fileInfo,
-      fromDisplayName
+      fromDisplayName,
+      deferTranslation: true,
+      sourceLangHint: userLang || sender?.preferred_language || null,
+      mentions: parseMentions(content, group.members),
+      ...reply.value
     });
 
-    // Diffuser à tous les membres du groupe
-    io.to(`group:${groupId}`).emit('group_message', messageData);
+    // Diffuser immédiatement le message original à tous les membres du groupe
+    // (réponse dans un fil : hors du fil principal, avec le nouveau résumé du fil)
+    const room = io.to(`group:${groupId}`);
+    if (threadId) {
+      room.emit(THREAD_EVENTS.MESSAGE, { groupId, threadId, message: messageData });
+      room.emit(THREAD_EVENTS.UPDATED, getThreadSummary(groupId, threadId));
+      markThreadRead(threadId, userEmail);
+    } else {
+      room.emit('group_message', messageData);
+    }
+
+    // Notifier les membres mentionnés (@displayName, @all)
+    notifyMentions(io, { message: messageData, group: { ...group, id: groupId } });
 
     logger.info('Group message sent', {
       groupId,
@@ -77,6 +216,32 @@ export async function handleGroupMessage(io, socket, data) {
       messageId: messageData.id,
       messageLength: content.length
     });
+
+    // Puis diffuser chaque traduction au fil de l'eau (une langue lente ne bloque plus les autres)
+    try {
+      await translateGroupMessage({
+        groupId,
+        messageId: messageData.id,
+        text: content,
+        timestamp: messageData.timestamp,
+        sender: userEmail,
+        targetLangs: Array.from(memberLanguages),
+        originalLang: messageData.originalLang,
+        provider,
+        ...createTranslationEmitter(room, { groupId, messageId: messageData.id, ...(threadId ? { threadId } : {}) })
+      });
+    } catch (error) {
+      logger.error('Error translating group message', {
+        error: error.message,
+        groupId,
+        messageId: messageData.id
+      });
+    }
+
+    // Traduire le document joint dans la langue de chaque membre, si demandé
+    if (data.translateDocument && fileInfo) {
+      await translateAttachedDocument(io, socket, messageData.id, provider);
+    }
   } catch (error) {
     logger.error('Error handling group message', {
       error: error.message,
@@ -113,6 +278,12 @@ export async function handleDirectMessage(io, socket, data) {
     const { recipientEmail, content, userLang, fileInfo } = data;
     const userEmail = socket.userId;
 
+    // Réponse citée (optionnelle)
+    const reply = validateDirectReply(getConversationId(userEmail, recipientEmail), data.replyToId);
+    if (!reply.valid) {
+      return socket.emit('error', { message: 'Données invalides', errors: reply.errors });
+    }
+
     // Récupérer le displayName de l'utilisateur depuis la DB
     const user = usersDB.getByEmail(userEmail);
     const fromDisplayName = user?.display_name || userEmail.split('@')[0];
@@ -127,16 +298,21 @@ export async function handleDirectMessage(io, socket, data) {
       targetLangs.push(recipient.preferred_language);
     }
 
-    // Créer le message avec traductions pour les deux langues
+    const provider = data.translationProvider || 'openai';
+
+    // Sauvegarder le message (langue source détectée) sans attendre les traductions
     const messageData = await createDirectMessage({
       from: userEmail,
       to: recipientEmail,
       message: content,
       timestamp: Date.now(),
       targetLangs: targetLangs,
-      provider: data.translationProvider || 'openai',
+      provider,
       fileInfo,
-      fromDisplayName
+      fromDisplayName,
+      deferTranslation: true,
+      sourceLangHint: userLang || user?.preferred_language || null,
+      replyToId: reply.value.replyToId
     });
 
     // Envoyer au destinataire
@@ -157,6 +333,49 @@ export async function handleDirectMessage(io, socket, data) {
       messageId: messageData.id,
       conversationId: messageData.conversationId
     });
+
+    // Diffuser les traductions aux deux participants au fil de l'eau
+    try {
+      await translateDirectMessage({
+        conversationId: messageData.conversationId,
+        messageId: messageData.id,
+        text: content,
+        timestamp: messageData.timestamp,
+        sender: userEmail,
+        targetLangs,
+        originalLang: messageData.originalLang,
+        provider,
+        ...createTranslationEmitter(io.to([`user:${recipientEmail}`, `user:${userEmail}`]), {
+          conversationId: messageData.conversationId,
+          messageId: messageData.id
+        })
+      });
+    } catch (error) {
+      logger.error('Error translating direct message', {
+        error: error.message,
+        conversationId: messageData.conversationId,
+        messageId: messageData.id
+      });
+    }
+
+    // Audio préparé pour le destinataire en lecture automatique
+    try {
+      const audio = await pregenerateDirectMessageAudio({ messageId: messageData.id, recipientEmail });
+      if (audio) {
+        io.to(`user:${recipientEmail}`).emit('message_audio', {
+          conversationId: messageData.conversationId,
+          messageId: messageData.id,
+          autoPlay: true,
+          audio
+        });
+      }
+    } catch (error) {
+      logger.error('Error pre-generating direct message audio', {
+        error: error.message,
+        conversationId: messageData.conversationId,
+        messageId: messageData.id
+      });
+    }
   } catch (error) {
     logger.error('Error handling direct message', {
       error: error.message,
@@ -403,22 +622,34 @@ export async function handleDeleteMessage(io, socket, data) {
       });
     }
 
-    // Supprimer le message de la DB de manière atomique
+    // Supprimer le message de la DB de manière atomique, avec les réponses de son fil
     // Le cache TTL expirera automatiquement, pas besoin de clearMessagesCache
     messagesDB.delete(messageId);
+    const threadReplies = message.thread_id ? [] : deleteThreadReplies(messageId);
+    for (const id of [messageId, ...threadReplies]) {
+      translationEditsDB.deleteByMessage(id);
+      mentionsDB.deleteByMessage(id);
+      messageEditsDB.deleteByMessage(id);
+      deleteMessageAudio(id);
+    }
 
     // Diffuser la suppression à tous les membres du groupe
     io.to(`group:${groupId}`).emit('message_deleted', {
       groupId,
-      messageId
+      messageId,
+      ...(message.thread_id ? { threadId: message.thread_id } : {})
     });
+    if (message.thread_id) {
+      io.to(`group:${groupId}`).emit(THREAD_EVENTS.UPDATED, getThreadSummary(groupId, message.thread_id));
+    }
 
     logger.info('Message deleted', {
       groupId,
       messageId,
       deletedBy: userEmail,
       wasAuthor: isAuthor,
-      wasAdmin: !!isGroupAdmin
+      wasAdmin: !!isGroupAdmin,
+      threadReplies: threadReplies.length
     });
 
   } catch (error) {
@@ -432,11 +663,263 @@ export async function handleDeleteMessage(io, socket, data) {
   }
 }
 
+/**
+ * Handler pour marquer un fil comme lu
+ * Les autres sessions de l'utilisateur sont prévenues via 'thread_read'.
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ * @param {Object} data - Données { groupId, threadId }
+ */
+export function handleMarkThreadRead(io, socket, data) {
+  try {
+    if (!socket.userId) {
+      return socket.emit('error', { message: 'Non authentifié' });
+    }
+
+    // Valider les données
+    const validation = validateWebSocketData('mark_thread_read', data);
+    if (!validation.valid) {
+      return socket.emit('error', {
+        message: 'Données invalides',
+        errors: validation.errors
+      });
+    }
+
+    const { groupId, threadId } = data;
+    const userEmail = socket.userId;
+
+    const group = groups[groupId];
+    if (!group || !group.members.some(m => m.email === userEmail)) {
+      return socket.emit('error', { message: 'Accès refusé au groupe' });
+    }
+
+    const thread = validateGroupReply(groupId, { threadId });
+    if (!thread.valid) {
+      return socket.emit('error', { message: 'Données invalides', errors: thread.errors });
+    }
+
+    markThreadRead(threadId, userEmail);
+    io.to(`user:${userEmail}`).emit(THREAD_EVENTS.READ, { groupId, threadId });
+  } catch (error) {
+    logger.error('Error marking thread as read', {
+      error: error.message,
+      stack: error.stack,
+      userId: socket.userId,
+      data
+    });
+    socket.emit('error', { message: 'Erreur lors de la lecture du fil' });
+  }
+}
+
+/**
+ * Handler pour modifier un message (groupe ou DM) par son auteur
+ * Le texte est re-traduit pour tous les destinataires puis diffusé via
+ * 'message_edited' ; la version précédente est conservée dans l'historique.
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ * @param {Object} data - Données { messageId, content, translationProvider }
+ */
+export async function handleEditMessage(io, socket, data) {
+  try {
+    if (!socket.userId) {
+      return socket.emit('error', { message: 'Non authentifié' });
+    }
+
+    // Valider les données
+    const validation = validateWebSocketData('edit_message', data);
+    if (!validation.valid) {
+      return socket.emit('error', {
+        message: 'Données invalides',
+        errors: validation.errors
+      });
+    }
+
+    const userEmail = socket.userId;
+    const target = findMessage(data.messageId);
+    if (!target || !canAccessMessage(target, userEmail)) {
+      return socket.emit('error', { message: 'Message introuvable' });
+    }
+
+    const permission = canEditMessage(target, userEmail);
+    if (!permission.allowed) {
+      return socket.emit('error', { message: permission.message });
+    }
+
+    const request = validateMessageEdit(target, { content: data.content, provider: data.translationProvider });
+    if (!request.valid) {
+      return socket.emit('error', { message: 'Données invalides', errors: request.errors });
+    }
+
+    // La re-traduction consomme le quota de traduction
+    const quotaCheck = authManager.consumeQuota(userEmail, 'translate');
+    if (!quotaCheck.allowed) {
+      return socket.emit('error', { message: quotaCheck.message, resetAt: quotaCheck.resetAt });
+    }
+
+    const edit = await editMessage(target, request.value, userEmail);
+    if (!edit) {
+      return socket.emit('error', { message: 'Message introuvable' });
+    }
+
+    const { event, previousMentions } = edit;
+    io.to(getMessageRooms(target)).emit('message_edited', event);
+
+    // Seuls les membres nouvellement mentionnés sont notifiés
+    if (target.type === 'group') {
+      const group = groups[target.groupId];
+      notifyMentions(io, {
+        message: { id: event.messageId, from: userEmail, fromDisplayName: target.row.from_display_name, mentions: event.mentions },
+        group: { ...group, id: target.groupId },
+        previousMentions
+      });
+    }
+  } catch (error) {
+    logger.error('Error editing message', {
+      error: error.message,
+      stack: error.stack,
+      userId: socket.userId,
+      messageId: data?.messageId
+    });
+    socket.emit('error', { message: 'Erreur lors de la modification du message' });
+  }
+}
+
+/**
+ * Handler pour re-traduire un message (groupe ou DM) avec un autre provider
+ * La nouvelle traduction remplace celle stockée et est diffusée via
+ * 'message_translation_updated'. En cas d'échec, seul le demandeur est notifié.
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ * @param {Object} data - Données { messageId, lang, provider }
+ */
+export async function handleRetranslateMessage(io, socket, data) {
+  try {
+    if (!socket.userId) {
+      return socket.emit('error', { message: 'Non authentifié' });
+    }
+
+    if (!authManager.hasPermission(authManager.users[socket.userId], 'translate')) {
+      return socket.emit('error', { message: 'Permission refusée' });
+    }
+
+    // Valider les données
+    const validation = validateWebSocketData('retranslate_message', data);
+    if (!validation.valid) {
+      return socket.emit('error', {
+        message: 'Données invalides',
+        errors: validation.errors
+      });
+    }
+
+    const userEmail = socket.userId;
+    const target = findMessage(data.messageId);
+    if (!target || !canAccessMessage(target, userEmail)) {
+      return socket.emit('error', { message: 'Message introuvable' });
+    }
+
+    const request = validateRetranslation(target, data);
+    if (!request.valid) {
+      return socket.emit('error', { message: 'Données invalides', errors: request.errors });
+    }
+
+    // Une re-traduction consomme le quota de traduction
+    const quotaCheck = authManager.consumeQuota(userEmail, 'translate');
+    if (!quotaCheck.allowed) {
+      return socket.emit('error', { message: quotaCheck.message, resetAt: quotaCheck.resetAt });
+    }
+
+    const result = await retranslateMessage(target, { ...request.value, requestedBy: userEmail });
+    // Texte modifié entre-temps : le client recharge le message (409 en REST)
+    if (result.conflict) {
+      return socket.emit('retranslation_failed', {
+        messageId: data.messageId,
+        lang: request.value.lang,
+        conflict: true,
+        error: 'Le message a été modifié pendant la re-traduction'
+      });
+    }
+    if (!result.success) {
+      return socket.emit('retranslation_failed', {
+        messageId: data.messageId,
+        lang: request.value.lang,
+        status: result.status
+      });
+    }
+
+    io.to(getMessageRooms(target)).emit('message_translation_updated', buildTranslationUpdatedEvent(target, result.edit));
+  } catch (error) {
+    logger.error('Error retranslating message', {
+      error: error.message,
+      stack: error.stack,
+      userId: socket.userId,
+      messageId: data?.messageId
+    });
+    socket.emit('error', { message: 'Erreur lors de la re-traduction du message' });
+  }
+}
+
+/**
+ * Handler pour corriger la traduction d'un message (membre bilingue)
+ * @param {Object} io - Instance Socket.IO
+ * @param {Object} socket - Socket client
+ * @param {Object} data - Données { messageId, lang, text, originalContent }
+ */
+export async function handleCorrectTranslation(io, socket, data) {
+  try {
+    if (!socket.userId) {
+      return socket.emit('error', { message: 'Non authentifié' });
+    }
+
+    // Valider les données
+    const validation = validateWebSocketData('correct_translation', data);
+    if (!validation.valid) {
+      return socket.emit('error', {
+        message: 'Données invalides',
+        errors: validation.errors
+      });
+    }
+
+    const userEmail = socket.userId;
+    const target = findMessage(data.messageId);
+    if (!target || !canAccessMessage(target, userEmail)) {
+      return socket.emit('error', { message: 'Message introuvable' });
+    }
+
+    const correction = validateCorrection(target, data);
+    if (!correction.valid) {
+      return socket.emit('error', { message: 'Données invalides', errors: correction.errors });
+    }
+
+    const edit = correctTranslation(target, correction.value, userEmail);
+    if (!edit) {
+      return socket.emit('error', {
+        message: 'Le message a été modifié, la correction n\'a pas été enregistrée',
+        messageId: data.messageId,
+        conflict: true
+      });
+    }
+
+    io.to(getMessageRooms(target)).emit('message_translation_updated', buildTranslationUpdatedEvent(target, edit));
+  } catch (error) {
+    logger.error('Error correcting translation', {
+      error: error.message,
+      stack: error.stack,
+      userId: socket.userId,
+      messageId: data?.messageId
+    });
+    socket.emit('error', { message: 'Erreur lors de la correction de la traduction' });
+  }
+}
+
 export default {
   handleGroupMessage,
   handleDirectMessage,
   handleJoinRooms,
   handleLeaveRoom,
   handleToggleReaction,
-  handleDeleteMessage
+  handleDeleteMessage,
+  handleMarkThreadRead,
+  handleEditMessage,
+  handleRetranslateMessage,
+  handleCorrectTranslation
 };
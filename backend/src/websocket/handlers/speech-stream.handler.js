@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Handlers WebSocket de la traduction vocale en continu
+ * @module websocket/handlers/speech-stream
+ *
+ * Gère :
+ * - Ouverture d'un flux (langues de la conversation, lecture des traductions)
+ * - Réception des trames audio (PCM 16 bits mono)
+ * - Fermeture explicite ou à la déconnexion
+ *
+ * Les résultats sont renvoyés au seul socket qui a ouvert le flux
+ * (événements SPEECH_STREAM_EVENTS).
+ */
+
+import { logger } from '../../utils/logger.js';
+import { authManager } from '../../auth-sqlite.js';
+import {
+  SPEECH_STREAM_CONFIG,
+  SpeechStreamError,
+  startSpeechStream,
+  getSpeechStream,
+  stopSocketSpeechStreams
+} from '../../services/speech-stream.service.js';
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+/**
+ * Répond via l'accusé de réception s'il est fourni
+ */
+function reply(callback, payload) {
+  if (typeof callback === 'function') callback(payload);
+}
+
+/**
+ * Handler d'ouverture d'un flux
+ * @param {Object} socket - Socket client
+ * @param {Object} data - { languages: [langue1, langue2], tts, partials, provider }
+ * @param {Function} callback - Accusé : { success, streamId, sampleRate, frameMs } ou { success: false, error, code }
+ */
+export function handleSpeechStreamStart(socket, data, callback) {
+  try {
+    const userEmail = socket.userId;
+    if (!userEmail) {
+      return reply(callback, { success: false, code: 'unauthenticated', error: 'Non authentifié' });
+    }
+
+    if (!authManager.hasPermission(authManager.users[userEmail], 'transcribe')) {
+      return reply(callback, { success: false, code: 'forbidden', error: 'Permission refusée' });
+    }
+
+    const languages = data?.languages;
+    if (!Array.isArray(languages) || languages.length < 1 || languages.length > 2 ||
+        !languages.every(lang => typeof lang === 'string' && LANGUAGE_PATTERN.test(lang))) {
+      return reply(callback, { success: false, code: 'invalid', error: 'languages doit contenir une ou deux langues' });
+    }
+
+    const session = startSpeechStream({
+      userEmail,
+      socketId: socket.id,
+      languages,
+      tts: data.tts === true,
+      partials: data.partials !== false,
+      provider: data.provider || 'openai',
+      emit: (event, payload) => socket.emit(event, payload)
+    });
+
+    reply(callback, {
+      success: true,
+      streamId: session.id,
+      sampleRate: SPEECH_STREAM_CONFIG.sampleRate,
+      frameMs: SPEECH_STREAM_CONFIG.frameMs
+    });
+  } catch (error) {
+    if (error instanceof SpeechStreamError) {
+      return reply(callback, { success: false, code: error.code, error: error.message });
+    }
+    logger.error('Error starting speech stream', { error: error.message, userId: socket.userId });
+    reply(callback, { success: false, code: 'server_error', error: 'Erreur serveur' });
+  }
+}
+
+/**
+ * Handler des trames audio
+ * @param {Object} socket - Socket client
+ * @param {Object} data - { streamId, audio: Buffer|ArrayBuffer }
+ */
+export function handleSpeechStreamAudio(socket, data) {
+  const session = getSpeechStream(data?.streamId, socket.userId);
+  if (!session) return;
+
+  const audio = data.audio instanceof ArrayBuffer ? Buffer.from(data.audio) : data.audio;
+  if (!Buffer.isBuffer(audio) || audio.length > SPEECH_STREAM_CONFIG.maxFrameBytes) {
+    logger.warn('Invalid speech stream frame ignored', { streamId: session.id, userId: socket.userId });
+    return;
+  }
+
+  session.push(audio);
+}
+
+/**
+ * Handler de fermeture : la phrase en cours est traitée avant l'accusé
+ * @param {Object} socket - Socket client
+ * @param {Object} data - { streamId }
+ * @param {Function} callback - Accusé : { success, segments }
+ */
+export async function handleSpeechStreamStop(socket, data, callback) {
+  const session = getSpeechStream(data?.streamId, socket.userId);
+  if (!session) {
+    return reply(callback, { success: false, code: 'not_found', error: 'Flux introuvable' });
+  }
+
+  try {
+    await session.stop();
+    reply(callback, { success: true, segments: session.segmentCount });
+  } catch (error) {
+    logger.error('Error stopping speech stream', { error: error.message, streamId: session.id });
+    reply(callback, { success: false, code: 'server_error', error: 'Erreur serveur' });
+  }
+}
+
+/**
+ * Ferme les flux d'un socket déconnecté
+ * @param {Object} socket - Socket client
+ */
+export function handleSpeechStreamDisconnect(socket) {
+  const closed = stopSocketSpeechStreams(socket.id);
+  if (closed > 0) {
+    logger.info('Speech streams closed on disconnect', { socketId: socket.id, closed });
+  }
+}
@@ -14,7 +14,11 @@ import {
   handleJoinRooms,
   handleLeaveRoom,
   handleToggleReaction,
-  handleDeleteMessage
+  handleDeleteMessage,
+  handleMarkThreadRead,
+  handleEditMessage,
+  handleRetranslateMessage,
+  handleCorrectTranslation
 } from './handlers/message.handler.js';
 import {
   handleUserOnline,
@@ -22,6 +26,26 @@ import {
   handleTypingStart,
   handleTypingStop
 } from './handlers/presence.handler.js';
+import {
+  handleSpeechStreamStart,
+  handleSpeechStreamAudio,
+  handleSpeechStreamStop,
+  handleSpeechStreamDisconnect
+} from './handlers/speech-stream.handler.js';
+import {
+  handleInterpretationJoin,
+  handleInterpretationUpdate,
+  handleInterpretationLeave,
+  handleInterpretationDisconnect
+} from './handlers/interpretation.handler.js';
+import {
+  handleCaptionBroadcastStart,
+  handleCaptionBroadcastStop,
+  handleCaptionBroadcastDisconnect,
+  handleCaptionJoin,
+  handleCaptionLeave
+} from './handlers/caption-broadcast.handler.js';
+import { CAPTION_NAMESPACE } from '../services/caption-broadcast.service.js';
 
 /**
  * Configure Socket.IO et enregistre tous les event handlers
@@ -143,6 +167,102 @@ export function setupWebSocket(io) {
       await handleDeleteMessage(io, socket, data);
     });
 
+    /**
+     * Marquer un fil de discussion comme lu
+     */
+    socket.on('mark_thread_read', (data) => {
+      handleMarkThreadRead(io, socket, data);
+    });
+
+    /**
+     * Modifier un message (auteur, re-traduit pour tous)
+     */
+    socket.on('edit_message', async (data) => {
+      await handleEditMessage(io, socket, data);
+    });
+
+    /**
+     * Re-traduire un message avec un autre provider
+     */
+    socket.on('retranslate_message', async (data) => {
+      await handleRetranslateMessage(io, socket, data);
+    });
+
+    /**
+     * Corriger la traduction d'un message
+     */
+    socket.on('correct_translation', async (data) => {
+      await handleCorrectTranslation(io, socket, data);
+    });
+
+    // ===================================
+    // TRADUCTION VOCALE EN CONTINU
+    // ===================================
+
+    /**
+     * Ouvrir un flux audio (mode conversation)
+     */
+    socket.on('speech_stream_start', (data, callback) => {
+      handleSpeechStreamStart(socket, data, callback);
+    });
+
+    /**
+     * Trame audio d'un flux
+     */
+    socket.on('speech_stream_audio', (data) => {
+      handleSpeechStreamAudio(socket, data);
+    });
+
+    /**
+     * Fermer un flux
+     */
+    socket.on('speech_stream_stop', async (data, callback) => {
+      await handleSpeechStreamStop(socket, data, callback);
+    });
+
+    // ===================================
+    // SALLES D'INTERPRÉTATION (GROUPES)
+    // ===================================
+
+    /**
+     * Rejoindre l'interprétation d'un groupe avec sa langue
+     */
+    socket.on('interpretation_join', (data, callback) => {
+      handleInterpretationJoin(io, socket, data, callback);
+    });
+
+    /**
+     * Changer de langue ou de lecture
+     */
+    socket.on('interpretation_update', (data, callback) => {
+      handleInterpretationUpdate(io, socket, data, callback);
+    });
+
+    /**
+     * Quitter l'interprétation
+     */
+    socket.on('interpretation_leave', (data, callback) => {
+      handleInterpretationLeave(io, socket, data, callback);
+    });
+
+    // ===================================
+    // DIFFUSION DE SOUS-TITRES (PRÉSENTATEUR)
+    // ===================================
+
+    /**
+     * Démarrer une diffusion, ou reprendre la parole avec son code
+     */
+    socket.on('caption_broadcast_start', (data, callback) => {
+      handleCaptionBroadcastStart(io, socket, data, callback);
+    });
+
+    /**
+     * Terminer une diffusion
+     */
+    socket.on('caption_broadcast_stop', async (data, callback) => {
+      await handleCaptionBroadcastStop(socket, data, callback);
+    });
+
     // ===================================
     // DÉCONNEXION
     // ===================================
@@ -152,6 +272,9 @@ export function setupWebSocket(io) {
      */
     socket.on('disconnect', (reason) => {
       handleUserOffline(io, socket);
+      handleSpeechStreamDisconnect(socket);
+      handleInterpretationDisconnect(io, socket);
+      handleCaptionBroadcastDisconnect(socket);
       logger.info('Client WebSocket disconnected', {
         socketId: socket.id,
         userId: socket.userId,
@@ -175,6 +298,26 @@ export function setupWebSocket(io) {
     });
   });
 
+  // ===================================
+  // DIFFUSION DE SOUS-TITRES (PUBLIC)
+  // ===================================
+
+  // Namespace sans authentification (io.use ne s'applique qu'au namespace
+  // principal) : le public ne peut que rejoindre une diffusion et la quitter
+  io.of(CAPTION_NAMESPACE).on('connection', (socket) => {
+    socket.on('caption_join', (data, callback) => {
+      handleCaptionJoin(socket, data, callback);
+    });
+
+    socket.on('caption_leave', (callback) => {
+      handleCaptionLeave(socket, callback);
+    });
+
+    socket.on('disconnect', () => {
+      handleCaptionLeave(socket);
+    });
+  });
+
   logger.info('✅ WebSocket handlers configured successfully');
 
   return io;
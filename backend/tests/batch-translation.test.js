@@ -0,0 +1,141 @@
+/**
+ * Tests de la traduction par lots
+ * Couvre: Validation, découpage en blocs, réponse JSON, quota au volume, cache
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let batch;
+let providers;
+let authManager;
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  batch = await import('../src/services/batch-translation.service.js');
+  providers = await import('../src/services/providers.service.js');
+  authManager = (await import('../src/auth-sqlite.js')).default;
+
+  db.usersDB.create({ email: 'batch@example.com', password: 'hash' });
+});
+
+describe('Validation', () => {
+  test('Devrait rejeter une requête mal formée', () => {
+    expect(batch.validateBatchRequest({}).valid).toBe(false);
+    expect(batch.validateBatchRequest({ segments: ['Bonjour'] }).valid).toBe(false);
+    expect(batch.validateBatchRequest({ segments: ['Bonjour'], targetLanguage: 'english' }).valid).toBe(false);
+    expect(batch.validateBatchRequest({ segments: ['Bonjour'], targetLanguage: 'en', formality: 'polite' }).valid).toBe(false);
+    expect(batch.validateBatchRequest({
+      segments: ['Bonjour'],
+      targetLanguages: ['en', 'es', 'de', 'it', 'pt', 'zh']
+    }).valid).toBe(false);
+  });
+
+  test('Un segment invalide ne devrait être signalé que dans son résultat', () => {
+    const { valid, value } = batch.validateBatchRequest({
+      segments: ['Bonjour', { id: 'p2', text: '  ' }, { id: 'p3', text: 'x'.repeat(batch.BATCH_CONFIG.maxSegmentLength + 1) }],
+      targetLanguages: ['en', 'en']
+    });
+
+    expect(valid).toBe(true);
+    expect(value.targetLangs).toEqual(['en']);
+    expect(value.segments.map(s => s.id)).toEqual([0, 'p2', 'p3']);
+    expect(value.segments[0].error).toBeNull();
+    expect(value.segments[1].error).toBe('Segment vide');
+    expect(value.segments[2].error).toContain('trop long');
+    expect(batch.countCharacters(value.segments)).toBe(7);
+  });
+});
+
+describe('Découpage et quota', () => {
+  test('Devrait regrouper les segments en blocs bornés', () => {
+    const segments = ['aaaa', 'bbbb', 'cccc', 'dddddddddd', 'e'].map(text => ({ text }));
+    const chunks = batch.chunkSegments(segments, { maxChars: 8, maxSegments: 3 });
+    expect(chunks.map(chunk => chunk.map(s => s.text))).toEqual([['aaaa', 'bbbb'], ['cccc'], ['dddddddddd'], ['e']]);
+
+    expect(batch.chunkSegments(segments, { maxChars: 1000, maxSegments: 2 })).toHaveLength(3);
+  });
+
+  test('Devrait compter une unité par tranche de caractères et par langue', () => {
+    const perUnit = batch.BATCH_CONFIG.charsPerQuotaUnit;
+    expect(batch.getQuotaUnits(10, 1)).toBe(1);
+    expect(batch.getQuotaUnits(perUnit, 2)).toBe(2);
+    expect(batch.getQuotaUnits(perUnit + 1, 1)).toBe(2);
+  });
+
+  test('consumeQuota devrait décompter le volume demandé', () => {
+    const limit = authManager.getUserQuota('batch@example.com').quotas.translate;
+
+    const first = authManager.consumeQuota('batch@example.com', 'translate', limit - 1);
+    expect(first).toMatchObject({ allowed: true, remaining: 1 });
+
+    const second = authManager.consumeQuota('batch@example.com', 'translate', 2);
+    expect(second.allowed).toBe(false);
+    expect(second.message).toContain('insuffisant');
+  });
+});
+
+describe('parseChunkResponse', () => {
+  test('Devrait accepter un tableau JSON, éventuellement entouré de ```', () => {
+    expect(batch.parseChunkResponse('["Hello","World"]', 2)).toEqual(['Hello', 'World']);
+    expect(batch.parseChunkResponse('```json\n["Hello","World"]\n```', 2)).toEqual(['Hello', 'World']);
+  });
+
+  test('Devrait rejeter une réponse inexploitable', () => {
+    expect(batch.parseChunkResponse('["Hello"]', 2)).toBeNull();
+    expect(batch.parseChunkResponse('["Hello", ""]', 2)).toBeNull();
+    expect(batch.parseChunkResponse('Hello, World', 2)).toBeNull();
+    expect(batch.parseChunkResponse(null, 1)).toBeNull();
+  });
+});
+
+describe('translateBatch', () => {
+  test('Devrait traduire un bloc en un appel puis servir le cache', async () => {
+    const calls = [];
+    providers.registerProvider({
+      name: 'batch-test',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, targetLang }) => {
+          calls.push(text);
+          return JSON.stringify(JSON.parse(text).map(item => `${targetLang.toUpperCase()}: ${item}`));
+        }
+      }
+    });
+
+    const { value } = batch.validateBatchRequest({
+      segments: [{ id: 'a', text: 'Premier paragraphe' }, { id: 'b', text: 'Second paragraphe' }, { id: 'c', text: '' }],
+      targetLanguage: 'en'
+    });
+
+    const first = await batch.translateBatch(value.segments, value.targetLangs, { provider: 'batch-test' });
+    expect(calls).toHaveLength(1);
+    expect(first.results[0]).toMatchObject({ id: 'a', translations: { en: 'EN: Premier paragraphe' }, translationStatus: { en: 'ok' } });
+    expect(first.results[2].errors).toEqual({ en: 'Segment vide' });
+    expect(first.summary).toMatchObject({ segments: 3, chunks: 1, cached: 0, failed: 0 });
+
+    const second = await batch.translateBatch(value.segments, value.targetLangs, { provider: 'batch-test' });
+    expect(calls).toHaveLength(1);
+    expect(second.results[1].translations.en).toBe('EN: Second paragraphe');
+    expect(second.summary).toMatchObject({ chunks: 0, cached: 2 });
+
+    providers.unregisterProvider('batch-test');
+  });
+
+  test('Devrait traduire segment par segment si la réponse du bloc est inexploitable', async () => {
+    const { value } = batch.validateBatchRequest({
+      segments: ['Bonjour à tous', 'Bonne soirée'],
+      targetLanguages: ['es', 'de']
+    });
+
+    const { results, summary } = await batch.translateBatch(value.segments, value.targetLangs, { provider: 'mock' });
+
+    expect(results[0].translations).toEqual({ es: '[es] Bonjour à tous', de: '[de] Bonjour à tous' });
+    expect(results[1].translations.de).toBe('[de] Bonne soirée');
+    expect(summary).toMatchObject({ targetLangs: ['es', 'de'], chunks: 2, failed: 0 });
+  });
+});
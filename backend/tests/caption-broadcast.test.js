@@ -0,0 +1,203 @@
+/**
+ * Tests des diffusions de sous-titres en direct
+ * Couvre: Code court, sous-titres par langue, arrivée en cours de route, export du transcript, fin de diffusion, reprise après déconnexion
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let captions;
+let providers;
+const emitted = [];
+const notified = [];
+
+const RATE = 16000;
+
+/**
+ * PCM 16 bits : son (amplitude 0-1) ou silence pendant ms millisecondes
+ */
+function pcm(ms, amplitude = 0) {
+  const samples = Math.round(RATE * ms / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 220 * i / RATE) * amplitude * 32767), i * 2);
+  }
+  return buffer;
+}
+
+const sentence = () => Buffer.concat([pcm(200), pcm(600, 0.3), pcm(800)]);
+
+function start(options = {}) {
+  return captions.startCaptionBroadcast({
+    presenterEmail: 'nora@example.com',
+    socketId: 'socket-nora',
+    title: 'Keynote',
+    language: 'fr',
+    languages: ['en', 'es', 'fr'],
+    provider: 'caption-recorder',
+    broadcast: (event, payload, lang) => emitted.push({ event, payload, lang }),
+    notify: (event, payload) => notified.push({ event, payload }),
+    ...options
+  });
+}
+
+async function speak(stream) {
+  stream.push(sentence());
+  await stream.queue;
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  captions = await import('../src/services/caption-broadcast.service.js');
+  providers = await import('../src/services/providers.service.js');
+
+  let count = 0;
+  providers.registerProvider({
+    name: 'caption-recorder',
+    capabilities: ['transcribe'],
+    isAvailable: () => true,
+    priority: 0,
+    handlers: {
+      transcribe: async () => `Phrase numéro ${++count} de la présentation`
+    }
+  });
+
+  db.usersDB.create({ email: 'nora@example.com', password: 'hash' });
+});
+
+afterAll(() => {
+  providers.unregisterProvider('caption-recorder');
+});
+
+describe('Diffusion en direct', () => {
+  let code;
+  let stream;
+
+  test('Une diffusion reçoit un code court et les langues dédoublonnées', () => {
+    ({ broadcast: { code }, stream } = start());
+
+    expect(code).toMatch(/^[A-HJKMNP-Z2-9]{6}$/);
+    expect(captions.getCaptionBroadcast(code.toLowerCase())).toMatchObject({
+      code,
+      title: 'Keynote',
+      language: 'fr',
+      languages: ['fr', 'en', 'es'],
+      status: captions.CAPTION_BROADCAST_STATUS.LIVE,
+      speaking: true
+    });
+  });
+
+  test('Chaque langue reçoit ses sous-titres, le présentateur la phrase complète', async () => {
+    const joined = captions.joinCaptionBroadcast(code, 'viewer-1', 'es');
+    expect(joined).toMatchObject({ language: 'es', captions: [], broadcast: { attendees: 1 } });
+    expect(notified.pop()).toEqual({ event: captions.CAPTION_EVENTS.AUDIENCE, payload: { code, count: 1 } });
+
+    await speak(stream);
+
+    const finals = emitted.filter(e => e.event === captions.CAPTION_EVENTS.FINAL);
+    expect(finals.map(e => [e.lang, e.payload.text])).toEqual([
+      ['fr', 'Phrase numéro 1 de la présentation'],
+      ['en', '[en] Phrase numéro 1 de la présentation'],
+      ['es', '[es] Phrase numéro 1 de la présentation']
+    ]);
+    expect(finals.every(e => e.payload.lang === e.lang && e.payload.index === 1)).toBe(true);
+
+    const segment = notified.find(e => e.event === captions.CAPTION_EVENTS.SEGMENT).payload;
+    expect(segment).toMatchObject({ code, index: 1, text: 'Phrase numéro 1 de la présentation' });
+    expect(Object.keys(segment.translations).sort()).toEqual(['en', 'es']);
+  });
+
+  test('Un spectateur qui arrive reçoit les dernières phrases de sa langue', () => {
+    expect(() => captions.joinCaptionBroadcast(code, 'viewer-2', 'de'))
+      .toThrow(expect.objectContaining({ code: 'unsupported_language' }));
+    expect(() => captions.joinCaptionBroadcast('ZZZZZZ', 'viewer-2'))
+      .toThrow(expect.objectContaining({ code: 'not_found', status: 404 }));
+
+    const joined = captions.joinCaptionBroadcast(` ${code.slice(0, 3)}-${code.slice(3).toLowerCase()} `, 'viewer-2', 'en');
+    expect(joined.captions.map(caption => caption.text)).toEqual(['[en] Phrase numéro 1 de la présentation']);
+
+    // Sans langue : celle du présentateur
+    expect(captions.joinCaptionBroadcast(code, 'viewer-3').language).toBe('fr');
+    expect(captions.leaveCaptionBroadcasts('viewer-3')).toEqual([{ code, language: 'fr' }]);
+  });
+
+  test('Le transcript est exportable dans chaque langue', async () => {
+    await speak(stream);
+
+    const txt = captions.exportCaptionTranscript(code, { language: 'en' });
+    expect(txt).toMatchObject({ filename: `transcript-${code}-en.txt`, mimeType: 'text/plain' });
+    expect(txt.content).toMatch(/^Keynote — /);
+    expect(txt.content).toContain('[en] Phrase numéro 1 de la présentation\n');
+    expect(txt.content).toContain('[en] Phrase numéro 2 de la présentation\n');
+
+    const srt = captions.exportCaptionTranscript(code, { language: 'es', format: 'srt' });
+    expect(srt.content).toMatch(/^1\n\d{2}:\d{2}:\d{2},\d{3} --> /);
+    expect(srt.content).toContain('2\n');
+
+    expect(captions.exportCaptionTranscript(code, { format: 'vtt' }).content).toMatch(/^WEBVTT\n/);
+
+    const json = JSON.parse(captions.exportCaptionTranscript(code, { format: 'json' }).content);
+    expect(json.segments.map(s => s.index)).toEqual([1, 2]);
+    expect(json.segments[0].start).toBeLessThan(json.segments[1].start);
+
+    expect(() => captions.exportCaptionTranscript(code, { format: 'docx' }))
+      .toThrow(expect.objectContaining({ code: 'invalid' }));
+  });
+
+  test('La fin prévient le public ; le transcript reste disponible', async () => {
+    await expect(captions.endCaptionBroadcast(code, 'someone@example.com'))
+      .rejects.toMatchObject({ code: 'not_found' });
+
+    stream.push(pcm(600, 0.3));
+    const result = await captions.endCaptionBroadcast(code, 'nora@example.com');
+
+    // La phrase en cours est traitée avant la fin
+    expect(result).toEqual({ code, segments: 3 });
+    expect(emitted[emitted.length - 1]).toEqual({ event: captions.CAPTION_EVENTS.ENDED, payload: { code, segments: 3 }, lang: null });
+
+    expect(captions.getCaptionBroadcast(code).status).toBe(captions.CAPTION_BROADCAST_STATUS.ENDED);
+    expect(() => captions.joinCaptionBroadcast(code, 'viewer-4'))
+      .toThrow(expect.objectContaining({ code: 'ended', status: 410 }));
+    expect(() => start({ code })).toThrow(expect.objectContaining({ code: 'not_found' }));
+    expect(captions.exportCaptionTranscript(code).content.trim().split('\n')).toHaveLength(5);
+  });
+});
+
+describe('Présentateur déconnecté', () => {
+  test('La reprise avec le code conserve la diffusion', async () => {
+    const { broadcast, stream } = start({ languages: [] });
+    await stream.stop({ flush: false });
+
+    expect(captions.handlePresenterDisconnect('socket-nora')).toEqual([broadcast.code]);
+
+    const resumed = start({ code: broadcast.code, socketId: 'socket-nora-2' });
+    expect(resumed.broadcast.code).toBe(broadcast.code);
+    expect(resumed.stream.id).not.toBe(stream.id);
+
+    await captions.endCaptionBroadcast(broadcast.code, 'nora@example.com');
+  });
+
+  test('Sans reprise, la diffusion se termine après le délai', async () => {
+    const timeout = captions.CAPTION_BROADCAST_CONFIG.presenterTimeoutMs;
+    captions.CAPTION_BROADCAST_CONFIG.presenterTimeoutMs = 10;
+    try {
+      const { broadcast } = start({ languages: [] });
+      captions.handlePresenterDisconnect('socket-nora');
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(captions.getCaptionBroadcast(broadcast.code).status).toBe(captions.CAPTION_BROADCAST_STATUS.ENDED);
+    } finally {
+      captions.CAPTION_BROADCAST_CONFIG.presenterTimeoutMs = timeout;
+    }
+  });
+
+  test('Les diffusions interrompues par un redémarrage sont terminées', () => {
+    db.captionBroadcastsDB.create({ id: 'orphan', code: 'ORPHAN', presenterEmail: 'nora@example.com', language: 'fr', languages: [], status: 'live' });
+
+    expect(captions.endInterruptedCaptionBroadcasts()).toBe(1);
+    expect(captions.getCaptionBroadcast('ORPHAN').status).toBe(captions.CAPTION_BROADCAST_STATUS.ENDED);
+  });
+});
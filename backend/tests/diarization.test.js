@@ -0,0 +1,195 @@
+/**
+ * Tests de la diarisation
+ * Couvre: Validation des segments VAD, regroupement des voix, tours de parole, diarisation par le provider,
+ *   requêtes /transcribe invalides sans quota consommé
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { useTestEnvironment } from './helpers.js';
+
+let diarization;
+let providers;
+let authManager;
+let app;
+
+// Deux voix bien distinctes (hauteur en Hz, centroïde spectral en Hz)
+const LOW_VOICE = { pitch: 110, centroid: 900 };
+const HIGH_VOICE = { pitch: 220, centroid: 1700 };
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  diarization = await import('../src/services/diarization.service.js');
+  providers = await import('../src/services/providers.service.js');
+  ({ authManager } = await import('../src/auth-sqlite.js'));
+  const { default: apiRoutes } = await import('../src/routes/api.routes.js');
+
+  app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes());
+});
+
+describe('Segments VAD', () => {
+  test('Devrait accepter le JSON du formulaire et trier les segments', () => {
+    const result = diarization.validateVadSegments(JSON.stringify([
+      { start: 2, end: 3, pitch: 120, centroid: 1000 },
+      { start: 0, end: 1.5, pitch: -5 }
+    ]));
+
+    expect(result.valid).toBe(true);
+    expect(result.segments).toEqual([
+      { start: 0, end: 1.5, pitch: null, centroid: null },
+      { start: 2, end: 3, pitch: 120, centroid: 1000 }
+    ]);
+  });
+
+  test('Devrait rejeter des segments invalides', () => {
+    expect(diarization.validateVadSegments('pas du json').valid).toBe(false);
+    expect(diarization.validateVadSegments([{ start: 2, end: 1 }]).errors[0]).toContain('vadSegments[0]');
+    expect(diarization.validateVadSegments(undefined)).toEqual({ valid: true, errors: [], segments: [] });
+  });
+
+  test('Devrait ignorer les profils de locuteurs malformés', () => {
+    expect(diarization.sanitizeSpeakerProfiles('[{"id":"S1","pitch":110,"weight":500},{"id":"<b>"}]')).toEqual([
+      { id: 'S1', pitch: 110, centroid: null, weight: diarization.DIARIZATION_CONFIG.maxProfileWeight }
+    ]);
+    expect(diarization.sanitizeSpeakerProfiles('{')).toEqual([]);
+  });
+});
+
+describe('Regroupement des voix', () => {
+  test('La distance dépend de la hauteur et du timbre', () => {
+    expect(diarization.voiceDistance(LOW_VOICE, { pitch: 112, centroid: 950 })).toBeLessThan(1);
+    expect(diarization.voiceDistance(LOW_VOICE, HIGH_VOICE)).toBeGreaterThan(1);
+    expect(diarization.voiceDistance({ pitch: 110, centroid: null }, { pitch: null, centroid: 900 })).toBeNull();
+  });
+
+  test('Devrait distinguer deux voix et garder leurs identifiants d\'une prise à l\'autre', () => {
+    const first = diarization.assignSpeakers([
+      { start: 0, end: 2, ...LOW_VOICE },
+      { start: 2.5, end: 4, ...HIGH_VOICE },
+      { start: 4.5, end: 5, pitch: null, centroid: null },
+      { start: 6, end: 7, pitch: 115, centroid: 920 }
+    ]);
+
+    expect(first.labels).toEqual(['S1', 'S2', 'S2', 'S1']);
+    expect(first.profiles.map(profile => profile.id)).toEqual(['S1', 'S2']);
+
+    const second = diarization.assignSpeakers([
+      { start: 0, end: 1, pitch: 225, centroid: 1650 }
+    ], first.profiles);
+    expect(second.labels).toEqual(['S2']);
+  });
+
+  test('Au-delà du nombre maximal de locuteurs, la voix la plus proche est retenue', () => {
+    const saved = diarization.DIARIZATION_CONFIG.maxSpeakers;
+    diarization.DIARIZATION_CONFIG.maxSpeakers = 1;
+
+    const { labels, profiles } = diarization.assignSpeakers([
+      { start: 0, end: 1, ...LOW_VOICE },
+      { start: 1, end: 2, ...HIGH_VOICE }
+    ]);
+    diarization.DIARIZATION_CONFIG.maxSpeakers = saved;
+
+    expect(labels).toEqual(['S1', 'S1']);
+    expect(profiles).toHaveLength(1);
+  });
+});
+
+describe('Tours de parole', () => {
+  test('Chaque segment transcrit revient au segment VAD qu\'il recouvre le plus', () => {
+    const vad = [{ start: 0, end: 3 }, { start: 3.2, end: 6 }, { start: 6.5, end: 8 }];
+    const turns = diarization.buildSpeakerTurns([
+      { start: 0, end: 1.5, text: 'Bonjour,' },
+      { start: 1.5, end: 3.1, text: 'comment allez-vous ?' },
+      { start: 3.1, end: 6, text: 'Très bien.' },
+      { start: 6.2, end: 8, text: 'Parfait.' }
+    ], vad, ['S1', 'S2', 'S1']);
+
+    expect(turns).toEqual([
+      { speaker: 'S1', start: 0, end: 3.1, text: 'Bonjour, comment allez-vous ?' },
+      { speaker: 'S2', start: 3.1, end: 6, text: 'Très bien.' },
+      { speaker: 'S1', start: 6.2, end: 8, text: 'Parfait.' }
+    ]);
+  });
+
+  test('Un texte sans horodatage revient au locuteur principal', () => {
+    const turns = diarization.buildSpeakerTurns(
+      [{ start: 0, end: null, text: 'Texte entier' }],
+      [{ start: 0, end: 1 }, { start: 1, end: 5 }],
+      ['S1', 'S2']
+    );
+    expect(turns).toEqual([{ speaker: 'S2', start: 0, end: null, text: 'Texte entier' }]);
+  });
+});
+
+describe('Transcription avec locuteurs', () => {
+  test('Heuristique VAD avec un provider sans diarisation', async () => {
+    const result = await diarization.transcribeWithSpeakers(Buffer.from('audio'), 'audio.webm', 'mock', {
+      vadSegments: [{ start: 0, end: 1.9, ...LOW_VOICE }, { start: 2.1, end: 4, ...HIGH_VOICE }]
+    });
+
+    expect(result.method).toBe('vad');
+    expect(result.speakers).toEqual(['S1', 'S2']);
+    expect(result.turns.map(turn => [turn.speaker, turn.text])).toEqual([
+      ['S1', '[mock segment 1]'],
+      ['S2', '[mock segment 2: 5 bytes]']
+    ]);
+    expect(result.speakerProfiles).toHaveLength(2);
+  });
+
+  test('Sans segments VAD, aucun tour de parole', async () => {
+    const result = await diarization.transcribeWithSpeakers(Buffer.from('audio'), 'audio.webm', 'mock');
+    expect(result).toMatchObject({ method: 'none', turns: [], speakers: [] });
+    expect(result.text).toBe('[mock transcription: 5 bytes]');
+  });
+
+  test('Les locuteurs du provider sont renommés S1, S2...', async () => {
+    providers.registerProvider({
+      name: 'diarizer',
+      capabilities: ['transcribe'],
+      isAvailable: () => true,
+      handlers: {
+        transcribeSpeakers: async () => ({
+          text: 'Bonjour. Salut. Ça va ?',
+          segments: [
+            { speaker: 'A', start: 0, end: 1, text: 'Bonjour.' },
+            { speaker: 'B', start: 1, end: 2, text: 'Salut.' },
+            { speaker: 'B', start: 2, end: 3, text: 'Ça va ?' }
+          ]
+        })
+      }
+    });
+
+    const result = await diarization.transcribeWithSpeakers(Buffer.from('audio'), 'audio.webm', 'diarizer', {
+      vadSegments: [{ start: 0, end: 3, ...LOW_VOICE }]
+    });
+    providers.unregisterProvider('diarizer');
+
+    expect(result.method).toBe('provider');
+    expect(result.turns).toEqual([
+      { speaker: 'S1', start: 0, end: 1, text: 'Bonjour.' },
+      { speaker: 'S2', start: 1, end: 3, text: 'Salut. Ça va ?' }
+    ]);
+  });
+});
+
+describe('Route /transcribe', () => {
+  test('Une requête invalide ne devrait pas consommer de quota', async () => {
+    authManager.createUser('diarize@example.com', 'password123');
+    const token = authManager.createAuthToken('diarize@example.com');
+    const transcribe = (fields) => {
+      const req = request(app).post('/api/transcribe').set('Authorization', `Bearer ${token}`);
+      for (const [name, value] of Object.entries(fields)) req.field(name, value);
+      return req.attach('audio', Buffer.from('audio'), { filename: 'audio.webm', contentType: 'audio/webm' });
+    };
+
+    expect((await transcribe({ format: 'pdf' })).status).toBe(400);
+    expect((await transcribe({ format: 'subtitles', diarize: 'true' })).status).toBe(400);
+    expect((await transcribe({ diarize: 'true', vadSegments: 'pas du json' })).status).toBe(400);
+
+    expect(authManager.getUserQuota('diarize@example.com').usage.transcribe).toBe(0);
+  });
+});
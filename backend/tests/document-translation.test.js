@@ -0,0 +1,282 @@
+/**
+ * Tests de la traduction des documents joints
+ * Couvre: Archives ZIP, découpage txt/md/docx/pdf, chemins d'upload, traduction complète, demandes simultanées, glossaire et registre du groupe
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let helpers;
+let zip;
+let parser;
+let documents;
+let revision;
+let providers;
+let glossary;
+let groupSettings;
+let uploadsDir;
+const groupId = 'group-document-test';
+
+/**
+ * PDF minimal avec un flux de contenu compressé (FlateDecode)
+ */
+function buildPdf(content) {
+  const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\n4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+    stream,
+    Buffer.from('\nendstream\nendobj\n%%EOF', 'latin1')
+  ]);
+}
+
+function addDocumentMessage(id, fileName, buffer) {
+  fs.writeFileSync(path.join(uploadsDir, fileName), buffer);
+  helpers.addGroupMessage(groupId, {
+    id,
+    from: 'claire@example.com',
+    fromDisplayName: 'Claire',
+    content: 'Compte rendu de la réunion',
+    originalLang: 'fr',
+    timestamp: Date.now(),
+    translations: {},
+    translationStatus: {},
+    fileInfo: { url: `/uploads/${fileName}`, originalName: 'compte-rendu.md', mimeType: 'text/markdown', size: buffer.length }
+  });
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  zip = await import('../src/utils/zip.js');
+  parser = await import('../src/services/document-parser.service.js');
+  documents = await import('../src/services/document-translation.service.js');
+  revision = await import('../src/services/translation-revision.service.js');
+  providers = await import('../src/services/providers.service.js');
+  glossary = await import('../src/services/glossary.service.js');
+  groupSettings = await import('../src/services/group-settings.service.js');
+
+  uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-translation-'));
+  documents.DOCUMENT_TRANSLATION_CONFIG.uploadsDir = uploadsDir;
+
+  db.usersDB.create({ email: 'claire@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'john@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'lucia@example.com', password: 'hash' });
+  db.usersDB.update('claire@example.com', { preferred_language: 'fr' });
+  db.usersDB.update('john@example.com', { preferred_language: 'en' });
+  db.usersDB.update('lucia@example.com', { preferred_language: 'es' });
+
+  db.groupsDB.create({ id: groupId, name: 'Documents', creator: 'claire@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'claire@example.com', displayName: 'Claire', role: 'admin' });
+  db.groupsDB.addMember(groupId, { email: 'john@example.com', displayName: 'John' });
+  db.groupsDB.addMember(groupId, { email: 'lucia@example.com', displayName: 'Lucia' });
+});
+
+afterAll(() => {
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+describe('Archives ZIP', () => {
+  test('Devrait relire une archive écrite', () => {
+    const archive = zip.writeZip([
+      { name: '[Content_Types].xml', data: Buffer.from('<Types/>') },
+      { name: 'word/document.xml', data: Buffer.from('<w:document>é</w:document>') }
+    ]);
+
+    expect(zip.readZip(archive).map(entry => [entry.name, entry.data.toString()])).toEqual([
+      ['[Content_Types].xml', '<Types/>'],
+      ['word/document.xml', '<w:document>é</w:document>']
+    ]);
+  });
+
+  test('Devrait rejeter un fichier qui n\'est pas une archive', () => {
+    expect(() => zip.readZip(Buffer.from('pas une archive zip, juste du texte'))).toThrow(zip.ZipFormatError);
+  });
+});
+
+describe('Découpage des documents', () => {
+  test('Devrait reconnaître les formats traduisibles', () => {
+    expect(parser.getDocumentFormat('Notes.MD')).toBe('md');
+    expect(parser.getDocumentFormat('rapport.docx')).toBe('docx');
+    expect(parser.getDocumentFormat('ancien.doc')).toBeNull();
+    expect(parser.getDocumentFormat('photo.png')).toBeNull();
+  });
+
+  test('Texte brut : un segment par paragraphe, espacement conservé', () => {
+    const parsed = parser.parseDocument(Buffer.from('Premier paragraphe\r\n\r\n\r\n  Second paragraphe  \n'), 'txt');
+    expect(parsed.segments.map(s => s.text)).toEqual(['Premier paragraphe', 'Second paragraphe']);
+
+    const { buffer, extension } = parser.buildTranslatedDocument(parsed, ['First paragraph', 'Second paragraph']);
+    expect(extension).toBe('txt');
+    expect(buffer.toString()).toBe('First paragraph\n\n\n  Second paragraph  \n');
+  });
+
+  test('Markdown : préfixes et blocs de code conservés', () => {
+    const source = '# Titre\n\nUn paragraphe\nsur deux lignes.\n\n- [x] Tâche faite\n\n```js\nconst a = 1;\n```\n| a | b |';
+    const parsed = parser.parseDocument(Buffer.from(source), 'md');
+    expect(parsed.segments.map(s => s.text)).toEqual(['Titre', 'Un paragraphe\nsur deux lignes.', 'Tâche faite']);
+
+    const { buffer } = parser.buildTranslatedDocument(parsed, ['Title', 'A paragraph\non two lines.', 'Done task']);
+    expect(buffer.toString()).toBe('# Title\n\nA paragraph\non two lines.\n\n- [x] Done task\n\n```js\nconst a = 1;\n```\n| a | b |');
+  });
+
+  test('Word : le texte traduit remplace les fragments du paragraphe', () => {
+    const xml = '<w:document><w:body><w:p><w:r><w:rPr><w:b/></w:rPr><w:t>Bon</w:t></w:r><w:r><w:t xml:space="preserve">jour &amp; merci</w:t></w:r></w:p><w:p/><w:p><w:r><w:t> </w:t></w:r></w:p></w:body></w:document>';
+    const docx = zip.writeZip([
+      { name: '[Content_Types].xml', data: Buffer.from('<Types/>') },
+      { name: 'word/document.xml', data: Buffer.from(xml) }
+    ]);
+
+    const parsed = parser.parseDocument(docx, 'docx');
+    expect(parsed.segments).toEqual([{ text: 'Bonjour & merci' }]);
+
+    const { buffer, extension } = parser.buildTranslatedDocument(parsed, ['Hello <&> thanks']);
+    const entries = zip.readZip(buffer);
+    expect(extension).toBe('docx');
+    expect(entries[0].name).toBe('[Content_Types].xml');
+    expect(entries[1].data.toString()).toContain('<w:rPr><w:b/></w:rPr><w:t xml:space="preserve">Hello &lt;&amp;&gt; thanks</w:t></w:r><w:r><w:t></w:t>');
+  });
+
+  test('PDF : extraction de la couche texte en paragraphes', () => {
+    const pdf = buildPdf('BT /F1 12 Tf 72 712 Td (Bonjour \\(tous\\), voici le) Tj 0 -14 Td [(comp)-20(te)-300(rendu.)] TJ T* <46696e> Tj ET');
+    expect(parser.extractPdfText(pdf)).toBe('Bonjour (tous), voici le compte rendu.\n\nFin');
+
+    const { extension, mimeType } = parser.buildTranslatedDocument(parser.parseDocument(pdf, 'pdf'), ['A', 'B']);
+    expect({ extension, mimeType }).toEqual({ extension: 'txt', mimeType: 'text/plain' });
+  });
+
+  test('PDF sans couche texte : erreur explicite', () => {
+    expect(() => parser.parseDocument(buildPdf('q 100 0 0 100 0 0 cm /Im1 Do Q'), 'pdf')).toThrow(parser.DocumentParseError);
+    expect(() => parser.parseDocument(Buffer.from('not a pdf'), 'pdf')).toThrow('PDF invalide');
+  });
+});
+
+describe('Chemins d\'upload', () => {
+  test('Seules les URL de /uploads devraient être acceptées', () => {
+    expect(documents.resolveUploadPath('/uploads/123-abc.txt')).toBe(path.join(uploadsDir, '123-abc.txt'));
+    expect(documents.resolveUploadPath('/uploads/../server.js')).toBeNull();
+    expect(documents.resolveUploadPath('/uploads/dir/file.txt')).toBeNull();
+    expect(documents.resolveUploadPath('https://example.com/uploads/a.txt')).toBeNull();
+  });
+});
+
+describe('Traduction d\'un document de groupe', () => {
+  test('Devrait produire un fichier par langue de membre et mettre à jour file_info', async () => {
+    addDocumentMessage('msg-document', '1700000000000-abcd.md', Buffer.from('# Compte rendu\n\nLe projet avance bien et la livraison est prévue pour vendredi.'));
+
+    const target = revision.findMessage('msg-document');
+    expect(documents.validateDocumentTranslation(target).valid).toBe(true);
+
+    const job = await documents.prepareDocumentTranslation(target);
+    expect(job.sourceLang).toBe('fr');
+    expect(job.targetLangs.sort()).toEqual(['en', 'es']);
+    expect(job.quotaUnits).toBe(1);
+
+    const events = [];
+    const fileInfo = await documents.runDocumentTranslation(job, {
+      provider: 'mock',
+      requestedBy: 'claire@example.com',
+      emit: (event, payload) => events.push({ event, payload })
+    });
+
+    expect(fileInfo.documentTranslation).toMatchObject({ status: 'completed', sourceLang: 'fr', requestedBy: 'claire@example.com' });
+    expect(fileInfo.translatedFiles.en).toMatchObject({
+      url: '/uploads/1700000000000-abcd.en.md',
+      originalName: 'compte-rendu.en.md',
+      status: 'ok',
+      missingSegments: 0
+    });
+    expect(fs.readFileSync(path.join(uploadsDir, '1700000000000-abcd.es.md'), 'utf8'))
+      .toBe('# [es] Compte rendu\n\n[es] Le projet avance bien et la livraison est prévue pour vendredi.');
+
+    const names = events.map(e => e.event);
+    expect(names[0]).toBe('document_translation_started');
+    expect(names).toContain('document_translation_progress');
+    expect(names[names.length - 1]).toBe('document_translation_completed');
+    expect(events.find(e => e.event === 'document_translation_progress' && e.payload.progress === 100).payload)
+      .toMatchObject({ groupId, messageId: 'msg-document', done: 2, total: 2 });
+
+    const [stored] = helpers.getGroupMessages(groupId);
+    expect(stored.fileInfo.translatedFiles.es.url).toBe('/uploads/1700000000000-abcd.es.md');
+  });
+
+  test('Devrait refuser un fichier absent ou un format non pris en charge', async () => {
+    helpers.addGroupMessage(groupId, {
+      id: 'msg-image',
+      from: 'claire@example.com',
+      content: 'photo.png',
+      originalLang: 'fr',
+      timestamp: Date.now(),
+      fileInfo: { url: '/uploads/photo.png', originalName: 'photo.png', mimeType: 'image/png', size: 10 }
+    });
+    expect(documents.validateDocumentTranslation(revision.findMessage('msg-image')).valid).toBe(false);
+
+    helpers.addGroupMessage(groupId, {
+      id: 'msg-missing-file',
+      from: 'claire@example.com',
+      content: 'notes.txt',
+      originalLang: 'fr',
+      timestamp: Date.now(),
+      fileInfo: { url: '/uploads/missing.txt', originalName: 'notes.txt', mimeType: 'text/plain', size: 10 }
+    });
+    await expect(documents.prepareDocumentTranslation(revision.findMessage('msg-missing-file'))).rejects.toThrow('Fichier introuvable');
+    // La réservation est rendue en cas d'échec
+    expect(documents.isDocumentTranslationActive('msg-missing-file')).toBe(false);
+  });
+
+  test('Une seule demande simultanée devrait être préparée (et décomptée)', async () => {
+    addDocumentMessage('msg-concurrent', '1700000000001-efgh.txt', Buffer.from('Ordre du jour de la réunion de lundi.'));
+    const target = revision.findMessage('msg-concurrent');
+
+    const [first, second] = await Promise.all([
+      documents.prepareDocumentTranslation(target),
+      documents.prepareDocumentTranslation(target)
+    ]);
+    expect(first).toMatchObject({ quotaUnits: 1 });
+    expect(second).toBeNull();
+
+    // Tâche abandonnée (quota insuffisant) : une nouvelle demande est possible
+    documents.releaseDocumentTranslation(first);
+    expect(documents.isDocumentTranslationActive('msg-concurrent')).toBe(false);
+
+    const job = await documents.prepareDocumentTranslation(target);
+    await documents.runDocumentTranslation(job, { provider: 'mock' });
+    expect(documents.isDocumentTranslationActive('msg-concurrent')).toBe(false);
+  });
+
+  test('Le glossaire et le registre du groupe devraient s\'appliquer', async () => {
+    const prompts = [];
+    providers.registerProvider({
+      name: 'capture',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, targetLang, systemPrompt }) => {
+          prompts.push(systemPrompt);
+          return `[${targetLang}] ${text}`;
+        }
+      }
+    });
+    const entry = glossary.createGlossaryEntry(groupId, { term: 'livraison', translations: { en: 'handover' } }, 'claire@example.com');
+    groupSettings.updateGroupSettings(groupId, { formality: 'formal' });
+
+    addDocumentMessage('msg-glossary', '1700000000002-ijkl.txt', Buffer.from('La livraison est prévue pour jeudi.'));
+    const job = await documents.prepareDocumentTranslation(revision.findMessage('msg-glossary'));
+    const fileInfo = await documents.runDocumentTranslation(job, { provider: 'capture' });
+
+    providers.unregisterProvider('capture');
+    glossary.deleteGlossaryEntry(groupId, entry.id);
+    groupSettings.updateGroupSettings(groupId, { formality: null });
+
+    expect(fs.readFileSync(path.join(uploadsDir, path.basename(fileInfo.translatedFiles.en.url)), 'utf8')).toBe('[en] La handover est prévue pour jeudi.');
+    expect(prompts).toHaveLength(2);
+    expect(prompts.every(prompt => prompt.includes('registre formel'))).toBe(true);
+    expect(prompts.some(prompt => prompt.includes('⟦1⟧'))).toBe(true);
+  });
+});
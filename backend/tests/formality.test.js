@@ -0,0 +1,93 @@
+/**
+ * Tests du registre des traductions (formel / neutre / familier)
+ * Couvre: Prompt, clé de cache, préférences utilisateur et groupe
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let ai;
+let cache;
+let providers;
+let settings;
+let conversation;
+const groupId = 'group-formality-test';
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  ai = await import('../src/services/ai.service.js');
+  cache = await import('../src/services/translation-cache.service.js');
+  providers = await import('../src/services/providers.service.js');
+  settings = await import('../src/services/group-settings.service.js');
+  conversation = await import('../src/services/conversation.service.js');
+
+  db.usersDB.create({ email: 'boss@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'friend@example.com', password: 'hash' });
+  db.groupsDB.create({ id: groupId, name: 'Registre', creator: 'boss@example.com' });
+});
+
+describe('Prompt et clé de cache', () => {
+  test('Le registre neutre ne devrait rien ajouter au prompt', () => {
+    expect(ai.buildTranslationPrompt('fr', null, 'neutral')).toBe(ai.buildTranslationPrompt('fr'));
+    expect(ai.buildTranslationPrompt('fr', null, 'formal')).toContain('vouvoiement');
+    expect(ai.buildTranslationPrompt('fr', null, 'casual')).toContain('tutoiement');
+  });
+
+  test('Le registre devrait distinguer les clés de cache', () => {
+    const params = { text: 'How are you?', targetLang: 'fr', provider: 'openai' };
+    expect(cache.getCacheKey({ ...params, formality: null })).toBe(cache.getCacheKey(params));
+    expect(cache.getCacheKey({ ...params, formality: 'formal' })).not.toBe(cache.getCacheKey(params));
+    expect(cache.getCacheKey({ ...params, formality: 'formal' })).not.toBe(cache.getCacheKey({ ...params, formality: 'casual' }));
+  });
+
+  test('Chaque registre devrait avoir sa propre traduction en cache', async () => {
+    const prompts = [];
+    providers.registerProvider({
+      name: 'formality-test',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, systemPrompt }) => {
+          prompts.push(systemPrompt);
+          return systemPrompt.includes('vouvoiement') ? 'Comment allez-vous ?' : 'Comment vas-tu ?';
+        }
+      }
+    });
+
+    const formal = await ai.requestTranslation('How are you doing today?', 'fr', { provider: 'formality-test', formality: 'formal' });
+    const casual = await ai.requestTranslation('How are you doing today?', 'fr', { provider: 'formality-test', formality: 'casual' });
+    const formalAgain = await ai.requestTranslation('How are you doing today?', 'fr', { provider: 'formality-test', formality: 'formal' });
+
+    expect(formal.translatedText).toBe('Comment allez-vous ?');
+    expect(casual.translatedText).toBe('Comment vas-tu ?');
+    expect(formalAgain).toMatchObject({ translatedText: 'Comment allez-vous ?', cached: true });
+    expect(prompts).toHaveLength(2);
+
+    providers.unregisterProvider('formality-test');
+  });
+});
+
+describe('Résolution du registre', () => {
+  test('Devrait utiliser le registre du profil de l\'expéditeur', () => {
+    db.usersDB.update('friend@example.com', { translation_formality: 'casual' });
+
+    expect(conversation.resolveFormality({ sender: 'friend@example.com' })).toBe('casual');
+    expect(conversation.resolveFormality({ groupId, sender: 'friend@example.com' })).toBe('casual');
+  });
+
+  test('Le registre imposé par le groupe devrait l\'emporter', () => {
+    settings.updateGroupSettings(groupId, { formality: 'formal' });
+    expect(conversation.resolveFormality({ groupId, sender: 'friend@example.com' })).toBe('formal');
+
+    settings.updateGroupSettings(groupId, { formality: null });
+    expect(conversation.resolveFormality({ groupId, sender: 'friend@example.com' })).toBe('casual');
+  });
+
+  test('Devrait valider le registre d\'un groupe', () => {
+    expect(settings.validateGroupSettings({ formality: 'polite' }).valid).toBe(false);
+    expect(settings.validateGroupSettings({ formality: null }).value).toEqual({ formality: null });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests du glossaire de traduction par groupe
+ * Couvre: Validation, CRUD, protection/restauration des termes, pipeline
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let glossary;
+let conversation;
+const groupId = 'group-glossary-test';
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  glossary = await import('../src/services/glossary.service.js');
+  conversation = await import('../src/services/conversation.service.js');
+
+  db.usersDB.create({ email: 'admin@example.com', password: 'hash' });
+  db.groupsDB.create({ id: groupId, name: 'Glossaire', creator: 'admin@example.com' });
+});
+
+describe('Validation', () => {
+  test('Devrait exiger un terme et une règle', () => {
+    expect(glossary.validateGlossaryEntry({}).valid).toBe(false);
+    expect(glossary.validateGlossaryEntry({ term: 'Acme' }).valid).toBe(false);
+    expect(glossary.validateGlossaryEntry({ term: 'Acme', doNotTranslate: true }).valid).toBe(true);
+  });
+
+  test('Devrait refuser un code langue invalide', () => {
+    const result = glossary.validateGlossaryEntry({ term: 'sprint', translations: { french: 'sprint' } });
+    expect(result.valid).toBe(false);
+  });
+
+  test('Une mise à jour partielle ne devrait pas exiger le terme', () => {
+    expect(glossary.validateGlossaryEntry({ caseSensitive: true }, { partial: true }).valid).toBe(true);
+  });
+});
+
+describe('CRUD', () => {
+  test('Devrait créer, modifier et supprimer une entrée', () => {
+    const created = glossary.createGlossaryEntry(groupId, { term: 'standup', translations: { fr: 'point quotidien' } }, 'admin@example.com');
+    expect(created).toMatchObject({ groupId, term: 'standup', translations: { fr: 'point quotidien' }, doNotTranslate: false });
+    expect(glossary.getGroupGlossary(groupId)).toHaveLength(1);
+
+    const updated = glossary.updateGlossaryEntry(groupId, created.id, { translations: { fr: 'réunion quotidienne' } });
+    expect(updated.translations.fr).toBe('réunion quotidienne');
+    expect(glossary.getGroupGlossary(groupId)[0].translations.fr).toBe('réunion quotidienne');
+
+    expect(glossary.deleteGlossaryEntry(groupId, created.id)).toBe(true);
+    expect(glossary.getGroupGlossary(groupId)).toHaveLength(0);
+  });
+
+  test('Devrait refuser un terme en double', () => {
+    glossary.createGlossaryEntry(groupId, { term: 'Acme', doNotTranslate: true }, 'admin@example.com');
+    expect(() => glossary.createGlossaryEntry(groupId, { term: 'Acme', doNotTranslate: true }, 'admin@example.com'))
+      .toThrow(expect.objectContaining({ code: 'SQLITE_CONSTRAINT_UNIQUE' }));
+  });
+
+  test('Une entrée d\'un autre groupe devrait être introuvable', () => {
+    const [entry] = glossary.getGroupGlossary(groupId);
+    expect(glossary.getGlossaryEntry('other-group', entry.id)).toBeNull();
+    expect(glossary.deleteGlossaryEntry('other-group', entry.id)).toBe(false);
+  });
+});
+
+describe('Protection des termes', () => {
+  const entries = [
+    { term: 'Acme Cloud', translations: {}, doNotTranslate: true, caseSensitive: false },
+    { term: 'Acme', translations: {}, doNotTranslate: true, caseSensitive: false },
+    { term: 'ticket', translations: { fr: 'demande' }, doNotTranslate: false, caseSensitive: false }
+  ];
+
+  test('Devrait remplacer les termes par des marqueurs, les plus longs d\'abord', () => {
+    const result = glossary.protectGlossaryTerms('Open a Ticket for acme cloud, not Acme', 'fr', entries);
+    expect(result.text).toBe('Open a ⟦2⟧ for ⟦1⟧, not ⟦3⟧');
+    expect(result.replacements).toEqual(['acme cloud', 'demande', 'Acme']);
+  });
+
+  test('Ne devrait pas protéger un terme sans règle pour la langue cible', () => {
+    const result = glossary.protectGlossaryTerms('Open a ticket', 'de', entries);
+    expect(result.replacements).toEqual([]);
+  });
+
+  test('Devrait respecter les bornes de mots', () => {
+    const result = glossary.protectGlossaryTerms('tickets and Acmetric', 'fr', entries);
+    expect(result.replacements).toEqual([]);
+  });
+
+  test('Devrait restaurer les marqueurs, y compris en streaming', () => {
+    const replacements = ['Acme', 'demande'];
+    expect(glossary.restoreGlossaryTerms('Ouvrez une ⟦2⟧ pour ⟦1⟧', replacements)).toBe('Ouvrez une demande pour Acme');
+    expect(glossary.restoreGlossaryTerms('Ouvrez une ⟦2⟧ pour ⟦', replacements)).toBe('Ouvrez une demande pour ');
+    expect(glossary.countMissingMarkers('Ouvrez une ⟦2⟧', replacements)).toBe(1);
+  });
+});
+
+describe('Pipeline de traduction', () => {
+  test('Le glossaire du groupe devrait être appliqué aux traductions', async () => {
+    glossary.createGlossaryEntry(groupId, { term: 'ticket', translations: { fr: 'demande' } }, 'admin@example.com');
+
+    const result = await conversation.translateForLanguages('Acme ticket closed', ['fr'], {
+      provider: 'mock',
+      glossary: glossary.getGroupGlossary(groupId)
+    });
+
+    expect(result.translations.fr).toBe('[fr] Acme demande closed');
+  });
+});
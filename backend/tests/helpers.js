@@ -0,0 +1,59 @@
+/**
+ * Utilitaires partagés par les suites de tests
+ */
+
+import { beforeAll, afterAll } from '@jest/globals';
+
+// Variables effacées pendant une suite (aucun provider réel, base dédiée)
+const ISOLATED_ENV_KEYS = ['OPENAI_API_KEY', 'DEEPSEEK_API_KEY', 'LOCAL_LLM_BASE_URL', 'AI_MOCK_PROVIDER', 'DATABASE_PATH'];
+
+/**
+ * Isole l'environnement d'une suite : provider IA déterministe et base SQLite
+ * en mémoire, puis restaure les variables d'origine après la suite.
+ * À appeler au niveau du module, avant le beforeAll qui importe les services.
+ * @param {Array<string>} extraKeys - Variables supplémentaires à effacer
+ */
+export function useTestEnvironment(extraKeys = []) {
+  const savedEnv = {};
+
+  beforeAll(() => {
+    for (const key of [...ISOLATED_ENV_KEYS, ...extraKeys]) {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    }
+    process.env.AI_MOCK_PROVIDER = 'true';
+    process.env.DATABASE_PATH = ':memory:';
+  });
+
+  afterAll(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+}
+
+/**
+ * Socket.IO factice : enregistre les émissions par room
+ * @returns {{emitted: Array<Object>, to: Function}}
+ */
+export function fakeIo() {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+}
+
+/**
+ * Socket client factice : enregistre les émissions vers cet utilisateur
+ * @param {string} userId - Email de l'utilisateur authentifié
+ * @returns {{userId: string, emitted: Array<Object>, emit: Function}}
+ */
+export function fakeSocket(userId) {
+  const emitted = [];
+  return { userId, emitted, emit: (event, payload) => emitted.push({ event, payload }) };
+}
@@ -0,0 +1,182 @@
+/**
+ * Tests des salles d'interprétation en direct
+ * Couvre: Traduction vers la langue de chaque auditeur, lecture par langue, quota de l'orateur, changement de langue, écoute seule, sortie
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let interpretation;
+let providers;
+let speechStream;
+
+const RATE = 16000;
+const GROUP = 'group-interpretation';
+const participants = new Map();
+
+/**
+ * PCM 16 bits : son (amplitude 0-1) ou silence pendant ms millisecondes
+ */
+function pcm(ms, amplitude = 0) {
+  const samples = Math.round(RATE * ms / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 220 * i / RATE) * amplitude * 32767), i * 2);
+  }
+  return buffer;
+}
+
+const sentence = () => Buffer.concat([pcm(200), pcm(600, 0.3), pcm(800)]);
+
+/**
+ * Participant avec collecteurs d'événements (salle, room audio de sa langue, socket)
+ */
+function join(socketId, userEmail, language, options = {}) {
+  const received = { room: [], audio: [], own: [] };
+  const result = interpretation.joinInterpretation({
+    groupId: GROUP,
+    socketId,
+    userEmail,
+    displayName: userEmail.split('@')[0],
+    language,
+    provider: 'interpretation-recorder',
+    broadcast: (event, payload, lang = null) => {
+      for (const participant of participants.values()) {
+        if (!lang) participant.room.push({ event, payload });
+        else if (participant.audioLang() === lang) participant.audio.push({ event, payload });
+      }
+    },
+    notify: (event, payload) => received.own.push({ event, payload }),
+    ...options
+  });
+  received.audioLang = () => {
+    const self = interpretation.getInterpretationParticipant(GROUP, socketId);
+    return self?.tts ? self.language : null;
+  };
+  participants.set(socketId, received);
+  return { ...result, received };
+}
+
+const used = (email, action) => db.quotasDB.getOrCreate(email)[`${action}_used`] || 0;
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  interpretation = await import('../src/services/interpretation.service.js');
+  speechStream = await import('../src/services/speech-stream.service.js');
+  providers = await import('../src/services/providers.service.js');
+
+  providers.registerProvider({
+    name: 'interpretation-recorder',
+    capabilities: ['transcribe'],
+    isAvailable: () => true,
+    priority: 0,
+    handlers: {
+      transcribe: async () => 'Bonjour à tous, commençons la réunion'
+    }
+  });
+
+  for (const email of ['chloe@example.com', 'sam@example.com', 'jonas@example.com', 'guest@example.com']) {
+    db.usersDB.create({ email, password: 'hash' });
+  }
+});
+
+afterAll(() => {
+  providers.unregisterProvider('interpretation-recorder');
+});
+
+describe('Salle d\'interprétation', () => {
+  test('La parole est traduite pour chaque auditeur, lue seulement pour ceux qui l\'ont demandé', async () => {
+    const chloe = join('socket-chloe', 'chloe@example.com', 'fr');
+    const sam = join('socket-sam', 'sam@example.com', 'en', { tts: true });
+    const jonas = join('socket-jonas', 'jonas@example.com', 'de');
+
+    expect(interpretation.getInterpretationParticipants(GROUP).map(p => [p.email, p.language, p.speaking])).toEqual([
+      ['chloe@example.com', 'fr', true],
+      ['sam@example.com', 'en', true],
+      ['jonas@example.com', 'de', true]
+    ]);
+
+    const before = { transcribe: used('chloe@example.com', 'transcribe'), translate: used('chloe@example.com', 'translate'), speak: used('chloe@example.com', 'speak') };
+    chloe.stream.push(sentence());
+    await chloe.stream.queue;
+
+    const caption = jonas.received.room.find(e => e.event === interpretation.INTERPRETATION_EVENTS.CAPTION).payload;
+    expect(caption).toMatchObject({
+      groupId: GROUP,
+      speaker: { email: 'chloe@example.com', displayName: 'chloe' },
+      text: 'Bonjour à tous, commençons la réunion',
+      sourceLang: 'fr',
+      translations: {
+        en: '[en] Bonjour à tous, commençons la réunion',
+        de: '[de] Bonjour à tous, commençons la réunion'
+      }
+    });
+
+    // Audio anglais pour Sam seulement ; personne ne reçoit d'audio allemand
+    expect(sam.received.audio.map(e => [e.event, e.payload.lang])).toEqual([[interpretation.INTERPRETATION_EVENTS.AUDIO, 'en']]);
+    expect(sam.received.audio[0].payload.audio.toString()).toBe('mock-audio:mp3:[en] Bonjour à tous, commençons la réunion');
+    expect(jonas.received.audio).toEqual([]);
+    expect(chloe.received.audio).toEqual([]);
+
+    // Quota de l'orateur : une transcription, deux traductions, une synthèse
+    expect(used('chloe@example.com', 'transcribe') - before.transcribe).toBe(1);
+    expect(used('chloe@example.com', 'translate') - before.translate).toBe(2);
+    expect(used('chloe@example.com', 'speak') - before.speak).toBe(1);
+    expect(used('sam@example.com', 'translate')).toBe(0);
+  });
+
+  test('Un changement de langue modifie les traductions produites', async () => {
+    const { participant, previous } = interpretation.updateInterpretation(GROUP, 'socket-jonas', { language: 'es' });
+    expect(previous).toEqual({ language: 'de', tts: false });
+    expect(participant.language).toBe('es');
+
+    const sam = interpretation.getInterpretationParticipant(GROUP, 'socket-sam');
+    const samStream = speechStream.getSpeechStream(sam.streamId, 'sam@example.com');
+    participants.get('socket-chloe').room.length = 0;
+
+    samStream.push(sentence());
+    await samStream.queue;
+
+    const caption = participants.get('socket-chloe').room.find(e => e.event === interpretation.INTERPRETATION_EVENTS.CAPTION).payload;
+    expect(caption.sourceLang).toBe('en');
+    expect(Object.keys(caption.translations).sort()).toEqual(['es', 'fr']);
+  });
+
+  test('Un participant sans permission de parole écoute seulement', () => {
+    const { stream, participant } = join('socket-guest', 'guest@example.com', 'it', { canSpeak: false });
+
+    expect(stream).toBeNull();
+    expect(participant.speaking).toBe(false);
+    expect(interpretation.getListenerLanguages(GROUP, 'socket-chloe').sort()).toEqual(['en', 'es', 'it']);
+    expect(interpretation.getListenerLanguages(GROUP, 'socket-chloe', { ttsOnly: true })).toEqual(['en']);
+  });
+
+  test('La salle est limitée en nombre de participants', () => {
+    const max = interpretation.INTERPRETATION_CONFIG.maxParticipants;
+    interpretation.INTERPRETATION_CONFIG.maxParticipants = 4;
+    try {
+      expect(() => join('socket-extra', 'extra@example.com', 'pt', { canSpeak: false }))
+        .toThrow(expect.objectContaining({ code: 'room_full' }));
+    } finally {
+      interpretation.INTERPRETATION_CONFIG.maxParticipants = max;
+    }
+  });
+
+  test('La sortie ferme la session de parole et la dernière sortie supprime la salle', async () => {
+    const chloe = participants.get('socket-chloe');
+    expect(interpretation.leaveInterpretation(GROUP, 'socket-chloe')).toMatchObject({ email: 'chloe@example.com' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(chloe.own.map(e => e.event)).toContain(interpretation.INTERPRETATION_EVENTS.STREAM_STOPPED);
+
+    expect(() => interpretation.updateInterpretation(GROUP, 'socket-chloe', { tts: true }))
+      .toThrow(expect.objectContaining({ code: 'not_joined' }));
+
+    for (const socketId of ['socket-sam', 'socket-jonas', 'socket-guest']) {
+      expect(interpretation.leaveAllInterpretations(socketId)).toEqual([GROUP]);
+    }
+    expect(interpretation.getInterpretationParticipants(GROUP)).toEqual([]);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests de la détection de langue source
+ * Couvre: Écritures non latines, trigrammes, repli LLM (mis en cache, différé après la diffusion), langues cibles
+ */
+
+import { describe, test, expect, beforeAll, beforeEach, afterAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let providers;
+let detection;
+let conversation;
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  providers = await import('../src/services/providers.service.js');
+  detection = await import('../src/services/language-detection.service.js');
+  conversation = await import('../src/services/conversation.service.js');
+
+  db.usersDB.create({ email: 'anna@example.com', password: 'hash' });
+  db.groupsDB.create({ id: 'group-detection', name: 'Détection', creator: 'anna@example.com' });
+});
+
+describe('Détection locale', () => {
+  test.each([
+    ['你好，我今晚会迟到', 'zh'],
+    ['Привет, как дела?', 'ru'],
+    ['こんにちは、元気ですか', 'ja']
+  ])('Devrait reconnaître l\'écriture de "%s"', (text, lang) => {
+    expect(detection.detectLanguageLocally(text)).toMatchObject({ lang, method: 'script' });
+  });
+
+  test.each([
+    ['Bonjour, je serai en retard ce soir', 'fr'],
+    ['Can we meet tomorrow at the office?', 'en'],
+    ['Hallo, ich komme heute Abend später', 'de'],
+    ['¿Dónde está la estación?', 'es'],
+    ['Ciao, stasera arriverò in ritardo', 'it'],
+    ['Olá, vou chegar atrasado hoje à noite', 'pt']
+  ])('Devrait reconnaître "%s" par trigrammes', (text, lang) => {
+    expect(detection.detectLanguageLocally(text)).toMatchObject({ lang, method: 'ngram' });
+  });
+
+  test('Un texte trop court ne devrait pas être tranché localement', () => {
+    expect(detection.detectLanguageLocally('ok').lang).toBeNull();
+  });
+});
+
+describe('detectLanguage', () => {
+  test('Devrait utiliser le LLM pour un texte ambigu', async () => {
+    providers.registerProvider({
+      name: 'detector',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text }) => text,
+        detect: async () => 'EN\n'
+      }
+    });
+
+    const result = await detection.detectLanguage('ok', { provider: 'detector' });
+    expect(result).toEqual({ lang: 'en', confidence: 1, method: 'llm' });
+
+    providers.unregisterProvider('detector');
+  });
+
+  test('Devrait se rabattre sur la langue indiquée puis sur "auto"', async () => {
+    expect(await detection.detectLanguage('ok', { provider: 'mock', hint: 'fr' })).toMatchObject({ lang: 'fr', method: 'hint' });
+    expect(await detection.detectLanguage('👍', { provider: 'mock' })).toMatchObject({ lang: 'auto' });
+  });
+});
+
+describe('Repli LLM', () => {
+  let detectCalls;
+
+  beforeAll(() => {
+    providers.registerProvider({
+      name: 'counting-detector',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, targetLang }) => `[${targetLang}] ${text}`,
+        detect: async () => {
+          detectCalls++;
+          return 'en';
+        }
+      }
+    });
+  });
+
+  beforeEach(() => {
+    detectCalls = 0;
+  });
+
+  afterAll(() => {
+    providers.unregisterProvider('counting-detector');
+  });
+
+  test('La réponse du LLM devrait être mise en cache', async () => {
+    expect(detection.needsLLMDetection('sure thing')).toBe(true);
+    expect(detection.needsLLMDetection('Bonjour, je serai en retard ce soir')).toBe(false);
+
+    await detection.detectLanguage('sure thing', { provider: 'counting-detector' });
+    const result = await detection.detectLanguage('sure thing', { provider: 'counting-detector' });
+
+    expect(result).toMatchObject({ lang: 'en', method: 'llm' });
+    expect(detectCalls).toBe(1);
+  });
+
+  test('Sans LLM, un texte court devrait prendre la langue indiquée', async () => {
+    const result = await detection.detectLanguage('see you', { provider: 'counting-detector', hint: 'fr', useLLM: false });
+
+    expect(result).toMatchObject({ lang: 'fr', method: 'hint' });
+    expect(detectCalls).toBe(0);
+  });
+
+  test('En traduction différée, la langue devrait être confirmée après la diffusion', async () => {
+    const message = await conversation.createGroupMessage({
+      groupId: 'group-detection',
+      sender: 'anna@example.com',
+      message: 'got it',
+      timestamp: Date.now(),
+      targetLangs: ['fr', 'en'],
+      provider: 'counting-detector',
+      deferTranslation: true,
+      sourceLangHint: 'fr'
+    });
+
+    // Message diffusé avec la langue de l'expéditeur, sans appel au LLM
+    expect(message).toMatchObject({ originalLang: 'fr', translationStatus: { en: 'pending' } });
+    expect(detectCalls).toBe(0);
+
+    const languages = [];
+    const result = await conversation.translateGroupMessage({
+      groupId: 'group-detection',
+      messageId: message.id,
+      text: message.content,
+      targetLangs: ['fr', 'en'],
+      originalLang: message.originalLang,
+      provider: 'counting-detector',
+      onLanguage: (originalLang, translationStatus) => languages.push({ originalLang, translationStatus })
+    });
+
+    expect(detectCalls).toBe(1);
+    expect(languages).toEqual([{ originalLang: 'en', translationStatus: { fr: 'pending' } }]);
+    expect(result.translations).toEqual({ fr: '[fr] got it' });
+
+    const row = db.messagesDB.get(message.id);
+    expect(row.original_lang).toBe('en');
+    expect(JSON.parse(row.translations)).toEqual({ fr: '[fr] got it' });
+    expect(JSON.parse(row.translation_status)).toEqual({ fr: 'ok' });
+  });
+});
+
+describe('getTargetLanguages', () => {
+  test('Devrait exclure la langue d\'origine et les doublons', () => {
+    expect(detection.getTargetLanguages(['fr', 'en', 'fr', 'zh'], 'fr')).toEqual(['en', 'zh']);
+  });
+
+  test('Devrait tout conserver si la langue est inconnue', () => {
+    expect(detection.getTargetLanguages(['fr', 'en'], 'auto')).toEqual(['fr', 'en']);
+  });
+});
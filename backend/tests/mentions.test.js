@@ -0,0 +1,144 @@
+/**
+ * Tests des mentions @utilisateur
+ * Couvre: Résolution contre les membres, @all, mentions stockées, notifications, mentions non lues
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment, fakeIo } from './helpers.js';
+
+let db;
+let mentions;
+let conversation;
+let helpers;
+
+const groupId = 'group-mentions';
+const members = [
+  { email: 'marie@example.com', displayName: 'Marie' },
+  { email: 'marie-claire@example.com', displayName: 'Marie Claire' },
+  { email: 'tom@example.com', displayName: 'Tom' }
+];
+
+async function send(sender, message, { io = fakeIo() } = {}) {
+  const group = helpers.getGroupWithMembers(groupId);
+  const created = await conversation.createGroupMessage({
+    groupId,
+    sender,
+    message,
+    timestamp: new Date().toISOString(),
+    targetLangs: ['en'],
+    provider: 'mock',
+    fromDisplayName: group.members.find(m => m.email === sender).displayName,
+    mentions: mentions.parseMentions(message, group.members)
+  });
+  mentions.notifyMentions(io, { message: created, group: { ...group, id: groupId } });
+  return { message: created, io };
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  mentions = await import('../src/services/mention.service.js');
+  conversation = await import('../src/services/conversation.service.js');
+
+  for (const member of members) {
+    db.usersDB.create({ email: member.email, password: 'hash' });
+  }
+  db.groupsDB.create({ id: groupId, name: 'Équipe', creator: 'marie@example.com' });
+  db.groupsDB.addMember(groupId, { ...members[0], role: 'admin' });
+  db.groupsDB.addMember(groupId, members[1]);
+  db.groupsDB.addMember(groupId, members[2]);
+});
+
+describe('Résolution des mentions', () => {
+  test('Le nom le plus long l\'emporte, espaces et casse compris', () => {
+    expect(mentions.parseMentions('Salut @marie claire et @Marie !', members)).toEqual([
+      { type: 'user', email: 'marie-claire@example.com', displayName: 'Marie Claire', start: 6, end: 19 },
+      { type: 'user', email: 'marie@example.com', displayName: 'Marie', start: 23, end: 29 }
+    ]);
+  });
+
+  test('Une adresse email, un nom partiel ou un inconnu ne sont pas des mentions', () => {
+    expect(mentions.parseMentions('Écris à tom@example.com', members)).toEqual([]);
+    expect(mentions.parseMentions('@Tommy et @Paul', members)).toEqual([]);
+    expect(mentions.parseMentions('Pas de mention ici', members)).toEqual([]);
+  });
+
+  test('@all mentionne tout le groupe sauf l\'expéditeur', () => {
+    const parsed = mentions.parseMentions('@all réunion à 15h, @Tom tu présentes', members);
+    expect(parsed.map(m => m.type)).toEqual(['all', 'user']);
+
+    const recipients = mentions.getMentionRecipients(parsed, members, 'marie@example.com');
+    expect([...recipients]).toEqual([
+      ['tom@example.com', 'user'],
+      ['marie-claire@example.com', 'all']
+    ]);
+  });
+
+  test('Se mentionner soi-même ne notifie personne', () => {
+    const parsed = mentions.parseMentions('Note pour @Tom', members);
+    expect(mentions.getMentionRecipients(parsed, members, 'tom@example.com').size).toBe(0);
+  });
+});
+
+describe('Notifications et mentions non lues', () => {
+  test('Les mentions sont stockées sur le message et notifiées', async () => {
+    const { message, io } = await send('marie@example.com', 'Bonjour @Tom');
+
+    expect(message.mentions).toEqual([
+      { type: 'user', email: 'tom@example.com', displayName: 'Tom', start: 8, end: 12 }
+    ]);
+    expect(helpers.getGroupMessages(groupId).find(m => m.id === message.id).mentions).toEqual(message.mentions);
+
+    expect(io.emitted).toEqual([{
+      room: 'user:tom@example.com',
+      event: 'user_mentioned',
+      payload: {
+        groupId,
+        messageId: message.id,
+        mentionedBy: 'Marie',
+        mentionedByEmail: 'marie@example.com',
+        groupName: 'Équipe',
+        type: 'user'
+      }
+    }]);
+  });
+
+  test('Les mentions non lues sont listées avec la traduction demandée', async () => {
+    const { message } = await send('marie-claire@example.com', '@all merci');
+
+    const { mentions: unread, counts } = mentions.getUnreadMentions('tom@example.com', { lang: 'en' });
+    expect(unread.map(m => m.type)).toEqual(['all', 'user']);
+    expect(unread[0]).toMatchObject({
+      messageId: message.id,
+      groupId,
+      groupName: 'Équipe',
+      mentionedBy: 'Marie Claire',
+      mentionedByEmail: 'marie-claire@example.com',
+      content: '@all merci',
+      translation: '[en] @all merci'
+    });
+    expect(counts).toEqual({ [groupId]: 2 });
+    expect(mentions.getUnreadMentions('marie-claire@example.com').mentions).toEqual([]);
+  });
+
+  test('Les mentions lues disparaissent', () => {
+    const [latest] = mentions.getUnreadMentions('tom@example.com').mentions;
+
+    expect(mentions.markMentionsRead('tom@example.com', { messageIds: [latest.messageId] })).toBe(1);
+    expect(mentions.getUnreadMentions('tom@example.com').counts).toEqual({ [groupId]: 1 });
+
+    expect(mentions.markMentionsRead('tom@example.com', { groupId })).toBe(1);
+    expect(mentions.getUnreadMentions('tom@example.com').mentions).toEqual([]);
+    expect(mentions.markMentionsRead('tom@example.com', { messageIds: [] })).toBe(0);
+  });
+
+  test('Les mentions d\'un groupe quitté ne sont plus listées', async () => {
+    await send('tom@example.com', 'Dernier mot pour @Marie');
+    expect(mentions.getUnreadMentions('marie@example.com').mentions).toHaveLength(2);
+
+    db.groupsDB.removeMember(groupId, 'marie@example.com');
+    expect(mentions.getUnreadMentions('marie@example.com')).toEqual({ mentions: [], counts: {} });
+  });
+});
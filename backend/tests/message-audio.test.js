@@ -0,0 +1,177 @@
+/**
+ * Tests de l'audio des messages
+ * Couvre: Synthèse unique par langue/voix, droits d'accès, URL cacheable avec requêtes partielles, pré-génération des DMs
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let helpers;
+let tts;
+let messageAudio;
+let providers;
+let app;
+let storageDir;
+const syntheses = [];
+const groupId = 'group-audio-test';
+const conversationId = 'leo@example.com_sara@example.com';
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  tts = await import('../src/services/tts.service.js');
+  messageAudio = await import('../src/services/message-audio.service.js');
+  providers = await import('../src/services/providers.service.js');
+  const { default: apiRoutes } = await import('../src/routes/api.routes.js');
+
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-audio-'));
+  messageAudio.MESSAGE_AUDIO_CONFIG.storageDir = storageDir;
+
+  // Compte les synthèses réellement demandées au provider
+  providers.registerProvider({
+    name: 'counting-voice',
+    capabilities: ['speak'],
+    speechFormats: ['mp3'],
+    voices: () => [{ id: 'lea', name: 'Léa', languages: ['fr'] }],
+    isAvailable: () => true,
+    priority: 40,
+    handlers: {
+      speak: async ({ text, voice }) => {
+        syntheses.push(text);
+        return Buffer.from(`${voice}:${text}:`.padEnd(100, '#'));
+      }
+    }
+  });
+
+  app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes());
+
+  db.usersDB.create({ email: 'leo@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'sara@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'outsider@example.com', password: 'hash' });
+  db.usersDB.update('sara@example.com', { preferred_language: 'fr' });
+  db.groupsDB.create({ id: groupId, name: 'Audio', creator: 'leo@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'leo@example.com', displayName: 'Leo', role: 'admin' });
+  db.groupsDB.addMember(groupId, { email: 'sara@example.com', displayName: 'Sara' });
+
+  helpers.addGroupMessage(groupId, {
+    id: 'msg-audio',
+    from: 'leo@example.com',
+    fromDisplayName: 'Leo',
+    content: 'See you tomorrow',
+    originalLang: 'en',
+    timestamp: Date.now(),
+    translations: { fr: 'À demain' }
+  });
+
+  helpers.addDirectMessage(conversationId, {
+    id: 'dm-audio',
+    from: 'leo@example.com',
+    to: 'sara@example.com',
+    fromDisplayName: 'Leo',
+    content: 'Thanks a lot',
+    originalLang: 'en',
+    timestamp: Date.now(),
+    translations: { fr: 'Merci beaucoup' }
+  });
+});
+
+afterAll(() => {
+  providers.unregisterProvider('counting-voice');
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('Cache audio', () => {
+  test('Un message n\'est synthétisé qu\'une fois par langue et par voix', async () => {
+    const first = messageAudio.prepareMessageAudio({ messageId: 'msg-audio', lang: 'fr', userEmail: 'sara@example.com' });
+    expect(first.entry).toBeNull();
+    expect(first.request.voice.id).toBe('counting-voice:lea');
+
+    const entry = await messageAudio.generateMessageAudio(first);
+    const again = messageAudio.prepareMessageAudio({ messageId: 'msg-audio', lang: 'fr', userEmail: 'leo@example.com' });
+
+    expect(again.entry.id).toBe(entry.id);
+    expect(syntheses).toEqual(['À demain']);
+
+    const otherVoice = messageAudio.prepareMessageAudio({ messageId: 'msg-audio', lang: 'fr', userEmail: 'leo@example.com', voice: 'mock:mock' });
+    expect(otherVoice.entry).toBeNull();
+  });
+
+  test('Deux lectures simultanées ne produisent qu\'un fichier', async () => {
+    const params = { messageId: 'msg-audio', lang: 'en', userEmail: 'leo@example.com', voice: 'mock:mock' };
+    const [a, b] = await Promise.all([
+      messageAudio.generateMessageAudio(messageAudio.prepareMessageAudio(params)),
+      messageAudio.generateMessageAudio(messageAudio.prepareMessageAudio(params))
+    ]);
+
+    expect(a.id).toBe(b.id);
+    expect(fs.readFileSync(a.file_path).toString()).toBe('mock-audio:mp3:See you tomorrow');
+  });
+
+  test('Devrait refuser un non-membre ou une traduction absente', () => {
+    expect(() => messageAudio.prepareMessageAudio({ messageId: 'msg-audio', lang: 'fr', userEmail: 'outsider@example.com' }))
+      .toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => messageAudio.prepareMessageAudio({ messageId: 'msg-audio', lang: 'de', userEmail: 'leo@example.com' }))
+      .toThrow(expect.objectContaining({ status: 409 }));
+  });
+});
+
+describe('URL audio', () => {
+  test('Devrait servir le fichier avec cache et requêtes partielles', async () => {
+    const prepared = messageAudio.prepareMessageAudio({ messageId: 'msg-audio', lang: 'fr', userEmail: 'leo@example.com' });
+    const { url } = messageAudio.describeMessageAudio(prepared.entry);
+
+    const full = await request(app).get(url);
+    expect(full.status).toBe(200);
+    expect(full.headers['content-type']).toBe('audio/mpeg');
+    expect(full.headers['cache-control']).toContain('immutable');
+    expect(full.headers['accept-ranges']).toBe('bytes');
+
+    const partial = await request(app).get(url).set('Range', 'bytes=10-19');
+    expect(partial.status).toBe(206);
+    expect(partial.headers['content-range']).toBe(`bytes 10-19/${prepared.entry.size}`);
+    expect(partial.headers['content-length']).toBe('10');
+
+    const cached = await request(app).get(url).set('If-None-Match', full.headers.etag);
+    expect(cached.status).toBe(304);
+  });
+
+  test('Un identifiant inconnu renvoie 404', async () => {
+    expect((await request(app).get('/api/audio/0123456789abcdef0123456789abcdef')).status).toBe(404);
+    expect((await request(app).get('/api/audio/..%2F..%2Fserver.js')).status).toBe(404);
+  });
+
+  test('La suppression du message supprime ses fichiers', async () => {
+    const entries = db.messageAudioDB.getByMessage('msg-audio');
+    expect(entries.length).toBeGreaterThan(0);
+
+    expect(messageAudio.deleteMessageAudio('msg-audio')).toBe(entries.length);
+    expect(entries.some(entry => fs.existsSync(entry.file_path))).toBe(false);
+  });
+});
+
+describe('Pré-génération des messages privés', () => {
+  test('Rien n\'est préparé sans lecture automatique', async () => {
+    expect(await messageAudio.pregenerateDirectMessageAudio({ messageId: 'dm-audio', recipientEmail: 'sara@example.com' })).toBeNull();
+  });
+
+  test('L\'audio est préparé dans la langue du destinataire', async () => {
+    tts.updateUserTtsSettings('sara@example.com', { autoPlay: true });
+
+    const audio = await messageAudio.pregenerateDirectMessageAudio({ messageId: 'dm-audio', recipientEmail: 'sara@example.com' });
+    expect(audio).toMatchObject({ messageId: 'dm-audio', lang: 'fr', voice: 'counting-voice:lea', format: 'mp3' });
+    expect(audio.url).toMatch(/^\/api\/audio\/[a-f0-9]{32}$/);
+
+    // La lecture par le destinataire réutilise le fichier préparé
+    expect(messageAudio.prepareMessageAudio({ messageId: 'dm-audio', lang: 'fr', userEmail: 'sara@example.com' }).entry.id).toBe(audio.id);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Tests de la modification des messages
+ * Couvre: Auteur uniquement, délai de modification, re-traduction, historique des versions, mentions, modification pendant une traduction différée, message supprimé pendant la modification, événement message_edited
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment, fakeIo, fakeSocket } from './helpers.js';
+
+let db;
+let helpers;
+let edits;
+let revision;
+let mentions;
+let handlers;
+let conversation;
+let providers;
+const groupId = 'group-edit-test';
+const conversationId = 'anna@example.com_li@example.com';
+
+function addGroupMessage(id, fields = {}) {
+  helpers.addGroupMessage(groupId, {
+    id,
+    from: 'anna@example.com',
+    fromDisplayName: 'Anna',
+    content: 'Rendez-vous demain au burau',
+    originalLang: 'fr',
+    timestamp: Date.now(),
+    translations: { en: '[en] Rendez-vous demain au burau' },
+    translationStatus: { en: 'translated' },
+    ...fields
+  });
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  edits = await import('../src/services/message-edit.service.js');
+  revision = await import('../src/services/translation-revision.service.js');
+  mentions = await import('../src/services/mention.service.js');
+  handlers = await import('../src/websocket/handlers/message.handler.js');
+  conversation = await import('../src/services/conversation.service.js');
+  providers = await import('../src/services/providers.service.js');
+
+  db.usersDB.create({ email: 'anna@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'li@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'tom@example.com', password: 'hash' });
+  db.usersDB.update('anna@example.com', { preferred_language: 'fr' });
+  db.usersDB.update('li@example.com', { preferred_language: 'zh' });
+  db.usersDB.update('tom@example.com', { preferred_language: 'en' });
+
+  db.groupsDB.create({ id: groupId, name: 'Modifications', creator: 'anna@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'anna@example.com', displayName: 'Anna', role: 'admin' });
+  db.groupsDB.addMember(groupId, { email: 'li@example.com', displayName: 'Li' });
+  db.groupsDB.addMember(groupId, { email: 'tom@example.com', displayName: 'Tom' });
+
+  addGroupMessage('msg-edit');
+  helpers.addDirectMessage(conversationId, {
+    id: 'dm-edit',
+    from: 'anna@example.com',
+    to: 'li@example.com',
+    fromDisplayName: 'Anna',
+    content: 'Merci beaucop',
+    originalLang: 'fr',
+    timestamp: Date.now(),
+    translations: { zh: '[zh] Merci beaucop' },
+    translationStatus: { zh: 'translated' }
+  });
+});
+
+describe('Droit de modification', () => {
+  test('Seul l\'auteur peut modifier son message', () => {
+    const target = revision.findMessage('msg-edit');
+
+    expect(edits.canEditMessage(target, 'anna@example.com')).toEqual({ allowed: true });
+    expect(edits.canEditMessage(target, 'li@example.com')).toMatchObject({ allowed: false });
+  });
+
+  test('Le délai de modification est configurable (0 = sans limite)', () => {
+    const target = revision.findMessage('msg-edit');
+    const later = target.row.timestamp + edits.MESSAGE_EDIT_CONFIG.windowMs + 1;
+
+    expect(edits.canEditMessage(target, 'anna@example.com', later)).toMatchObject({ allowed: false });
+
+    const windowMs = edits.MESSAGE_EDIT_CONFIG.windowMs;
+    edits.MESSAGE_EDIT_CONFIG.windowMs = 0;
+    try {
+      expect(edits.canEditMessage(target, 'anna@example.com', later)).toEqual({ allowed: true });
+    } finally {
+      edits.MESSAGE_EDIT_CONFIG.windowMs = windowMs;
+    }
+  });
+
+  test('Un message vocal ne peut pas être modifié', () => {
+    addGroupMessage('msg-voice', { fileInfo: { url: '/uploads/voice.webm', voiceMessage: { audio: {} } } });
+    expect(edits.canEditMessage(revision.findMessage('msg-voice'), 'anna@example.com')).toMatchObject({ allowed: false });
+  });
+
+  test('Le nouveau texte est validé', () => {
+    const target = revision.findMessage('msg-edit');
+
+    expect(edits.validateMessageEdit(target, { content: '   ' }).valid).toBe(false);
+    expect(edits.validateMessageEdit(target, { content: 'Rendez-vous demain au burau' }).errors).toEqual(['Le message est inchangé']);
+    expect(edits.validateMessageEdit(target, { content: 'x'.repeat(10001) }).valid).toBe(false);
+    expect(edits.validateMessageEdit(target, { content: ' Rendez-vous demain au bureau ' }).value)
+      .toEqual({ content: 'Rendez-vous demain au bureau', provider: 'openai' });
+  });
+});
+
+describe('Modification', () => {
+  test('Un message de groupe est re-traduit pour chaque membre et l\'ancienne version conservée', async () => {
+    const { event } = await edits.editMessage(revision.findMessage('msg-edit'), { content: 'Rendez-vous demain au bureau' }, 'anna@example.com');
+
+    expect(event).toMatchObject({
+      groupId,
+      messageId: 'msg-edit',
+      content: 'Rendez-vous demain au bureau',
+      originalLang: 'fr',
+      translations: { en: '[en] Rendez-vous demain au bureau', zh: '[zh] Rendez-vous demain au bureau' },
+      mentions: [],
+      edited: true,
+      editedBy: 'anna@example.com'
+    });
+
+    const stored = helpers.getGroupMessages(groupId).find(m => m.id === 'msg-edit');
+    expect(stored).toMatchObject({ content: 'Rendez-vous demain au bureau', editedAt: event.editedAt });
+
+    expect(edits.getMessageEdits('msg-edit')).toEqual([expect.objectContaining({
+      messageId: 'msg-edit',
+      content: 'Rendez-vous demain au burau',
+      originalLang: 'fr',
+      translations: { en: '[en] Rendez-vous demain au burau' },
+      editedBy: 'anna@example.com'
+    })]);
+  });
+
+  test('Un message privé est re-traduit pour les deux participants', async () => {
+    const { event } = await edits.editMessage(revision.findMessage('dm-edit'), { content: 'Merci beaucoup' }, 'anna@example.com');
+
+    expect(event).toMatchObject({ conversationId, messageId: 'dm-edit', translations: { zh: '[zh] Merci beaucoup' } });
+    expect(event.mentions).toBeUndefined();
+    expect(helpers.getConversationMessages(conversationId)[0]).toMatchObject({ content: 'Merci beaucoup', editedAt: event.editedAt });
+  });
+
+  test('Seuls les membres nouvellement mentionnés sont notifiés', async () => {
+    const group = { ...helpers.getGroupWithMembers(groupId), id: groupId };
+    const initialMentions = mentions.parseMentions('Merci @Li', group.members);
+    addGroupMessage('msg-mentions', { content: 'Merci @Li', mentions: initialMentions });
+    mentions.notifyMentions(fakeIo(), { message: { id: 'msg-mentions', from: 'anna@example.com', mentions: initialMentions }, group });
+
+    const { event, previousMentions } = await edits.editMessage(revision.findMessage('msg-mentions'), { content: 'Merci @Tom' }, 'anna@example.com');
+    expect(event.mentions.map(m => m.email)).toEqual(['tom@example.com']);
+
+    const io = fakeIo();
+    const notified = mentions.notifyMentions(io, {
+      message: { id: 'msg-mentions', from: 'anna@example.com', fromDisplayName: 'Anna', mentions: event.mentions },
+      group,
+      previousMentions
+    });
+
+    expect(notified).toEqual(['tom@example.com']);
+    expect(io.emitted.map(e => e.room)).toEqual(['user:tom@example.com']);
+    expect(mentions.getUnreadMentions('li@example.com').mentions).toEqual([]);
+  });
+
+  test('Une traduction différée en attente n\'écrase pas la modification', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const started = [];
+    providers.registerProvider({
+      name: 'deferred-slow',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, targetLang }) => {
+          started.push(targetLang);
+          await gate;
+          return `[${targetLang}] ${text}`;
+        }
+      }
+    });
+    addGroupMessage('msg-pending', {
+      content: 'Le colis part ce soir',
+      translations: {},
+      translationStatus: { en: 'pending', zh: 'pending' }
+    });
+
+    // Traduction différée lancée à l'envoi, modification pendant qu'elle attend le provider
+    const broadcast = [];
+    const deferred = conversation.translateGroupMessage({
+      groupId,
+      messageId: 'msg-pending',
+      text: 'Le colis part ce soir',
+      targetLangs: ['en', 'zh'],
+      originalLang: 'fr',
+      provider: 'deferred-slow',
+      onDelta: (lang, text) => broadcast.push({ lang, text }),
+      onTranslation: (lang, result) => broadcast.push({ lang, text: result.translatedText })
+    });
+    while (started.length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await edits.editMessage(revision.findMessage('msg-pending'), { content: 'Le colis part demain matin', provider: 'mock' }, 'anna@example.com');
+
+    release();
+    await deferred;
+    providers.unregisterProvider('deferred-slow');
+
+    expect(broadcast).toEqual([]);
+    const stored = helpers.getGroupMessages(groupId).find(m => m.id === 'msg-pending');
+    expect(stored).toMatchObject({
+      content: 'Le colis part demain matin',
+      translations: { en: '[en] Le colis part demain matin', zh: '[zh] Le colis part demain matin' }
+    });
+    expect(Object.values(stored.translationStatus)).not.toContain('pending');
+  });
+});
+
+describe('Événement edit_message', () => {
+  test('Un autre membre ne peut pas modifier le message', async () => {
+    const io = fakeIo();
+    const socket = fakeSocket('li@example.com');
+    await handlers.handleEditMessage(io, socket, { messageId: 'msg-edit', content: 'Piraté' });
+
+    expect(socket.emitted).toEqual([{ event: 'error', payload: { message: 'Vous ne pouvez modifier que vos propres messages' } }]);
+    expect(io.emitted).toEqual([]);
+  });
+
+  test('La modification est diffusée aux membres du groupe', async () => {
+    const io = fakeIo();
+    const socket = fakeSocket('anna@example.com');
+    await handlers.handleEditMessage(io, socket, { messageId: 'msg-edit', content: 'Rendez-vous après-demain au bureau', translationProvider: 'mock' });
+
+    expect(socket.emitted).toEqual([]);
+    expect(io.emitted).toEqual([expect.objectContaining({
+      room: ['group:group-edit-test'],
+      event: 'message_edited',
+      payload: expect.objectContaining({ messageId: 'msg-edit', content: 'Rendez-vous après-demain au bureau', edited: true })
+    })]);
+    expect(edits.getMessageEdits('msg-edit')).toHaveLength(2);
+  });
+
+  test('Un message supprimé pendant la re-traduction n\'est ni archivé ni diffusé', async () => {
+    addGroupMessage('msg-deleted', { content: 'Le point du jour est annulé' });
+    providers.registerProvider({
+      name: 'deleting',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, targetLang }) => {
+          db.messagesDB.delete('msg-deleted');
+          return `[${targetLang}] ${text}`;
+        }
+      }
+    });
+
+    const io = fakeIo();
+    const socket = fakeSocket('anna@example.com');
+    await handlers.handleEditMessage(io, socket, {
+      messageId: 'msg-deleted',
+      content: 'Le point du jour est reporté, merci @Tom',
+      translationProvider: 'deleting'
+    });
+    providers.unregisterProvider('deleting');
+
+    expect(socket.emitted).toEqual([{ event: 'error', payload: { message: 'Message introuvable' } }]);
+    expect(io.emitted).toEqual([]);
+    expect(edits.getMessageEdits('msg-deleted')).toEqual([]);
+    expect(mentions.getUnreadMentions('tom@example.com').mentions.map(m => m.messageId)).not.toContain('msg-deleted');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests de la pagination de l'historique des messages
+ * Couvre: Curseurs (timestamp + id), pages avant/après, limites de taille, aller au message, groupes et DMs
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let helpers;
+let history;
+const groupId = 'group-history';
+const conversationId = 'anna@example.com_li@example.com';
+const base = 1700000000000;
+
+function addMessages(count) {
+  for (let i = 1; i <= count; i++) {
+    helpers.addGroupMessage(groupId, {
+      id: `m${String(i).padStart(2, '0')}`,
+      from: 'anna@example.com',
+      fromDisplayName: 'Anna',
+      content: `Message ${i}`,
+      originalLang: 'fr',
+      // Deux messages par milliseconde : l'id départage
+      timestamp: base + Math.ceil(i / 2),
+      translations: {}
+    });
+  }
+}
+
+function ids(page) {
+  return page.messages.map(m => m.id);
+}
+
+function query(params) {
+  const validation = history.validateHistoryQuery(params);
+  expect(validation.errors).toEqual([]);
+  return validation.value;
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  history = await import('../src/services/message-history.service.js');
+
+  db.usersDB.create({ email: 'anna@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'li@example.com', password: 'hash' });
+  db.groupsDB.create({ id: groupId, name: 'Historique', creator: 'anna@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'anna@example.com', displayName: 'Anna', role: 'admin' });
+
+  addMessages(12);
+  // Réponse de fil : hors du fil principal
+  helpers.addGroupMessage(groupId, {
+    id: 'reply',
+    from: 'anna@example.com',
+    fromDisplayName: 'Anna',
+    content: 'Réponse',
+    originalLang: 'fr',
+    timestamp: base + 3,
+    translations: {},
+    threadId: 'm04'
+  });
+
+  for (let i = 1; i <= 5; i++) {
+    helpers.addDirectMessage(conversationId, {
+      id: `dm${i}`,
+      from: i % 2 ? 'anna@example.com' : 'li@example.com',
+      to: i % 2 ? 'li@example.com' : 'anna@example.com',
+      fromDisplayName: i % 2 ? 'Anna' : 'Li',
+      content: `Message privé ${i}`,
+      originalLang: 'fr',
+      timestamp: base + i,
+      translations: {}
+    });
+  }
+});
+
+describe('Paramètres de pagination', () => {
+  test('Le curseur encode le timestamp et l\'id', () => {
+    const cursor = history.encodeCursor({ timestamp: base, id: 'msg:1' });
+    expect(history.decodeCursor(cursor)).toEqual({ timestamp: base, id: 'msg:1' });
+    expect(history.decodeCursor('pas-un-curseur')).toBeNull();
+  });
+
+  test('Taille de page bornée et paramètres exclusifs', () => {
+    expect(history.validateHistoryQuery({}).value).toEqual({ limit: 50, before: null, after: null, around: null });
+    expect(history.validateHistoryQuery({ limit: '0' }).valid).toBe(false);
+    expect(history.validateHistoryQuery({ limit: '201' }).errors).toEqual(['limit doit être un entier entre 1 et 200']);
+    expect(history.validateHistoryQuery({ before: 'xyz' }).errors).toEqual(['Curseur before invalide']);
+
+    const cursor = history.encodeCursor({ timestamp: base, id: 'm01' });
+    expect(history.validateHistoryQuery({ before: cursor, around: 'm01' }).errors)
+      .toEqual(['before, after et around ne peuvent pas être combinés']);
+  });
+});
+
+describe('Historique d\'un groupe', () => {
+  test('Sans curseur, la page contient les messages les plus récents', () => {
+    const page = history.getGroupHistory(groupId, query({ limit: '5' }));
+
+    expect(ids(page)).toEqual(['m08', 'm09', 'm10', 'm11', 'm12']);
+    expect(page.pageInfo).toMatchObject({ hasOlder: true, hasNewer: false, newerCursor: null });
+  });
+
+  test('Les curseurs parcourent tout l\'historique sans doublon ni trou', () => {
+    const seen = [];
+    let page = history.getGroupHistory(groupId, query({ limit: '5' }));
+    seen.unshift(...ids(page));
+    while (page.pageInfo.hasOlder) {
+      page = history.getGroupHistory(groupId, query({ limit: '5', before: page.pageInfo.olderCursor }));
+      seen.unshift(...ids(page));
+    }
+
+    expect(seen).toEqual(['m01', 'm02', 'm03', 'm04', 'm05', 'm06', 'm07', 'm08', 'm09', 'm10', 'm11', 'm12']);
+    expect(page.pageInfo).toMatchObject({ hasOlder: false, hasNewer: true, olderCursor: null });
+
+    const newer = history.getGroupHistory(groupId, query({ limit: '3', after: page.pageInfo.newerCursor }));
+    expect(ids(newer)).toEqual(['m03', 'm04', 'm05']);
+    expect(newer.pageInfo).toMatchObject({ hasOlder: true, hasNewer: true });
+  });
+
+  test('Aller au message : fenêtre centrée sur le message', () => {
+    const page = history.getGroupHistory(groupId, query({ limit: '5', around: 'm06' }));
+
+    expect(ids(page)).toEqual(['m04', 'm05', 'm06', 'm07', 'm08']);
+    expect(page.pageInfo).toMatchObject({ hasOlder: true, hasNewer: true, anchorId: 'm06' });
+    expect(page.messages.find(m => m.id === 'm04').thread).toMatchObject({ replyCount: 1 });
+
+    const start = history.getGroupHistory(groupId, query({ limit: '5', around: 'm01' }));
+    expect(ids(start)).toEqual(['m01', 'm02', 'm03']);
+    expect(start.pageInfo).toMatchObject({ hasOlder: false, hasNewer: true });
+  });
+
+  test('Aller à une réponse de fil centre la page sur la racine du fil', () => {
+    const page = history.getGroupHistory(groupId, query({ limit: '3', around: 'reply' }));
+
+    expect(ids(page)).toEqual(['m03', 'm04', 'm05']);
+    expect(page.pageInfo).toMatchObject({ anchorId: 'm04', threadId: 'm04' });
+    expect(page.messages[1].thread).toMatchObject({ replyCount: 1 });
+  });
+
+  test('Un message d\'une autre conversation est introuvable', () => {
+    expect(history.getGroupHistory(groupId, query({ around: 'dm1' }))).toBeNull();
+    expect(history.getGroupHistory('group-inconnu', query({ around: 'm01' }))).toBeNull();
+  });
+});
+
+describe('Historique d\'une conversation privée', () => {
+  test('Pages et aller au message', () => {
+    const latest = history.getConversationHistory(conversationId, query({ limit: '2' }));
+    expect(ids(latest)).toEqual(['dm4', 'dm5']);
+
+    const older = history.getConversationHistory(conversationId, query({ limit: '2', before: latest.pageInfo.olderCursor }));
+    expect(ids(older)).toEqual(['dm2', 'dm3']);
+    expect(older.messages[0]).toMatchObject({ from: 'li@example.com', to: 'anna@example.com', content: 'Message privé 2' });
+
+    const around = history.getConversationHistory(conversationId, query({ limit: '3', around: 'dm5' }));
+    expect(ids(around)).toEqual(['dm4', 'dm5']);
+    expect(around.pageInfo).toMatchObject({ hasOlder: true, hasNewer: false, anchorId: 'dm5' });
+
+    expect(history.getConversationHistory(conversationId, query({ around: 'm01' }))).toBeNull();
+  });
+});
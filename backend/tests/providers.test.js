@@ -0,0 +1,89 @@
+/**
+ * Tests du registre de providers IA
+ * Couvre: Enregistrement, résolution par capacité, fallback, provider mock
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let providers;
+let ai;
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  // Isoler les tests des clés API réelles
+  providers = await import('../src/services/providers.service.js');
+  ai = await import('../src/services/ai.service.js');
+});
+
+describe('Registre - Providers intégrés', () => {
+  test('Devrait enregistrer openai, deepseek, local et mock', () => {
+    const names = providers.listProviders().map(p => p.name);
+    expect(names).toEqual(expect.arrayContaining(['openai', 'deepseek', 'local', 'mock']));
+  });
+
+  test('DeepSeek ne devrait supporter que la traduction', () => {
+    expect(providers.supports('deepseek', 'translate')).toBe(true);
+    expect(providers.supports('deepseek', 'transcribe')).toBe(false);
+  });
+
+  test('Le provider local devrait dépendre de LOCAL_LLM_BASE_URL', () => {
+    expect(providers.isProviderAvailable('local')).toBe(false);
+    process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1/';
+    expect(providers.isProviderAvailable('local')).toBe(true);
+    expect(providers.getBaseUrl(providers.getProvider('local'))).toBe('http://localhost:11434/v1');
+    delete process.env.LOCAL_LLM_BASE_URL;
+  });
+
+  test('Devrait refuser une capacité inconnue', () => {
+    expect(() => providers.registerProvider({ name: 'bad', capabilities: ['dance'] })).toThrow();
+  });
+});
+
+describe('Registre - Résolution', () => {
+  test('Devrait utiliser le provider demandé s\'il est disponible', () => {
+    process.env.DEEPSEEK_API_KEY = 'sk-test';
+    expect(providers.resolveProvider('translate', 'deepseek').name).toBe('deepseek');
+    delete process.env.DEEPSEEK_API_KEY;
+  });
+
+  test('Devrait se rabattre sur un provider disponible', () => {
+    expect(providers.resolveProvider('translate', 'openai').name).toBe('mock');
+  });
+
+  test('Devrait échouer si aucun provider ne supporte la capacité', () => {
+    process.env.AI_MOCK_PROVIDER = 'false';
+    const previousEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    expect(() => providers.resolveProvider('speak')).toThrow('No available provider');
+    process.env.NODE_ENV = previousEnv;
+    process.env.AI_MOCK_PROVIDER = 'true';
+  });
+
+  test('Un provider personnalisé devrait être utilisé par la traduction', async () => {
+    providers.registerProvider({
+      name: 'custom-llm',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, targetLang }) => `${text.toUpperCase()} (${targetLang})`
+      }
+    });
+
+    const result = await ai.requestTranslation('salut', 'en', { provider: 'custom-llm' });
+    expect(result).toEqual({ translatedText: 'SALUT (en)', provider: 'custom-llm', cached: false });
+
+    providers.unregisterProvider('custom-llm');
+  });
+});
+
+describe('Service AI - Provider mock', () => {
+  test('translateText devrait être déterministe', async () => {
+    expect(await ai.translateText('bonjour', 'en', 'mock')).toBe('[en] bonjour');
+  });
+
+  test('translateText devrait retourner le texte original sans langue cible', async () => {
+    expect(await ai.translateText('bonjour', null, 'mock')).toBe('bonjour');
+  });
+});
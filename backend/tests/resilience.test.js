@@ -0,0 +1,176 @@
+/**
+ * Tests de résilience des traductions
+ * Couvre: Circuit breaker, relances, chaîne de failover, statut de traduction
+ */
+
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let resilience;
+let providers;
+let ai;
+
+useTestEnvironment(['TRANSLATION_FAILOVER_CHAIN']);
+
+beforeAll(async () => {
+  resilience = await import('../src/utils/resilience.js');
+  providers = await import('../src/services/providers.service.js');
+  ai = await import('../src/services/ai.service.js');
+});
+
+/**
+ * Enregistre un provider de traduction dont le handler échoue (ou non)
+ */
+function registerTestProvider(name, { fail = false, priority = 5 } = {}) {
+  const calls = { count: 0 };
+  providers.registerProvider({
+    name,
+    capabilities: ['translate'],
+    isAvailable: () => true,
+    priority,
+    handlers: {
+      translate: async ({ text, targetLang }) => {
+        calls.count++;
+        if (fail) {
+          const error = new Error('Service unavailable');
+          error.status = 503;
+          throw error;
+        }
+        return `${name}:${targetLang}:${text}`;
+      }
+    }
+  });
+  return calls;
+}
+
+describe('CircuitBreaker', () => {
+  test('Devrait s\'ouvrir après le seuil d\'échecs puis passer en half-open', async () => {
+    const breaker = new resilience.CircuitBreaker('test', { failureThreshold: 2, resetTimeoutMs: 20 });
+    const failing = () => Promise.reject(new Error('boom'));
+
+    await expect(breaker.execute(failing)).rejects.toThrow('boom');
+    await expect(breaker.execute(failing)).rejects.toThrow('boom');
+    expect(breaker.getState().state).toBe('open');
+    await expect(breaker.execute(() => Promise.resolve('ok'))).rejects.toBeInstanceOf(resilience.CircuitOpenError);
+
+    await resilience.sleep(30);
+    expect(breaker.getState().state).toBe('half_open');
+    await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe('ok');
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  test('Les erreurs dues à la requête (4xx hors 429) ne devraient pas l\'ouvrir', async () => {
+    const breaker = new resilience.CircuitBreaker('test', { failureThreshold: 2, resetTimeoutMs: 20 });
+    const rejecting = (status) => () => Promise.reject(Object.assign(new Error(`HTTP ${status}`), { status }));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.execute(rejecting(400))).rejects.toThrow('HTTP 400');
+    }
+    await expect(breaker.execute(rejecting(413))).rejects.toThrow('HTTP 413');
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+
+    await expect(breaker.execute(rejecting(429))).rejects.toThrow('HTTP 429');
+    await expect(breaker.execute(rejecting(500))).rejects.toThrow('HTTP 500');
+    expect(breaker.getState().state).toBe('open');
+  });
+});
+
+describe('withRetry', () => {
+  test('Devrait relancer les erreurs transitoires', async () => {
+    let attempts = 0;
+    const result = await resilience.withRetry(async () => {
+      attempts++;
+      if (attempts < 3) {
+        const error = new Error('Bad gateway');
+        error.status = 502;
+        throw error;
+      }
+      return 'done';
+    }, { retries: 2, baseDelayMs: 1 });
+
+    expect(result).toBe('done');
+    expect(attempts).toBe(3);
+  });
+
+  test('Ne devrait pas relancer une erreur client (4xx)', async () => {
+    let attempts = 0;
+    await expect(resilience.withRetry(async () => {
+      attempts++;
+      const error = new Error('Bad request');
+      error.status = 400;
+      throw error;
+    }, { retries: 2, baseDelayMs: 1 })).rejects.toThrow('Bad request');
+
+    expect(attempts).toBe(1);
+  });
+});
+
+describe('Failover des traductions', () => {
+  afterEach(() => {
+    providers.unregisterProvider('primary-down');
+    providers.unregisterProvider('secondary-up');
+    ai.TRANSLATION_CONFIG.retries = 2;
+  });
+
+  test('Devrait utiliser le provider suivant et marquer la traduction en fallback', async () => {
+    ai.TRANSLATION_CONFIG.retries = 0;
+    registerTestProvider('primary-down', { fail: true, priority: 1 });
+    registerTestProvider('secondary-up', { priority: 2 });
+
+    const result = await ai.translateWithFailover('hello world', 'fr', { provider: 'primary-down' });
+
+    expect(result.status).toBe(ai.TRANSLATION_STATUS.FALLBACK);
+    expect(result.provider).toBe('secondary-up');
+    expect(result.translatedText).toBe('secondary-up:fr:hello world');
+  });
+
+  test('Devrait sauter un provider dont le circuit est ouvert', async () => {
+    ai.TRANSLATION_CONFIG.retries = 0;
+    const primaryCalls = registerTestProvider('primary-down', { fail: true, priority: 1 });
+    registerTestProvider('secondary-up', { priority: 2 });
+
+    const breaker = providers.getCircuitBreaker('primary-down');
+    for (let i = 0; i < breaker.failureThreshold; i++) {
+      breaker.recordFailure();
+    }
+
+    const result = await ai.translateWithFailover('circuit test', 'de', { provider: 'primary-down' });
+
+    expect(primaryCalls.count).toBe(0);
+    expect(result.provider).toBe('secondary-up');
+  });
+
+  test('Devrait retourner le texte original avec le statut failed si tout échoue', async () => {
+    ai.TRANSLATION_CONFIG.retries = 0;
+    process.env.AI_MOCK_PROVIDER = 'false';
+    const previousEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    registerTestProvider('primary-down', { fail: true, priority: 1 });
+
+    const result = await ai.translateWithFailover('never translated', 'es', { provider: 'primary-down' });
+
+    process.env.NODE_ENV = previousEnv;
+    process.env.AI_MOCK_PROVIDER = 'true';
+
+    expect(result.status).toBe(ai.TRANSLATION_STATUS.FAILED);
+    expect(result.translatedText).toBe('never translated');
+  });
+
+  test('Devrait servir une traduction en cache (stale) si tous les providers échouent', async () => {
+    ai.TRANSLATION_CONFIG.retries = 0;
+    await ai.requestTranslation('cached once', 'it', { provider: 'mock' });
+
+    process.env.AI_MOCK_PROVIDER = 'false';
+    const previousEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'development';
+    registerTestProvider('primary-down', { fail: true, priority: 1 });
+
+    const result = await ai.translateWithFailover('cached once', 'it', { provider: 'primary-down' });
+
+    process.env.NODE_ENV = previousEnv;
+    process.env.AI_MOCK_PROVIDER = 'true';
+
+    expect(result.status).toBe(ai.TRANSLATION_STATUS.STALE);
+    expect(result.translatedText).toBe('[it] cached once');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests de la recherche plein texte
+ * Couvre: Index FTS5 du texte original et des traductions, synchronisation, droits d'accès, filtres, extraits mis en évidence
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let helpers;
+let search;
+const groupId = 'group-search';
+const otherGroupId = 'group-search-other';
+const conversationId = 'anna@example.com_li@example.com';
+const day = 24 * 60 * 60 * 1000;
+const base = Date.parse('2025-03-10T09:00:00Z');
+
+function addMessage(id, fields = {}) {
+  helpers.addGroupMessage(fields.groupId || groupId, {
+    id,
+    from: 'anna@example.com',
+    fromDisplayName: 'Anna',
+    originalLang: 'fr',
+    timestamp: base,
+    translations: {},
+    ...fields
+  });
+}
+
+function find(userEmail, query) {
+  const validation = search.validateSearchQuery(query, userEmail);
+  expect(validation.errors).toEqual([]);
+  return search.searchMessages(userEmail, validation.value);
+}
+
+function ids(userEmail, query) {
+  return find(userEmail, query).results.map(r => r.messageId).sort();
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  search = await import('../src/services/search.service.js');
+
+  for (const email of ['anna@example.com', 'li@example.com', 'tom@example.com']) {
+    db.usersDB.create({ email, password: 'hash' });
+  }
+  db.groupsDB.create({ id: groupId, name: 'Lancement', creator: 'anna@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'anna@example.com', displayName: 'Anna', role: 'admin' });
+  db.groupsDB.addMember(groupId, { email: 'li@example.com', displayName: 'Li' });
+  db.groupsDB.create({ id: otherGroupId, name: 'Privé', creator: 'tom@example.com' });
+  db.groupsDB.addMember(otherGroupId, { email: 'tom@example.com', displayName: 'Tom', role: 'admin' });
+
+  addMessage('launch', {
+    content: 'Le lancement du café est prévu demain',
+    translations: { en: 'The café launch is planned for tomorrow', zh: '咖啡馆明天开业' }
+  });
+  addMessage('budget', {
+    from: 'li@example.com',
+    fromDisplayName: 'Li',
+    content: 'Voici le budget du lancement',
+    originalLang: 'fr',
+    timestamp: base + 2 * day,
+    translations: { en: 'Here is the launch budget' },
+    fileInfo: { url: '/uploads/budget.pdf', originalName: 'budget.pdf' }
+  });
+  addMessage('secret', { groupId: otherGroupId, from: 'tom@example.com', fromDisplayName: 'Tom', content: 'Lancement secret <b>interne</b>' });
+
+  helpers.addDirectMessage(conversationId, {
+    id: 'dm-launch',
+    from: 'li@example.com',
+    to: 'anna@example.com',
+    fromDisplayName: 'Li',
+    content: 'On fête le lancement ce soir ?',
+    originalLang: 'fr',
+    timestamp: base + day,
+    translations: { zh: '今晚庆祝开业吗？' }
+  });
+});
+
+describe('Requête', () => {
+  test('Les termes sont cités pour neutraliser la syntaxe FTS5', () => {
+    expect(search.buildSearchExpression('lancement OR "café" de')).toEqual({
+      match: '"lancement" "café"',
+      contains: ['OR', 'de']
+    });
+  });
+
+  test('Paramètres validés', () => {
+    expect(search.validateSearchQuery({}, 'anna@example.com').errors).toEqual(['q est requis']);
+    expect(search.validateSearchQuery({ q: 'de la' }, 'anna@example.com').valid).toBe(false);
+    expect(search.validateSearchQuery({ q: 'café', since: 'hier' }, 'anna@example.com').errors)
+      .toEqual(['since doit être une date ISO 8601 ou un timestamp']);
+    expect(search.validateSearchQuery({ q: 'café', groupId, with: 'li@example.com' }, 'anna@example.com').valid).toBe(false);
+    expect(search.validateSearchQuery({ q: 'café', limit: '101' }, 'anna@example.com').valid).toBe(false);
+    expect(search.validateSearchQuery({ q: 'café', with: 'li@example.com', hasFile: 'false' }, 'anna@example.com').value)
+      .toMatchObject({ conversationId, hasFile: false });
+  });
+});
+
+describe('Index et droits d\'accès', () => {
+  test('Le texte original et chaque traduction sont indexés, un résultat par message', () => {
+    expect(ids('anna@example.com', { q: 'launch' })).toEqual(['budget', 'launch']);
+    // Sous-chaîne d'une traduction en chinois
+    expect(ids('anna@example.com', { q: '咖啡馆' })).toEqual(['launch']);
+    expect(ids('anna@example.com', { q: '庆祝开业' })).toEqual(['dm-launch']);
+    // Accents ignorés
+    expect(ids('anna@example.com', { q: 'cafe' })).toEqual(['launch']);
+
+    const { results } = find('anna@example.com', { q: 'lancement' });
+    expect(results.filter(r => r.messageId === 'launch')).toHaveLength(1);
+  });
+
+  test('Seuls les groupes de l\'utilisateur et ses conversations privées sont cherchés', () => {
+    expect(ids('anna@example.com', { q: 'lancement' })).toEqual(['budget', 'dm-launch', 'launch']);
+    expect(ids('tom@example.com', { q: 'lancement' })).toEqual(['secret']);
+  });
+
+  test('L\'index suit les modifications et suppressions', () => {
+    db.messagesDB.update('launch', { translations: { en: 'The coffee shop opens tomorrow' } });
+    expect(ids('anna@example.com', { q: 'coffee' })).toEqual(['launch']);
+    expect(ids('anna@example.com', { q: '咖啡馆' })).toEqual([]);
+
+    addMessage('temp', { content: 'Message éphémère' });
+    expect(ids('anna@example.com', { q: 'éphémère' })).toEqual(['temp']);
+    db.messagesDB.delete('temp');
+    expect(ids('anna@example.com', { q: 'éphémère' })).toEqual([]);
+  });
+});
+
+describe('Filtres et résultats', () => {
+  test('Filtres groupe, conversation, expéditeur, période, fichier et langue', () => {
+    expect(ids('anna@example.com', { q: 'lancement', groupId })).toEqual(['budget', 'launch']);
+    expect(ids('anna@example.com', { q: 'lancement', with: 'li@example.com' })).toEqual(['dm-launch']);
+    expect(ids('anna@example.com', { q: 'lancement', sender: 'li@example.com' })).toEqual(['budget', 'dm-launch']);
+    expect(ids('anna@example.com', { q: 'lancement', since: new Date(base + day).toISOString() })).toEqual(['budget', 'dm-launch']);
+    expect(ids('anna@example.com', { q: 'lancement', until: String(base) })).toEqual(['launch']);
+    expect(ids('anna@example.com', { q: 'lancement', hasFile: 'true' })).toEqual(['budget']);
+    expect(ids('anna@example.com', { q: 'launch', lang: 'fr' })).toEqual([]);
+    expect(ids('anna@example.com', { q: 'lancement', type: 'dm' })).toEqual(['dm-launch']);
+  });
+
+  test('Les termes courts filtrent les résultats', () => {
+    expect(ids('anna@example.com', { q: 'lancement du' })).toEqual(['budget', 'launch']);
+  });
+
+  test('Extrait mis en évidence, HTML échappé, et informations du message', () => {
+    const [secret] = find('tom@example.com', { q: 'secret' }).results;
+    expect(secret).toMatchObject({
+      messageId: 'secret',
+      type: 'group',
+      groupId: otherGroupId,
+      groupName: 'Privé',
+      threadId: null,
+      from: 'tom@example.com',
+      fromDisplayName: 'Tom',
+      lang: 'fr',
+      hasFile: false,
+      snippet: 'Lancement <mark>secret</mark> &lt;b&gt;interne&lt;/b&gt;'
+    });
+
+    const [dm] = find('anna@example.com', { q: 'fête' }).results;
+    expect(dm).toMatchObject({ messageId: 'dm-launch', type: 'dm', conversationId, timestamp: base + day });
+  });
+
+  test('Tri par date et pagination', () => {
+    const first = find('anna@example.com', { q: 'lancement', sort: 'date', limit: '2' });
+    expect(first.results.map(r => r.messageId)).toEqual(['budget', 'dm-launch']);
+    expect(first.hasMore).toBe(true);
+
+    const next = find('anna@example.com', { q: 'lancement', sort: 'date', limit: '2', offset: '2' });
+    expect(next).toEqual({ results: [expect.objectContaining({ messageId: 'launch' })], hasMore: false });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Tests de la traduction vocale en continu
+ * Couvre: Découpage sur les silences, ordre des résultats, traduction et synthèse, transcription provisoire (son nouveau, limite par phrase), quota (ouverture, provisoire, phrases), limites de sessions
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let stream;
+let providers;
+let authManager;
+const transcribed = [];
+const pendingTranscriptions = [];
+
+const RATE = 16000;
+
+/**
+ * PCM 16 bits : son (amplitude 0-1) ou silence pendant ms millisecondes
+ */
+function pcm(ms, amplitude = 0) {
+  const samples = Math.round(RATE * ms / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 220 * i / RATE) * amplitude * 32767), i * 2);
+  }
+  return buffer;
+}
+
+const speech = ms => pcm(ms, 0.3);
+const silence = ms => pcm(ms);
+
+/**
+ * Envoie un buffer par trames de taille irrégulière (comme un client réel)
+ */
+function pushInFrames(target, buffer, frameBytes = 1001) {
+  const results = [];
+  for (let offset = 0; offset < buffer.length; offset += frameBytes) {
+    const out = target.push(buffer.subarray(offset, offset + frameBytes));
+    if (Array.isArray(out)) results.push(...out);
+  }
+  return results;
+}
+
+/**
+ * Attend qu'une condition soit vraie (résultats asynchrones)
+ */
+async function waitFor(condition, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Condition non remplie');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function openSession(userEmail, options = {}) {
+  const events = [];
+  const session = stream.startSpeechStream({
+    userEmail,
+    socketId: `socket-${userEmail}`,
+    languages: ['fr', 'en'],
+    provider: 'stream-recorder',
+    partials: false,
+    emit: (event, payload) => events.push({ event, payload }),
+    ...options
+  });
+  return { session, events };
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  stream = await import('../src/services/speech-stream.service.js');
+  providers = await import('../src/services/providers.service.js');
+  ({ authManager } = await import('../src/auth-sqlite.js'));
+
+  // Transcription pilotée par le test : phrases en attente, sinon une phrase française
+  providers.registerProvider({
+    name: 'stream-recorder',
+    capabilities: ['transcribe'],
+    isAvailable: () => true,
+    priority: 0,
+    handlers: {
+      transcribe: async ({ audioBuffer, filename, mimeType }) => {
+        transcribed.push({ bytes: audioBuffer.length, filename, mimeType });
+        const next = pendingTranscriptions.shift();
+        if (next) return next();
+        return 'Bonjour, je voudrais réserver une table pour ce soir';
+      }
+    }
+  });
+
+  for (const email of ['lina@example.com', 'omar@example.com', 'eva@example.com']) {
+    db.usersDB.create({ email, password: 'hash' });
+  }
+});
+
+afterAll(() => {
+  providers.unregisterProvider('stream-recorder');
+});
+
+describe('Découpage sur les silences', () => {
+  test('Une phrase encadrée de silences forme un segment', () => {
+    const segmenter = new stream.SilenceSegmenter();
+    const segments = pushInFrames(segmenter, Buffer.concat([silence(400), speech(600), silence(800)]));
+
+    expect(segments).toHaveLength(1);
+    // Le début inclut le son qui précède la détection (preRollMs)
+    expect(segments[0].start).toBe(200);
+    expect(segments[0].end).toBe(1700);
+    expect(segments[0].pcm.length).toBe((segments[0].end - segments[0].start) * RATE / 1000 * 2);
+    expect(segmenter.flush()).toBeNull();
+  });
+
+  test('Un bruit trop court est ignoré', () => {
+    const segmenter = new stream.SilenceSegmenter();
+    expect(pushInFrames(segmenter, Buffer.concat([speech(100), silence(1000)]))).toEqual([]);
+  });
+
+  test('Une phrase trop longue est coupée, la fin est rendue par flush', () => {
+    const segmenter = new stream.SilenceSegmenter({ maxSegmentMs: 1000 });
+    const segments = pushInFrames(segmenter, speech(2500));
+
+    expect(segments.map(segment => segment.forced)).toEqual([true, true]);
+    expect(segmenter.flush()).toMatchObject({ start: 2000, end: 2500, forced: false });
+  });
+});
+
+describe('Session de traduction', () => {
+  test('Chaque phrase est transcrite, traduite puis synthétisée', async () => {
+    const { session, events } = openSession('lina@example.com', { tts: true });
+    session.push(Buffer.concat([silence(200), speech(600), silence(800)]));
+    await session.stop();
+
+    const names = events.map(e => e.event);
+    expect(names.filter(name => name !== stream.SPEECH_STREAM_EVENTS.TRANSLATION)).toEqual([
+      stream.SPEECH_STREAM_EVENTS.FINAL,
+      stream.SPEECH_STREAM_EVENTS.AUDIO,
+      stream.SPEECH_STREAM_EVENTS.STOPPED
+    ]);
+
+    const final = events.find(e => e.event === stream.SPEECH_STREAM_EVENTS.FINAL).payload;
+    expect(final).toMatchObject({
+      streamId: session.id,
+      segmentId: 1,
+      text: 'Bonjour, je voudrais réserver une table pour ce soir',
+      sourceLang: 'fr',
+      targetLang: 'en',
+      translation: '[en] Bonjour, je voudrais réserver une table pour ce soir'
+    });
+
+    const audio = events.find(e => e.event === stream.SPEECH_STREAM_EVENTS.AUDIO).payload;
+    expect(audio).toMatchObject({ segmentId: 1, lang: 'en', format: 'mp3', mimeType: 'audio/mpeg' });
+    expect(audio.audio.toString()).toBe('mock-audio:mp3:[en] Bonjour, je voudrais réserver une table pour ce soir');
+
+    // Chaque phrase est envoyée au provider comme un WAV
+    expect(transcribed[transcribed.length - 1]).toMatchObject({ filename: 'stream.wav', mimeType: 'audio/wav' });
+  });
+
+  test('Les résultats arrivent dans l\'ordre des phrases', async () => {
+    let releaseFirst;
+    pendingTranscriptions.push(
+      () => new Promise(resolve => { releaseFirst = () => resolve('Première phrase de la conversation'); }),
+      async () => 'Deuxième phrase de la conversation'
+    );
+
+    const { session, events } = openSession('omar@example.com');
+    session.push(Buffer.concat([speech(500), silence(800), speech(500), silence(800)]));
+
+    await waitFor(() => typeof releaseFirst === 'function');
+    releaseFirst();
+    await session.stop();
+
+    const finals = events.filter(e => e.event === stream.SPEECH_STREAM_EVENTS.FINAL).map(e => e.payload);
+    expect(finals.map(final => [final.segmentId, final.text])).toEqual([
+      [1, 'Première phrase de la conversation'],
+      [2, 'Deuxième phrase de la conversation']
+    ]);
+  });
+
+  test('La phrase en cours reçoit une transcription provisoire', async () => {
+    const { session, events } = openSession('omar@example.com', { partials: true });
+    session.push(speech(600));
+
+    await waitFor(() => events.some(e => e.event === stream.SPEECH_STREAM_EVENTS.PARTIAL));
+    expect(events[0].payload).toMatchObject({ streamId: session.id, segmentId: 1 });
+
+    await session.stop();
+    expect(events.filter(e => e.event === stream.SPEECH_STREAM_EVENTS.FINAL)).toHaveLength(1);
+  });
+
+  test('Les transcriptions provisoires ne portent que le son nouveau et sont limitées par phrase', async () => {
+    const { partialIntervalMs, maxPartialsPerSegment } = stream.SPEECH_STREAM_CONFIG;
+    Object.assign(stream.SPEECH_STREAM_CONFIG, { partialIntervalMs: 0, maxPartialsPerSegment: 2 });
+    const before = transcribed.length;
+    pendingTranscriptions.push(() => 'Je voudrais', () => 'une table');
+
+    const { session, events } = openSession('omar@example.com', { partials: true });
+    const partials = () => events.filter(e => e.event === stream.SPEECH_STREAM_EVENTS.PARTIAL).map(e => e.payload.text);
+    session.push(speech(600));
+    await waitFor(() => partials().length === 1);
+    session.push(speech(400));
+    await waitFor(() => partials().length === 2);
+    session.push(speech(400));
+    await session.stop();
+    Object.assign(stream.SPEECH_STREAM_CONFIG, { partialIntervalMs, maxPartialsPerSegment });
+
+    expect(partials()).toEqual(['Je voudrais', 'Je voudrais une table']);
+    // 600 ms puis 400 ms transcrits en provisoire (en-tête WAV de 44 octets), puis la phrase entière
+    expect(transcribed.slice(before).map(t => t.bytes)).toEqual([
+      speech(600).length + 44,
+      speech(400).length + 44,
+      speech(1400).length + 44
+    ]);
+  });
+
+  test('Un quota épuisé arrête la session sans transcrire, même en provisoire', async () => {
+    const { session, events } = openSession('eva@example.com', { partials: true });
+    while (authManager.consumeQuota('eva@example.com', 'transcribe').allowed);
+    const before = transcribed.length;
+
+    // Phrase en cours (transcription provisoire), puis terminée
+    session.push(speech(600));
+    session.push(silence(800));
+    await session.queue;
+    await waitFor(() => events.some(e => e.event === stream.SPEECH_STREAM_EVENTS.STOPPED));
+
+    expect(events.map(e => e.event)).toEqual([stream.SPEECH_STREAM_EVENTS.ERROR, stream.SPEECH_STREAM_EVENTS.STOPPED]);
+    expect(events[0].payload).toMatchObject({ code: 'quota_exceeded', action: 'transcribe' });
+    expect(transcribed.length).toBe(before);
+    expect(stream.getSpeechStream(session.id, 'eva@example.com')).toBeNull();
+  });
+
+  test('Un nouveau flux est refusé sans quota de transcription', () => {
+    expect(() => openSession('eva@example.com')).toThrow(expect.objectContaining({ code: 'quota_exceeded' }));
+  });
+});
+
+describe('Sessions', () => {
+  test('Le nombre de flux simultanés est limité et la déconnexion les ferme', () => {
+    openSession('lina@example.com');
+    const { session } = openSession('lina@example.com');
+
+    expect(() => openSession('lina@example.com')).toThrow(expect.objectContaining({ code: 'too_many_streams' }));
+    expect(stream.getSpeechStream(session.id, 'omar@example.com')).toBeNull();
+
+    expect(stream.stopSocketSpeechStreams('socket-lina@example.com')).toBe(2);
+    expect(stream.getSpeechStream(session.id, 'lina@example.com')).toBeNull();
+  });
+});
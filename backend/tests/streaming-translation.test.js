@@ -0,0 +1,185 @@
+/**
+ * Tests de la traduction en streaming
+ * Couvre: Parsing SSE chat-completions, callbacks par langue, statut pending, enregistrement des traductions différées
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let providers;
+let ai;
+let conversation;
+let server;
+let baseUrl;
+
+// Fragments renvoyés par le faux endpoint chat-completions
+const STREAM_CHUNKS = ['Bon', 'jour ', 'le ', 'mon', 'de'];
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  // Faux serveur SSE compatible OpenAI
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      if (!payload.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: STREAM_CHUNKS.join('') } }] }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const content of STREAM_CHUNKS) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  db = await import('../src/database.js');
+  providers = await import('../src/services/providers.service.js');
+  ai = await import('../src/services/ai.service.js');
+  conversation = await import('../src/services/conversation.service.js');
+
+  db.usersDB.create({ email: 'anna@example.com', password: 'hash' });
+  db.groupsDB.create({ id: 'group-stream', name: 'Streaming', creator: 'anna@example.com' });
+
+  providers.registerProvider({
+    name: 'sse-test',
+    baseUrl,
+    capabilities: ['translate'],
+    models: { translate: 'test-model' },
+    isAvailable: () => true,
+    priority: 1
+  });
+});
+
+afterAll(async () => {
+  providers.unregisterProvider('sse-test');
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('Streaming chat-completions', () => {
+  test('Devrait transmettre chaque fragment puis le texte complet', async () => {
+    const deltas = [];
+    const result = await ai.requestTranslation('Hello world', 'fr', {
+      provider: 'sse-test',
+      useCache: false,
+      onDelta: (delta, textSoFar) => deltas.push({ delta, textSoFar })
+    });
+
+    expect(deltas.map(d => d.delta)).toEqual(STREAM_CHUNKS);
+    expect(deltas[deltas.length - 1].textSoFar).toBe('Bonjour le monde');
+    expect(result).toEqual({ translatedText: 'Bonjour le monde', provider: 'sse-test', cached: false });
+  });
+
+  test('Sans callback, la réponse non streamée devrait être utilisée', async () => {
+    const result = await ai.requestTranslation('Hello world', 'de', { provider: 'sse-test', useCache: false });
+    expect(result.translatedText).toBe('Bonjour le monde');
+  });
+
+  test('Un provider à handler devrait émettre un fragment unique', async () => {
+    const deltas = [];
+    await ai.requestTranslation('salut', 'en', {
+      provider: 'mock',
+      useCache: false,
+      onDelta: (delta, textSoFar) => deltas.push(textSoFar)
+    });
+
+    expect(deltas).toEqual(['[en] salut']);
+  });
+});
+
+describe('Traduction par langue', () => {
+  test('Devrait notifier chaque langue dès qu\'elle est terminée', async () => {
+    const partial = [];
+    const completed = [];
+
+    const result = await conversation.translateForLanguages('salut', ['en', 'zh'], {
+      provider: 'mock',
+      onDelta: (lang, text) => partial.push({ lang, text }),
+      onTranslation: (lang, translation) => completed.push({ lang, status: translation.status })
+    });
+
+    expect(partial).toEqual(expect.arrayContaining([
+      { lang: 'en', text: '[en] salut' },
+      { lang: 'zh', text: '[zh] salut' }
+    ]));
+    expect(completed).toEqual(expect.arrayContaining([
+      { lang: 'en', status: 'ok' },
+      { lang: 'zh', status: 'ok' }
+    ]));
+    expect(result.translations).toEqual({ en: '[en] salut', zh: '[zh] salut' });
+  });
+
+  test('Un statut pending ne devrait pas être considéré comme dégradé', () => {
+    expect(conversation.isTranslationDegraded({ en: 'pending', fr: 'ok' })).toBe(false);
+    expect(conversation.isTranslationDegraded({ en: 'fallback' })).toBe(true);
+  });
+});
+
+describe('Traduction différée', () => {
+  async function createPendingMessage(message) {
+    return conversation.createGroupMessage({
+      groupId: 'group-stream',
+      sender: 'anna@example.com',
+      message,
+      timestamp: Date.now(),
+      targetLangs: ['en', 'zh'],
+      provider: 'mock',
+      deferTranslation: true,
+      sourceLangHint: 'fr'
+    });
+  }
+
+  function storedTranslations(messageId) {
+    const row = db.messagesDB.get(messageId);
+    return { translations: JSON.parse(row.translations), translationStatus: JSON.parse(row.translation_status) };
+  }
+
+  test('Une correction faite pendant le streaming devrait être conservée', async () => {
+    const message = await createPendingMessage('Bonjour à tous');
+
+    await conversation.translateGroupMessage({
+      groupId: 'group-stream',
+      messageId: message.id,
+      text: message.content,
+      targetLangs: ['en', 'zh'],
+      provider: 'mock',
+      onTranslation: (lang) => {
+        if (lang === 'en') {
+          db.messagesDB.setTranslations(message.id, { translations: { zh: '大家好' }, translationStatus: { zh: 'corrected' } });
+        }
+      }
+    });
+
+    expect(storedTranslations(message.id)).toEqual({
+      translations: { en: '[en] Bonjour à tous', zh: '大家好' },
+      translationStatus: { en: 'ok', zh: 'corrected' }
+    });
+  });
+
+  test('Rien ne devrait être écrit si le message a changé pendant la traduction', async () => {
+    const message = await createPendingMessage('Premier jet');
+
+    await conversation.translateGroupMessage({
+      groupId: 'group-stream',
+      messageId: message.id,
+      text: message.content,
+      targetLangs: ['en', 'zh'],
+      provider: 'mock',
+      onTranslation: () => db.messagesDB.update(message.id, { content: 'Version corrigée' })
+    });
+
+    expect(storedTranslations(message.id)).toEqual({
+      translations: {},
+      translationStatus: { en: 'pending', zh: 'pending' }
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests des sous-titres SRT / WebVTT
+ * Couvre: Horodatages, découpage des segments, lecture/écriture, traduction réplique par réplique
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let subtitles;
+let ai;
+let providers;
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,500
+Bonjour à tous,
+bienvenue à la réunion.
+
+2
+00:00:04,000 --> 00:00:06,000
+{\\an8}Commençons.
+`;
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE Réunion du lundi
+
+intro
+00:01.000 --> 00:03.500 align:start
+<v Anna>Bonjour à tous
+
+00:00:04.000 --> 00:00:06.000
+- Tu es prête ?
+- Oui.
+`;
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  subtitles = await import('../src/services/subtitle.service.js');
+  ai = await import('../src/services/ai.service.js');
+  providers = await import('../src/services/providers.service.js');
+});
+
+describe('Horodatages', () => {
+  test('Devrait formater selon le format', () => {
+    expect(subtitles.formatTimestamp(3723.456, 'srt')).toBe('01:02:03,456');
+    expect(subtitles.formatTimestamp(3723.456, 'vtt')).toBe('01:02:03.456');
+    expect(subtitles.formatTimestamp(-1)).toBe('00:00:00,000');
+  });
+
+  test('Devrait lire les horodatages SRT et VTT', () => {
+    expect(subtitles.parseTimestamp('01:02:03,456')).toBeCloseTo(3723.456);
+    expect(subtitles.parseTimestamp('02:03.5')).toBeCloseTo(123.5);
+    expect(subtitles.parseTimestamp('abc')).toBeNull();
+  });
+});
+
+describe('Segments Whisper → répliques', () => {
+  test('Devrait équilibrer les lignes', () => {
+    expect(subtitles.wrapText('Aujourd\'hui nous allons parler du budget de', 42)).toBe('Aujourd\'hui nous allons\nparler du budget de');
+    expect(subtitles.wrapText('Court', 42)).toBe('Court');
+  });
+
+  test('Devrait découper un segment trop long en conservant sa durée', () => {
+    const cues = subtitles.segmentsToCues([
+      { start: 0, end: 2, text: ' Bonjour. ' },
+      { start: 2, end: 20, text: 'Aujourd\'hui nous allons parler du budget de l\'année prochaine et des recrutements prévus au second semestre.' }
+    ]);
+
+    expect(cues[0]).toEqual({ start: 0, end: 2, text: 'Bonjour.' });
+    expect(cues.length).toBeGreaterThan(2);
+    expect(cues[1].start).toBe(2);
+    expect(cues[cues.length - 1].end).toBe(20);
+    for (const cue of cues) {
+      expect(cue.end - cue.start).toBeLessThanOrEqual(subtitles.SUBTITLE_CONFIG.maxCueDuration);
+      expect(cue.text.split('\n').every(line => line.length <= subtitles.SUBTITLE_CONFIG.maxLineLength)).toBe(true);
+    }
+  });
+
+  test('Devrait estimer la fin d\'un segment sans horodatage', () => {
+    const [cue] = subtitles.segmentsToCues([{ start: 0, end: null, text: 'Merci.' }]);
+    expect(cue.end).toBe(1);
+  });
+});
+
+describe('Lecture et écriture', () => {
+  test('Devrait relire un SRT à l\'identique', () => {
+    const parsed = subtitles.parseSubtitles(SRT);
+    expect(parsed.format).toBe('srt');
+    expect(parsed.cues).toHaveLength(2);
+    expect(parsed.cues[0]).toMatchObject({ start: 1, end: 3.5, text: 'Bonjour à tous,\nbienvenue à la réunion.' });
+    expect(subtitles.buildSubtitles(parsed.blocks, 'srt')).toBe(SRT);
+  });
+
+  test('Devrait conserver en-tête, notes, identifiants et réglages WebVTT', () => {
+    const parsed = subtitles.parseSubtitles(VTT.replace(/\n/g, '\r\n'));
+    expect(parsed.format).toBe('vtt');
+    expect(parsed.cues[0]).toMatchObject({ identifier: 'intro', start: 1, settings: 'align:start' });
+
+    const output = subtitles.buildSubtitles(parsed.blocks, 'vtt');
+    expect(output.startsWith('WEBVTT\nKind: captions\n\nNOTE Réunion du lundi\n\nintro\n00:00:01.000 --> 00:00:03.500 align:start\n')).toBe(true);
+  });
+
+  test('Devrait convertir un SRT en WebVTT', () => {
+    const output = subtitles.buildSubtitles(subtitles.parseSubtitles(SRT).blocks, 'vtt');
+    expect(output.startsWith('WEBVTT\n\n00:00:01.000 --> 00:00:03.500\n')).toBe(true);
+  });
+
+  test('Devrait rejeter un fichier invalide', () => {
+    expect(() => subtitles.parseSubtitles('')).toThrow(subtitles.SubtitleParseError);
+    expect(() => subtitles.parseSubtitles('Juste du texte')).toThrow('Aucune réplique');
+    expect(() => subtitles.parseSubtitles('1\n00:00:01 --> 00:00:02\nTexte')).toThrow('Horodatage invalide');
+  });
+});
+
+describe('Traduction réplique par réplique', () => {
+  test('Devrait traduire chaque réplique sans toucher aux horodatages', async () => {
+    const calls = [];
+    providers.registerProvider({
+      name: 'subtitle-test',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text }) => {
+          calls.push(text);
+          return JSON.stringify(JSON.parse(text).map(item => `EN(${item})`));
+        }
+      }
+    });
+
+    const parsed = subtitles.parseSubtitles(SRT);
+    const result = await subtitles.translateSubtitles(parsed, 'en', { provider: 'subtitle-test' });
+
+    providers.unregisterProvider('subtitle-test');
+
+    expect(calls).toEqual([JSON.stringify(['Bonjour à tous, bienvenue à la réunion.', 'Commençons.'])]);
+    expect(result.format).toBe('srt');
+    expect(result.summary).toMatchObject({ cues: 2, failed: 0 });
+    expect(result.content).toContain('00:00:01,000 --> 00:00:03,500\nEN(Bonjour à tous,\nbienvenue à la réunion.)');
+    expect(result.content).toContain('00:00:04,000 --> 00:00:06,000\n{\\an8}EN(Commençons.)');
+  });
+
+  test('Devrait conserver les voix et les lignes de dialogue WebVTT', async () => {
+    const result = await subtitles.translateSubtitles(subtitles.parseSubtitles(VTT), 'en', { provider: 'mock', outputFormat: 'vtt' });
+
+    expect(result.content).toContain('<v Anna>[en] Bonjour à tous');
+    expect(result.content).toContain('[en] - Tu es prête ?\n- Oui.');
+  });
+
+  test('Devrait refuser un fichier trop volumineux', () => {
+    const parsed = subtitles.parseSubtitles(SRT);
+    parsed.cues[0].text = 'x'.repeat(subtitles.SUBTITLE_CONFIG.maxCharacters + 1);
+    expect(() => subtitles.prepareSubtitleTranslation(parsed)).toThrow('trop volumineux');
+  });
+});
+
+describe('Transcription horodatée', () => {
+  test('Devrait renvoyer les segments du provider', async () => {
+    const result = await ai.transcribeAudioSegments(Buffer.from('audio'), 'audio.webm', 'mock');
+    expect(result.duration).toBe(4);
+    expect(result.segments).toEqual([
+      { start: 0, end: 2, text: '[mock segment 1]' },
+      { start: 2, end: 4, text: '[mock segment 2: 5 bytes]' }
+    ]);
+  });
+
+  test('Un provider sans horodatage devrait produire un segment unique', async () => {
+    providers.registerProvider({
+      name: 'plain-transcribe',
+      capabilities: ['transcribe'],
+      isAvailable: () => true,
+      priority: 0,
+      handlers: { transcribe: async () => 'Bonjour' }
+    });
+
+    const result = await ai.transcribeAudioSegments(Buffer.from('audio'), 'audio.webm', 'plain-transcribe');
+    providers.unregisterProvider('plain-transcribe');
+
+    expect(result).toMatchObject({ text: 'Bonjour', duration: null, segments: [{ start: 0, end: null, text: 'Bonjour' }] });
+  });
+});
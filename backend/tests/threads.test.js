@@ -0,0 +1,207 @@
+/**
+ * Tests des réponses citées et des fils de discussion
+ * Couvre: Validation des réponses, extrait cité traduit, fils hors du fil principal, réponses non lues, événements Socket.IO, suppression
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment, fakeIo, fakeSocket } from './helpers.js';
+
+let db;
+let helpers;
+let threads;
+let conversation;
+let handlers;
+const groupId = 'group-threads';
+const otherGroupId = 'group-threads-other';
+
+function addMessage(id, fields = {}) {
+  helpers.addGroupMessage(fields.groupId || groupId, {
+    id,
+    from: 'anna@example.com',
+    fromDisplayName: 'Anna',
+    content: `Message ${id}`,
+    originalLang: 'fr',
+    timestamp: Date.now(),
+    translations: {},
+    translationStatus: {},
+    ...fields
+  });
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  threads = await import('../src/services/thread.service.js');
+  conversation = await import('../src/services/conversation.service.js');
+  handlers = await import('../src/websocket/handlers/message.handler.js');
+
+  db.usersDB.create({ email: 'anna@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'li@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'tom@example.com', password: 'hash' });
+  db.usersDB.update('anna@example.com', { preferred_language: 'fr' });
+  db.usersDB.update('li@example.com', { preferred_language: 'zh' });
+  db.usersDB.update('tom@example.com', { preferred_language: 'en' });
+
+  db.groupsDB.create({ id: groupId, name: 'Fils', creator: 'anna@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'anna@example.com', displayName: 'Anna', role: 'admin' });
+  db.groupsDB.addMember(groupId, { email: 'li@example.com', displayName: 'Li' });
+  db.groupsDB.addMember(groupId, { email: 'tom@example.com', displayName: 'Tom' });
+  db.groupsDB.create({ id: otherGroupId, name: 'Autre', creator: 'anna@example.com' });
+
+  addMessage('root', {
+    content: 'Qui vient au lancement ?',
+    translations: { en: 'Who is coming to the launch?', zh: '[zh] Qui vient au lancement ?' }
+  });
+  addMessage('reply-1', { from: 'li@example.com', fromDisplayName: 'Li', threadId: 'root' });
+  addMessage('elsewhere', { groupId: otherGroupId });
+});
+
+describe('Réponses citées', () => {
+  test('Le message cité doit appartenir à la même conversation', () => {
+    expect(threads.validateGroupReply(groupId, { replyToId: 'root' })).toEqual({ valid: true, errors: [], value: { replyToId: 'root', threadId: null } });
+    expect(threads.validateGroupReply(groupId, { replyToId: 'elsewhere' }).valid).toBe(false);
+    expect(threads.validateGroupReply(groupId, { replyToId: 'missing' }).valid).toBe(false);
+
+    // Une réponse de fil ne se cite que dans son fil
+    expect(threads.validateGroupReply(groupId, { replyToId: 'reply-1' }).valid).toBe(false);
+    expect(threads.validateGroupReply(groupId, { replyToId: 'reply-1', threadId: 'root' }).valid).toBe(true);
+    expect(threads.validateGroupReply(groupId, { replyToId: 'root', threadId: 'root' }).valid).toBe(true);
+  });
+
+  test('Un fil ne s\'ouvre que sous un message du fil principal', () => {
+    expect(threads.validateGroupReply(groupId, { threadId: 'reply-1' }).errors).toEqual(['Impossible d\'ouvrir un fil sous une réponse de fil']);
+    expect(threads.validateGroupReply(groupId, { threadId: 'elsewhere' }).valid).toBe(false);
+  });
+
+  test('La réponse porte un extrait traduit du message cité', async () => {
+    const message = await conversation.createGroupMessage({
+      groupId,
+      sender: 'tom@example.com',
+      message: 'Moi !',
+      timestamp: Date.now(),
+      fromDisplayName: 'Tom',
+      replyToId: 'root'
+    });
+
+    const expected = {
+      id: 'root',
+      from: 'anna@example.com',
+      fromDisplayName: 'Anna',
+      originalLang: 'fr',
+      snippet: 'Qui vient au lancement ?',
+      translations: { en: 'Who is coming to the launch?', zh: '[zh] Qui vient au lancement ?' }
+    };
+    expect(message.replyTo).toEqual(expected);
+    expect(helpers.getGroupMessages(groupId).find(m => m.id === message.id).replyTo).toEqual(expected);
+  });
+
+  test('L\'extrait est tronqué ; un message cité supprimé est signalé', () => {
+    addMessage('long', { content: 'a'.repeat(500) });
+    const preview = helpers.getReplyPreview('long');
+    expect(preview.snippet).toHaveLength(140);
+    expect(preview.snippet.endsWith('…')).toBe(true);
+
+    expect(helpers.getReplyPreview('gone')).toEqual({ id: 'gone', deleted: true });
+  });
+
+  test('Les messages privés peuvent citer un message de la conversation', () => {
+    const conversationId = conversation.getConversationId('anna@example.com', 'li@example.com');
+    helpers.addDirectMessage(conversationId, {
+      id: 'dm-1',
+      from: 'li@example.com',
+      to: 'anna@example.com',
+      fromDisplayName: 'Li',
+      content: 'Tu as reçu le dossier ?',
+      originalLang: 'fr',
+      timestamp: Date.now(),
+      translations: {}
+    });
+
+    expect(threads.validateDirectReply(conversationId, 'dm-1').valid).toBe(true);
+    expect(threads.validateDirectReply('someone_else', 'dm-1').valid).toBe(false);
+
+    helpers.addDirectMessage(conversationId, {
+      id: 'dm-2',
+      from: 'anna@example.com',
+      to: 'li@example.com',
+      fromDisplayName: 'Anna',
+      content: 'Oui',
+      originalLang: 'fr',
+      timestamp: Date.now(),
+      translations: {},
+      replyToId: 'dm-1'
+    });
+    const reply = helpers.getConversationMessages(conversationId).find(m => m.id === 'dm-2');
+    expect(reply.replyTo).toMatchObject({ id: 'dm-1', snippet: 'Tu as reçu le dossier ?' });
+  });
+});
+
+describe('Fils de discussion', () => {
+  test('Les réponses d\'un fil restent hors du fil principal', () => {
+    const messages = helpers.getGroupMessages(groupId);
+
+    expect(messages.some(m => m.id === 'reply-1')).toBe(false);
+    expect(messages.find(m => m.id === 'root').thread).toEqual({ replyCount: 1, lastReplyAt: expect.any(Number) });
+  });
+
+  test('Le fil est renvoyé depuis sa racine ou depuis une réponse', () => {
+    const thread = threads.getThread(groupId, 'root', 'anna@example.com');
+    expect(thread).toMatchObject({ root: { id: 'root' }, replyCount: 1 });
+    expect(thread.messages.map(m => [m.id, m.threadId])).toEqual([['reply-1', 'root']]);
+
+    expect(threads.getThread(groupId, 'reply-1', 'anna@example.com').root.id).toBe('root');
+    expect(threads.getThread(otherGroupId, 'root', 'anna@example.com')).toBeNull();
+  });
+
+  test('Les réponses non lues sont comptées pour les fils suivis', () => {
+    // Anna a lancé le fil, Tom ne le suit pas
+    expect(threads.getThreadUnreadCounts(groupId, 'anna@example.com')).toEqual({ root: 1 });
+    expect(threads.getThreadUnreadCounts(groupId, 'tom@example.com')).toEqual({});
+    // Ses propres réponses ne sont pas « non lues »
+    expect(threads.getThreadUnreadCounts(groupId, 'li@example.com')).toEqual({});
+
+    threads.markThreadRead('root', 'anna@example.com');
+    expect(threads.getThreadUnreadCounts(groupId, 'anna@example.com')).toEqual({});
+  });
+
+  test('Une réponse dans un fil est diffusée comme message de fil', async () => {
+    const io = fakeIo();
+    const socket = fakeSocket('tom@example.com');
+    await handlers.handleGroupMessage(io, socket, { groupId, content: 'Je serai là', userLang: 'fr', threadId: 'root', translationProvider: 'mock' });
+
+    expect(socket.emitted).toEqual([]);
+    const events = io.emitted.map(e => e.event);
+    expect(events).not.toContain('group_message');
+    expect(events.slice(0, 2)).toEqual(['thread_message', 'thread_updated']);
+
+    const { payload: threadMessage } = io.emitted[0];
+    expect(threadMessage).toMatchObject({ groupId, threadId: 'root', message: { threadId: 'root', content: 'Je serai là' } });
+    expect(io.emitted[1].payload).toEqual({ groupId, threadId: 'root', replyCount: 2, lastReplyAt: threadMessage.message.timestamp });
+
+    // Traductions du message de fil, identifiées par leur fil
+    expect(io.emitted.filter(e => e.event === 'message_translation').every(e => e.payload.threadId === 'root')).toBe(true);
+
+    // Tom suit désormais le fil ; Anna a une nouvelle réponse non lue
+    expect(threads.getThreadUnreadCounts(groupId, 'tom@example.com')).toEqual({});
+    expect(threads.getThreadUnreadCounts(groupId, 'anna@example.com')).toEqual({ root: 1 });
+  });
+
+  test('mark_thread_read prévient les autres sessions de l\'utilisateur', () => {
+    const io = fakeIo();
+    handlers.handleMarkThreadRead(io, fakeSocket('anna@example.com'), { groupId, threadId: 'root' });
+
+    expect(io.emitted).toEqual([{ room: 'user:anna@example.com', event: 'thread_read', payload: { groupId, threadId: 'root' } }]);
+    expect(threads.getThreadUnreadCounts(groupId, 'anna@example.com')).toEqual({});
+  });
+
+  test('Supprimer la racine supprime les réponses du fil', async () => {
+    const io = fakeIo();
+    await handlers.handleDeleteMessage(io, fakeSocket('anna@example.com'), { groupId, messageId: 'root' });
+
+    expect(io.emitted).toEqual([{ room: `group:${groupId}`, event: 'message_deleted', payload: { groupId, messageId: 'root' } }]);
+    expect(helpers.getThreadMessages('root')).toEqual([]);
+    expect(db.messagesDB.get('reply-1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests des transcriptions longues
+ * Couvre: Découpage WAV/MP3, recollage des chevauchements, file de travail, reprise après redémarrage
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let audio;
+let jobs;
+let providers;
+let storageDir;
+const transcribedChunks = [];
+
+/**
+ * WAV 16 kHz mono 16 bits de la durée demandée
+ */
+function writeWav(name, seconds) {
+  const filePath = path.join(storageDir, name);
+  fs.writeFileSync(filePath, audio.buildWav(Buffer.alloc(seconds * 32000)));
+  return filePath;
+}
+
+/**
+ * MP3 synthétique : tag ID3v2 puis trames MPEG-1 couche III 128 kbit/s 44,1 kHz
+ */
+function writeMp3(name, frames) {
+  const id3 = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, 20]);
+  const frame = Buffer.alloc(417);
+  frame.set([0xFF, 0xFB, 0x90, 0x00]);
+  const filePath = path.join(storageDir, name);
+  fs.writeFileSync(filePath, Buffer.concat([id3, Buffer.alloc(20), ...Array(frames).fill(frame)]));
+  return filePath;
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  audio = await import('../src/utils/audio.js');
+  jobs = await import('../src/services/transcription-job.service.js');
+  providers = await import('../src/services/providers.service.js');
+
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcription-jobs-'));
+  Object.assign(jobs.TRANSCRIPTION_JOB_CONFIG, { storageDir, chunkDuration: 10, overlap: 2 });
+
+  providers.registerProvider({
+    name: 'chunk-recorder',
+    capabilities: ['transcribe'],
+    isAvailable: () => true,
+    handlers: {
+      transcribeSegments: async ({ audioBuffer, filename }) => {
+        transcribedChunks.push(filename);
+        const seconds = (audioBuffer.length - 44) / 32000;
+        return {
+          text: `${filename} début ${filename} fin`,
+          language: 'fr',
+          duration: seconds,
+          segments: [
+            { start: 0, end: seconds / 2, text: `${filename} début` },
+            { start: seconds / 2, end: seconds, text: `${filename} fin` }
+          ]
+        };
+      }
+    }
+  });
+});
+
+afterAll(() => {
+  providers.unregisterProvider('chunk-recorder');
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('Découpage audio', () => {
+  test('WAV : morceaux chevauchants alignés sur les échantillons', () => {
+    const filePath = writeWav('long.wav', 30);
+    const plan = audio.planAudioChunks(filePath, { chunkDuration: 10, overlap: 2, maxChunkBytes: 25 * 1024 * 1024 });
+
+    expect(plan.format).toBe('wav');
+    expect(plan.duration).toBe(30);
+    expect(plan.chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 10], [8, 18], [16, 26], [24, 30]]);
+
+    const chunk = audio.readAudioChunk(filePath, plan, plan.chunks[1]);
+    expect(chunk.toString('latin1', 0, 4)).toBe('RIFF');
+    expect(chunk.readUInt32LE(4)).toBe(chunk.length - 8);
+    expect(chunk.length).toBe(44 + 10 * 32000);
+  });
+
+  test('WAV : la durée d\'un morceau respecte la limite du provider', () => {
+    const filePath = writeWav('limit.wav', 20);
+    const plan = audio.planAudioChunks(filePath, { chunkDuration: 600, overlap: 1, maxChunkBytes: 5 * 32000 });
+    expect(plan.chunks.every(chunk => chunk.byteEnd - chunk.byteStart <= 5 * 32000)).toBe(true);
+    expect(plan.chunks[plan.chunks.length - 1].end).toBe(20);
+  });
+
+  test('MP3 : découpage sur les trames, tag ID3 ignoré', () => {
+    const filePath = writeMp3('long.mp3', 400);
+    const plan = audio.planAudioChunks(filePath, { chunkDuration: 4, overlap: 1, maxChunkBytes: 25 * 1024 * 1024 });
+    const frameDuration = 1152 / 44100;
+
+    expect(plan.format).toBe('mp3');
+    expect(plan.duration).toBeCloseTo(400 * frameDuration);
+    expect(plan.chunks[0].byteStart).toBe(30);
+    expect(plan.chunks.length).toBe(4);
+    for (const chunk of plan.chunks) {
+      expect((chunk.byteStart - 30) % 417).toBe(0);
+      expect(audio.readAudioChunk(filePath, plan, chunk)[0]).toBe(0xFF);
+    }
+    expect(plan.chunks[1].start).toBeLessThan(plan.chunks[0].end);
+  });
+
+  test('Format non découpable : un seul morceau s\'il tient dans un appel', () => {
+    const filePath = path.join(storageDir, 'note.webm');
+    fs.writeFileSync(filePath, Buffer.from('1a45dfa3 webm'));
+
+    expect(() => audio.planAudioChunks(filePath, jobs.TRANSCRIPTION_JOB_CONFIG)).toThrow(audio.AudioFormatError);
+    expect(jobs.prepareTranscriptionJob({ path: filePath, size: 13 }).chunks).toEqual([
+      { index: 0, start: 0, end: null, byteStart: 0, byteEnd: 13 }
+    ]);
+    expect(() => jobs.prepareTranscriptionJob({ path: filePath, size: 100 * 1024 * 1024 })).toThrow('non découpable');
+  });
+});
+
+describe('Recollage', () => {
+  test('Chaque segment est gardé par le morceau dont il est le plus proche du centre', () => {
+    const chunks = [{ start: 0, end: 10 }, { start: 8, end: 18 }];
+    const stitched = jobs.stitchChunkResults(chunks, [
+      { language: 'fr', segments: [{ start: 0, end: 4, text: 'A' }, { start: 4, end: 8.6, text: 'B' }, { start: 8.6, end: 10, text: 'C coupé' }] },
+      { language: 'fr', segments: [{ start: 0, end: 0.6, text: 'fin de B' }, { start: 0.6, end: 2, text: 'C' }, { start: 2, end: 6, text: 'D' }] }
+    ]);
+
+    expect(stitched.text).toBe('A B C D');
+    expect(stitched.segments[2]).toEqual({ start: 8.6, end: 10, text: 'C' });
+    expect(stitched.language).toBe('fr');
+  });
+
+  test('Sans horodatage, les mots répétés du chevauchement sont retirés', () => {
+    expect(jobs.removeOverlappingText('nous parlerons du budget annuel', 'Budget annuel, puis des recrutements')).toBe('puis des recrutements');
+    expect(jobs.removeOverlappingText('bonjour à tous', 'merci beaucoup')).toBe('merci beaucoup');
+  });
+});
+
+describe('File de travail', () => {
+  test('Devrait transcrire chaque morceau puis recoller le résultat', async () => {
+    const filePath = writeWav('job.wav', 30);
+    const file = { path: filePath, size: fs.statSync(filePath).size, originalname: 'reunion.wav', mimetype: 'audio/wav' };
+    const plan = jobs.prepareTranscriptionJob(file);
+
+    const created = jobs.createTranscriptionJob({ userEmail: 'claire@example.com', file, plan, format: 'subtitles', provider: 'chunk-recorder' });
+    expect(created.totalChunks).toBe(4);
+
+    await jobs.whenTranscriptionQueueIdle();
+    const job = jobs.getTranscriptionJob(created.id);
+
+    expect(job).toMatchObject({ status: 'completed', progress: 100, completedChunks: 4, error: null });
+    expect(job.result.text).toBe('chunk-0.wav début chunk-0.wav fin chunk-1.wav début chunk-1.wav fin chunk-2.wav début chunk-2.wav fin chunk-3.wav début chunk-3.wav fin');
+    expect(job.result.segments[3]).toMatchObject({ start: 13, end: 18 });
+    expect(job.result.srt).toContain('00:00:13,000 --> 00:00:18,000\nchunk-1.wav fin');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  test('Devrait reprendre une tâche interrompue sans retranscrire les morceaux terminés', async () => {
+    const filePath = writeWav('resume.wav', 20);
+    const plan = jobs.prepareTranscriptionJob({ path: filePath, size: fs.statSync(filePath).size });
+
+    db.transcriptionJobsDB.create({
+      id: 'job-interrupted',
+      userEmail: 'claire@example.com',
+      status: 'processing',
+      filePath,
+      format: 'text',
+      provider: 'chunk-recorder',
+      duration: plan.duration,
+      plan
+    });
+    db.transcriptionJobsDB.update('job-interrupted', {
+      chunkResults: [{ text: 'déjà transcrit', language: 'fr', segments: [{ start: 0, end: 5, text: 'déjà transcrit' }] }]
+    });
+    expect(jobs.getTranscriptionJob('job-interrupted').progress).toBe(33);
+
+    transcribedChunks.length = 0;
+    expect(jobs.resumeTranscriptionJobs()).toBe(1);
+    await jobs.whenTranscriptionQueueIdle();
+
+    const job = jobs.getTranscriptionJob('job-interrupted');
+    expect(transcribedChunks).toEqual(['chunk-1.wav', 'chunk-2.wav']);
+    expect(job.status).toBe('completed');
+    expect(job.result.text.startsWith('déjà transcrit chunk-1.wav')).toBe(true);
+  });
+
+  test('Un enregistrement disparu fait échouer la tâche', async () => {
+    const filePath = writeWav('lost.wav', 5);
+    const file = { path: filePath, size: fs.statSync(filePath).size };
+    const plan = jobs.prepareTranscriptionJob(file);
+    fs.unlinkSync(filePath);
+
+    const created = jobs.createTranscriptionJob({ userEmail: 'claire@example.com', file, plan, provider: 'chunk-recorder' });
+    await jobs.whenTranscriptionQueueIdle();
+
+    expect(jobs.getTranscriptionJob(created.id)).toMatchObject({ status: 'failed', error: 'Enregistrement introuvable' });
+  });
+});
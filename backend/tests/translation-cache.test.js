@@ -0,0 +1,73 @@
+/**
+ * Tests du cache de traductions
+ * Couvre: Hit/miss, partitionnement par provider, TTL, purge, intégration requestTranslation
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+let cache;
+let ai;
+
+beforeAll(async () => {
+  process.env.DATABASE_PATH = ':memory:';
+  process.env.AI_MOCK_PROVIDER = 'true';
+
+  cache = await import('../src/services/translation-cache.service.js');
+  ai = await import('../src/services/ai.service.js');
+});
+
+describe('Cache de traductions - Lecture/écriture', () => {
+  test('Devrait retourner null pour une traduction absente', () => {
+    expect(cache.getCachedTranslation({ text: 'merci', targetLang: 'en', provider: 'openai' })).toBeNull();
+  });
+
+  test('Devrait retourner une traduction enregistrée', () => {
+    cache.setCachedTranslation({ text: 'merci', targetLang: 'en', provider: 'openai' }, 'thanks');
+    expect(cache.getCachedTranslation({ text: 'merci', targetLang: 'en', provider: 'openai' })).toBe('thanks');
+  });
+
+  test('Devrait partitionner les entrées par provider', () => {
+    expect(cache.getCachedTranslation({ text: 'merci', targetLang: 'en', provider: 'deepseek' })).toBeNull();
+  });
+
+  test('Devrait distinguer la langue source', () => {
+    expect(cache.getCachedTranslation({ text: 'merci', sourceLang: 'fr', targetLang: 'en', provider: 'openai' })).toBeNull();
+  });
+
+  test('Ne devrait pas mettre en cache les textes trop longs', () => {
+    const longText = 'a'.repeat(cache.CACHE_CONFIG.maxTextLength + 1);
+    cache.setCachedTranslation({ text: longText, targetLang: 'en', provider: 'openai' }, 'b');
+    expect(cache.getCachedTranslation({ text: longText, targetLang: 'en', provider: 'openai' })).toBeNull();
+  });
+});
+
+describe('Cache de traductions - Métriques et purge', () => {
+  test('Devrait compter les hits et les misses', () => {
+    const stats = cache.getTranslationCacheStats();
+    expect(stats.metrics.hits).toBeGreaterThanOrEqual(1);
+    expect(stats.metrics.misses).toBeGreaterThanOrEqual(1);
+    expect(stats.providers.find(p => p.provider === 'openai').entries).toBe(1);
+  });
+
+  test('Devrait purger un seul provider', () => {
+    cache.setCachedTranslation({ text: 'ok', targetLang: 'zh', provider: 'deepseek' }, '好的');
+    expect(cache.purgeTranslationCache({ provider: 'openai' })).toBe(1);
+    expect(cache.getCachedTranslation({ text: 'merci', targetLang: 'en', provider: 'openai' })).toBeNull();
+    expect(cache.getCachedTranslation({ text: 'ok', targetLang: 'zh', provider: 'deepseek' })).toBe('好的');
+  });
+});
+
+describe('Cache de traductions - requestTranslation', () => {
+  test('La deuxième traduction identique devrait venir du cache', async () => {
+    const first = await ai.requestTranslation('bonjour', 'it', { provider: 'mock' });
+    const second = await ai.requestTranslation('bonjour', 'it', { provider: 'mock' });
+
+    expect(first.cached).toBe(false);
+    expect(second).toEqual({ translatedText: '[it] bonjour', provider: 'mock', cached: true });
+  });
+
+  test('useCache: false devrait contourner le cache', async () => {
+    const result = await ai.requestTranslation('bonjour', 'it', { provider: 'mock', useCache: false });
+    expect(result.cached).toBe(false);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests de la traduction avec contexte conversationnel
+ * Couvre: Budget de tokens, ordre, paramètres de groupe, prompt et cache, message ancien
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let helpers;
+let context;
+let settings;
+let ai;
+let providers;
+let revision;
+const groupId = 'group-context-test';
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  context = await import('../src/services/translation-context.service.js');
+  settings = await import('../src/services/group-settings.service.js');
+  ai = await import('../src/services/ai.service.js');
+  providers = await import('../src/services/providers.service.js');
+  revision = await import('../src/services/translation-revision.service.js');
+
+  db.usersDB.create({ email: 'alice@example.com', password: 'hash' });
+  db.groupsDB.create({ id: groupId, name: 'Contexte', creator: 'alice@example.com' });
+
+  const base = 1700000000000;
+  ['Tu as vu le nouveau vélo de Paul ?', 'Oui, il est rouge.', 'Il roule vite ?'].forEach((content, i) => {
+    helpers.addGroupMessage(groupId, {
+      id: `msg-context-${i}`,
+      from: 'alice@example.com',
+      fromDisplayName: 'Alice',
+      content,
+      originalLang: 'fr',
+      timestamp: base + i * 1000,
+      translations: {},
+      translationStatus: {}
+    });
+  });
+});
+
+describe('buildContextLines', () => {
+  const messages = [
+    { from: 'a@example.com', fromDisplayName: 'Alice', content: 'Premier message' },
+    { from: 'b@example.com', fromDisplayName: null, content: 'Deuxième   message' },
+    { from: 'a@example.com', fromDisplayName: 'Alice', content: '' },
+    { from: 'a@example.com', fromDisplayName: 'Alice', content: 'Troisième message' }
+  ];
+
+  test('Devrait conserver l\'ordre chronologique et ignorer les messages vides', () => {
+    expect(context.buildContextLines(messages, { maxMessages: 5, maxTokens: 1000 })).toEqual([
+      'Alice: Premier message',
+      'b@example.com: Deuxième message',
+      'Alice: Troisième message'
+    ]);
+  });
+
+  test('Devrait privilégier les messages les plus récents', () => {
+    expect(context.buildContextLines(messages, { maxMessages: 1, maxTokens: 1000 })).toEqual(['Alice: Troisième message']);
+  });
+
+  test('Devrait respecter le budget de tokens', () => {
+    const budget = context.estimateTokens('Alice: Troisième message');
+    expect(context.buildContextLines(messages, { maxMessages: 5, maxTokens: budget })).toHaveLength(1);
+    expect(context.buildContextLines(messages, { maxMessages: 5, maxTokens: 1 })).toEqual([]);
+  });
+});
+
+describe('getGroupContext', () => {
+  test('Devrait exclure le message traduit et les messages postérieurs', () => {
+    const lines = context.getGroupContext(groupId, { excludeMessageId: 'msg-context-1', before: 1700000001000 });
+    expect(lines).toEqual(['Alice: Tu as vu le nouveau vélo de Paul ?']);
+  });
+});
+
+describe('Paramètres de groupe', () => {
+  test('Devrait valider les paramètres', () => {
+    expect(settings.validateGroupSettings({}).valid).toBe(false);
+    expect(settings.validateGroupSettings({ contextTranslation: 'yes' }).valid).toBe(false);
+    expect(settings.validateGroupSettings({ contextMessages: 0 }).valid).toBe(false);
+    expect(settings.validateGroupSettings({ contextMessages: 50 }).valid).toBe(false);
+    expect(settings.validateGroupSettings({ contextTranslation: true, contextMessages: 3 }).value)
+      .toEqual({ contextTranslation: true, contextMessages: 3 });
+  });
+
+  test('Devrait fusionner les surcharges avec les valeurs par défaut', () => {
+    expect(settings.getGroupSettings(groupId)).toEqual(settings.GROUP_SETTINGS_DEFAULTS);
+
+    settings.updateGroupSettings(groupId, { contextTranslation: true });
+    settings.updateGroupSettings(groupId, { contextMessages: 2 });
+
+    expect(settings.getGroupSettings(groupId)).toMatchObject({ contextTranslation: true, contextMessages: 2 });
+  });
+});
+
+describe('requestTranslation avec contexte', () => {
+  test('Devrait ajouter le contexte au prompt et contourner le cache', async () => {
+    const prompts = [];
+    providers.registerProvider({
+      name: 'context-test',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, systemPrompt }) => {
+          prompts.push(systemPrompt);
+          return `EN: ${text}`;
+        }
+      }
+    });
+
+    const lines = ['Alice: Tu as vu le nouveau vélo de Paul ?'];
+    const first = await ai.requestTranslation('Il roule vite ?', 'en', { provider: 'context-test', context: lines });
+    const second = await ai.requestTranslation('Il roule vite ?', 'en', { provider: 'context-test', context: lines });
+
+    expect(first.cached).toBe(false);
+    expect(second.cached).toBe(false);
+    expect(prompts).toHaveLength(2);
+    expect(prompts[0]).toContain(lines[0]);
+
+    providers.unregisterProvider('context-test');
+  });
+});
+
+describe('Message ancien', () => {
+  test('La re-traduction devrait recevoir les messages qui précédaient le message', async () => {
+    // Conversation poursuivie : le message re-traduit n'est plus parmi les plus récents
+    for (let i = 0; i < 5; i++) {
+      helpers.addGroupMessage(groupId, {
+        id: `msg-context-later-${i}`,
+        from: 'alice@example.com',
+        fromDisplayName: 'Alice',
+        content: `Plus tard ${i}`,
+        originalLang: 'fr',
+        timestamp: 1700000010000 + i * 1000,
+        translations: {},
+        translationStatus: {}
+      });
+    }
+    settings.updateGroupSettings(groupId, { contextTranslation: true, contextMessages: 2 });
+
+    const prompts = [];
+    providers.registerProvider({
+      name: 'context-retranslate',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async ({ text, systemPrompt }) => {
+          prompts.push(systemPrompt);
+          return `EN: ${text}`;
+        }
+      }
+    });
+
+    const result = await revision.retranslateMessage(revision.findMessage('msg-context-2'), {
+      lang: 'en',
+      provider: 'context-retranslate',
+      requestedBy: 'alice@example.com'
+    });
+
+    expect(result.success).toBe(true);
+    expect(prompts[0]).toContain('Alice: Tu as vu le nouveau vélo de Paul ?\nAlice: Oui, il est rouge.');
+    expect(prompts[0]).not.toContain('Plus tard');
+
+    providers.unregisterProvider('context-retranslate');
+  });
+});
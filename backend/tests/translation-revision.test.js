@@ -0,0 +1,251 @@
+/**
+ * Tests de la re-traduction et de la correction des traductions
+ * Couvre: Accès, validation, re-traduction sans cache (modifications concurrentes), corrections (langue d'origine, texte modifié entre-temps), historique
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useTestEnvironment, fakeIo, fakeSocket } from './helpers.js';
+
+let db;
+let helpers;
+let providers;
+let revision;
+let handlers;
+const groupId = 'group-revision-test';
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  providers = await import('../src/services/providers.service.js');
+  revision = await import('../src/services/translation-revision.service.js');
+  handlers = await import('../src/websocket/handlers/message.handler.js');
+
+  db.usersDB.create({ email: 'anna@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'li@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'outsider@example.com', password: 'hash' });
+  db.groupsDB.create({ id: groupId, name: 'Révision', creator: 'anna@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'anna@example.com', displayName: 'Anna', role: 'admin' });
+  db.groupsDB.addMember(groupId, { email: 'li@example.com', displayName: 'Li' });
+
+  helpers.addGroupMessage(groupId, {
+    id: 'msg-revision',
+    from: 'anna@example.com',
+    fromDisplayName: 'Anna',
+    content: 'On se voit demain au bureau',
+    originalLang: 'fr',
+    timestamp: Date.now(),
+    translations: { en: 'See you tomorrow at the desk' },
+    translationStatus: { en: 'fallback' }
+  });
+
+  helpers.addDirectMessage('anna@example.com_li@example.com', {
+    id: 'dm-revision',
+    from: 'anna@example.com',
+    to: 'li@example.com',
+    fromDisplayName: 'Anna',
+    content: 'Merci beaucoup',
+    originalLang: 'fr',
+    timestamp: Date.now(),
+    translations: {},
+    translationStatus: { zh: 'failed' }
+  });
+});
+
+describe('Accès aux messages', () => {
+  test('Devrait trouver un message de groupe ou un DM', () => {
+    expect(revision.findMessage('msg-revision')).toMatchObject({ type: 'group', groupId });
+    expect(revision.findMessage('dm-revision')).toMatchObject({ type: 'dm', conversationId: 'anna@example.com_li@example.com' });
+    expect(revision.findMessage('missing')).toBeNull();
+  });
+
+  test('Seuls les membres ou participants devraient y accéder', () => {
+    const groupMessage = revision.findMessage('msg-revision');
+    const directMessage = revision.findMessage('dm-revision');
+
+    expect(revision.canAccessMessage(groupMessage, 'li@example.com')).toBe(true);
+    expect(revision.canAccessMessage(groupMessage, 'outsider@example.com')).toBe(false);
+    expect(revision.canAccessMessage(directMessage, 'li@example.com')).toBe(true);
+    expect(revision.canAccessMessage(directMessage, 'outsider@example.com')).toBe(false);
+    expect(revision.getMessageRooms(directMessage)).toEqual(['user:anna@example.com', 'user:li@example.com']);
+  });
+});
+
+describe('Validation', () => {
+  test('Devrait refuser la langue d\'origine et un provider inconnu', () => {
+    const target = revision.findMessage('msg-revision');
+    expect(revision.validateRetranslation(target, { lang: 'fr' }).valid).toBe(false);
+    expect(revision.validateRetranslation(target, { lang: 'en', provider: 'nope' }).valid).toBe(false);
+    expect(revision.validateRetranslation(target, { lang: 'en', provider: 'mock' }).value).toEqual({ lang: 'en', provider: 'mock' });
+  });
+
+  test('Devrait exiger un texte de correction dans une autre langue que l\'original', () => {
+    const target = revision.findMessage('msg-revision');
+    expect(revision.validateCorrection(target, { lang: 'en', text: '   ' }).valid).toBe(false);
+    expect(revision.validateCorrection(target, { lang: 'fr', text: 'On se voit après-demain' }).errors)
+      .toEqual(['Le message est déjà dans cette langue']);
+    expect(revision.validateCorrection(target, { lang: 'en', text: ' See you tomorrow at the office ' }).value)
+      .toEqual({ lang: 'en', text: 'See you tomorrow at the office' });
+    expect(revision.validateCorrection(target, { lang: 'en', text: 'Hi', originalContent: 'On se voit demain au bureau' }).value)
+      .toMatchObject({ expectedContent: 'On se voit demain au bureau' });
+  });
+});
+
+describe('Re-traduction', () => {
+  test('Devrait remplacer la traduction et l\'inscrire dans l\'historique', async () => {
+    const target = revision.findMessage('msg-revision');
+    const result = await revision.retranslateMessage(target, { lang: 'en', provider: 'mock', requestedBy: 'li@example.com' });
+
+    expect(result.success).toBe(true);
+    expect(result.edit).toMatchObject({
+      lang: 'en',
+      previousText: 'See you tomorrow at the desk',
+      previousStatus: 'fallback',
+      newText: '[en] On se voit demain au bureau',
+      newStatus: 'ok',
+      source: 'retranslation',
+      provider: 'mock',
+      editedBy: 'li@example.com'
+    });
+
+    const [stored] = helpers.getGroupMessages(groupId);
+    expect(stored.translations.en).toBe('[en] On se voit demain au bureau');
+    expect(stored.translationStatus.en).toBe('ok');
+  });
+
+  test('Un provider en échec devrait être remplacé par la chaîne de failover', async () => {
+    providers.registerProvider({
+      name: 'broken',
+      capabilities: ['translate'],
+      isAvailable: () => true,
+      handlers: {
+        translate: async () => { throw new Error('boom'); }
+      }
+    });
+
+    const target = revision.findMessage('msg-revision');
+    const result = await revision.retranslateMessage(target, { lang: 'en', provider: 'broken', requestedBy: 'li@example.com' });
+
+    providers.unregisterProvider('broken');
+
+    expect(result.success).toBe(true);
+    expect(result.edit).toMatchObject({ newStatus: 'fallback', provider: 'mock' });
+    expect(revision.getTranslationHistory('msg-revision')).toHaveLength(2);
+  });
+
+  describe('Modifications pendant la re-traduction', () => {
+    let duringTranslation;
+
+    beforeAll(() => {
+      providers.registerProvider({
+        name: 'racing',
+        capabilities: ['translate'],
+        isAvailable: () => true,
+        handlers: {
+          translate: async ({ text }) => {
+            duringTranslation();
+            return `EN: ${text}`;
+          }
+        }
+      });
+      helpers.addGroupMessage(groupId, {
+        id: 'msg-race',
+        from: 'anna@example.com',
+        fromDisplayName: 'Anna',
+        content: 'Réunion à midi',
+        originalLang: 'fr',
+        timestamp: Date.now(),
+        translations: { en: 'Meeting at noon', zh: '中午开会' },
+        translationStatus: { en: 'fallback', zh: 'ok' }
+      });
+    });
+
+    afterAll(() => {
+      providers.unregisterProvider('racing');
+    });
+
+    test('Les autres langues modifiées entre-temps devraient être conservées', async () => {
+      duringTranslation = () => revision.correctTranslation(revision.findMessage('msg-race'), { lang: 'zh', text: '中午十二点开会' }, 'li@example.com');
+
+      const result = await revision.retranslateMessage(revision.findMessage('msg-race'), { lang: 'en', provider: 'racing', requestedBy: 'li@example.com' });
+
+      expect(result.success).toBe(true);
+      const row = db.messagesDB.get('msg-race');
+      expect(JSON.parse(row.translations)).toEqual({ en: 'EN: Réunion à midi', zh: '中午十二点开会' });
+      expect(JSON.parse(row.translation_status)).toEqual({ en: 'ok', zh: 'corrected' });
+    });
+
+    test('Le résultat devrait être abandonné si le message a été modifié', async () => {
+      duringTranslation = () => db.messagesDB.update('msg-race', { content: 'Réunion à 14h', translations: {}, translationStatus: {} });
+
+      const result = await revision.retranslateMessage(revision.findMessage('msg-race'), { lang: 'en', provider: 'racing', requestedBy: 'li@example.com' });
+
+      expect(result).toMatchObject({ success: false, conflict: true });
+      expect(JSON.parse(db.messagesDB.get('msg-race').translations)).toEqual({});
+      expect(revision.getTranslationHistory('msg-race', 'en')).toHaveLength(1);
+    });
+
+    test('Le conflit devrait être signalé comme tel au client Socket.IO', async () => {
+      duringTranslation = () => db.messagesDB.update('msg-race', { content: 'Réunion à 15h' });
+      const io = fakeIo();
+      const socket = fakeSocket('li@example.com');
+
+      await handlers.handleRetranslateMessage(io, socket, { messageId: 'msg-race', lang: 'en', provider: 'racing' });
+
+      expect(socket.emitted).toEqual([{
+        event: 'retranslation_failed',
+        payload: { messageId: 'msg-race', lang: 'en', conflict: true, error: 'Le message a été modifié pendant la re-traduction' }
+      }]);
+      expect(io.emitted).toEqual([]);
+    });
+  });
+});
+
+describe('Corrections', () => {
+  test('Devrait appliquer une correction avec le statut "corrected"', () => {
+    const target = revision.findMessage('dm-revision');
+    const edit = revision.correctTranslation(target, { lang: 'zh', text: '非常感谢' }, 'li@example.com');
+
+    expect(edit).toMatchObject({ previousText: null, previousStatus: 'failed', newStatus: 'corrected', source: 'correction' });
+    expect(revision.buildTranslationUpdatedEvent(target, edit)).toMatchObject({
+      conversationId: 'anna@example.com_li@example.com',
+      messageId: 'dm-revision',
+      lang: 'zh',
+      text: '非常感谢',
+      status: 'corrected',
+      editedBy: 'li@example.com'
+    });
+
+    const [stored] = helpers.getConversationMessages('anna@example.com_li@example.com');
+    expect(stored.translations.zh).toBe('非常感谢');
+  });
+
+  test('L\'historique devrait conserver chaque version', () => {
+    revision.correctTranslation(revision.findMessage('dm-revision'), { lang: 'zh', text: '太感谢了' }, 'li@example.com');
+
+    const history = revision.getTranslationHistory('dm-revision', 'zh');
+    expect(history.map(edit => edit.newText)).toEqual(['非常感谢', '太感谢了']);
+    expect(history[1].previousText).toBe('非常感谢');
+  });
+
+  test('Une correction saisie sur l\'ancien texte ne devrait pas s\'appliquer au message modifié', async () => {
+    const target = revision.findMessage('dm-revision');
+    db.directMessagesDB.update('dm-revision', { content: 'Merci infiniment' });
+
+    expect(revision.correctTranslation(target, { lang: 'zh', text: '非常感谢你', expectedContent: 'Merci beaucoup' }, 'li@example.com')).toBeNull();
+    expect(revision.getTranslationHistory('dm-revision', 'zh')).toHaveLength(2);
+
+    const socket = fakeSocket('li@example.com');
+    const io = fakeIo();
+    await handlers.handleCorrectTranslation(io, socket, {
+      messageId: 'dm-revision',
+      lang: 'zh',
+      text: '非常感谢你',
+      originalContent: 'Merci beaucoup'
+    });
+
+    expect(socket.emitted).toEqual([expect.objectContaining({ event: 'error', payload: expect.objectContaining({ conflict: true }) })]);
+    expect(io.emitted).toEqual([]);
+  });
+});
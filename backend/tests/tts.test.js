@@ -0,0 +1,126 @@
+/**
+ * Tests de la synthèse vocale multi-providers
+ * Couvre: Catalogue des voix, voix par défaut d'une langue, préférences utilisateur, négociation du format
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let tts;
+let providers;
+const spoken = [];
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  tts = await import('../src/services/tts.service.js');
+  providers = await import('../src/services/providers.service.js');
+
+  // Serveur local ne produisant que du WAV, avec une voix par langue
+  providers.registerProvider({
+    name: 'local-voices',
+    capabilities: ['speak'],
+    speechFormats: ['wav'],
+    voices: () => [
+      { id: 'fr_FR-siwis-medium', name: 'Siwis', languages: ['fr'] },
+      { id: 'de_DE-thorsten-medium', name: 'Thorsten', languages: ['de'] }
+    ],
+    isAvailable: () => true,
+    priority: 40,
+    handlers: {
+      speak: async ({ text, voice, speed, format }) => {
+        spoken.push({ voice, speed, format });
+        return Buffer.from(`local:${voice}:${text}`);
+      }
+    }
+  });
+
+  db.usersDB.create({ email: 'marie@example.com', password: 'hash' });
+});
+
+afterAll(() => {
+  providers.unregisterProvider('local-voices');
+});
+
+describe('Catalogue des voix', () => {
+  test('Devrait lister les voix des providers disponibles avec un identifiant qualifié', () => {
+    const ids = tts.listVoices().map(voice => voice.id);
+    expect(ids).toEqual(expect.arrayContaining(['mock:mock', 'local-voices:fr_FR-siwis-medium']));
+    expect(ids.some(id => id.startsWith('openai:'))).toBe(false);
+  });
+
+  test('Le filtre de langue garde les voix dédiées et multilingues', () => {
+    const ids = tts.listVoices({ language: 'fr' }).map(voice => voice.id);
+    expect(ids).toContain('local-voices:fr_FR-siwis-medium');
+    expect(ids).toContain('mock:mock');
+    expect(ids).not.toContain('local-voices:de_DE-thorsten-medium');
+  });
+
+  test('Une voix dédiée à la langue est préférée à une voix multilingue', () => {
+    expect(tts.getDefaultVoice('de').id).toBe('local-voices:de_DE-thorsten-medium');
+    expect(tts.getDefaultVoice('ja').id).toBe('mock:mock');
+  });
+
+  test('Un nom de voix seul (ancien format) est retrouvé dans le catalogue', () => {
+    expect(tts.findVoice('fr_FR-siwis-medium').id).toBe('local-voices:fr_FR-siwis-medium');
+    expect(tts.findVoice('openai:nova')).toBeNull();
+  });
+});
+
+describe('Préférences utilisateur', () => {
+  test('Devrait refuser une voix inconnue ou ne couvrant pas la langue', () => {
+    const result = tts.updateUserTtsSettings('marie@example.com', {
+      voices: { en: 'local-voices:fr_FR-siwis-medium', it: 'inconnue' },
+      speed: 9
+    });
+    expect(result.success).toBe(false);
+    expect(result.errors).toHaveLength(3);
+  });
+
+  test('Devrait enregistrer puis fusionner les préférences', () => {
+    tts.updateUserTtsSettings('marie@example.com', { voices: { fr: 'fr_FR-siwis-medium', en: 'mock:mock' }, speed: 1.5 });
+    const result = tts.updateUserTtsSettings('marie@example.com', { voices: { en: null }, format: 'opus' });
+
+    expect(result.success).toBe(true);
+    expect(tts.getUserTtsSettings('marie@example.com')).toEqual({
+      voices: { fr: 'local-voices:fr_FR-siwis-medium' },
+      speed: 1.5,
+      format: 'opus',
+      autoPlay: false
+    });
+  });
+});
+
+describe('Résolution et synthèse', () => {
+  test('Les préférences s\'appliquent sauf paramètres explicites', () => {
+    const fromSettings = tts.resolveSpeechRequest({ text: 'Bonjour', language: 'fr' }, 'marie@example.com');
+    expect(fromSettings.voice.id).toBe('local-voices:fr_FR-siwis-medium');
+    expect(fromSettings.speed).toBe(1.5);
+
+    const explicit = tts.resolveSpeechRequest({ text: 'Bonjour', language: 'fr', voice: 'mock:mock', speed: 0.8 }, 'marie@example.com');
+    expect(explicit).toMatchObject({ speed: 0.8, format: 'opus' });
+    expect(explicit.voice.id).toBe('mock:mock');
+  });
+
+  test('Un format non produit par le provider est remplacé par le sien', async () => {
+    const result = await tts.speak({ text: 'Bonjour', language: 'fr' }, 'marie@example.com');
+
+    expect(result).toMatchObject({ format: 'wav', mimeType: 'audio/wav', voice: 'local-voices:fr_FR-siwis-medium' });
+    expect(result.audio.toString()).toBe('local:fr_FR-siwis-medium:Bonjour');
+    expect(spoken[spoken.length - 1]).toEqual({ voice: 'fr_FR-siwis-medium', speed: 1.5, format: 'wav' });
+  });
+
+  test('Le format demandé est transmis au provider qui le produit', async () => {
+    const result = await tts.speak({ text: 'Hello', voice: 'mock', format: 'opus' });
+    expect(result.mimeType).toBe('audio/ogg');
+    expect(result.audio.toString()).toBe('mock-audio:opus:Hello');
+  });
+
+  test('Devrait rejeter une demande invalide', () => {
+    expect(() => tts.resolveSpeechRequest({ text: '' })).toThrow(tts.TtsRequestError);
+    expect(() => tts.resolveSpeechRequest({ text: 'Salut', format: 'flac' })).toThrow('format invalide');
+    expect(() => tts.resolveSpeechRequest({ text: 'Salut', voice: 'openai:nova' })).toThrow('Voix inconnue');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests des messages vocaux de groupe
+ * Couvre: Transcription côté serveur, enregistrement conservé, transcription par langue, audio synthétisé par langue
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { useTestEnvironment } from './helpers.js';
+
+let db;
+let helpers;
+let voice;
+let messageAudio;
+let providers;
+let uploadsDir;
+let storageDir;
+const groupId = 'group-voice-test';
+
+/**
+ * Enregistrement déposé par multer (diskStorage)
+ */
+function storedRecording(filename) {
+  const filePath = path.join(uploadsDir, filename);
+  fs.writeFileSync(filePath, Buffer.alloc(2048));
+  return { path: filePath, filename, originalname: 'voice.webm', mimetype: 'audio/webm', size: 2048 };
+}
+
+useTestEnvironment();
+
+beforeAll(async () => {
+  db = await import('../src/database.js');
+  helpers = await import('../src/db-helpers.js');
+  voice = await import('../src/services/voice-message.service.js');
+  messageAudio = await import('../src/services/message-audio.service.js');
+  providers = await import('../src/services/providers.service.js');
+
+  uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-uploads-'));
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voice-tts-'));
+  messageAudio.MESSAGE_AUDIO_CONFIG.storageDir = storageDir;
+
+  // Transcription française ; un enregistrement "silence" ne contient aucune parole
+  providers.registerProvider({
+    name: 'voice-recorder',
+    capabilities: ['transcribe'],
+    isAvailable: () => true,
+    priority: 0,
+    handlers: {
+      transcribeSegments: async ({ filename }) => filename.startsWith('silence')
+        ? { text: '', language: 'fr', duration: 1.2, segments: [] }
+        : {
+          text: 'Bonjour à tous, on se retrouve demain matin',
+          language: 'fr',
+          duration: 3.4,
+          segments: [{ start: 0, end: 3.4, text: 'Bonjour à tous, on se retrouve demain matin' }]
+        }
+    }
+  });
+
+  db.usersDB.create({ email: 'ines@example.com', password: 'hash' });
+  db.usersDB.create({ email: 'tom@example.com', password: 'hash' });
+  db.usersDB.update('ines@example.com', { preferred_language: 'fr' });
+  db.usersDB.update('tom@example.com', { preferred_language: 'en' });
+  db.groupsDB.create({ id: groupId, name: 'Vocal', creator: 'ines@example.com' });
+  db.groupsDB.addMember(groupId, { email: 'ines@example.com', displayName: 'Inès', role: 'admin' });
+  db.groupsDB.addMember(groupId, { email: 'tom@example.com', displayName: 'Tom' });
+});
+
+afterAll(() => {
+  providers.unregisterProvider('voice-recorder');
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('Création d\'un message vocal', () => {
+  test('L\'enregistrement est conservé et sa transcription devient le contenu', async () => {
+    const file = storedRecording('voice-1.webm');
+    const { message, targetLangs } = await voice.createVoiceMessage({
+      groupId,
+      sender: 'ines@example.com',
+      fromDisplayName: 'Inès',
+      file,
+      language: 'fr',
+      provider: 'voice-recorder'
+    });
+
+    expect(message).toMatchObject({ content: 'Bonjour à tous, on se retrouve demain matin', originalLang: 'fr' });
+    expect(message.fileInfo).toMatchObject({
+      url: '/uploads/voice-1.webm',
+      mimeType: 'audio/webm',
+      voiceMessage: { duration: 3.4, sourceLang: 'fr', tts: false, audio: {} }
+    });
+    expect(message.translationStatus).toEqual({ en: 'pending' });
+    expect(targetLangs).toEqual(['en']);
+    expect(fs.existsSync(file.path)).toBe(true);
+
+    const stored = helpers.getGroupMessages(groupId).find(m => m.id === message.id);
+    expect(stored.fileInfo.voiceMessage.sourceLang).toBe('fr');
+  });
+
+  test('Un enregistrement sans parole est refusé et supprimé', async () => {
+    const file = storedRecording('silence-1.webm');
+
+    await expect(voice.createVoiceMessage({ groupId, sender: 'ines@example.com', file, provider: 'voice-recorder' }))
+      .rejects.toMatchObject({ name: 'VoiceMessageError', status: 422 });
+    expect(fs.existsSync(file.path)).toBe(false);
+  });
+
+  test('Seuls les formats audio courants sont acceptés', () => {
+    expect(voice.isAllowedVoiceFile('voice.webm')).toBe(true);
+    expect(voice.isAllowedVoiceFile('memo.M4A')).toBe(true);
+    expect(voice.isAllowedVoiceFile('notes.pdf')).toBe(false);
+  });
+});
+
+describe('Traduction et audio par langue', () => {
+  test('La transcription est traduite pour chaque membre', async () => {
+    const { message, targetLangs } = await voice.createVoiceMessage({
+      groupId,
+      sender: 'ines@example.com',
+      file: storedRecording('voice-2.webm'),
+      provider: 'voice-recorder'
+    });
+    const events = [];
+
+    await voice.processVoiceMessage(message, { groupId, targetLangs, provider: 'mock', emit: (event, payload) => events.push({ event, payload }) });
+
+    const translated = events.find(e => e.event === 'message_translation' && e.payload.done);
+    expect(translated.payload).toMatchObject({ messageId: message.id, lang: 'en', text: '[en] Bonjour à tous, on se retrouve demain matin' });
+    expect(events.some(e => e.event === voice.VOICE_MESSAGE_EVENTS.AUDIO)).toBe(false);
+
+    const stored = helpers.getGroupMessages(groupId).find(m => m.id === message.id);
+    expect(stored.translations.en).toBe('[en] Bonjour à tous, on se retrouve demain matin');
+  });
+
+  test('Avec tts, chaque langue reçoit son audio synthétisé', async () => {
+    const { message, targetLangs } = await voice.createVoiceMessage({
+      groupId,
+      sender: 'ines@example.com',
+      file: storedRecording('voice-3.webm'),
+      tts: true,
+      provider: 'voice-recorder'
+    });
+    const events = [];
+
+    const fileInfo = await voice.processVoiceMessage(message, { groupId, targetLangs, provider: 'mock', emit: (event, payload) => events.push({ event, payload }) });
+
+    expect(Object.keys(fileInfo.voiceMessage.audio).sort()).toEqual(['en', 'fr']);
+    const english = fileInfo.voiceMessage.audio.en;
+    expect(english.url).toMatch(/^\/api\/audio\/[a-f0-9]{32}$/);
+    expect(fs.readFileSync(messageAudio.getMessageAudioFile(english.id).filePath).toString())
+      .toBe('mock-audio:mp3:[en] Bonjour à tous, on se retrouve demain matin');
+
+    const audioEvents = events.filter(e => e.event === voice.VOICE_MESSAGE_EVENTS.AUDIO).map(e => e.payload.lang);
+    expect(audioEvents.sort()).toEqual(['en', 'fr']);
+    expect(events[events.length - 1].event).toBe(voice.VOICE_MESSAGE_EVENTS.COMPLETED);
+
+    // Les audios sont enregistrés avec le message (rechargement de l'historique)
+    const stored = helpers.getGroupMessages(groupId).find(m => m.id === message.id);
+    expect(stored.fileInfo.voiceMessage.audio.en.id).toBe(english.id);
+
+    // Un membre qui réécoute réutilise l'audio déjà synthétisé
+    const prepared = messageAudio.prepareMessageAudio({ messageId: message.id, lang: 'en', userEmail: 'tom@example.com' });
+    expect(prepared.entry.id).toBe(english.id);
+  });
+});
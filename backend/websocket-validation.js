@@ -41,6 +41,16 @@ function isObject(value, fieldName) {
   return { valid: true };
 }
 
+/**
+ * Valide qu'une valeur est un booléen
+ */
+function isBoolean(value, fieldName) {
+  if (typeof value !== 'boolean') {
+    return { valid: false, error: `${fieldName} doit être un booléen` };
+  }
+  return { valid: true };
+}
+
 /**
  * Valide qu'une valeur est optionnelle (undefined ou du bon type)
  */
@@ -59,14 +69,18 @@ const validationSchemas = {
     groupId: (value) => isNonEmptyString(value, 'groupId'),
     content: (value) => isStringWithMaxLength(value, 10000, 'content'),
     userLang: (value) => isStringWithMaxLength(value, 10, 'userLang'),
-    fileInfo: (value) => isOptional(value, (v) => isObject(v, 'fileInfo'))
+    fileInfo: (value) => isOptional(value, (v) => isObject(v, 'fileInfo')),
+    translateDocument: (value) => isOptional(value, (v) => isBoolean(v, 'translateDocument')),
+    replyToId: (value) => isOptional(value, (v) => isNonEmptyString(v, 'replyToId')),
+    threadId: (value) => isOptional(value, (v) => isNonEmptyString(v, 'threadId'))
   },
 
   send_dm: {
     toEmail: (value) => isNonEmptyString(value, 'toEmail'),
     content: (value) => isStringWithMaxLength(value, 10000, 'content'),
     userLang: (value) => isStringWithMaxLength(value, 10, 'userLang'),
-    fileInfo: (value) => isOptional(value, (v) => isObject(v, 'fileInfo'))
+    fileInfo: (value) => isOptional(value, (v) => isObject(v, 'fileInfo')),
+    replyToId: (value) => isOptional(value, (v) => isNonEmptyString(v, 'replyToId'))
   },
 
   user_typing: {
@@ -85,6 +99,30 @@ const validationSchemas = {
     messageId: (value) => isNonEmptyString(value, 'messageId')
   },
 
+  mark_thread_read: {
+    groupId: (value) => isNonEmptyString(value, 'groupId'),
+    threadId: (value) => isNonEmptyString(value, 'threadId')
+  },
+
+  edit_message: {
+    messageId: (value) => isNonEmptyString(value, 'messageId'),
+    content: (value) => isStringWithMaxLength(value, 10000, 'content'),
+    translationProvider: (value) => isOptional(value, (v) => isStringWithMaxLength(v, 50, 'translationProvider'))
+  },
+
+  retranslate_message: {
+    messageId: (value) => isNonEmptyString(value, 'messageId'),
+    lang: (value) => isStringWithMaxLength(value, 10, 'lang'),
+    provider: (value) => isOptional(value, (v) => isStringWithMaxLength(v, 50, 'provider'))
+  },
+
+  correct_translation: {
+    messageId: (value) => isNonEmptyString(value, 'messageId'),
+    lang: (value) => isStringWithMaxLength(value, 10, 'lang'),
+    text: (value) => isStringWithMaxLength(value, 10000, 'text'),
+    originalContent: (value) => isOptional(value, (v) => isStringWithMaxLength(v, 10000, 'originalContent'))
+  },
+
   join_group: {
     groupId: (value) => isNonEmptyString(value, 'groupId')
   },
@@ -4,7 +4,8 @@ const VAD_CONFIG = {
   VOLUME_THRESHOLD: 0.015,     // Seuil de détection de voix (plus sensible)
   SILENCE_DURATION: 1000,      // Durée de silence pour arrêter (ms) - plus rapide
   MIN_RECORDING_DURATION: 600, // Durée minimale d'enregistrement (ms) - plus rapide
-  RECORDING_INTERVAL: 80       // Intervalle d'analyse (ms) - plus réactif
+  RECORDING_INTERVAL: 80,      // Intervalle d'analyse (ms) - plus réactif
+  SEGMENT_GAP: 300             // Silence séparant deux segments de parole (diarisation, ms)
 };
 
 // Configuration des notifications
@@ -221,15 +222,28 @@ function generateAvatarHTML(user, size = 40) {
 // ===================================
 
 // Mettre en évidence les mentions dans un texte
+// mentions : mentions résolues par le serveur ({ type, email, displayName })
 function highlightMentions(text, mentions = []) {
   if (!text) return text;
 
-  // Regex pour détecter les @mentions
-  const mentionRegex = /@(\w+)/g;
+  const style = 'background: rgba(var(--accent-primary-rgb, 0, 255, 157), 0.2); color: var(--accent-primary); font-weight: bold; padding: 2px 4px; border-radius: 4px;';
+  const ownStyle = 'background: var(--accent-primary); color: #000; font-weight: bold; padding: 2px 4px; border-radius: 4px;';
 
-  return text.replace(mentionRegex, (match, username) => {
-    // Style pour les mentions
-    return `<span style="background: rgba(var(--accent-primary-rgb, 0, 255, 157), 0.2); color: var(--accent-primary); font-weight: bold; padding: 2px 4px; border-radius: 4px;">${match}</span>`;
+  // Messages sans mentions résolues (anciens messages) : détection simple
+  if (!mentions || mentions.length === 0) {
+    return text.replace(/@(\w+)/g, (match) => `<span style="${style}">${match}</span>`);
+  }
+
+  // Noms les plus longs d'abord ("@Marie Claire" avant "@Marie")
+  const targets = mentions
+    .map(m => ({ name: m.type === 'all' ? 'all' : m.displayName, isMe: m.type === 'all' || m.email === state.user?.email }))
+    .filter(m => m.name)
+    .sort((a, b) => b.name.length - a.name.length);
+  const pattern = targets.map(m => m.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+
+  return text.replace(new RegExp(`@(${pattern})`, 'gi'), (match, name) => {
+    const target = targets.find(m => m.name.toLowerCase() === name.toLowerCase());
+    return `<span style="${target?.isMe ? ownStyle : style}">${match}</span>`;
   });
 }
 
@@ -321,13 +335,13 @@ function refreshOnlineIndicators() {
 
 // Configuration des langues
 const LANGUAGES = {
-  fr: { name: 'Français', flag: '🇫🇷', nativeName: 'Français', code: 'fr', voice: 'onyx' },
-  en: { name: 'English', flag: '🇬🇧', nativeName: 'English', code: 'en', voice: 'alloy' },
-  zh: { name: '中文', flag: '🇨🇳', nativeName: '中文', code: 'zh', voice: 'nova' },
-  de: { name: 'Deutsch', flag: '🇩🇪', nativeName: 'Deutsch', code: 'de', voice: 'onyx' },
-  es: { name: 'Español', flag: '🇪🇸', nativeName: 'Español', code: 'es', voice: 'onyx' },
-  it: { name: 'Italiano', flag: '🇮🇹', nativeName: 'Italiano', code: 'it', voice: 'alloy' },
-  pt: { name: 'Português', flag: '🇵🇹', nativeName: 'Português', code: 'pt', voice: 'shimmer' }
+  fr: { name: 'Français', flag: '🇫🇷', nativeName: 'Français', code: 'fr' },
+  en: { name: 'English', flag: '🇬🇧', nativeName: 'English', code: 'en' },
+  zh: { name: '中文', flag: '🇨🇳', nativeName: '中文', code: 'zh' },
+  de: { name: 'Deutsch', flag: '🇩🇪', nativeName: 'Deutsch', code: 'de' },
+  es: { name: 'Español', flag: '🇪🇸', nativeName: 'Español', code: 'es' },
+  it: { name: 'Italiano', flag: '🇮🇹', nativeName: 'Italiano', code: 'it' },
+  pt: { name: 'Português', flag: '🇵🇹', nativeName: 'Português', code: 'pt' }
 };
 
 // Traductions de l'interface de sélection et pricing
@@ -765,7 +779,18 @@ let state = {
   lang2: null,   // Langue de traduction
   mode: 'push-to-talk',  // Mode: 'realtime' ou 'push-to-talk' - PTT par défaut
   processingQueue: [],  // Queue de traitement des enregistrements
-  isProcessingAPI: false  // Traitement API en cours
+  isProcessingAPI: false,  // Traitement API en cours
+  diarizationEnabled: localStorage.getItem('diarization_enabled') === 'true',  // Distinguer les locuteurs
+  ttsSettings: null,  // Préférences de synthèse vocale (GET /api/profile/tts)
+  speakerProfiles: [],  // Empreintes de voix renvoyées par le serveur (S1, S2...)
+  vadSegments: [],  // Segments de parole de l'enregistrement en cours
+  currentVadSegment: null,
+  recordedVadSegments: [],  // Segments de l'enregistrement qui vient de s'arrêter
+  streamingEnabled: localStorage.getItem('speech_streaming') !== 'false',  // Traduction en continu côté serveur
+  speechStream: null,  // Flux ouvert { id, sampleRate }
+  speechStreamStarting: false,
+  pcmProcessor: null,  // Capture PCM du micro pour le flux
+  streamAudioQueue: Promise.resolve()  // Lecture dans l'ordre des traductions du flux
 };
 
 // Éléments DOM
@@ -2328,6 +2353,13 @@ function searchMessages() {
   // Afficher le bouton clear
   clearBtn.style.display = 'block';
 
+  // Recherche serveur : tout l'historique du groupe, dans toutes les langues
+  if (Array.from(searchTerm).length >= SERVER_SEARCH_MIN_LENGTH) {
+    clearTimeout(serverSearchTimeout);
+    serverSearchTimeout = setTimeout(() => searchGroupHistory(searchTerm), 300);
+    return;
+  }
+
   // Filtrer les messages
   const userLang = state.lang1;
   const filteredMessages = currentGroupMessages.filter(msg => {
@@ -2373,9 +2405,10 @@ function displaySearchResults(messages, searchTerm) {
             <div style="font-size: 0.75em; margin-top: 4px; opacity: 0.6;">${new Date(msg.timestamp).toLocaleTimeString()}</div>
           </div>
           <div style="display: flex; gap: 8px; margin-top: 4px; justify-content: ${isOwnMessage ? 'flex-end' : 'flex-start'}; flex-wrap: wrap;">
-            ${!msg.fileInfo ? `<button onclick="playMessageAudio('${translation.replace(/'/g, "\\'")}', '${userLang}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('listen')}">🔊</button>` : ''}
+            ${!msg.fileInfo ? `<button onclick="playMessageAudio('${msg.id || ''}', '${translation.replace(/'/g, "\\'")}', '${userLang}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('listen')}">🔊</button>` : ''}
             ${!msg.fileInfo ? `<button onclick="copyMessage('${translation.replace(/'/g, "\\'")}', '${msg.id || Date.now()}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('copy')}">📋</button>` : ''}
             ${generateReactionButtons(msg.id)}
+            ${generateEditAction(msg)}
             ${isOwnMessage ? `<button onclick="deleteMessage('${msg.id}')" style="background: rgba(255,107,107,0.2); border: 1px solid #ff6b6b; color: #ff6b6b; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Supprimer">🗑️</button>` : ''}
           </div>
           ${generateReactionsDisplay(msg.reactions, msg.id)}
@@ -2388,12 +2421,76 @@ function displaySearchResults(messages, searchTerm) {
   container.scrollTop = container.scrollHeight;
 }
 
+// Longueur minimale d'un terme pour la recherche serveur (index trigramme)
+const SERVER_SEARCH_MIN_LENGTH = 3;
+let serverSearchTimeout = null;
+
+// Rechercher dans tout l'historique du groupe ouvert (texte original et traductions)
+async function searchGroupHistory(searchTerm) {
+  const groupId = currentChatGroupId;
+  if (!groupId) return;
+
+  try {
+    const params = new URLSearchParams({ q: searchTerm, groupId, limit: '50' });
+    const response = await fetch(`${API_BASE_URL}/api/search?${params}`, {
+      headers: { 'Authorization': `Bearer ${state.token}` }
+    });
+    const data = await response.json();
+
+    // Recherche modifiée ou groupe fermé entre-temps
+    const searchInput = document.getElementById('chatSearchInput');
+    if (groupId !== currentChatGroupId || searchInput.value.trim().toLowerCase() !== searchTerm) return;
+
+    if (!response.ok) {
+      console.error('Search error:', data.error, data.errors);
+      return;
+    }
+
+    displayServerSearchResults(data.results, searchTerm, data.hasMore);
+  } catch (error) {
+    console.error('Error searching messages:', error);
+  }
+}
+
+// Afficher les résultats de la recherche serveur (extraits mis en évidence par le serveur)
+function displayServerSearchResults(results, searchTerm, hasMore) {
+  const container = document.getElementById('chatMessagesContent');
+  const resultsCount = document.getElementById('searchResultsCount');
+
+  resultsCount.textContent = `${results.length}${hasMore ? '+' : ''} résultat${results.length > 1 ? 's' : ''}`;
+  resultsCount.style.display = 'block';
+
+  if (results.length === 0) {
+    container.innerHTML = `<p style="color: #888; text-align: center;">Aucun message trouvé pour "${escapeHtml(searchTerm)}"</p>`;
+    return;
+  }
+
+  container.innerHTML = results.map(result => `
+    <div onclick="openSearchResult('${result.groupId}', '${result.messageId}')" style="margin-bottom: 10px; padding: 10px 14px; background: rgba(255,255,255,0.1); border-radius: 12px; cursor: pointer; color: #fff;" title="Aller au message">
+      <div style="font-size: 0.85em; opacity: 0.8; margin-bottom: 4px;">
+        <strong>${escapeHtml(result.fromDisplayName || result.from)}</strong>
+        · ${new Date(result.timestamp).toLocaleString()}
+        · ${escapeHtml(result.lang || '')}${result.threadId ? ' · 🧵' : ''}${result.hasFile ? ' · 📎' : ''}
+      </div>
+      <div>${result.snippet}</div>
+    </div>
+  `).join('');
+}
+
+// Ouvrir un résultat de recherche dans l'historique
+function openSearchResult(groupId, messageId) {
+  clearSearch();
+  jumpToGroupMessage(groupId, messageId);
+}
+
 // Effacer la recherche
 function clearSearch() {
   const searchInput = document.getElementById('chatSearchInput');
   const clearBtn = document.getElementById('clearSearchBtn');
   const resultsCount = document.getElementById('searchResultsCount');
 
+  clearTimeout(serverSearchTimeout);
+
   if (searchInput) {
     searchInput.value = '';
     clearBtn.style.display = 'none';
@@ -2664,9 +2761,398 @@ async function uploadFile(file) {
   }
 }
 
+// Indiquer la langue d'origine, ou une traduction dégradée (provider de secours, cache, ou échec)
+function generateTranslationStatusDisplay(msg, userLang) {
+  const status = msg.translationStatus && msg.translationStatus[userLang];
+  if (!status || status === 'ok') {
+    const isTranslated = msg.translations && msg.translations[userLang];
+    if (!isTranslated || !msg.originalLang || msg.originalLang === 'auto' || msg.originalLang === userLang) return '';
+    return `<div style="font-size: 0.75em; margin-top: 4px; opacity: 0.5;">🌐 Traduit de : ${msg.originalLang.toUpperCase()}</div>`;
+  }
+
+  const labels = {
+    pending: '⏳ Traduction en cours...',
+    failed: '⚠️ Traduction indisponible, message original affiché',
+    corrected: '✏️ Traduction corrigée par un membre'
+  };
+  const label = labels[status] || '⚠️ Traduction de secours';
+
+  return `<div style="font-size: 0.75em; margin-top: 4px; opacity: 0.7; font-style: italic;">${label}</div>`;
+}
+
+// Boutons de re-traduction / correction (messages traduits vers la langue de l'utilisateur)
+function generateTranslationActions(msg, userLang) {
+  const status = msg.translationStatus && msg.translationStatus[userLang];
+  const isTranslated = (msg.translations && msg.translations[userLang]) || status === 'failed';
+  if (!msg.content || !isTranslated || status === 'pending') return '';
+
+  return `
+    <button onclick="requestRetranslation('${msg.id}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Re-traduire">🔄</button>
+    <button onclick="submitTranslationCorrection('${msg.id}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Corriger la traduction">✏️</button>
+  `;
+}
+
+// Demander une nouvelle traduction (autre provider si indiqué)
+function requestRetranslation(messageId) {
+  if (!socket || !socket.connected) {
+    alert('❌ Non connecté au serveur');
+    return;
+  }
+
+  const provider = prompt('Provider à utiliser (openai, deepseek, local...) — laisser vide pour automatique', '');
+  if (provider === null) return;
+
+  socket.emit('retranslate_message', {
+    messageId,
+    lang: state.lang1,
+    provider: provider.trim() || undefined
+  });
+}
+
+// Remplacer la traduction par une correction
+function submitTranslationCorrection(messageId) {
+  if (!socket || !socket.connected) {
+    alert('❌ Non connecté au serveur');
+    return;
+  }
+
+  const message = [...currentGroupMessages, ...currentDMMessages].find(m => m.id === messageId);
+  if (!message) return;
+
+  const current = (message.translations && message.translations[state.lang1]) || message.content;
+  const text = prompt(`Traduction corrigée (original : ${message.content})`, current);
+  if (text === null || !text.trim() || text.trim() === current) return;
+
+  socket.emit('correct_translation', { messageId, lang: state.lang1, text: text.trim(), originalContent: message.content });
+}
+
+// ===================================
+// MODIFICATION DE MESSAGES
+// ===================================
+
+// Bouton de modification (auteur uniquement ; le serveur vérifie le délai autorisé)
+function generateEditAction(msg) {
+  if (msg.from !== state.user.email || !msg.content || msg.fileInfo?.voiceMessage) return '';
+
+  return `<button onclick="editOwnMessage('${msg.id}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Modifier le message">📝</button>`;
+}
+
+// Mention "modifié" à côté de l'heure
+function generateEditedMarker(msg) {
+  if (!msg.editedAt) return '';
+  return ` · <span title="Modifié à ${new Date(msg.editedAt).toLocaleTimeString()}">modifié</span>`;
+}
+
+// Modifier son propre message (re-traduit pour tous les destinataires)
+function editOwnMessage(messageId) {
+  if (!socket || !socket.connected) {
+    alert('❌ Non connecté au serveur');
+    return;
+  }
+
+  const message = [...currentGroupMessages, ...openThread.messages, ...currentDMMessages].find(m => m.id === messageId);
+  if (!message) return;
+
+  const content = prompt('Modifier le message', message.content);
+  if (content === null || !content.trim() || content.trim() === message.content) return;
+
+  socket.emit('edit_message', { messageId, content: content.trim(), translationProvider: state.provider });
+}
+
+// ===================================
+// RÉPONSES CITÉES ET FILS DE DISCUSSION
+// ===================================
+
+// Réponse en cours de rédaction : { target: 'group' | 'thread' | 'dm', message }
+let replyingTo = null;
+// Fil ouvert dans le chat de groupe (message racine et réponses)
+const openThread = { root: null, messages: [] };
+// Réponses non lues par fil suivi (groupe ouvert) : threadId -> nombre
+let threadUnread = {};
+
+const REPLY_BARS = { group: 'replyPreviewBar', thread: 'threadReplyPreviewBar', dm: 'dmReplyPreviewBar' };
+const REPLY_INPUTS = { group: 'chatMessageInput', thread: 'threadMessageInput', dm: 'dmMessageInput' };
+
+// Extrait du message cité, dans la langue de l'utilisateur
+function generateReplyQuote(msg, userLang) {
+  const reply = msg.replyTo;
+  if (!reply) return '';
+
+  const text = reply.deleted
+    ? '<em>Message supprimé</em>'
+    : `<strong>${escapeHtml(reply.fromDisplayName || reply.from)}</strong> : ${escapeHtml((reply.translations && reply.translations[userLang]) || reply.snippet || '')}`;
+
+  return `<div style="border-left: 3px solid rgba(0,0,0,0.3); padding: 2px 8px; margin-bottom: 6px; font-size: 0.8em; opacity: 0.75;">↩️ ${text}</div>`;
+}
+
+// Bouton "Répondre"
+function generateReplyAction(msg, target) {
+  return `<button onclick="startReply('${msg.id}', '${target}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Répondre">↩️</button>`;
+}
+
+// Lien vers le fil d'un message du fil principal (nombre de réponses et non lues)
+function generateThreadAction(msg) {
+  const replyCount = msg.thread?.replyCount || 0;
+  const unread = threadUnread[msg.id] || 0;
+  const label = replyCount > 0 ? `🧵 ${replyCount} réponse${replyCount > 1 ? 's' : ''}` : '🧵';
+  const badge = unread > 0 ? ` <span style="background: #ff6b6b; color: #fff; border-radius: 8px; padding: 0 6px;">${unread}</span>` : '';
+
+  return `<button onclick="openMessageThread('${msg.id}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Répondre dans un fil">${label}${badge}</button>`;
+}
+
+// Citer un message dans la prochaine réponse
+function startReply(messageId, target) {
+  const messages = target === 'dm'
+    ? currentDMMessages
+    : target === 'thread' ? [openThread.root, ...openThread.messages].filter(Boolean) : currentGroupMessages;
+  const message = messages.find(m => m.id === messageId);
+  if (!message) return;
+
+  cancelReply();
+  replyingTo = { target, message };
+
+  const text = (message.translations && message.translations[state.lang1]) || message.content || '';
+  const bar = document.getElementById(REPLY_BARS[target]);
+  bar.querySelector('.reply-preview-text').textContent = `↩️ ${message.fromDisplayName || message.from} : ${text.slice(0, 140)}`;
+  bar.style.display = 'flex';
+  document.getElementById(REPLY_INPUTS[target]).focus();
+}
+
+// Annuler la citation en cours
+function cancelReply() {
+  if (!replyingTo) return;
+  document.getElementById(REPLY_BARS[replyingTo.target]).style.display = 'none';
+  replyingTo = null;
+}
+
+// ID du message cité pour un envoi (puis réinitialisation)
+function takeReplyToId(target) {
+  if (replyingTo?.target !== target) return null;
+  const replyToId = replyingTo.message.id;
+  cancelReply();
+  return replyToId;
+}
+
+// Ouvrir le fil d'un message
+async function openMessageThread(messageId) {
+  if (!currentChatGroupId) return;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/groups/${currentChatGroupId}/messages/${messageId}/thread`, {
+      headers: { 'Authorization': `Bearer ${state.token}` }
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(`❌ ${data.error}`);
+      return;
+    }
+
+    if (replyingTo?.target === 'thread') {
+      cancelReply();
+    }
+    openThread.root = data.root;
+    openThread.messages = data.messages;
+    document.getElementById('threadPanel').style.display = 'block';
+    displayThreadMessages();
+    markOpenThreadRead();
+  } catch (error) {
+    console.error('Error opening thread:', error);
+    alert('❌ Erreur lors de l\'ouverture du fil');
+  }
+}
+
+function closeMessageThread() {
+  if (replyingTo?.target === 'thread') {
+    cancelReply();
+  }
+  openThread.root = null;
+  openThread.messages = [];
+  document.getElementById('threadPanel').style.display = 'none';
+  document.getElementById('threadMessageInput').value = '';
+}
+
+// Le fil ouvert est lu jusqu'à maintenant (synchronisé avec les autres sessions)
+function markOpenThreadRead() {
+  if (!openThread.root || !socket || !socket.connected) return;
+  socket.emit('mark_thread_read', { groupId: currentChatGroupId, threadId: openThread.root.id });
+}
+
+// Afficher le message racine et les réponses du fil ouvert
+function displayThreadMessages() {
+  const container = document.getElementById('threadMessagesContent');
+  const userLang = state.lang1;
+  const messages = [openThread.root, ...openThread.messages].filter(Boolean);
+
+  container.innerHTML = messages.map((msg, index) => {
+    const translation = (msg.translations && msg.translations[userLang]) || msg.content;
+    const isOwnMessage = msg.from === state.user.email;
+
+    return `
+      <div style="margin-bottom: 12px; display: flex; flex-direction: column; align-items: ${isOwnMessage ? 'flex-end' : 'flex-start'};${index === 0 ? ' border-bottom: 1px solid rgba(255,255,255,0.1); padding-bottom: 12px;' : ''}">
+        <div style="display: inline-block; max-width: 85%;">
+          <div style="background: ${isOwnMessage ? '#00ff9d' : 'rgba(255,255,255,0.1)'}; color: ${isOwnMessage ? '#000' : '#fff'}; padding: 8px 12px; border-radius: 12px; word-wrap: break-word;">
+            <div style="font-weight: bold; font-size: 0.85em; margin-bottom: 4px; opacity: 0.8;">${msg.fromDisplayName}</div>
+            ${generateReplyQuote(msg, userLang)}
+            ${msg.fileInfo ? generateFileDisplay(msg.fileInfo) : ''}
+            <div>${highlightMentions(translation, msg.mentions)}</div>
+            <div style="font-size: 0.75em; margin-top: 4px; opacity: 0.6;">${new Date(msg.timestamp).toLocaleTimeString()}${generateEditedMarker(msg)}</div>
+            ${generateTranslationStatusDisplay(msg, userLang)}
+          </div>
+          <div style="display: flex; gap: 8px; margin-top: 4px; justify-content: ${isOwnMessage ? 'flex-end' : 'flex-start'};">
+            ${generateReplyAction(msg, 'thread')}
+            ${generateEditAction(msg)}
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  container.scrollTop = container.scrollHeight;
+}
+
+// Répondre dans le fil ouvert
+function sendThreadMessage() {
+  const input = document.getElementById('threadMessageInput');
+  const content = input.value.trim();
+  if (!content || !openThread.root) return;
+
+  if (!socket || !socket.connected) {
+    alert('❌ Non connecté au serveur');
+    return;
+  }
+
+  socket.emit('send_message', {
+    groupId: currentChatGroupId,
+    content,
+    userLang: state.lang1,
+    threadId: openThread.root.id,
+    replyToId: takeReplyToId('thread')
+  });
+
+  input.value = '';
+}
+
+// Message d'un fil du groupe ouvert : liste du fil ou compteur de non lus
+function handleThreadMessage({ groupId, threadId, message }) {
+  if (groupId !== currentChatGroupId) return;
+
+  if (openThread.root?.id === threadId) {
+    openThread.messages.push(message);
+    displayThreadMessages();
+    markOpenThreadRead();
+    return;
+  }
+
+  // Fil suivi : lancé par l'utilisateur ou déjà compté comme non lu
+  const root = currentGroupMessages.find(m => m.id === threadId);
+  if (message.from !== state.user.email && (threadId in threadUnread || root?.from === state.user.email)) {
+    threadUnread[threadId] = (threadUnread[threadId] || 0) + 1;
+    scheduleTranslationRender('group');
+  }
+}
+
+// Nombre de réponses d'un fil mis à jour (nouvelle réponse ou suppression)
+function handleThreadUpdated({ groupId, threadId, replyCount, lastReplyAt }) {
+  if (groupId !== currentChatGroupId) return;
+
+  const root = currentGroupMessages.find(m => m.id === threadId);
+  if (!root) return;
+
+  root.thread = replyCount > 0 ? { replyCount, lastReplyAt } : null;
+  scheduleTranslationRender('group');
+}
+
+// ===================================
+// PAGINATION DE L'HISTORIQUE
+// ===================================
+
+// Curseurs de la page affichée (pageInfo renvoyé par le serveur) pour le groupe et le DM ouverts
+const historyPages = { group: null, dm: null };
+
+// URL de l'historique de la conversation ouverte
+function historyUrl(target, params = {}) {
+  const base = target === 'group'
+    ? `${API_BASE_URL}/api/groups/${currentChatGroupId}/messages`
+    : `${API_BASE_URL}/api/dms/${currentDMUser.email}`;
+  const query = new URLSearchParams(params).toString();
+  return query ? `${base}?${query}` : base;
+}
+
+// Bouton de chargement des messages précédents ou suivants
+function generateHistoryControl(target, direction) {
+  const pageInfo = historyPages[target];
+  const visible = direction === 'older' ? pageInfo?.hasOlder : pageInfo?.hasNewer;
+  if (!visible) return '';
+
+  const label = direction === 'older' ? '⬆️ Messages précédents' : '⬇️ Messages suivants';
+  return `<div style="text-align: center; margin: 8px 0;"><button onclick="loadMoreHistory('${target}', '${direction}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 6px 14px; border-radius: 6px; cursor: pointer; font-size: 0.85em;">${label}</button></div>`;
+}
+
+// Charger la page précédente ou suivante de la conversation ouverte
+async function loadMoreHistory(target, direction) {
+  const pageInfo = historyPages[target];
+  if (!pageInfo) return;
+
+  const params = direction === 'older' ? { before: pageInfo.olderCursor } : { after: pageInfo.newerCursor };
+
+  try {
+    const response = await fetch(historyUrl(target, params), {
+      headers: { 'Authorization': `Bearer ${state.token}` }
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(`❌ ${data.error}`);
+      return;
+    }
+
+    const current = target === 'group' ? currentGroupMessages : currentDMMessages;
+    // Garder à l'écran le message affiché au bord de la nouvelle page
+    const edgeId = direction === 'older' ? current[0]?.id : current[current.length - 1]?.id;
+    const messages = direction === 'older' ? [...data.messages, ...current] : [...current, ...data.messages];
+
+    if (direction === 'older') {
+      historyPages[target] = { ...pageInfo, hasOlder: data.pageInfo.hasOlder, olderCursor: data.pageInfo.olderCursor };
+    } else {
+      historyPages[target] = { ...pageInfo, hasNewer: data.pageInfo.hasNewer, newerCursor: data.pageInfo.newerCursor };
+    }
+
+    if (target === 'group') {
+      displayMessages(messages);
+    } else {
+      currentDMMessages = messages;
+      displayDMMessages(messages);
+    }
+    scrollToMessage(target, edgeId, false);
+  } catch (error) {
+    console.error('Error loading message history:', error);
+    alert('❌ Erreur lors du chargement des messages');
+  }
+}
+
+// Faire défiler jusqu'à un message (et le mettre en évidence)
+function scrollToMessage(target, messageId, highlight = true) {
+  const container = document.getElementById(target === 'group' ? 'chatMessagesContent' : 'dmMessagesContent');
+  const element = messageId && container.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+  if (!element) return;
+
+  element.scrollIntoView({ block: highlight ? 'center' : 'start' });
+  if (highlight) {
+    element.style.outline = '2px solid #00ff9d';
+    setTimeout(() => { element.style.outline = ''; }, 2000);
+  }
+}
+
+// Ouvrir un groupe sur un message précis (mention, notification...)
+function jumpToGroupMessage(groupId, messageId) {
+  return openGroupChat(groupId, messageId);
+}
+
 // Générer l'affichage d'un fichier dans un message
 function generateFileDisplay(fileInfo) {
   if (!fileInfo) return '';
+  if (fileInfo.voiceMessage) return generateVoiceMessageDisplay(fileInfo);
 
   const isImage = fileInfo.mimeType && fileInfo.mimeType.startsWith('image/');
   const fileUrl = `${API_BASE_URL}${fileInfo.url}`;
@@ -2701,9 +3187,69 @@ function generateFileDisplay(fileInfo) {
           </div>
           <span>⬇️</span>
         </a>
+        ${generateDocumentTranslationDisplay(fileInfo)}
+      </div>
+    `;
+  }
+}
+
+// Message vocal : enregistrement original, et sa version synthétisée dans
+// la langue de l'utilisateur quand l'expéditeur l'a demandée
+// (la transcription traduite est affichée sous le lecteur, comme pour un fichier)
+function generateVoiceMessageDisplay(fileInfo) {
+  const voice = fileInfo.voiceMessage;
+  const translatedAudio = voice.sourceLang !== state.lang1 ? voice.audio?.[state.lang1] : null;
+  const duration = voice.duration ? `${Math.round(voice.duration)} s` : '';
+
+  return `
+    <div style="margin-top: 8px; padding: 10px; background: rgba(0,0,0,0.2); border-radius: 8px; border: 1px solid rgba(255,255,255,0.2);">
+      <div style="display: flex; align-items: center; gap: 8px;">
+        <span style="font-size: 1.5em;">🎙️</span>
+        <audio controls preload="none" src="${API_BASE_URL}${fileInfo.url}" style="flex: 1; max-width: 260px;"></audio>
+        <span style="font-size: 0.8em; opacity: 0.7;">${duration}</span>
       </div>
+      ${translatedAudio ? `
+        <button onclick="playAudioSource('${API_BASE_URL}${translatedAudio.url}')" style="margin-top: 8px; background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #00d4ff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;">
+          🌐🔊 ${state.lang1.toUpperCase()}
+        </button>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Extensions des documents que le serveur sait traduire
+const TRANSLATABLE_DOCUMENT_EXTENSIONS = ['txt', 'md', 'markdown', 'docx', 'pdf'];
+
+function isTranslatableDocument(fileName) {
+  return TRANSLATABLE_DOCUMENT_EXTENSIONS.includes((fileName || '').toLowerCase().split('.').pop());
+}
+
+// Version traduite d'un document (langue de l'utilisateur) ou progression
+function generateDocumentTranslationDisplay(fileInfo) {
+  const job = fileInfo.documentTranslation;
+  const translated = fileInfo.translatedFiles?.[state.lang1];
+
+  if (translated?.url) {
+    const warning = translated.missingSegments > 0 ? ' ⚠️' : '';
+    return `
+      <a href="${API_BASE_URL}${translated.url}" target="_blank" download="${translated.originalName}" style="color: #00d4ff; text-decoration: none; display: flex; align-items: center; gap: 8px; margin-top: 8px; font-size: 0.9em;">
+        <span>🌐</span>
+        <div style="flex: 1;">${translated.originalName}${warning}</div>
+        <span>⬇️</span>
+      </a>
     `;
   }
+
+  if (job?.status === 'pending' && job.targetLangs?.includes(state.lang1)) {
+    const progress = job.progress?.[state.lang1] ?? 0;
+    return `<div style="margin-top: 8px; font-size: 0.85em; opacity: 0.8;">⏳ Traduction du document... ${progress}%</div>`;
+  }
+
+  if (job?.status === 'failed' || translated?.status === 'failed') {
+    return `<div style="margin-top: 8px; font-size: 0.85em; opacity: 0.7;">⚠️ Traduction du document indisponible</div>`;
+  }
+
+  return '';
 }
 
 // Initialiser l'écran de sélection de langues
@@ -3455,6 +4001,10 @@ function toggleMicrophone() {
 function toggleTTS() {
   state.ttsEnabled = !state.ttsEnabled;
 
+  // Le flux serveur est rouvert avec le nouveau réglage de lecture
+  if (state.speechStream) stopSpeechStream();
+  updateInterpretationSettings();
+
   // Boutons desktop
   const ttsBtn = document.getElementById('ttsBtn');
   const ttsIcon = document.getElementById('ttsIcon');
@@ -3497,33 +4047,105 @@ function toggleTTS() {
   }
 }
 
-// Basculer entre mode temps réel et push-to-talk
-function toggleMode() {
-  // Éléments desktop
-  const modeSwitch = document.getElementById('modeSwitch');
-  const pushToTalkBtn = document.getElementById('pushToTalkBtn');
-  const micBtn = document.getElementById('micBtn');
+// Activer/désactiver la distinction des locuteurs (diarisation)
+function toggleDiarization() {
+  state.diarizationEnabled = !state.diarizationEnabled;
+  localStorage.setItem('diarization_enabled', state.diarizationEnabled);
 
-  // Éléments mobile
-  const modeSwitchMobile = document.getElementById('modeSwitchMobile');
-  const pushToTalkBtnMobile = document.getElementById('pushToTalkBtnMobile');
-  const micBtnMobile = document.getElementById('micBtnMobile');
+  // Nouvelle session : les voix sont réapprises
+  state.speakerProfiles = [];
 
-  if (state.mode === 'realtime') {
-    // Passer en mode push-to-talk
-    state.mode = 'push-to-talk';
+  updateDiarizationButtons();
+}
 
-    // Desktop
-    if (modeSwitch) modeSwitch.classList.add('push-to-talk');
-    if (pushToTalkBtn) pushToTalkBtn.classList.remove('hidden');
-    if (micBtn) {
-      micBtn.style.opacity = '0.3';
-      micBtn.style.pointerEvents = 'none';
-    }
+// Mettre à jour les boutons de diarisation (desktop et mobile)
+function updateDiarizationButtons() {
+  const diarizationBtn = document.getElementById('diarizationBtn');
+  const diarizationText = document.getElementById('diarizationText');
+  const diarizationBtnMobile = document.getElementById('diarizationBtnMobile');
 
-    // Mobile
-    if (modeSwitchMobile) modeSwitchMobile.classList.add('push-to-talk');
-    if (pushToTalkBtnMobile) pushToTalkBtnMobile.classList.remove('hidden');
+  [diarizationBtn, diarizationBtnMobile].forEach(btn => {
+    if (btn) btn.classList.toggle('active', state.diarizationEnabled);
+  });
+  if (diarizationText) diarizationText.textContent = state.diarizationEnabled ? 'Locuteurs ON' : 'Locuteurs OFF';
+}
+
+// Charger les préférences de synthèse vocale (voix, lecture automatique)
+async function loadTtsSettings() {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/profile/tts`, {
+      headers: { 'Authorization': `Bearer ${state.token}` }
+    });
+    if (!response.ok) return;
+
+    state.ttsSettings = (await response.json()).settings;
+    updateAutoPlayButton();
+  } catch (error) {
+    console.error('Erreur chargement préférences TTS:', error);
+  }
+}
+
+// Activer/désactiver la lecture automatique des messages privés reçus
+// (le serveur prépare alors l'audio dès la traduction)
+async function toggleDMAutoPlay() {
+  const autoPlay = !state.ttsSettings?.autoPlay;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/profile/tts`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${state.token}`
+      },
+      body: JSON.stringify({ autoPlay })
+    });
+    if (!response.ok) throw new Error(response.statusText);
+
+    state.ttsSettings = (await response.json()).settings;
+    updateAutoPlayButton();
+  } catch (error) {
+    console.error('Erreur mise à jour lecture automatique:', error);
+    alert('❌ Erreur lors de la mise à jour de la lecture automatique');
+  }
+}
+
+// Mettre à jour le bouton de lecture automatique (conversation privée)
+function updateAutoPlayButton() {
+  const autoPlayBtn = document.getElementById('dmAutoPlayBtn');
+  if (!autoPlayBtn) return;
+
+  const enabled = !!state.ttsSettings?.autoPlay;
+  autoPlayBtn.textContent = enabled ? '🔊 Lecture auto ON' : '🔇 Lecture auto OFF';
+  autoPlayBtn.style.borderColor = enabled ? '#00ff9d' : 'rgba(255,255,255,0.2)';
+}
+
+// Basculer entre mode temps réel et push-to-talk
+function toggleMode() {
+  // Éléments desktop
+  const modeSwitch = document.getElementById('modeSwitch');
+  const pushToTalkBtn = document.getElementById('pushToTalkBtn');
+  const micBtn = document.getElementById('micBtn');
+
+  // Éléments mobile
+  const modeSwitchMobile = document.getElementById('modeSwitchMobile');
+  const pushToTalkBtnMobile = document.getElementById('pushToTalkBtnMobile');
+  const micBtnMobile = document.getElementById('micBtnMobile');
+
+  if (state.mode === 'realtime') {
+    // Passer en mode push-to-talk
+    state.mode = 'push-to-talk';
+
+    // Desktop
+    if (modeSwitch) modeSwitch.classList.add('push-to-talk');
+    if (pushToTalkBtn) pushToTalkBtn.classList.remove('hidden');
+    if (micBtn) {
+      micBtn.style.opacity = '0.3';
+      micBtn.style.pointerEvents = 'none';
+    }
+
+    // Mobile
+    if (modeSwitchMobile) modeSwitchMobile.classList.add('push-to-talk');
+    if (pushToTalkBtnMobile) pushToTalkBtnMobile.classList.remove('hidden');
     if (micBtnMobile) {
       micBtnMobile.style.opacity = '0.3';
       micBtnMobile.style.pointerEvents = 'none';
@@ -3580,11 +4202,19 @@ function updateStatus(status, text) {
   elements.statusText.textContent = text;
 }
 
-// Ajout d'un message dans le panneau
-function addMessage(panel, text) {
+// Ajout d'un message dans le panneau (speaker : locuteur S1, S2... si diarisation)
+function addMessage(panel, text, speaker = null) {
   const messageDiv = document.createElement('div');
   messageDiv.className = 'message';
 
+  if (speaker) {
+    const speakerLabel = document.createElement('span');
+    speakerLabel.className = 'speaker-label';
+    speakerLabel.dataset.speaker = speaker;
+    speakerLabel.textContent = speaker;
+    messageDiv.appendChild(speakerLabel);
+  }
+
   // Créer le conteneur du texte (sélectionnable)
   const textSpan = document.createElement('span');
   textSpan.className = 'message-text';
@@ -3673,10 +4303,98 @@ function updateVUMeter(volume) {
   }
 }
 
+// Empreinte de voix instantanée : hauteur (autocorrélation) et centroïde spectral
+function measureVoiceFeatures() {
+  const sampleRate = state.audioContext.sampleRate;
+
+  const samples = new Float32Array(state.analyser.fftSize);
+  state.analyser.getFloatTimeDomainData(samples);
+
+  // Hauteur fondamentale entre 70 et 400 Hz
+  let pitch = null;
+  let bestCorrelation = 0;
+  for (let lag = Math.floor(sampleRate / 400); lag <= Math.floor(sampleRate / 70); lag++) {
+    let correlation = 0;
+    let energy = 0;
+    for (let i = 0; i < samples.length / 2; i++) {
+      correlation += samples[i] * samples[i + lag];
+      energy += samples[i] * samples[i] + samples[i + lag] * samples[i + lag];
+    }
+    const normalized = energy > 0 ? 2 * correlation / energy : 0;
+    if (normalized > bestCorrelation) {
+      bestCorrelation = normalized;
+      pitch = sampleRate / lag;
+    }
+  }
+  if (bestCorrelation < 0.5) pitch = null;
+
+  const spectrum = new Uint8Array(state.analyser.frequencyBinCount);
+  state.analyser.getByteFrequencyData(spectrum);
+  let weighted = 0;
+  let total = 0;
+  for (let i = 0; i < spectrum.length; i++) {
+    weighted += spectrum[i] * i * sampleRate / state.analyser.fftSize;
+    total += spectrum[i];
+  }
+
+  return { pitch, centroid: total > 0 ? weighted / total : null };
+}
+
+// Clôturer le segment de parole en cours (diarisation)
+function closeVadSegment() {
+  const segment = state.currentVadSegment;
+  if (!segment) return;
+
+  state.vadSegments.push({
+    start: segment.start,
+    end: segment.end,
+    pitch: segment.pitchCount ? segment.pitchSum / segment.pitchCount : null,
+    centroid: segment.centroidCount ? segment.centroidSum / segment.centroidCount : null
+  });
+  state.currentVadSegment = null;
+}
+
+// Découper l'enregistrement en segments de parole avec leur empreinte de voix
+function trackVadSegment(volume, now) {
+  const elapsed = (now - state.recordingStartTime) / 1000;
+
+  if (volume > VAD_CONFIG.VOLUME_THRESHOLD) {
+    if (!state.currentVadSegment) {
+      state.currentVadSegment = { start: elapsed, end: elapsed, lastVoiceAt: now, pitchSum: 0, pitchCount: 0, centroidSum: 0, centroidCount: 0 };
+    }
+    const segment = state.currentVadSegment;
+    const features = measureVoiceFeatures();
+    segment.end = elapsed;
+    segment.lastVoiceAt = now;
+    if (features.pitch) {
+      segment.pitchSum += features.pitch;
+      segment.pitchCount++;
+    }
+    if (features.centroid) {
+      segment.centroidSum += features.centroid;
+      segment.centroidCount++;
+    }
+  } else if (state.currentVadSegment && now - state.currentVadSegment.lastVoiceAt > VAD_CONFIG.SEGMENT_GAP) {
+    closeVadSegment();
+  }
+}
+
 // Détection automatique de la voix (VAD Loop)
 function vadLoop() {
   const volume = analyzeVolume();
 
+  // Segments de parole pour la diarisation (temps réel et push-to-talk)
+  if (state.isRecording && state.diarizationEnabled) {
+    trackVadSegment(volume, Date.now());
+  }
+
+  // Flux serveur : le découpage en phrases est fait côté serveur
+  syncSpeechStream();
+  if (state.speechStream || state.speechStreamStarting) {
+    setTimeout(vadLoop, VAD_CONFIG.RECORDING_INTERVAL);
+    return;
+  }
+
   // Ne pas enregistrer si le micro est désactivé OU en mode push-to-talk
   // IMPORTANT: On ne bloque PLUS sur isSpeaking pour permettre l'écoute continue
   if (!state.micEnabled || state.mode === 'push-to-talk') {
@@ -3721,6 +4439,8 @@ function startRecording() {
   state.audioChunks = [];
   state.recordingStartTime = Date.now();
   state.lastSoundTime = Date.now();
+  state.vadSegments = [];
+  state.currentVadSegment = null;
 
   updateStatus('listening', '🎤 Écoute en cours...');
 
@@ -3734,19 +4454,563 @@ function stopRecording() {
   console.log('⏸️ Arrêt enregistrement');
   state.isRecording = false;
 
+  closeVadSegment();
+  state.recordedVadSegments = state.vadSegments;
+  state.vadSegments = [];
+
   if (state.mediaRecorder.state === 'recording') {
     state.mediaRecorder.stop();
   }
 }
 
+// ===================================
+// TRADUCTION EN CONTINU (FLUX SERVEUR)
+// ===================================
+
+// Mode temps réel : le son est envoyé au serveur qui découpe, transcrit,
+// traduit et synthétise (un seul aller-retour, quota décompté côté serveur).
+// La diarisation reste sur le parcours par enregistrements complets.
+function canUseSpeechStream() {
+  return state.streamingEnabled &&
+    state.mode === 'realtime' &&
+    state.micEnabled &&
+    !state.diarizationEnabled &&
+    !!state.lang1 && !!state.lang2 &&
+    !!socket?.connected;
+}
+
+// Ouvrir ou fermer le flux selon le mode courant
+function syncSpeechStream() {
+  const usable = canUseSpeechStream();
+  if (usable && !state.speechStream && !state.speechStreamStarting) {
+    startSpeechStream();
+  } else if (!usable && state.speechStream) {
+    stopSpeechStream();
+  }
+}
+
+function startSpeechStream() {
+  state.speechStreamStarting = true;
+  if (state.isRecording) stopRecording();
+
+  socket.emit('speech_stream_start', {
+    languages: [state.lang1, state.lang2],
+    tts: state.ttsEnabled,
+    provider: state.provider
+  }, (response) => {
+    state.speechStreamStarting = false;
+    if (!response?.success) {
+      // Repli sur les enregistrements complets
+      console.warn('⚠️ Flux de traduction indisponible:', response?.error);
+      state.streamingEnabled = false;
+      return;
+    }
+    state.speechStream = { id: response.streamId, sampleRate: response.sampleRate };
+    console.log('🟢 Flux de traduction ouvert:', response.streamId);
+  });
+}
+
+function stopSpeechStream() {
+  const stream = state.speechStream;
+  state.speechStream = null;
+  if (stream && socket?.connected) {
+    socket.emit('speech_stream_stop', { streamId: stream.id });
+  }
+}
+
+// Convertir les échantillons du micro en PCM 16 bits à la fréquence du flux
+function downsampleToInt16(samples, fromRate, toRate) {
+  const ratio = fromRate / toRate;
+  const length = Math.floor(samples.length / ratio);
+  const pcm = new Int16Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += samples[j];
+    const value = Math.max(-1, Math.min(1, sum / Math.max(1, end - start)));
+    pcm[i] = value < 0 ? value * 0x8000 : value * 0x7fff;
+  }
+  return pcm;
+}
+
+// Envoyer une trame (pas pendant la lecture d'une traduction : écho)
+function sendSpeechStreamFrame(inputBuffer) {
+  const stream = state.speechStream;
+  if (!stream || state.isSpeaking || !socket?.connected) return;
+
+  const pcm = downsampleToInt16(inputBuffer.getChannelData(0), inputBuffer.sampleRate, stream.sampleRate);
+  socket.emit('speech_stream_audio', { streamId: stream.id, audio: pcm.buffer });
+}
+
+// Résultats du flux
+function setupSpeechStreamListeners() {
+  socket.on('speech_stream_partial', ({ text }) => {
+    updateStatus('listening', `🎤 ${text}`);
+  });
+
+  socket.on('speech_stream_translation', ({ text }) => {
+    updateStatus('translating', `🔄 ${text}`);
+  });
+
+  socket.on('speech_stream_final', ({ text, translation, sourceLang, targetLang }) => {
+    decrementQuota('transcribe');
+    if (translation) decrementQuota('translate');
+
+    displayTranslation(text, translation || '⚠️ Traduction indisponible', sourceLang);
+    if (translation) {
+      saveToHistory(text, translation, sourceLang, targetLang).catch(err => {
+        console.error('⚠️ Erreur sauvegarde historique:', err);
+      });
+    }
+    if (!state.isSpeaking) {
+      updateStatus('listening', '🎧 Prêt à écouter...');
+    }
+  });
+
+  socket.on('speech_stream_audio', ({ audio, mimeType }) => {
+    decrementQuota('speak');
+    const url = URL.createObjectURL(new Blob([audio], { type: mimeType }));
+    state.streamAudioQueue = state.streamAudioQueue
+      .then(() => {
+        updateStatus('speaking', '🔊 Lecture audio...');
+        return playAudioSource(url, { revoke: true });
+      })
+      .catch(error => console.error('Erreur lecture audio:', error));
+  });
+
+  socket.on('speech_stream_error', ({ code, error }) => {
+    console.error('❌ Flux de traduction:', code, error);
+    updateStatus('idle', `⚠️ ${error}`);
+    if (code === 'quota_exceeded') {
+      state.streamingEnabled = false;
+    }
+  });
+
+  socket.on('speech_stream_stopped', ({ streamId }) => {
+    if (state.speechStream?.id === streamId) {
+      state.speechStream = null;
+    }
+  });
+
+  socket.on('disconnect', () => {
+    state.speechStream = null;
+    state.speechStreamStarting = false;
+  });
+}
+
+// ===================================
+// SALLE D'INTERPRÉTATION (GROUPES)
+// ===================================
+
+// Chaque participant parle et écoute dans sa langue : le serveur traduit
+// la parole de chacun pour tous les autres (sous-titres + lecture optionnelle).
+const interpretation = {
+  groupId: null,
+  streamId: null,
+  sampleRate: 16000,
+  participants: [],
+  capture: null,
+  audioQueue: Promise.resolve()
+};
+
+function toggleInterpretation() {
+  if (interpretation.groupId) {
+    leaveInterpretation();
+  } else if (currentChatGroupId) {
+    joinInterpretation(currentChatGroupId);
+  }
+}
+
+function joinInterpretation(groupId) {
+  if (!socket?.connected) {
+    showNotificationToast('⚠️ Connexion temps réel indisponible');
+    return;
+  }
+
+  socket.emit('interpretation_join', {
+    groupId,
+    language: state.lang1,
+    tts: state.ttsEnabled,
+    provider: state.provider
+  }, async (response) => {
+    if (!response?.success) {
+      showNotificationToast(`⚠️ ${response?.error || 'Interprétation indisponible'}`);
+      return;
+    }
+
+    interpretation.groupId = groupId;
+    interpretation.streamId = response.streamId;
+    interpretation.sampleRate = response.sampleRate;
+    renderInterpretationParticipants(response.participants);
+    document.getElementById('interpretationPanel').style.display = 'block';
+    document.getElementById('interpretationBtn').classList.add('active');
+
+    if (response.streamError) {
+      showNotificationToast(`🎧 Écoute seule : ${response.streamError}`);
+    }
+    if (response.streamId && !interpretation.capture) {
+      await startInterpretationCapture();
+    }
+  });
+}
+
+function leaveInterpretation() {
+  const groupId = interpretation.groupId;
+  if (groupId && socket?.connected) {
+    socket.emit('interpretation_leave', { groupId });
+  }
+  resetInterpretation();
+}
+
+function resetInterpretation() {
+  stopInterpretationCapture();
+  interpretation.groupId = null;
+  interpretation.streamId = null;
+  interpretation.participants = [];
+
+  const panel = document.getElementById('interpretationPanel');
+  if (panel) panel.style.display = 'none';
+  document.getElementById('interpretationBtn')?.classList.remove('active');
+  const captions = document.getElementById('interpretationCaptions');
+  if (captions) captions.innerHTML = '';
+}
+
+// Micro dédié (indépendant du mode conversation) : onFrame reçoit chaque AudioBuffer
+async function startMicCapture(onFrame) {
+  const mediaStream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: true, noiseSuppression: true }
+  });
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  const source = audioContext.createMediaStreamSource(mediaStream);
+  const processor = audioContext.createScriptProcessor(4096, 1, 1);
+  processor.onaudioprocess = (event) => onFrame(event.inputBuffer);
+  source.connect(processor);
+  processor.connect(audioContext.destination);
+
+  return {
+    stop() {
+      processor.disconnect();
+      mediaStream.getTracks().forEach(track => track.stop());
+      audioContext.close().catch(() => {});
+    }
+  };
+}
+
+async function startInterpretationCapture() {
+  try {
+    interpretation.capture = await startMicCapture(sendInterpretationFrame);
+  } catch (error) {
+    console.error('❌ Micro indisponible pour l\'interprétation:', error);
+    showNotificationToast('🎧 Micro indisponible, écoute seule');
+  }
+}
+
+function stopInterpretationCapture() {
+  interpretation.capture?.stop();
+  interpretation.capture = null;
+}
+
+// Pas d'envoi pendant la lecture d'une traduction (écho)
+function sendInterpretationFrame(inputBuffer) {
+  if (!interpretation.streamId || state.isSpeaking || !socket?.connected) return;
+
+  const pcm = downsampleToInt16(inputBuffer.getChannelData(0), inputBuffer.sampleRate, interpretation.sampleRate);
+  socket.emit('speech_stream_audio', { streamId: interpretation.streamId, audio: pcm.buffer });
+}
+
+// Langue ou lecture modifiée pendant la session
+function updateInterpretationSettings() {
+  if (!interpretation.groupId || !socket?.connected) return;
+  socket.emit('interpretation_update', {
+    groupId: interpretation.groupId,
+    language: state.lang1,
+    tts: state.ttsEnabled
+  });
+}
+
+function renderInterpretationParticipants(participants) {
+  interpretation.participants = participants || [];
+  const container = document.getElementById('interpretationParticipants');
+  if (!container) return;
+
+  container.innerHTML = interpretation.participants.map(p => `
+    <span style="padding: 4px 10px; background: rgba(255,255,255,0.1); border-radius: 12px; font-size: 0.85em;">
+      ${p.speaking ? '🎤' : '🎧'} ${escapeHtml(p.displayName)} <small style="color: #888;">${escapeHtml(p.language.toUpperCase())}</small>
+    </span>
+  `).join('');
+}
+
+function showInterpretationLine(speaker, text, { final = false } = {}) {
+  const live = document.getElementById('interpretationLive');
+  if (!final) {
+    live.textContent = `${speaker.displayName} : ${text}`;
+    return;
+  }
+
+  live.textContent = '';
+  const line = document.createElement('div');
+  line.style.cssText = 'padding: 4px 0;';
+  line.innerHTML = `<strong style="color: #4CAF50;">${escapeHtml(speaker.displayName)}</strong> ${escapeHtml(text)}`;
+  const captions = document.getElementById('interpretationCaptions');
+  captions.appendChild(line);
+  captions.scrollTop = captions.scrollHeight;
+}
+
+function setupInterpretationListeners() {
+  const isCurrentRoom = (groupId) => groupId && groupId === interpretation.groupId;
+  const isOwnSpeech = (speaker) => speaker?.email === state.user?.email;
+
+  socket.on('interpretation_participants', ({ groupId, participants }) => {
+    if (isCurrentRoom(groupId)) renderInterpretationParticipants(participants);
+  });
+
+  socket.on('interpretation_partial', ({ groupId, speaker, text }) => {
+    if (isCurrentRoom(groupId)) showInterpretationLine(speaker, text);
+  });
+
+  socket.on('interpretation_translation', ({ groupId, speaker, lang, text }) => {
+    if (isCurrentRoom(groupId) && lang === state.lang1 && !isOwnSpeech(speaker)) {
+      showInterpretationLine(speaker, text);
+    }
+  });
+
+  socket.on('interpretation_caption', ({ groupId, speaker, text, translations }) => {
+    if (!isCurrentRoom(groupId)) return;
+    if (isOwnSpeech(speaker)) decrementQuota('transcribe');
+    showInterpretationLine(speaker, translations?.[state.lang1] || text, { final: true });
+  });
+
+  // Reçu uniquement pour notre langue, si la lecture est activée
+  socket.on('interpretation_audio', ({ groupId, audio, mimeType }) => {
+    if (!isCurrentRoom(groupId)) return;
+    const url = URL.createObjectURL(new Blob([audio], { type: mimeType }));
+    interpretation.audioQueue = interpretation.audioQueue
+      .then(() => playAudioSource(url, { revoke: true }))
+      .catch(error => console.error('Erreur lecture audio:', error));
+  });
+
+  socket.on('interpretation_error', ({ error }) => {
+    showNotificationToast(`⚠️ ${error}`);
+  });
+
+  // Session de parole fermée (inactivité, quota) : écoute seule jusqu'à reprise
+  socket.on('interpretation_stream_stopped', ({ streamId }) => {
+    if (interpretation.streamId === streamId) {
+      interpretation.streamId = null;
+      stopInterpretationCapture();
+    }
+  });
+
+  socket.on('disconnect', () => {
+    if (interpretation.groupId) resetInterpretation();
+  });
+}
+
+// ===================================
+// DIFFUSION DE SOUS-TITRES (PRÉSENTATEUR)
+// ===================================
+
+// Le présentateur parle, le public suit les sous-titres dans sa langue sur
+// captions.html avec le code court (sans compte). Quota du présentateur.
+const captionBroadcast = {
+  code: null,
+  streamId: null,
+  sampleRate: 16000,
+  languages: [],
+  capture: null
+};
+
+function showCaptionBroadcastPanel() {
+  if (!socket || !socket.connected) {
+    initializeSocket();
+  }
+
+  const container = document.getElementById('captionBroadcastLanguages');
+  container.innerHTML = Object.values(LANGUAGES)
+    .filter(lang => lang.code !== state.lang1)
+    .map(lang => `
+      <label style="display: flex; align-items: center; gap: 6px; cursor: pointer;">
+        <input type="checkbox" value="${lang.code}"${lang.code === state.lang2 ? ' checked' : ''}> ${lang.flag} ${lang.nativeName}
+      </label>
+    `).join('');
+
+  document.getElementById('captionBroadcastPanel').classList.remove('hidden');
+}
+
+function closeCaptionBroadcastPanel() {
+  // La diffusion continue en arrière-plan tant qu'elle n'est pas terminée
+  document.getElementById('captionBroadcastPanel').classList.add('hidden');
+}
+
+function startCaptionBroadcast() {
+  if (!socket?.connected) {
+    showNotificationToast('⚠️ Connexion temps réel indisponible');
+    return;
+  }
+
+  const languages = [...document.querySelectorAll('#captionBroadcastLanguages input:checked')].map(input => input.value);
+  socket.emit('caption_broadcast_start', {
+    title: document.getElementById('captionBroadcastTitle').value.trim() || null,
+    language: state.lang1,
+    languages,
+    provider: state.provider
+  }, (response) => {
+    if (!response?.success) {
+      showNotificationToast(`⚠️ ${response?.error || 'Diffusion impossible'}`);
+      return;
+    }
+
+    captionBroadcast.code = response.broadcast.code;
+    captionBroadcast.languages = response.broadcast.languages;
+    document.getElementById('captionBroadcastSegments').innerHTML = '';
+    showCaptionBroadcastLive(response.broadcast);
+    onCaptionBroadcastStream(response);
+  });
+}
+
+// Reprise de la parole (inactivité, reconnexion) avec le même code
+function resumeCaptionBroadcast() {
+  if (!captionBroadcast.code || !socket?.connected) return;
+
+  socket.emit('caption_broadcast_start', { code: captionBroadcast.code, provider: state.provider }, (response) => {
+    if (!response?.success) {
+      showNotificationToast(`⚠️ ${response?.error || 'Reprise impossible'}`);
+      if (response?.code === 'not_found') endCaptionBroadcastView();
+      return;
+    }
+    onCaptionBroadcastStream(response);
+  });
+}
+
+async function onCaptionBroadcastStream(response) {
+  captionBroadcast.streamId = response.streamId;
+  captionBroadcast.sampleRate = response.sampleRate;
+  document.getElementById('captionBroadcastResumeBtn').style.display = 'none';
+
+  if (!captionBroadcast.capture) {
+    try {
+      captionBroadcast.capture = await startMicCapture(sendCaptionBroadcastFrame);
+      document.getElementById('captionBroadcastMic').textContent = '🎤 En direct';
+    } catch (error) {
+      console.error('❌ Micro indisponible pour la diffusion:', error);
+      showNotificationToast('⚠️ Micro indisponible');
+    }
+  }
+}
+
+function sendCaptionBroadcastFrame(inputBuffer) {
+  if (!captionBroadcast.streamId || !socket?.connected) return;
+
+  const pcm = downsampleToInt16(inputBuffer.getChannelData(0), inputBuffer.sampleRate, captionBroadcast.sampleRate);
+  socket.emit('speech_stream_audio', { streamId: captionBroadcast.streamId, audio: pcm.buffer });
+}
+
+function pauseCaptionBroadcastCapture() {
+  captionBroadcast.streamId = null;
+  captionBroadcast.capture?.stop();
+  captionBroadcast.capture = null;
+  document.getElementById('captionBroadcastMic').textContent = '🎤 Micro en pause';
+  if (captionBroadcast.code) {
+    document.getElementById('captionBroadcastResumeBtn').style.display = 'inline-block';
+  }
+}
+
+function stopCaptionBroadcast() {
+  if (!captionBroadcast.code) return;
+  if (!confirm('Terminer la diffusion ?')) return;
+
+  socket.emit('caption_broadcast_stop', { code: captionBroadcast.code }, (response) => {
+    if (!response?.success && response?.code !== 'not_found') {
+      showNotificationToast(`⚠️ ${response?.error || 'Erreur'}`);
+      return;
+    }
+    endCaptionBroadcastView();
+  });
+}
+
+function showCaptionBroadcastLive(broadcast) {
+  const link = `${window.location.origin}/captions.html?code=${broadcast.code}`;
+  document.getElementById('captionBroadcastSetup').style.display = 'none';
+  document.getElementById('captionBroadcastTranscript').style.display = 'none';
+  document.getElementById('captionBroadcastLive').style.display = 'block';
+  document.getElementById('captionBroadcastCode').textContent = broadcast.code;
+  document.getElementById('captionBroadcastLink').href = link;
+  document.getElementById('captionBroadcastLink').textContent = link;
+  document.getElementById('captionBroadcastAudience').textContent = '👥 0 spectateur';
+}
+
+// Fin de diffusion : liens du transcript dans chaque langue
+function endCaptionBroadcastView() {
+  const code = captionBroadcast.code;
+  pauseCaptionBroadcastCapture();
+  captionBroadcast.code = null;
+
+  document.getElementById('captionBroadcastLive').style.display = 'none';
+  document.getElementById('captionBroadcastSetup').style.display = 'block';
+  if (!code) return;
+
+  document.getElementById('captionBroadcastDownloads').innerHTML = captionBroadcast.languages.map(lang => {
+    const label = LANGUAGES[lang] ? `${LANGUAGES[lang].flag} ${LANGUAGES[lang].nativeName}` : lang.toUpperCase();
+    const base = `${API_BASE_URL}/api/captions/${code}/transcript?lang=${lang}`;
+    return `
+      <span style="padding: 6px 10px; background: rgba(255,255,255,0.1); border-radius: 8px;">
+        ${label} :
+        <a href="${base}&format=txt" download style="color: #4CAF50;">TXT</a> ·
+        <a href="${base}&format=srt" download style="color: #4CAF50;">SRT</a> ·
+        <a href="${base}&format=vtt" download style="color: #4CAF50;">VTT</a>
+      </span>
+    `;
+  }).join('');
+  document.getElementById('captionBroadcastTranscript').style.display = 'block';
+}
+
+function setupCaptionBroadcastListeners() {
+  // Reconnexion : la diffusion attend le présentateur, on reprend la parole
+  socket.on('connect', () => {
+    if (captionBroadcast.code) resumeCaptionBroadcast();
+  });
+
+  socket.on('caption_broadcast_segment', ({ code, text, translations }) => {
+    if (code !== captionBroadcast.code) return;
+    decrementQuota('transcribe');
+
+    const line = document.createElement('div');
+    line.style.cssText = 'padding: 4px 0;';
+    const translated = Object.keys(translations || {}).map(lang => lang.toUpperCase()).join(' ');
+    line.innerHTML = `${escapeHtml(text)} <small style="color: #888;">${escapeHtml(translated)}</small>`;
+    const container = document.getElementById('captionBroadcastSegments');
+    container.appendChild(line);
+    container.scrollTop = container.scrollHeight;
+  });
+
+  socket.on('caption_broadcast_audience', ({ code, count }) => {
+    if (code !== captionBroadcast.code) return;
+    document.getElementById('captionBroadcastAudience').textContent = `👥 ${count} spectateur${count > 1 ? 's' : ''}`;
+  });
+
+  socket.on('caption_broadcast_error', ({ error }) => {
+    showNotificationToast(`⚠️ ${error}`);
+  });
+
+  socket.on('caption_broadcast_stream_stopped', ({ streamId }) => {
+    if (captionBroadcast.streamId === streamId) pauseCaptionBroadcastCapture();
+  });
+
+  socket.on('disconnect', () => {
+    if (captionBroadcast.streamId) pauseCaptionBroadcastCapture();
+  });
+}
+
 // ===================================
 // SYSTÈME DE QUEUE DE TRAITEMENT (DUPLEX)
 // ===================================
 
 // Ajouter un enregistrement à la queue de traitement
-function addToProcessingQueue(audioBlob) {
+function addToProcessingQueue(audioBlob, vadSegments = []) {
   console.log(`📥 Ajout à la queue (taille actuelle: ${state.processingQueue.length})`);
-  state.processingQueue.push(audioBlob);
+  state.processingQueue.push({ audioBlob, vadSegments });
 
   // Démarrer le traitement si pas déjà en cours
   if (!state.isProcessingAPI) {
@@ -3763,12 +5027,12 @@ async function processNextInQueue() {
   }
 
   state.isProcessingAPI = true;
-  const audioBlob = state.processingQueue.shift();
+  const { audioBlob, vadSegments } = state.processingQueue.shift();
 
   console.log(`🔄 Traitement (reste dans queue: ${state.processingQueue.length})`);
 
   try {
-    await processAudio(audioBlob);
+    await processAudio(audioBlob, vadSegments);
   } catch (error) {
     console.error('❌ Erreur traitement audio:', error);
   }
@@ -3777,8 +5041,42 @@ async function processNextInQueue() {
   processNextInQueue();
 }
 
+// Détection de la langue parlée parmi les 2 langues de la conversation
+function detectConversationLanguages(text) {
+  let sourceLang = state.lang1;
+  let targetLang = state.lang2;
+
+  // Détection intelligente: vérifier si c'est la langue 1 ou 2 qui a été parlée
+  const hasChineseChars = /[\u4e00-\u9fff]/.test(text);
+
+  // Si une des langues est le chinois, utiliser la détection des caractères chinois
+  if (state.lang1 === 'zh' || state.lang2 === 'zh') {
+    if (hasChineseChars) {
+      sourceLang = 'zh';
+      targetLang = sourceLang === state.lang1 ? state.lang2 : state.lang1;
+    } else {
+      sourceLang = state.lang1 === 'zh' ? state.lang2 : state.lang1;
+      targetLang = sourceLang === state.lang1 ? state.lang2 : state.lang1;
+    }
+  }
+  // Pour les autres langues, on assume que c'est lang1 qui parle
+
+  return { sourceLang, targetLang };
+}
+
+// Affichage d'un original et de sa traduction dans les panneaux appropriés
+function displayTranslation(original, translation, sourceLang, speaker = null) {
+  if (sourceLang === state.lang1) {
+    addMessage('lang1', original, speaker);
+    addMessage('lang2', translation, speaker);
+  } else {
+    addMessage('lang2', original, speaker);
+    addMessage('lang1', translation, speaker);
+  }
+}
+
 // Traitement de l'audio enregistré
-async function processAudio(audioBlob) {
+async function processAudio(audioBlob, vadSegments = []) {
   // Vérifier la taille du blob
   if (audioBlob.size < 1000) {
     console.log('⚠️ Audio trop court, ignoré');
@@ -3788,8 +5086,10 @@ async function processAudio(audioBlob) {
   updateStatus('translating', '🔄 Traduction en cours...');
 
   try {
-    // 1. Transcription avec Whisper
-    const transcription = await transcribeAudio(audioBlob);
+    // 1. Transcription avec Whisper (avec tours de parole si la diarisation est activée)
+    const { text: transcription, turns } = state.diarizationEnabled
+      ? await transcribeAudioWithSpeakers(audioBlob, vadSegments)
+      : { text: await transcribeAudio(audioBlob), turns: [] };
     decrementQuota('transcribe'); // Décrémenter le quota transcription
 
     if (!transcription || transcription.length < 2) {
@@ -3800,27 +5100,15 @@ async function processAudio(audioBlob) {
 
     console.log('📝 Transcription:', transcription);
 
-    // 2. Détection de la langue source basée sur les langues sélectionnées
-    let sourceLang = state.lang1;
-    let targetLang = state.lang2;
-
-    // Détection intelligente: vérifier si c'est la langue 1 ou 2 qui a été parlée
-    const hasChineseChars = /[\u4e00-\u9fff]/.test(transcription);
-
-    // Si une des langues est le chinois, utiliser la détection des caractères chinois
-    if (state.lang1 === 'zh' || state.lang2 === 'zh') {
-      if (hasChineseChars) {
-        sourceLang = 'zh';
-        targetLang = sourceLang === state.lang1 ? state.lang2 : state.lang1;
-      } else {
-        sourceLang = state.lang1 === 'zh' ? state.lang2 : state.lang1;
-        targetLang = sourceLang === state.lang1 ? state.lang2 : state.lang1;
-      }
-    } else {
-      // Pour les autres langues, on assume que c'est lang1 qui parle
-      sourceLang = state.lang1;
-      targetLang = state.lang2;
+    // Plusieurs locuteurs : un message par tour de parole
+    if (turns.length > 1) {
+      await processSpeakerTurns(turns);
+      return;
     }
+    const speaker = turns[0]?.speaker || null;
+
+    // 2. Détection de la langue source basée sur les langues sélectionnées
+    const { sourceLang, targetLang } = detectConversationLanguages(transcription);
 
     console.log(`🔍 Langue détectée: ${sourceLang} → ${targetLang}`);
 
@@ -3830,16 +5118,11 @@ async function processAudio(audioBlob) {
     console.log('🌐 Traduction:', translation);
 
     // 4. Affichage dans les panneaux appropriés
-    if (sourceLang === state.lang1) {
-      addMessage('lang1', transcription);
-      addMessage('lang2', translation);
-    } else {
-      addMessage('lang2', transcription);
-      addMessage('lang1', translation);
-    }
+    displayTranslation(transcription, translation, sourceLang, speaker);
 
     // 4.5. Sauvegarder dans l'historique (en arrière-plan, sans bloquer)
-    saveToHistory(transcription, translation, sourceLang, targetLang).catch(err => {
+    const historyTurns = speaker ? [{ speaker, original: transcription, translated: translation }] : null;
+    saveToHistory(transcription, translation, sourceLang, targetLang, historyTurns).catch(err => {
       console.error('⚠️ Erreur sauvegarde historique:', err);
     });
 
@@ -3861,6 +5144,42 @@ async function processAudio(audioBlob) {
   }
 }
 
+// Traduire et afficher chaque tour de parole avec son locuteur
+async function processSpeakerTurns(turns) {
+  const translatedTurns = [];
+
+  for (const turn of turns) {
+    // Chaque locuteur peut parler l'une ou l'autre langue
+    const { sourceLang, targetLang } = detectConversationLanguages(turn.text);
+    const translation = await translateText(turn.text, targetLang, sourceLang);
+    decrementQuota('translate');
+
+    displayTranslation(turn.text, translation, sourceLang, turn.speaker);
+    translatedTurns.push({ speaker: turn.speaker, original: turn.text, translated: translation, sourceLang, targetLang });
+  }
+
+  const first = translatedTurns[0];
+  saveToHistory(
+    translatedTurns.map(turn => turn.original).join(' '),
+    translatedTurns.map(turn => turn.translated).join(' '),
+    first.sourceLang,
+    first.targetLang,
+    translatedTurns.map(({ speaker, original, translated }) => ({ speaker, original, translated }))
+  ).catch(err => {
+    console.error('⚠️ Erreur sauvegarde historique:', err);
+  });
+
+  if (state.ttsEnabled) {
+    updateStatus('speaking', '🔊 Lecture audio...');
+    for (const turn of translatedTurns) {
+      await speakText(turn.translated, turn.targetLang);
+      decrementQuota('speak');
+    }
+  } else {
+    updateStatus('listening', '🎧 Prêt à écouter...');
+  }
+}
+
 // Transcription audio avec Whisper
 async function transcribeAudio(audioBlob) {
   const formData = new FormData();
@@ -3882,6 +5201,31 @@ async function transcribeAudio(audioBlob) {
   return data.text?.trim();
 }
 
+// Transcription avec tours de parole (segments VAD + profils de voix connus)
+async function transcribeAudioWithSpeakers(audioBlob, vadSegments) {
+  const formData = new FormData();
+  formData.append('audio', audioBlob, 'audio.webm');
+  formData.append('diarize', 'true');
+  formData.append('vadSegments', JSON.stringify(vadSegments));
+  formData.append('speakerProfiles', JSON.stringify(state.speakerProfiles));
+
+  const response = await fetch(`${API_BASE_URL}/api/transcribe`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${state.token}`
+    },
+    body: formData
+  });
+
+  if (!response.ok) {
+    throw new Error(`Erreur transcription: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  state.speakerProfiles = data.speakerProfiles || state.speakerProfiles;
+  return { text: data.text?.trim(), turns: data.turns || [] };
+}
+
 // Traduction du texte
 async function translateText(text, targetLanguage, sourceLanguage = null) {
   const response = await fetch(`${API_BASE_URL}/api/translate`, {
@@ -3906,8 +5250,8 @@ async function translateText(text, targetLanguage, sourceLanguage = null) {
   return data.translatedText;
 }
 
-// Sauvegarder une traduction dans l'historique
-async function saveToHistory(original, translated, sourceLang, targetLang) {
+// Sauvegarder une traduction dans l'historique (turns : tours de parole par locuteur)
+async function saveToHistory(original, translated, sourceLang, targetLang, turns = null) {
   try {
     const response = await fetch(`${API_BASE_URL}/api/history/save`, {
       method: 'POST',
@@ -3919,7 +5263,8 @@ async function saveToHistory(original, translated, sourceLang, targetLang) {
         original,
         translated,
         sourceLang,
-        targetLang
+        targetLang,
+        turns
       })
     });
 
@@ -3935,13 +5280,59 @@ async function saveToHistory(original, translated, sourceLang, targetLang) {
 const audioElement = new Audio();
 audioElement.preload = 'auto';
 
+// Lire une source audio dans l'élément partagé (compatible iOS)
+// revoke : URL locale (blob) à libérer après lecture
+function playAudioSource(audioUrl, { revoke = false } = {}) {
+  state.isSpeaking = true;
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      if (revoke) URL.revokeObjectURL(audioUrl);
+      audioElement.removeEventListener('ended', onEnded);
+      audioElement.removeEventListener('error', onError);
+    };
+
+    const onEnded = () => {
+      state.isSpeaking = false;
+      updateStatus('listening', '🎧 Prêt à écouter...');
+      cleanup();
+      resolve();
+    };
+
+    const onError = (error) => {
+      state.isSpeaking = false;
+      updateStatus('listening', '🎧 Prêt à écouter...');
+      cleanup();
+      reject(error);
+    };
+
+    audioElement.addEventListener('ended', onEnded);
+    audioElement.addEventListener('error', onError);
+
+    // iOS fix: définir la source et jouer immédiatement
+    audioElement.src = audioUrl;
+    audioElement.load();
+
+    // Tenter de jouer avec gestion des promesses (iOS nécessite ça)
+    const playPromise = audioElement.play();
+
+    if (playPromise !== undefined) {
+      playPromise.catch((error) => {
+        console.error('Erreur playback audio:', error);
+        // Sur iOS, si autoplay échoue, on continue quand même
+        state.isSpeaking = false;
+        updateStatus('listening', '🎧 Prêt à écouter...');
+        cleanup();
+        reject(error);
+      });
+    }
+  });
+}
+
 // Text-to-Speech (compatible iOS)
 async function speakText(text, language) {
   state.isSpeaking = true;
 
-  // Choisir la voix selon la langue depuis la configuration
-  const voice = LANGUAGES[language]?.voice || 'alloy';
-
   try {
     const response = await fetch(`${API_BASE_URL}/api/speak`, {
       method: 'POST',
@@ -3949,7 +5340,9 @@ async function speakText(text, language) {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${state.token}`
       },
-      body: JSON.stringify({ text, voice })
+      // Le serveur choisit la voix préférée de l'utilisateur pour la langue
+      // (ou la voix par défaut de la langue), sa vitesse et son format
+      body: JSON.stringify({ text, language })
     });
 
     if (!response.ok) {
@@ -3957,50 +5350,7 @@ async function speakText(text, language) {
     }
 
     const audioBlob = await response.blob();
-    const audioUrl = URL.createObjectURL(audioBlob);
-
-    return new Promise((resolve, reject) => {
-      const cleanup = () => {
-        URL.revokeObjectURL(audioUrl);
-        audioElement.removeEventListener('ended', onEnded);
-        audioElement.removeEventListener('error', onError);
-      };
-
-      const onEnded = () => {
-        state.isSpeaking = false;
-        updateStatus('listening', '🎧 Prêt à écouter...');
-        cleanup();
-        resolve();
-      };
-
-      const onError = (error) => {
-        state.isSpeaking = false;
-        updateStatus('listening', '🎧 Prêt à écouter...');
-        cleanup();
-        reject(error);
-      };
-
-      audioElement.addEventListener('ended', onEnded);
-      audioElement.addEventListener('error', onError);
-
-      // iOS fix: définir la source et jouer immédiatement
-      audioElement.src = audioUrl;
-      audioElement.load();
-
-      // Tenter de jouer avec gestion des promesses (iOS nécessite ça)
-      const playPromise = audioElement.play();
-
-      if (playPromise !== undefined) {
-        playPromise.catch((error) => {
-          console.error('Erreur playback audio:', error);
-          // Sur iOS, si autoplay échoue, on continue quand même
-          state.isSpeaking = false;
-          updateStatus('listening', '🎧 Prêt à écouter...');
-          cleanup();
-          reject(error);
-        });
-      }
-    });
+    return await playAudioSource(URL.createObjectURL(audioBlob), { revoke: true });
 
   } catch (error) {
     state.isSpeaking = false;
@@ -4031,6 +5381,12 @@ async function initializeAudio() {
     const source = state.audioContext.createMediaStreamSource(stream);
     source.connect(state.analyser);
 
+    // Capture PCM pour la traduction en continu (envoyée seulement si un flux est ouvert)
+    state.pcmProcessor = state.audioContext.createScriptProcessor(4096, 1, 1);
+    state.pcmProcessor.onaudioprocess = (event) => sendSpeechStreamFrame(event.inputBuffer);
+    source.connect(state.pcmProcessor);
+    state.pcmProcessor.connect(state.audioContext.destination);
+
     // Configuration du MediaRecorder
     state.mediaRecorder = new MediaRecorder(stream, {
       mimeType: 'audio/webm;codecs=opus'
@@ -4047,7 +5403,8 @@ async function initializeAudio() {
       state.audioChunks = [];
 
       // Ajouter à la queue au lieu de traiter immédiatement
-      addToProcessingQueue(audioBlob);
+      addToProcessingQueue(audioBlob, state.recordedVadSegments);
+      state.recordedVadSegments = [];
     };
 
     // Tout est prêt
@@ -4066,6 +5423,9 @@ async function initializeAudio() {
     // Initialiser le bouton push-to-talk
     initPushToTalk();
 
+    // Refléter la préférence de diarisation
+    updateDiarizationButtons();
+
     console.log('✅ Système audio initialisé');
 
   } catch (error) {
@@ -4320,8 +5680,16 @@ async function viewHistory() {
       return `
         <div style="background: rgba(255,255,255,0.05); padding: 12px; border-radius: 8px; margin-bottom: 10px;">
           <div style="color: #888; font-size: 0.85em; margin-bottom: 5px;">${date} • ${sourceLangName} → ${targetLangName}</div>
-          <div style="color: #fff; margin-bottom: 5px;"><strong>Original:</strong> ${escapeHtml(item.original)}</div>
-          <div style="color: #00ff9d;"><strong>Traduction:</strong> ${escapeHtml(item.translated)}</div>
+          ${item.turns ? item.turns.map(turn => `
+            <div style="margin-bottom: 8px;">
+              ${turn.speaker ? `<span class="speaker-label" data-speaker="${escapeHtml(turn.speaker)}">${escapeHtml(turn.speaker)}</span>` : ''}
+              <div style="color: #fff; margin-bottom: 3px;">${escapeHtml(turn.original)}</div>
+              <div style="color: #00ff9d;">${escapeHtml(turn.translated)}</div>
+            </div>
+          `).join('') : `
+            <div style="color: #fff; margin-bottom: 5px;"><strong>Original:</strong> ${escapeHtml(item.original)}</div>
+            <div style="color: #00ff9d;"><strong>Traduction:</strong> ${escapeHtml(item.translated)}</div>
+          `}
         </div>
       `;
     }).join('');
@@ -4909,6 +6277,7 @@ async function openDMChat(userEmail) {
 
     currentDMUser = data.otherUser;
     currentDMMessages = data.messages || [];
+    historyPages.dm = data.pageInfo || null;
 
     // Afficher le panel de chat DM
     document.getElementById('dmChatPanel').classList.remove('hidden');
@@ -4925,6 +6294,9 @@ async function openDMChat(userEmail) {
     // Afficher les messages
     displayDMMessages(currentDMMessages);
 
+    // Préférence de lecture automatique (stockée côté serveur)
+    loadTtsSettings();
+
   } catch (error) {
     console.error('Error opening DM chat:', error);
     alert('❌ Erreur lors de l\'ouverture de la conversation');
@@ -4936,7 +6308,9 @@ function closeDMChatPanel() {
   document.getElementById('dmChatPanel').classList.add('hidden');
   currentDMUser = null;
   currentDMMessages = [];
+  historyPages.dm = null;
   document.getElementById('dmMessageInput').value = '';
+  cancelReply();
   if (selectedDMFile) {
     cancelDMFileSelection();
   }
@@ -4954,23 +6328,31 @@ function displayDMMessages(messages) {
     return;
   }
 
-  container.innerHTML = messages.map(msg => {
+  container.innerHTML = generateHistoryControl('dm', 'older') + messages.map(msg => {
     const translation = msg.translations[userLang] || msg.content;
     const isOwnMessage = msg.from === state.user.email;
 
     return `
-      <div style="margin-bottom: 16px; display: flex; flex-direction: column; align-items: ${isOwnMessage ? 'flex-end' : 'flex-start'};">
+      <div style="margin-bottom: 16px; display: flex; flex-direction: column; align-items: ${isOwnMessage ? 'flex-end' : 'flex-start'};" data-message-id="${msg.id}">
         <div style="display: inline-block; max-width: 70%;">
           <div style="background: ${isOwnMessage ? 'var(--message-bg-own)' : 'var(--message-bg-other)'}; color: ${isOwnMessage ? 'var(--message-text-own)' : 'var(--message-text-other)'}; padding: 10px 14px; border-radius: 12px; word-wrap: break-word;">
+            ${generateReplyQuote(msg, userLang)}
             ${msg.fileInfo ? '' : `<div>${translation}</div>`}
             ${msg.fileInfo ? generateFileDisplay(msg.fileInfo) : ''}
             ${msg.fileInfo && translation ? `<div style="margin-top: 8px;">${translation}</div>` : ''}
-            <div style="font-size: 0.75em; margin-top: 4px; opacity: 0.6;">${new Date(msg.timestamp).toLocaleTimeString()}</div>
+            <div style="font-size: 0.75em; margin-top: 4px; opacity: 0.6;">${new Date(msg.timestamp).toLocaleTimeString()}${generateEditedMarker(msg)}</div>
+            ${generateTranslationStatusDisplay(msg, userLang)}
+          </div>
+          <div style="display: flex; gap: 8px; margin-top: 4px; justify-content: ${isOwnMessage ? 'flex-end' : 'flex-start'};">
+            ${!msg.fileInfo ? `<button onclick="playMessageAudio('${msg.id || ''}', '${translation.replace(/'/g, "\\'")}', '${userLang}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('listen')}">🔊</button>` : ''}
+            ${generateTranslationActions(msg, userLang)}
+            ${generateReplyAction(msg, 'dm')}
+            ${generateEditAction(msg)}
           </div>
         </div>
       </div>
     `;
-  }).join('');
+  }).join('') + generateHistoryControl('dm', 'newer');
 
   // Scroll vers le bas
   container.scrollTop = container.scrollHeight;
@@ -5016,7 +6398,8 @@ async function sendDM() {
     toEmail: currentDMUser.email,
     content: content || (selectedDMFile ? selectedDMFile.name : ''),
     userLang: state.lang1,
-    fileInfo: fileInfo
+    fileInfo: fileInfo,
+    replyToId: takeReplyToId('dm')
   });
 
   input.value = '';
@@ -5478,6 +6861,10 @@ function connectSocket() {
     console.log('✅ Socket.IO connected');
   });
 
+  setupSpeechStreamListeners();
+  setupInterpretationListeners();
+  setupCaptionBroadcastListeners();
+
   socket.on('disconnect', () => {
     console.log('❌ Socket.IO disconnected');
   });
@@ -5548,13 +6935,165 @@ function connectSocket() {
   });
 
   // Message supprimé
-  socket.on('message_deleted', ({ groupId, messageId }) => {
+  socket.on('message_deleted', ({ groupId, messageId, threadId }) => {
     // Supprimer uniquement si c'est le groupe actuellement ouvert
-    if (groupId === currentChatGroupId) {
+    if (groupId !== currentChatGroupId) return;
+
+    if (openThread.root?.id === messageId) {
+      closeMessageThread();
+    } else if (threadId && openThread.root?.id === threadId) {
+      openThread.messages = openThread.messages.filter(m => m.id !== messageId);
+      displayThreadMessages();
+    }
+    if (!threadId) {
       removeMessageFromDOM(messageId);
     }
   });
 
+  // Fils de discussion
+  socket.on('thread_message', handleThreadMessage);
+  socket.on('thread_updated', handleThreadUpdated);
+  socket.on('thread_read', ({ groupId, threadId }) => {
+    if (groupId !== currentChatGroupId || !(threadId in threadUnread)) return;
+    delete threadUnread[threadId];
+    scheduleTranslationRender('group');
+  });
+
+  // Traductions diffusées au fil de l'eau après le message original
+  socket.on('message_translation', ({ groupId, conversationId, threadId, messageId, lang, text, status, done }) => {
+    if (lang !== state.lang1) return;
+
+    const messages = threadId ? openThread.messages : groupId ? currentGroupMessages : currentDMMessages;
+    const message = messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    message.translations = message.translations || {};
+    message.translationStatus = message.translationStatus || {};
+    if (text) {
+      message.translations[lang] = text;
+    }
+    if (done) {
+      message.translationStatus[lang] = status;
+    }
+
+    scheduleTranslationRender(threadId ? 'thread' : groupId ? 'group' : 'dm');
+  });
+
+  // Langue d'origine corrigée après la diffusion (message court ou ambigu)
+  socket.on('message_language', ({ groupId, threadId, messageId, originalLang, translationStatus }) => {
+    const messages = threadId ? openThread.messages : groupId ? currentGroupMessages : currentDMMessages;
+    const message = messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    Object.assign(message, { originalLang, translationStatus });
+    scheduleTranslationRender(threadId ? 'thread' : groupId ? 'group' : 'dm');
+  });
+
+  // Audio d'un message privé préparé par le serveur (lecture automatique)
+  socket.on('message_audio', ({ messageId, autoPlay, audio }) => {
+    if (!autoPlay || !state.ttsSettings?.autoPlay || state.isSpeaking) return;
+    if (!currentDMMessages.some(m => m.id === messageId)) return;
+
+    playAudioSource(`${API_BASE_URL}${audio.url}`).catch((error) => {
+      console.error('Erreur lecture automatique:', error);
+    });
+  });
+
+  // Message modifié par son auteur (nouveau texte et nouvelles traductions)
+  socket.on('message_edited', ({ groupId, threadId, messageId, content, originalLang, translations, translationStatus, mentions, editedAt }) => {
+    const messages = threadId ? openThread.messages : groupId ? currentGroupMessages : currentDMMessages;
+    const message = messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    Object.assign(message, { content, originalLang, translations, translationStatus, editedAt });
+    if (mentions) {
+      message.mentions = mentions;
+    }
+
+    scheduleTranslationRender(threadId ? 'thread' : groupId ? 'group' : 'dm');
+  });
+
+  // Traduction remplacée (re-traduction ou correction par un membre)
+  socket.on('message_translation_updated', ({ groupId, messageId, lang, text, status }) => {
+    const messages = groupId ? currentGroupMessages : currentDMMessages;
+    const message = messages.find(m => m.id === messageId);
+    if (!message) return;
+
+    message.translations = { ...(message.translations || {}), [lang]: text };
+    message.translationStatus = { ...(message.translationStatus || {}), [lang]: status };
+
+    if (lang === state.lang1) {
+      scheduleTranslationRender(groupId ? 'group' : 'dm');
+    }
+  });
+
+  // Traduction des documents joints (groupes)
+  const updateDocumentTranslation = (messageId, update) => {
+    const message = currentGroupMessages.find(m => m.id === messageId);
+    if (!message || !message.fileInfo) return;
+
+    update(message);
+    scheduleTranslationRender('group');
+  };
+
+  socket.on('document_translation_started', ({ messageId, sourceLang, targetLangs }) => {
+    updateDocumentTranslation(messageId, (message) => {
+      message.fileInfo.documentTranslation = { status: 'pending', sourceLang, targetLangs, progress: {} };
+    });
+  });
+
+  socket.on('document_translation_progress', ({ messageId, lang, progress }) => {
+    if (lang !== state.lang1) return;
+    updateDocumentTranslation(messageId, (message) => {
+      const job = message.fileInfo.documentTranslation || { status: 'pending', targetLangs: [lang] };
+      job.progress = { ...(job.progress || {}), [lang]: progress };
+      message.fileInfo.documentTranslation = job;
+    });
+  });
+
+  socket.on('document_translation_completed', ({ messageId, fileInfo }) => {
+    updateDocumentTranslation(messageId, (message) => {
+      message.fileInfo = fileInfo;
+    });
+  });
+
+  socket.on('document_translation_failed', ({ messageId, fileInfo, error }) => {
+    if (fileInfo) {
+      updateDocumentTranslation(messageId, (message) => {
+        message.fileInfo = fileInfo;
+      });
+    }
+    // Sans fileInfo, l'erreur n'a été envoyée qu'au demandeur
+    if (!fileInfo || fileInfo.documentTranslation?.requestedBy === state.user.email) {
+      showNotificationToast(`⚠️ ${error}`);
+    }
+  });
+
+  // Audio synthétisé d'un message vocal dans une langue
+  socket.on('voice_message_audio', ({ messageId, lang, audio }) => {
+    const message = currentGroupMessages.find(m => m.id === messageId);
+    if (!message?.fileInfo?.voiceMessage) return;
+
+    message.fileInfo.voiceMessage.audio = { ...(message.fileInfo.voiceMessage.audio || {}), [lang]: audio };
+    if (lang === state.lang1) {
+      scheduleTranslationRender('group');
+    }
+  });
+
+  socket.on('voice_message_completed', ({ messageId, fileInfo }) => {
+    const message = currentGroupMessages.find(m => m.id === messageId);
+    if (!message) return;
+
+    message.fileInfo = fileInfo;
+    scheduleTranslationRender('group');
+  });
+
+  socket.on('retranslation_failed', ({ conflict }) => {
+    showNotificationToast(conflict
+      ? '⚠️ Le message a été modifié pendant la re-traduction, relancez-la sur le nouveau texte'
+      : '⚠️ Re-traduction impossible, la traduction actuelle est conservée');
+  });
+
   socket.on('error', (error) => {
     console.error('Socket error:', error);
     alert(`❌ ${error.message}`);
@@ -5629,7 +7168,7 @@ function connectSocket() {
   });
 }
 
-async function openGroupChat(groupId) {
+async function openGroupChat(groupId, aroundMessageId = null) {
   try {
     // Charger les détails du groupe
     const response = await fetch(`${API_BASE_URL}/api/groups/${groupId}`, {
@@ -5648,6 +7187,16 @@ async function openGroupChat(groupId) {
     // Réinitialiser le compteur de messages non lus
     clearUnreadCount(groupId);
 
+    // Les mentions de ce groupe sont désormais lues
+    fetch(`${API_BASE_URL}/api/mentions/read`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${state.token}`
+      },
+      body: JSON.stringify({ groupId })
+    }).catch(error => console.error('Error marking mentions as read:', error));
+
     // Initialiser Socket.IO si pas déjà fait
     if (!socket || !socket.connected) {
       initializeSocket();
@@ -5673,12 +7222,22 @@ async function openGroupChat(groupId) {
       chatInput.addEventListener('input', handleChatInput);
     }
 
-    // Charger l'historique
-    const messagesResponse = await fetch(`${API_BASE_URL}/api/groups/${groupId}/messages`, {
+    // Charger l'historique (derniers messages, ou fenêtre autour du message demandé)
+    const messagesResponse = await fetch(historyUrl('group', aroundMessageId ? { around: aroundMessageId } : {}), {
       headers: { 'Authorization': `Bearer ${state.token}` }
     });
     const messagesData = await messagesResponse.json();
+    threadUnread = messagesData.threadUnread || {};
+    historyPages.group = messagesData.pageInfo || null;
     displayMessages(messagesData.messages || []);
+
+    if (aroundMessageId && messagesData.pageInfo) {
+      scrollToMessage('group', messagesData.pageInfo.anchorId);
+      // Réponse de fil : ouvrir le fil
+      if (messagesData.pageInfo.threadId) {
+        openMessageThread(messagesData.pageInfo.threadId);
+      }
+    }
   } catch (error) {
     console.error('Error opening group chat:', error);
     alert('❌ Erreur lors de l\'ouverture du chat');
@@ -5701,6 +7260,14 @@ function closeGroupChatPanel() {
   // Effacer la recherche
   clearSearch();
   currentGroupMessages = [];
+  closeMessageThread();
+  cancelReply();
+  threadUnread = {};
+  historyPages.group = null;
+
+  if (interpretation.groupId) {
+    leaveInterpretation();
+  }
 
   if (currentChatGroupId && socket) {
     socket.emit('leave_group', { groupId: currentChatGroupId });
@@ -5721,7 +7288,7 @@ function displayMessages(messages) {
     return;
   }
 
-  container.innerHTML = messages.map(msg => {
+  container.innerHTML = generateHistoryControl('group', 'older') + messages.map(msg => {
     const translation = msg.translations[userLang] || msg.content;
     const highlightedTranslation = highlightMentions(translation, msg.mentions);
     const isOwnMessage = msg.from === state.user.email;
@@ -5731,28 +7298,55 @@ function displayMessages(messages) {
         <div style="position: relative; display: inline-block; max-width: 70%;">
           <div style="background: ${isOwnMessage ? '#00ff9d' : 'rgba(255,255,255,0.1)'}; color: ${isOwnMessage ? '#000' : '#fff'}; padding: 10px 14px; border-radius: 12px; word-wrap: break-word;">
             <div style="font-weight: bold; font-size: 0.85em; margin-bottom: 4px; opacity: 0.8;">${msg.fromDisplayName}</div>
+            ${generateReplyQuote(msg, userLang)}
             ${msg.fileInfo ? '' : `<div>${highlightedTranslation}</div>`}
             ${msg.fileInfo ? generateFileDisplay(msg.fileInfo) : ''}
             ${msg.fileInfo && translation ? `<div style="margin-top: 8px;">${highlightedTranslation}</div>` : ''}
-            <div style="font-size: 0.75em; margin-top: 4px; opacity: 0.6;">${new Date(msg.timestamp).toLocaleTimeString()}</div>
+            <div style="font-size: 0.75em; margin-top: 4px; opacity: 0.6;">${new Date(msg.timestamp).toLocaleTimeString()}${generateEditedMarker(msg)}</div>
+            ${generateTranslationStatusDisplay(msg, userLang)}
           </div>
           <div style="display: flex; gap: 8px; margin-top: 4px; justify-content: ${isOwnMessage ? 'flex-end' : 'flex-start'}; flex-wrap: wrap;">
-            ${!msg.fileInfo ? `<button onclick="playMessageAudio('${translation.replace(/'/g, "\\'")}', '${userLang}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('listen')}">🔊</button>` : ''}
+            ${!msg.fileInfo ? `<button onclick="playMessageAudio('${msg.id || ''}', '${translation.replace(/'/g, "\\'")}', '${userLang}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('listen')}">🔊</button>` : ''}
             ${!msg.fileInfo ? `<button onclick="copyMessage('${translation.replace(/'/g, "\\'")}', '${msg.id || Date.now()}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('copy')}">📋</button>` : ''}
             ${generateReactionButtons(msg.id)}
+            ${generateTranslationActions(msg, userLang)}
+            ${generateReplyAction(msg, 'group')}
+            ${generateThreadAction(msg)}
+            ${generateEditAction(msg)}
             ${isOwnMessage ? `<button onclick="deleteMessage('${msg.id}')" style="background: rgba(255,107,107,0.2); border: 1px solid #ff6b6b; color: #ff6b6b; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Supprimer">🗑️</button>` : ''}
           </div>
           ${generateReactionsDisplay(msg.reactions, msg.id)}
         </div>
       </div>
     `;
-  }).join('');
+  }).join('') + generateHistoryControl('group', 'newer');
 
   // Scroll vers le bas
   container.scrollTop = container.scrollHeight;
 }
 
+// Regrouper les rendus déclenchés par les fragments de traduction (un par frame)
+const pendingTranslationRenders = new Set();
+function scheduleTranslationRender(target) {
+  if (pendingTranslationRenders.has(target)) return;
+  pendingTranslationRenders.add(target);
+
+  requestAnimationFrame(() => {
+    pendingTranslationRenders.delete(target);
+    if (target === 'group') {
+      displayMessages(currentGroupMessages);
+    } else if (target === 'thread') {
+      displayThreadMessages();
+    } else {
+      displayDMMessages(currentDMMessages);
+    }
+  });
+}
+
 function appendMessage(message) {
+  // Historique consulté plus haut : le message arrivera avec "Messages suivants"
+  if (historyPages.group?.hasNewer) return;
+
   // Ajouter le message à la liste pour la recherche
   currentGroupMessages.push(message);
 
@@ -5767,15 +7361,19 @@ function appendMessage(message) {
       <div style="position: relative; display: inline-block; max-width: 70%;">
         <div style="background: ${isOwnMessage ? '#00ff9d' : 'rgba(255,255,255,0.1)'}; color: ${isOwnMessage ? '#000' : '#fff'}; padding: 10px 14px; border-radius: 12px; word-wrap: break-word;">
           <div style="font-weight: bold; font-size: 0.85em; margin-bottom: 4px; opacity: 0.8;">${message.fromDisplayName}</div>
+          ${generateReplyQuote(message, userLang)}
           ${message.fileInfo ? '' : `<div>${highlightedTranslation}</div>`}
           ${message.fileInfo ? generateFileDisplay(message.fileInfo) : ''}
           ${message.fileInfo && highlightedTranslation ? `<div style="margin-top: 8px;">${highlightedTranslation}</div>` : ''}
           <div style="font-size: 0.75em; margin-top: 4px; opacity: 0.6;">${new Date(message.timestamp).toLocaleTimeString()}</div>
         </div>
         <div style="display: flex; gap: 8px; margin-top: 4px; justify-content: ${isOwnMessage ? 'flex-end' : 'flex-start'}; flex-wrap: wrap;">
-          ${!message.fileInfo ? `<button onclick="playMessageAudio('${translation.replace(/'/g, "\\'")}', '${userLang}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('listen')}">🔊</button>` : ''}
+          ${!message.fileInfo ? `<button onclick="playMessageAudio('${message.id || ''}', '${translation.replace(/'/g, "\\'")}', '${userLang}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('listen')}">🔊</button>` : ''}
           ${!message.fileInfo ? `<button onclick="copyMessage('${translation.replace(/'/g, "\\'")}', '${message.id || Date.now()}')" style="background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.2); color: #fff; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="${t('copy')}">📋</button>` : ''}
           ${generateReactionButtons(message.id)}
+          ${generateReplyAction(message, 'group')}
+          ${generateThreadAction(message)}
+          ${generateEditAction(message)}
           ${isOwnMessage ? `<button onclick="deleteMessage('${message.id}')" style="background: rgba(255,107,107,0.2); border: 1px solid #ff6b6b; color: #ff6b6b; padding: 4px 10px; border-radius: 6px; cursor: pointer; font-size: 0.85em;" title="Supprimer">🗑️</button>` : ''}
         </div>
         ${generateReactionsDisplay(message.reactions, message.id)}
@@ -5816,9 +7414,14 @@ async function sendMessage() {
   }
 
   let fileInfo = null;
+  let translateDocument = false;
 
   // Si un fichier est sélectionné, l'uploader d'abord
   if (selectedFile) {
+    if (isTranslatableDocument(selectedFile.name)) {
+      translateDocument = confirm('🌐 Traduire ce document dans la langue de chaque membre du groupe ?');
+    }
+
     try {
       const sendBtn = document.getElementById('chatSendBtn');
       sendBtn.disabled = true;
@@ -5841,7 +7444,9 @@ async function sendMessage() {
     groupId: currentChatGroupId,
     content: content || (selectedFile ? selectedFile.name : ''),
     userLang: state.lang1, // Langue de l'utilisateur
-    fileInfo: fileInfo
+    fileInfo: fileInfo,
+    translateDocument,
+    replyToId: takeReplyToId('group')
   });
 
   input.value = '';
@@ -5957,36 +7562,37 @@ async function processChatAudio(audioBlob) {
   pttBtn.style.background = '#ffc107';
 
   try {
-    // 1. Transcription avec Whisper
-    console.log('📝 Transcription de l\'audio...');
-    const transcription = await transcribeAudio(audioBlob);
-
-    if (!transcription || transcription.trim().length < 2) {
-      console.log('⚠️ Transcription vide ou trop courte');
-      pttBtn.textContent = '🎤';
-      pttBtn.style.background = '#ff6b6b';
-      return;
-    }
+    // Message vocal : l'enregistrement est conservé, transcrit et traduit côté serveur
+    // (le message arrive ensuite par group_message, comme un message texte)
+    const formData = new FormData();
+    formData.append('audio', audioBlob, 'voice.webm');
+    formData.append('language', state.lang1); // Langue de l'utilisateur
+    formData.append('tts', state.ttsEnabled ? 'true' : 'false');
 
-    console.log('✅ Transcription:', transcription);
+    const response = await fetch(`${API_BASE_URL}/api/groups/${encodeURIComponent(currentChatGroupId)}/voice-messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${state.token}`
+      },
+      body: formData
+    });
 
-    // 2. Envoyer le message transcrit
-    if (!socket || !socket.connected) {
-      alert('❌ Non connecté au serveur');
+    if (response.status === 422) {
+      console.log('⚠️ Aucune parole détectée');
       return;
     }
 
-    socket.emit('send_message', {
-      groupId: currentChatGroupId,
-      content: transcription,
-      userLang: state.lang1 // Langue de l'utilisateur
-    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || response.statusText);
+    }
 
-    console.log('📤 Message vocal envoyé:', transcription);
+    decrementQuota('transcribe'); // Décrémenter le quota transcription
+    console.log('📤 Message vocal envoyé:', data.message.content);
 
   } catch (error) {
     console.error('❌ Erreur traitement audio chat:', error);
-    alert('❌ Erreur lors de la transcription');
+    alert(`❌ Erreur lors de l'envoi du message vocal : ${error.message}`);
   } finally {
     // Reset du bouton
     pttBtn.textContent = '🎤';
@@ -5999,17 +7605,39 @@ async function processChatAudio(audioBlob) {
 // ===================================
 
 // Écouter un message (TTS)
-async function playMessageAudio(text, language) {
+// L'audio d'un message enregistré est synthétisé une seule fois côté serveur
+// (quota décompté uniquement à la première écoute) puis servi depuis son URL
+async function playMessageAudio(messageId, text, language) {
   if (!text || text.trim().length === 0) {
     console.warn('Texte vide, lecture audio ignorée');
     return;
   }
 
   try {
-    // Décrémenter le quota
-    decrementQuota('speak');
+    if (messageId) {
+      const response = await fetch(`${API_BASE_URL}/api/messages/${encodeURIComponent(messageId)}/audio`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${state.token}`
+        },
+        body: JSON.stringify({ lang: language })
+      });
 
-    // Utiliser la fonction speakText existante
+      if (response.ok) {
+        const { audio, cached } = await response.json();
+        if (!cached) decrementQuota('speak');
+        await playAudioSource(`${API_BASE_URL}${audio.url}`);
+        console.log('✅ Lecture audio terminée');
+        return;
+      }
+      if (response.status === 429) {
+        throw new Error(`Erreur TTS: ${response.statusText}`);
+      }
+      // Texte pas encore enregistré dans cette langue : synthèse directe
+    }
+
+    decrementQuota('speak');
     await speakText(text, language);
 
     console.log('✅ Lecture audio terminée');
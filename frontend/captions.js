@@ -0,0 +1,191 @@
+// ===================================
+// SOUS-TITRES EN DIRECT (PAGE PUBLIQUE)
+// ===================================
+
+// Le public rejoint une diffusion avec le code court du présentateur, sans
+// compte : lecture seule, sous-titres dans la langue choisie, transcript
+// téléchargeable à la fin.
+const captions = {
+  socket: null,
+  code: null,
+  language: null,
+  broadcast: null
+};
+
+const languageNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames([navigator.language || 'fr'], { type: 'language' })
+  : null;
+
+function languageLabel(lang) {
+  try {
+    return languageNames?.of(lang) || lang.toUpperCase();
+  } catch {
+    return lang.toUpperCase();
+  }
+}
+
+function normalizeCode(value) {
+  return value.toUpperCase().replace(/[\s-]/g, '');
+}
+
+function setStatus(text, isLive = false) {
+  const status = document.getElementById('captionsStatus');
+  status.textContent = text;
+  status.classList.toggle('live', isLive);
+}
+
+function showError(message) {
+  document.getElementById('captionsError').textContent = message || '';
+}
+
+// Langue du navigateur si diffusée, sinon celle du présentateur
+function preferredLanguage(languages) {
+  const browserLang = (navigator.language || '').split('-')[0];
+  return languages.includes(browserLang) ? browserLang : languages[0];
+}
+
+function fillLanguageSelect(select, languages, selected) {
+  select.innerHTML = languages
+    .map(lang => `<option value="${lang}"${lang === selected ? ' selected' : ''}>${languageLabel(lang)}</option>`)
+    .join('');
+  select.disabled = false;
+}
+
+// Langues disponibles dès que le code est complet
+async function loadBroadcastInfo(code) {
+  const response = await fetch(`/api/captions/${encodeURIComponent(code)}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Code de diffusion inconnu');
+  return data.broadcast;
+}
+
+async function onCodeInput() {
+  const code = normalizeCode(document.getElementById('captionsCode').value);
+  const select = document.getElementById('captionsLanguage');
+  showError('');
+  if (code.length < 6) return;
+
+  try {
+    const broadcast = await loadBroadcastInfo(code);
+    fillLanguageSelect(select, broadcast.languages, preferredLanguage(broadcast.languages));
+    if (broadcast.status === 'ended') {
+      showError('Cette diffusion est terminée');
+    }
+  } catch (error) {
+    select.disabled = true;
+    showError(error.message);
+  }
+}
+
+function connect() {
+  if (captions.socket) return captions.socket;
+
+  captions.socket = io('/captions');
+
+  captions.socket.on('connect', () => {
+    // Reprise après une coupure réseau
+    if (captions.code) joinBroadcast(captions.code, captions.language);
+  });
+
+  captions.socket.on('disconnect', () => setStatus('Reconnexion...'));
+
+  captions.socket.on('caption_partial', ({ code, lang, text }) => {
+    if (code === captions.code && lang === captions.language) {
+      document.getElementById('captionsLive').textContent = text;
+    }
+  });
+
+  captions.socket.on('caption_final', ({ code, lang, text }) => {
+    if (code === captions.code && lang === captions.language) {
+      document.getElementById('captionsLive').textContent = '';
+      appendLine(text);
+    }
+  });
+
+  captions.socket.on('caption_ended', ({ code }) => {
+    if (code === captions.code) showEnded();
+  });
+
+  return captions.socket;
+}
+
+function joinBroadcast(code, language) {
+  connect().emit('caption_join', { code, language }, (response) => {
+    if (!response?.success) {
+      if (response?.code === 'ended') {
+        captions.code = code;
+        captions.language = language;
+        showView({ code, title: null, languages: [language] }, []);
+        return showEnded();
+      }
+      showError(response?.error || 'Impossible de rejoindre la diffusion');
+      return;
+    }
+
+    captions.code = response.broadcast.code;
+    captions.language = response.language;
+    captions.broadcast = response.broadcast;
+    history.replaceState(null, '', `?code=${captions.code}`);
+    showView(response.broadcast, response.captions);
+    setStatus('🔴 En direct', true);
+  });
+}
+
+function showView(broadcast, recent) {
+  document.getElementById('captionsJoin').classList.add('hidden');
+  document.getElementById('captionsView').classList.remove('hidden');
+
+  document.getElementById('captionsBroadcastTitle').textContent = broadcast.title || 'Présentation';
+  document.getElementById('captionsBroadcastInfo').textContent = `Code ${broadcast.code}`;
+  fillLanguageSelect(document.getElementById('captionsViewLanguage'), broadcast.languages, captions.language);
+
+  document.getElementById('captionsLines').innerHTML = '';
+  document.getElementById('captionsLive').textContent = '';
+  recent.forEach(caption => appendLine(caption.text));
+}
+
+function appendLine(text) {
+  const lines = document.getElementById('captionsLines');
+  const line = document.createElement('p');
+  line.textContent = text;
+  lines.appendChild(line);
+  lines.scrollTop = lines.scrollHeight;
+}
+
+function showEnded() {
+  setStatus('Terminée');
+  document.getElementById('captionsLive').textContent = '';
+  document.getElementById('captionsEnded').classList.remove('hidden');
+
+  const base = `/api/captions/${captions.code}/transcript?lang=${encodeURIComponent(captions.language)}`;
+  document.getElementById('captionsDownloadTxt').href = `${base}&format=txt`;
+  document.getElementById('captionsDownloadSrt').href = `${base}&format=srt`;
+  document.getElementById('captionsDownloadVtt').href = `${base}&format=vtt`;
+}
+
+document.getElementById('captionsCode').addEventListener('input', onCodeInput);
+
+document.getElementById('captionsJoinForm').addEventListener('submit', (event) => {
+  event.preventDefault();
+  const code = normalizeCode(document.getElementById('captionsCode').value);
+  const language = document.getElementById('captionsLanguage').value || null;
+  showError('');
+  joinBroadcast(code, language);
+});
+
+// Changement de langue en cours de diffusion
+document.getElementById('captionsViewLanguage').addEventListener('change', (event) => {
+  captions.language = event.target.value;
+  if (document.getElementById('captionsEnded').classList.contains('hidden')) {
+    joinBroadcast(captions.code, captions.language);
+  } else {
+    showEnded();
+  }
+});
+
+// Lien partagé : captions.html?code=ABC123
+const sharedCode = new URLSearchParams(window.location.search).get('code');
+if (sharedCode) {
+  document.getElementById('captionsCode').value = normalizeCode(sharedCode);
+  onCodeInput();
+}